@@ -0,0 +1,64 @@
+const mysql = require("mysql2/promise");
+
+// MySQL connection settings: DB_* in production, DB_*_LOCAL everywhere else.
+// Read lazily so values from .env are picked up after dotenv has run
+const dbConfig = () => {
+  const production = process.env.NODE_ENV === "production";
+  const env = (name) => process.env[production ? name : `${name}_LOCAL`];
+  return {
+    host: env("DB_HOST"),
+    port: env("DB_PORT"),
+    user: env("DB_USER"),
+    password: env("DB_PASS"),
+    database: env("DB_NAME"),
+    ssl: production ? { rejectUnauthorized: true } : undefined,
+  };
+};
+
+let pool = null;
+
+// One pool per process. pool.execute() borrows a connection for a single
+// query and always gives it back, even when the query fails
+const getPool = () => {
+  if (!pool) {
+    pool = mysql.createPool({
+      ...dbConfig(),
+      connectionLimit: parseInt(process.env.DB_POOL_SIZE || "10", 10),
+      waitForConnections: true,
+      enableKeepAlive: true,
+    });
+  }
+  return pool;
+};
+
+// Runs fn(connection) inside a transaction on a connection of its own and
+// returns what fn returns. Rolls back if fn throws; the connection goes back
+// to the pool either way
+const withTransaction = async (fn) => {
+  const connection = await getPool().getConnection();
+  try {
+    await connection.beginTransaction();
+    const result = await fn(connection);
+    await connection.commit();
+    return result;
+  } catch (error) {
+    await connection.rollback().catch(() => {});
+    throw error;
+  } finally {
+    connection.release();
+  }
+};
+
+const closePool = async () => {
+  if (!pool) return;
+  const closing = pool;
+  pool = null;
+  await closing.end();
+};
+
+module.exports = {
+  dbConfig,
+  getPool,
+  withTransaction,
+  closePool,
+};
@@ -0,0 +1,91 @@
+// The tables the API started with. IF NOT EXISTS lets a database that was set
+// up by hand before migrations existed adopt them without changes.
+module.exports = {
+  up: async (db) => {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS users (
+        id INT NOT NULL AUTO_INCREMENT PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        email VARCHAR(255) NOT NULL,
+        password VARCHAR(255) NOT NULL,
+        verification_code VARCHAR(10) NULL,
+        is_verified TINYINT(1) NOT NULL DEFAULT 0,
+        created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE KEY uq_users_email (email)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS babies (
+        id INT NOT NULL AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NOT NULL,
+        name VARCHAR(255) NOT NULL,
+        birth_date DATE NOT NULL,
+        gender VARCHAR(10) NOT NULL,
+        created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        CONSTRAINT fk_babies_user FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS schedules (
+        id INT NOT NULL AUTO_INCREMENT PRIMARY KEY,
+        baby_id INT NOT NULL,
+        type VARCHAR(100) NOT NULL,
+        scheduled_time DATETIME NOT NULL,
+        notes TEXT NULL,
+        created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        KEY idx_schedules_time (scheduled_time),
+        CONSTRAINT fk_schedules_baby FOREIGN KEY (baby_id) REFERENCES babies (id) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS expenses (
+        id INT NOT NULL AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NOT NULL,
+        baby_id INT NULL,
+        category VARCHAR(100) NOT NULL,
+        amount DECIMAL(10,2) NOT NULL,
+        description TEXT NULL,
+        expense_date DATE NOT NULL,
+        created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        KEY idx_expenses_user_date (user_id, expense_date),
+        CONSTRAINT fk_expenses_user FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE,
+        CONSTRAINT fk_expenses_baby FOREIGN KEY (baby_id) REFERENCES babies (id) ON DELETE SET NULL
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS milestones (
+        id INT NOT NULL AUTO_INCREMENT PRIMARY KEY,
+        baby_id INT NOT NULL,
+        title VARCHAR(255) NOT NULL,
+        description TEXT NULL,
+        milestone_date DATE NOT NULL,
+        photo_url VARCHAR(2048) NULL,
+        created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        CONSTRAINT fk_milestones_baby FOREIGN KEY (baby_id) REFERENCES babies (id) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS daily_reads (
+        id INT NOT NULL AUTO_INCREMENT PRIMARY KEY,
+        title VARCHAR(255) NOT NULL,
+        content TEXT NOT NULL,
+        published_date DATE NOT NULL,
+        KEY idx_daily_reads_published (published_date)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS scriptures (
+        id INT NOT NULL AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NOT NULL,
+        verse VARCHAR(1000) NOT NULL,
+        reference VARCHAR(255) NOT NULL,
+        CONSTRAINT fk_scriptures_user FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+  },
+  down: async (db) => {
+    for (const table of ["scriptures", "daily_reads", "milestones", "expenses", "schedules", "babies", "users"]) {
+      await db.query(`DROP TABLE IF EXISTS ${table}`);
+    }
+  },
+};
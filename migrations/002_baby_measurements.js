@@ -0,0 +1,20 @@
+// Height and weight readings scored against the WHO growth standards
+module.exports = {
+  up: async (db) => {
+    await db.query(`
+      CREATE TABLE baby_measurements (
+        id INT NOT NULL AUTO_INCREMENT PRIMARY KEY,
+        baby_id INT NOT NULL,
+        height DECIMAL(5,1) NULL COMMENT 'cm',
+        weight DECIMAL(5,2) NULL COMMENT 'kg',
+        measurement_date DATE NOT NULL,
+        created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        KEY idx_baby_measurements_date (baby_id, measurement_date),
+        CONSTRAINT fk_baby_measurements_baby FOREIGN KEY (baby_id) REFERENCES babies (id) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+  },
+  down: async (db) => {
+    await db.query("DROP TABLE baby_measurements");
+  },
+};
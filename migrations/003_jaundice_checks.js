@@ -0,0 +1,25 @@
+// Neonatal jaundice triage results
+module.exports = {
+  up: async (db) => {
+    await db.query(`
+      CREATE TABLE jaundice_checks (
+        id INT NOT NULL AUTO_INCREMENT PRIMARY KEY,
+        baby_id INT NOT NULL,
+        assessed_at DATETIME NOT NULL,
+        age_hours DECIMAL(6,1) NOT NULL,
+        yellowing_zone TINYINT UNSIGNED NOT NULL,
+        symptoms JSON NOT NULL,
+        bilirubin_mg_dl DECIMAL(4,1) NULL,
+        risk_zone VARCHAR(30) NULL,
+        urgency VARCHAR(20) NOT NULL,
+        reasons JSON NOT NULL,
+        created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        KEY idx_jaundice_checks_assessed (baby_id, assessed_at),
+        CONSTRAINT fk_jaundice_checks_baby FOREIGN KEY (baby_id) REFERENCES babies (id) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+  },
+  down: async (db) => {
+    await db.query("DROP TABLE jaundice_checks");
+  },
+};
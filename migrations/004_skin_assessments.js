@@ -0,0 +1,22 @@
+// Skin condition checker results
+module.exports = {
+  up: async (db) => {
+    await db.query(`
+      CREATE TABLE skin_assessments (
+        id INT NOT NULL AUTO_INCREMENT PRIMARY KEY,
+        baby_id INT NOT NULL,
+        symptoms JSON NOT NULL,
+        knowledge_version VARCHAR(20) NOT NULL,
+        top_condition VARCHAR(64) NULL,
+        urgency VARCHAR(20) NOT NULL,
+        result JSON NOT NULL,
+        created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        KEY idx_skin_assessments_created (baby_id, created_at),
+        CONSTRAINT fk_skin_assessments_baby FOREIGN KEY (baby_id) REFERENCES babies (id) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+  },
+  down: async (db) => {
+    await db.query("DROP TABLE skin_assessments");
+  },
+};
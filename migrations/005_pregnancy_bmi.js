@@ -0,0 +1,33 @@
+// Pre-pregnancy BMI and weight gain tracking
+module.exports = {
+  up: async (db) => {
+    await db.query(`
+      CREATE TABLE bmi_profiles (
+        user_id INT NOT NULL PRIMARY KEY,
+        pre_pregnancy_weight_kg DECIMAL(5,2) NOT NULL,
+        height_cm DECIMAL(5,1) NOT NULL,
+        pre_pregnancy_bmi DECIMAL(4,1) NOT NULL,
+        updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        CONSTRAINT fk_bmi_profiles_user FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+    await db.query(`
+      CREATE TABLE weight_logs (
+        id INT NOT NULL AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NOT NULL,
+        weight_kg DECIMAL(5,2) NOT NULL,
+        height_cm DECIMAL(5,1) NOT NULL,
+        bmi DECIMAL(4,1) NOT NULL,
+        gestational_week TINYINT UNSIGNED NULL,
+        recorded_on DATE NOT NULL,
+        created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        KEY idx_weight_logs_recorded (user_id, recorded_on),
+        CONSTRAINT fk_weight_logs_user FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+  },
+  down: async (db) => {
+    await db.query("DROP TABLE weight_logs");
+    await db.query("DROP TABLE bmi_profiles");
+  },
+};
@@ -0,0 +1,42 @@
+// Birthday reminders and the email reminder queue (utils/reminderScheduler.js)
+module.exports = {
+  up: async (db) => {
+    await db.query(`
+      CREATE TABLE birthday_reminders (
+        id INT NOT NULL AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NOT NULL,
+        baby_id INT NOT NULL,
+        celebration_date DATE NULL,
+        lead_days INT NOT NULL,
+        status ENUM('active', 'cancelled') NOT NULL DEFAULT 'active',
+        created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        CONSTRAINT fk_birthday_reminders_user FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE,
+        CONSTRAINT fk_birthday_reminders_baby FOREIGN KEY (baby_id) REFERENCES babies (id) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+    await db.query(`
+      CREATE TABLE reminder_jobs (
+        id INT NOT NULL AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NOT NULL,
+        source_type ENUM('schedule', 'birthday') NOT NULL,
+        source_id INT NOT NULL,
+        event_at DATETIME NOT NULL,
+        lead_minutes INT NOT NULL,
+        send_at DATETIME NOT NULL,
+        status ENUM('pending', 'sending', 'sent', 'failed', 'cancelled') NOT NULL DEFAULT 'pending',
+        attempts INT NOT NULL DEFAULT 0,
+        last_error VARCHAR(500) NULL,
+        sent_at DATETIME NULL,
+        created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        UNIQUE KEY uq_reminder_jobs_event (source_type, source_id, event_at, lead_minutes),
+        KEY idx_reminder_jobs_due (status, send_at),
+        CONSTRAINT fk_reminder_jobs_user FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+  },
+  down: async (db) => {
+    await db.query("DROP TABLE reminder_jobs");
+    await db.query("DROP TABLE birthday_reminders");
+  },
+};
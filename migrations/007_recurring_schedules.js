@@ -0,0 +1,23 @@
+// Recurring schedules (RRULE subset) and private calendar feeds
+module.exports = {
+  up: async (db) => {
+    await db.query(`
+      ALTER TABLE schedules
+        ADD COLUMN recurrence_rule VARCHAR(255) NULL,
+        ADD COLUMN recurrence_exceptions JSON NULL
+    `);
+    await db.query(`
+      CREATE TABLE calendar_feeds (
+        user_id INT NOT NULL PRIMARY KEY,
+        token_hash CHAR(64) NOT NULL,
+        created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE KEY uq_calendar_feeds_token (token_hash),
+        CONSTRAINT fk_calendar_feeds_user FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+  },
+  down: async (db) => {
+    await db.query("DROP TABLE calendar_feeds");
+    await db.query("ALTER TABLE schedules DROP COLUMN recurrence_exceptions, DROP COLUMN recurrence_rule");
+  },
+};
@@ -0,0 +1,15 @@
+// Soft delete with an undo window for babies, schedules, expenses and milestones
+const TABLES = ["babies", "schedules", "expenses", "milestones"];
+
+module.exports = {
+  up: async (db) => {
+    for (const table of TABLES) {
+      await db.query(`ALTER TABLE ${table} ADD COLUMN deleted_at DATETIME NULL, ADD KEY idx_${table}_deleted (deleted_at)`);
+    }
+  },
+  down: async (db) => {
+    for (const table of TABLES) {
+      await db.query(`ALTER TABLE ${table} DROP KEY idx_${table}_deleted, DROP COLUMN deleted_at`);
+    }
+  },
+};
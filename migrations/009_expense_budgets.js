@@ -0,0 +1,40 @@
+// Monthly category budgets and the 80%/100% alerts raised against them
+module.exports = {
+  up: async (db) => {
+    await db.query(`
+      CREATE TABLE expense_budgets (
+        id INT NOT NULL AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NOT NULL,
+        category VARCHAR(100) NOT NULL,
+        monthly_limit DECIMAL(12,2) NOT NULL,
+        created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        UNIQUE KEY uq_expense_budgets_category (user_id, category),
+        CONSTRAINT fk_expense_budgets_user FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+    await db.query(`
+      CREATE TABLE budget_alerts (
+        id INT NOT NULL AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NOT NULL,
+        budget_id INT NOT NULL,
+        category VARCHAR(100) NOT NULL,
+        month CHAR(7) NOT NULL,
+        threshold TINYINT UNSIGNED NOT NULL,
+        spent DECIMAL(12,2) NOT NULL,
+        monthly_limit DECIMAL(12,2) NOT NULL,
+        expense_id INT NULL,
+        created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE KEY uq_budget_alerts_threshold (budget_id, month, threshold),
+        KEY idx_budget_alerts_user (user_id, created_at),
+        CONSTRAINT fk_budget_alerts_user FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE,
+        CONSTRAINT fk_budget_alerts_budget FOREIGN KEY (budget_id) REFERENCES expense_budgets (id) ON DELETE CASCADE,
+        CONSTRAINT fk_budget_alerts_expense FOREIGN KEY (expense_id) REFERENCES expenses (id) ON DELETE SET NULL
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+  },
+  down: async (db) => {
+    await db.query("DROP TABLE budget_alerts");
+    await db.query("DROP TABLE expense_budgets");
+  },
+};
@@ -0,0 +1,27 @@
+// Multi-currency expenses: a currency per expense, a home currency per user
+// and the exchange rates used to convert between them
+module.exports = {
+  up: async (db) => {
+    await db.query("ALTER TABLE expenses MODIFY amount DECIMAL(12,2) NOT NULL, ADD COLUMN currency CHAR(3) NOT NULL DEFAULT 'NGN' AFTER amount");
+    await db.query("ALTER TABLE users ADD COLUMN home_currency CHAR(3) NOT NULL DEFAULT 'NGN'");
+    await db.query(`
+      CREATE TABLE exchange_rates (
+        id INT NOT NULL AUTO_INCREMENT PRIMARY KEY,
+        base_currency CHAR(3) NOT NULL,
+        quote_currency CHAR(3) NOT NULL,
+        rate DECIMAL(20,10) NOT NULL,
+        rate_date DATE NOT NULL,
+        source VARCHAR(20) NOT NULL,
+        uploaded_by INT NULL,
+        created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE KEY uq_exchange_rates_pair_date (base_currency, quote_currency, rate_date),
+        CONSTRAINT fk_exchange_rates_uploader FOREIGN KEY (uploaded_by) REFERENCES users (id) ON DELETE SET NULL
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+  },
+  down: async (db) => {
+    await db.query("DROP TABLE exchange_rates");
+    await db.query("ALTER TABLE users DROP COLUMN home_currency");
+    await db.query("ALTER TABLE expenses DROP COLUMN currency, MODIFY amount DECIMAL(10,2) NOT NULL");
+  },
+};
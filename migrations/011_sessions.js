@@ -0,0 +1,38 @@
+// Device sessions with rotating refresh tokens
+module.exports = {
+  up: async (db) => {
+    await db.query(`
+      CREATE TABLE user_sessions (
+        id INT NOT NULL AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NOT NULL,
+        device VARCHAR(100) NOT NULL,
+        user_agent VARCHAR(500) NULL,
+        ip_address VARCHAR(45) NULL,
+        created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        last_seen_at DATETIME NOT NULL,
+        expires_at DATETIME NOT NULL,
+        revoked_at DATETIME NULL,
+        revoked_reason VARCHAR(30) NULL,
+        KEY idx_user_sessions_active (user_id, revoked_at),
+        CONSTRAINT fk_user_sessions_user FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+    await db.query(`
+      CREATE TABLE refresh_tokens (
+        id INT NOT NULL AUTO_INCREMENT PRIMARY KEY,
+        session_id INT NOT NULL,
+        token_hash CHAR(64) NOT NULL,
+        expires_at DATETIME NOT NULL,
+        used_at DATETIME NULL,
+        replaced_by INT NULL,
+        created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE KEY uq_refresh_tokens_hash (token_hash),
+        CONSTRAINT fk_refresh_tokens_session FOREIGN KEY (session_id) REFERENCES user_sessions (id) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+  },
+  down: async (db) => {
+    await db.query("DROP TABLE refresh_tokens");
+    await db.query("DROP TABLE user_sessions");
+  },
+};
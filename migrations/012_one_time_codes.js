@@ -0,0 +1,23 @@
+// Hashed, expiring codes for email verification and password resets. The old
+// users.verification_code column is kept but no longer written
+module.exports = {
+  up: async (db) => {
+    await db.query(`
+      CREATE TABLE one_time_codes (
+        id INT NOT NULL AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NOT NULL,
+        purpose ENUM('verify_email', 'reset_password') NOT NULL,
+        code_hash VARCHAR(60) NOT NULL,
+        attempts INT NOT NULL DEFAULT 0,
+        expires_at DATETIME NOT NULL,
+        consumed_at DATETIME NULL,
+        created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        KEY idx_one_time_codes_lookup (user_id, purpose, created_at),
+        CONSTRAINT fk_one_time_codes_user FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+  },
+  down: async (db) => {
+    await db.query("DROP TABLE one_time_codes");
+  },
+};
@@ -0,0 +1,32 @@
+// TOTP two-factor authentication and single-use recovery codes
+module.exports = {
+  up: async (db) => {
+    await db.query(`
+      CREATE TABLE user_totp (
+        user_id INT NOT NULL PRIMARY KEY,
+        secret_encrypted VARCHAR(255) NOT NULL,
+        enabled_at DATETIME NULL,
+        last_used_step BIGINT NULL,
+        failed_attempts INT NOT NULL DEFAULT 0,
+        locked_until DATETIME NULL,
+        created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        CONSTRAINT fk_user_totp_user FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+    await db.query(`
+      CREATE TABLE totp_recovery_codes (
+        id INT NOT NULL AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NOT NULL,
+        code_hash CHAR(64) NOT NULL,
+        used_at DATETIME NULL,
+        created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE KEY uq_totp_recovery_codes (user_id, code_hash),
+        CONSTRAINT fk_totp_recovery_codes_user FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+  },
+  down: async (db) => {
+    await db.query("DROP TABLE totp_recovery_codes");
+    await db.query("DROP TABLE user_totp");
+  },
+};
@@ -0,0 +1,46 @@
+// Shared baby profiles: members with roles and email invitations. Every
+// existing baby gets its creator as owner
+module.exports = {
+  up: async (db) => {
+    await db.query(`
+      CREATE TABLE baby_members (
+        id INT NOT NULL AUTO_INCREMENT PRIMARY KEY,
+        baby_id INT NOT NULL,
+        user_id INT NOT NULL,
+        role ENUM('owner', 'co_parent', 'caregiver') NOT NULL,
+        invited_by INT NULL,
+        created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE KEY uq_baby_members (baby_id, user_id),
+        KEY idx_baby_members_user (user_id),
+        CONSTRAINT fk_baby_members_baby FOREIGN KEY (baby_id) REFERENCES babies (id) ON DELETE CASCADE,
+        CONSTRAINT fk_baby_members_user FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE,
+        CONSTRAINT fk_baby_members_inviter FOREIGN KEY (invited_by) REFERENCES users (id) ON DELETE SET NULL
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+    await db.query("INSERT INTO baby_members (baby_id, user_id, role) SELECT id, user_id, 'owner' FROM babies");
+    await db.query(`
+      CREATE TABLE baby_invitations (
+        id INT NOT NULL AUTO_INCREMENT PRIMARY KEY,
+        baby_id INT NOT NULL,
+        email VARCHAR(255) NOT NULL,
+        role ENUM('co_parent', 'caregiver') NOT NULL,
+        token_hash CHAR(64) NOT NULL,
+        invited_by INT NULL,
+        expires_at DATETIME NOT NULL,
+        accepted_at DATETIME NULL,
+        accepted_by INT NULL,
+        revoked_at DATETIME NULL,
+        created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE KEY uq_baby_invitations_token (token_hash),
+        KEY idx_baby_invitations_email (email),
+        CONSTRAINT fk_baby_invitations_baby FOREIGN KEY (baby_id) REFERENCES babies (id) ON DELETE CASCADE,
+        CONSTRAINT fk_baby_invitations_inviter FOREIGN KEY (invited_by) REFERENCES users (id) ON DELETE SET NULL,
+        CONSTRAINT fk_baby_invitations_acceptor FOREIGN KEY (accepted_by) REFERENCES users (id) ON DELETE SET NULL
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+  },
+  down: async (db) => {
+    await db.query("DROP TABLE baby_invitations");
+    await db.query("DROP TABLE baby_members");
+  },
+};
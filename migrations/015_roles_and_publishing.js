@@ -0,0 +1,58 @@
+// User roles, an audit log for admin actions and the draft -> review ->
+// published workflow for daily reads. Reads that already exist stay visible
+module.exports = {
+  up: async (db) => {
+    await db.query(`
+      ALTER TABLE users
+        ADD COLUMN role ENUM('user', 'editor', 'admin') NOT NULL DEFAULT 'user',
+        ADD COLUMN disabled_at DATETIME NULL
+    `);
+    await db.query(`
+      CREATE TABLE audit_log (
+        id INT NOT NULL AUTO_INCREMENT PRIMARY KEY,
+        actor_id INT NULL,
+        action VARCHAR(50) NOT NULL,
+        entity_type VARCHAR(50) NOT NULL,
+        entity_id INT NOT NULL,
+        changes JSON NULL,
+        created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        KEY idx_audit_log_entity (entity_type, entity_id),
+        KEY idx_audit_log_actor (actor_id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+    await db.query(`
+      ALTER TABLE daily_reads
+        ADD COLUMN status ENUM('draft', 'in_review', 'published') NOT NULL DEFAULT 'draft',
+        ADD COLUMN author_id INT NULL,
+        ADD COLUMN reviewed_by INT NULL,
+        ADD COLUMN review_note VARCHAR(1000) NULL,
+        ADD COLUMN published_at DATETIME NULL,
+        ADD COLUMN created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        ADD COLUMN updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        ADD KEY idx_daily_reads_status (status, published_date),
+        ADD CONSTRAINT fk_daily_reads_author FOREIGN KEY (author_id) REFERENCES users (id) ON DELETE SET NULL,
+        ADD CONSTRAINT fk_daily_reads_reviewer FOREIGN KEY (reviewed_by) REFERENCES users (id) ON DELETE SET NULL
+    `);
+    await db.query("UPDATE daily_reads SET status = 'published', published_at = published_date");
+  },
+  down: async (db) => {
+    await db.query(`
+      ALTER TABLE daily_reads
+        DROP FOREIGN KEY fk_daily_reads_author,
+        DROP FOREIGN KEY fk_daily_reads_reviewer
+    `);
+    await db.query(`
+      ALTER TABLE daily_reads
+        DROP KEY idx_daily_reads_status,
+        DROP COLUMN status,
+        DROP COLUMN author_id,
+        DROP COLUMN reviewed_by,
+        DROP COLUMN review_note,
+        DROP COLUMN published_at,
+        DROP COLUMN created_at,
+        DROP COLUMN updated_at
+    `);
+    await db.query("DROP TABLE audit_log");
+    await db.query("ALTER TABLE users DROP COLUMN role, DROP COLUMN disabled_at");
+  },
+};
@@ -0,0 +1,51 @@
+// Topics, pregnancy/baby stage ranges, full-text search, bookmarks and read
+// tracking for daily reads
+module.exports = {
+  up: async (db) => {
+    await db.query(`
+      ALTER TABLE daily_reads
+        ADD COLUMN pregnancy_week_from TINYINT UNSIGNED NULL,
+        ADD COLUMN pregnancy_week_to TINYINT UNSIGNED NULL,
+        ADD COLUMN baby_age_from_days SMALLINT UNSIGNED NULL,
+        ADD COLUMN baby_age_to_days SMALLINT UNSIGNED NULL
+    `);
+    await db.query("ALTER TABLE daily_reads ADD FULLTEXT KEY ft_daily_reads (title, content)");
+    await db.query(`
+      CREATE TABLE daily_read_topics (
+        daily_read_id INT NOT NULL,
+        topic VARCHAR(50) NOT NULL,
+        PRIMARY KEY (daily_read_id, topic),
+        KEY idx_daily_read_topics_topic (topic),
+        CONSTRAINT fk_daily_read_topics_read FOREIGN KEY (daily_read_id) REFERENCES daily_reads (id) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+    for (const [table, column] of [
+      ["daily_read_bookmarks", "created_at"],
+      ["daily_read_views", "read_at"],
+    ]) {
+      await db.query(`
+        CREATE TABLE ${table} (
+          user_id INT NOT NULL,
+          daily_read_id INT NOT NULL,
+          ${column} DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+          PRIMARY KEY (user_id, daily_read_id),
+          CONSTRAINT fk_${table}_user FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE,
+          CONSTRAINT fk_${table}_read FOREIGN KEY (daily_read_id) REFERENCES daily_reads (id) ON DELETE CASCADE
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+      `);
+    }
+  },
+  down: async (db) => {
+    await db.query("DROP TABLE daily_read_views");
+    await db.query("DROP TABLE daily_read_bookmarks");
+    await db.query("DROP TABLE daily_read_topics");
+    await db.query(`
+      ALTER TABLE daily_reads
+        DROP KEY ft_daily_reads,
+        DROP COLUMN pregnancy_week_from,
+        DROP COLUMN pregnancy_week_to,
+        DROP COLUMN baby_age_from_days,
+        DROP COLUMN baby_age_to_days
+    `);
+  },
+};
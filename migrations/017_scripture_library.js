@@ -0,0 +1,101 @@
+// Scriptures become a shared, reviewed library with themes and favourites,
+// plus daily devotional emails. Each user's existing verses become drafts they
+// authored and are kept as their favourites, so they come back once an editor
+// has checked the reference and published them
+const userForeignKeys = async (db) => {
+  const [rows] = await db.query(
+    "SELECT CONSTRAINT_NAME AS name FROM information_schema.KEY_COLUMN_USAGE WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'scriptures' AND COLUMN_NAME = 'user_id' AND REFERENCED_TABLE_NAME IS NOT NULL"
+  );
+  return rows.map((row) => row.name);
+};
+
+module.exports = {
+  up: async (db) => {
+    // The baseline key may have been created by hand under another name
+    for (const name of await userForeignKeys(db)) {
+      await db.query(`ALTER TABLE scriptures DROP FOREIGN KEY \`${name}\``);
+    }
+    await db.query(`
+      ALTER TABLE scriptures
+        CHANGE user_id author_id INT NULL,
+        MODIFY verse TEXT NOT NULL,
+        ADD COLUMN book VARCHAR(30) NULL,
+        ADD COLUMN chapter SMALLINT UNSIGNED NULL,
+        ADD COLUMN verse_start SMALLINT UNSIGNED NULL,
+        ADD COLUMN end_chapter SMALLINT UNSIGNED NULL,
+        ADD COLUMN verse_end SMALLINT UNSIGNED NULL,
+        ADD COLUMN status ENUM('draft', 'in_review', 'published') NOT NULL DEFAULT 'draft',
+        ADD COLUMN reviewed_by INT NULL,
+        ADD COLUMN review_note VARCHAR(1000) NULL,
+        ADD COLUMN published_at DATETIME NULL,
+        ADD COLUMN created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        ADD COLUMN updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        ADD KEY idx_scriptures_status (status, book),
+        ADD CONSTRAINT fk_scriptures_author FOREIGN KEY (author_id) REFERENCES users (id) ON DELETE SET NULL,
+        ADD CONSTRAINT fk_scriptures_reviewer FOREIGN KEY (reviewed_by) REFERENCES users (id) ON DELETE SET NULL
+    `);
+    await db.query(`
+      CREATE TABLE scripture_themes (
+        scripture_id INT NOT NULL,
+        theme VARCHAR(20) NOT NULL,
+        PRIMARY KEY (scripture_id, theme),
+        KEY idx_scripture_themes_theme (theme),
+        CONSTRAINT fk_scripture_themes_scripture FOREIGN KEY (scripture_id) REFERENCES scriptures (id) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+    await db.query(`
+      CREATE TABLE scripture_favourites (
+        user_id INT NOT NULL,
+        scripture_id INT NOT NULL,
+        created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (user_id, scripture_id),
+        CONSTRAINT fk_scripture_favourites_user FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE,
+        CONSTRAINT fk_scripture_favourites_scripture FOREIGN KEY (scripture_id) REFERENCES scriptures (id) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+    await db.query("INSERT INTO scripture_favourites (user_id, scripture_id) SELECT author_id, id FROM scriptures WHERE author_id IS NOT NULL");
+    await db.query(`
+      CREATE TABLE devotional_preferences (
+        user_id INT NOT NULL PRIMARY KEY,
+        enabled TINYINT(1) NOT NULL DEFAULT 0,
+        send_time TIME NOT NULL DEFAULT '07:00:00',
+        timezone VARCHAR(64) NULL,
+        theme VARCHAR(20) NULL,
+        last_sent_on DATE NULL,
+        created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        CONSTRAINT fk_devotional_preferences_user FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+    await db.query("ALTER TABLE reminder_jobs MODIFY source_type ENUM('schedule', 'birthday', 'devotional') NOT NULL");
+  },
+  // Verses without an author (added by editors, or whose author was deleted)
+  // cannot go back to being personal and are dropped
+  down: async (db) => {
+    await db.query("DELETE FROM reminder_jobs WHERE source_type = 'devotional'");
+    await db.query("ALTER TABLE reminder_jobs MODIFY source_type ENUM('schedule', 'birthday') NOT NULL");
+    await db.query("DROP TABLE devotional_preferences");
+    await db.query("DROP TABLE scripture_favourites");
+    await db.query("DROP TABLE scripture_themes");
+    await db.query("ALTER TABLE scriptures DROP FOREIGN KEY fk_scriptures_author, DROP FOREIGN KEY fk_scriptures_reviewer");
+    await db.query("DELETE FROM scriptures WHERE author_id IS NULL");
+    await db.query(`
+      ALTER TABLE scriptures
+        DROP KEY idx_scriptures_status,
+        DROP COLUMN book,
+        DROP COLUMN chapter,
+        DROP COLUMN verse_start,
+        DROP COLUMN end_chapter,
+        DROP COLUMN verse_end,
+        DROP COLUMN status,
+        DROP COLUMN reviewed_by,
+        DROP COLUMN review_note,
+        DROP COLUMN published_at,
+        DROP COLUMN created_at,
+        DROP COLUMN updated_at,
+        MODIFY verse VARCHAR(1000) NOT NULL,
+        CHANGE author_id user_id INT NOT NULL,
+        ADD CONSTRAINT fk_scriptures_user FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+    `);
+  },
+};
@@ -0,0 +1,39 @@
+// Pregnancy tracking. Prenatal visits are schedules that belong to a
+// pregnancy instead of a baby
+module.exports = {
+  up: async (db) => {
+    await db.query(`
+      CREATE TABLE pregnancies (
+        id INT NOT NULL AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NOT NULL,
+        status ENUM('active', 'delivered') NOT NULL DEFAULT 'active',
+        dating_method ENUM('lmp', 'ultrasound', 'due_date') NOT NULL,
+        lmp_date DATE NULL,
+        cycle_length TINYINT UNSIGNED NULL,
+        ultrasound_date DATE NULL,
+        ultrasound_gestation_days SMALLINT UNSIGNED NULL,
+        due_date DATE NOT NULL,
+        baby_id INT NULL,
+        delivered_on DATE NULL,
+        created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        KEY idx_pregnancies_user (user_id, status),
+        CONSTRAINT fk_pregnancies_user FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE,
+        CONSTRAINT fk_pregnancies_baby FOREIGN KEY (baby_id) REFERENCES babies (id) ON DELETE SET NULL
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+    await db.query(`
+      ALTER TABLE schedules
+        MODIFY baby_id INT NULL,
+        ADD COLUMN pregnancy_id INT NULL AFTER baby_id,
+        ADD COLUMN prenatal_week TINYINT UNSIGNED NULL,
+        ADD CONSTRAINT fk_schedules_pregnancy FOREIGN KEY (pregnancy_id) REFERENCES pregnancies (id) ON DELETE CASCADE
+    `);
+  },
+  down: async (db) => {
+    await db.query("DELETE FROM schedules WHERE baby_id IS NULL");
+    await db.query("ALTER TABLE schedules DROP FOREIGN KEY fk_schedules_pregnancy");
+    await db.query("ALTER TABLE schedules DROP KEY fk_schedules_pregnancy, DROP COLUMN pregnancy_id, DROP COLUMN prenatal_week, MODIFY baby_id INT NOT NULL");
+    await db.query("DROP TABLE pregnancies");
+  },
+};
@@ -0,0 +1,31 @@
+// Immunization plans: the schedule a baby follows and one row per dose. Plans
+// for existing babies are created the first time they are viewed
+module.exports = {
+  up: async (db) => {
+    await db.query("ALTER TABLE babies ADD COLUMN immunization_schedule VARCHAR(20) NOT NULL DEFAULT 'ng-npi'");
+    await db.query(`
+      CREATE TABLE baby_immunizations (
+        id INT NOT NULL AUTO_INCREMENT PRIMARY KEY,
+        baby_id INT NOT NULL,
+        schedule_id VARCHAR(20) NOT NULL,
+        code VARCHAR(20) NOT NULL,
+        due_date DATE NOT NULL,
+        given_on DATE NULL,
+        batch_number VARCHAR(50) NULL,
+        facility VARCHAR(255) NULL,
+        notes TEXT NULL,
+        recorded_by INT NULL,
+        created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        UNIQUE KEY uq_baby_immunizations_dose (baby_id, code),
+        KEY idx_baby_immunizations_due (due_date),
+        CONSTRAINT fk_baby_immunizations_baby FOREIGN KEY (baby_id) REFERENCES babies (id) ON DELETE CASCADE,
+        CONSTRAINT fk_baby_immunizations_recorder FOREIGN KEY (recorded_by) REFERENCES users (id) ON DELETE SET NULL
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+  },
+  down: async (db) => {
+    await db.query("DROP TABLE baby_immunizations");
+    await db.query("ALTER TABLE babies DROP COLUMN immunization_schedule");
+  },
+};
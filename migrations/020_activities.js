@@ -0,0 +1,31 @@
+// Feed, sleep and diaper logs; ended_at is NULL while a timer is running
+module.exports = {
+  up: async (db) => {
+    await db.query(`
+      CREATE TABLE activities (
+        id INT NOT NULL AUTO_INCREMENT PRIMARY KEY,
+        baby_id INT NOT NULL,
+        user_id INT NULL,
+        kind ENUM('feed', 'sleep', 'diaper') NOT NULL,
+        started_at DATETIME NOT NULL,
+        ended_at DATETIME NULL,
+        feed_type ENUM('breast', 'bottle', 'solids') NULL,
+        breast_side ENUM('left', 'right', 'both') NULL,
+        amount_ml SMALLINT UNSIGNED NULL,
+        food VARCHAR(255) NULL,
+        diaper ENUM('wet', 'dirty', 'mixed') NULL,
+        notes TEXT NULL,
+        created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        deleted_at DATETIME NULL,
+        KEY idx_activities_started (baby_id, started_at),
+        KEY idx_activities_running (baby_id, kind, ended_at),
+        CONSTRAINT fk_activities_baby FOREIGN KEY (baby_id) REFERENCES babies (id) ON DELETE CASCADE,
+        CONSTRAINT fk_activities_user FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE SET NULL
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+  },
+  down: async (db) => {
+    await db.query("DROP TABLE activities");
+  },
+};
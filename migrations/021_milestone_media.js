@@ -0,0 +1,26 @@
+// Uploaded milestone photos and videos. The files themselves live in media
+// storage (utils/mediaStorage.js); rolling back leaves them there
+module.exports = {
+  up: async (db) => {
+    await db.query(`
+      CREATE TABLE milestone_media (
+        id INT NOT NULL AUTO_INCREMENT PRIMARY KEY,
+        milestone_id INT NOT NULL,
+        storage_key VARCHAR(255) NOT NULL,
+        kind ENUM('image', 'video') NOT NULL,
+        mime_type VARCHAR(50) NOT NULL,
+        size_bytes INT UNSIGNED NOT NULL,
+        original_name VARCHAR(255) NULL,
+        uploaded_by INT NULL,
+        created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE KEY uq_milestone_media_key (storage_key),
+        KEY idx_milestone_media_milestone (milestone_id),
+        CONSTRAINT fk_milestone_media_milestone FOREIGN KEY (milestone_id) REFERENCES milestones (id) ON DELETE CASCADE,
+        CONSTRAINT fk_milestone_media_uploader FOREIGN KEY (uploaded_by) REFERENCES users (id) ON DELETE SET NULL
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+  },
+  down: async (db) => {
+    await db.query("DROP TABLE milestone_media");
+  },
+};
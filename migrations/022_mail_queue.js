@@ -0,0 +1,29 @@
+// Outgoing email queue (utils/mailer.js). Messages are stored rendered; the
+// body is cleared once sent since it can hold one-time codes. 'dead' rows
+// used up their retries and wait for an admin to retry them
+module.exports = {
+  up: async (db) => {
+    await db.query(`
+      CREATE TABLE mail_queue (
+        id INT NOT NULL AUTO_INCREMENT PRIMARY KEY,
+        template VARCHAR(50) NOT NULL,
+        to_address VARCHAR(255) NOT NULL,
+        reply_to VARCHAR(255) NULL,
+        subject VARCHAR(255) NOT NULL,
+        html MEDIUMTEXT NULL,
+        text MEDIUMTEXT NULL,
+        status ENUM('pending', 'sending', 'sent', 'dead') NOT NULL DEFAULT 'pending',
+        attempts INT NOT NULL DEFAULT 0,
+        next_attempt_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        last_error VARCHAR(500) NULL,
+        sent_at DATETIME NULL,
+        created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        KEY idx_mail_queue_due (status, next_attempt_at)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+  },
+  down: async (db) => {
+    await db.query("DROP TABLE mail_queue");
+  },
+};
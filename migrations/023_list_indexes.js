@@ -0,0 +1,12 @@
+// Indexes for paging through a baby's schedules and milestones in date order.
+// Expenses already have idx_expenses_user_date
+module.exports = {
+  up: async (db) => {
+    await db.query("ALTER TABLE schedules ADD KEY idx_schedules_baby_time (baby_id, scheduled_time, id)");
+    await db.query("ALTER TABLE milestones ADD KEY idx_milestones_baby_date (baby_id, milestone_date, id)");
+  },
+  down: async (db) => {
+    await db.query("ALTER TABLE milestones DROP KEY idx_milestones_baby_date");
+    await db.query("ALTER TABLE schedules DROP KEY idx_schedules_baby_time");
+  },
+};
@@ -0,0 +1,9 @@
+// Pregnancies are soft deleted with the same undo window as babies
+module.exports = {
+  up: async (db) => {
+    await db.query("ALTER TABLE pregnancies ADD COLUMN deleted_at DATETIME NULL, ADD KEY idx_pregnancies_deleted (deleted_at)");
+  },
+  down: async (db) => {
+    await db.query("ALTER TABLE pregnancies DROP KEY idx_pregnancies_deleted, DROP COLUMN deleted_at");
+  },
+};
@@ -0,0 +1,174 @@
+const { memberBabiesSql } = require("../utils/babyAccess");
+const { keysetCondition, orderBySql, pageRows } = require("../utils/pagination");
+const { pick, sameId, mysqlSoftDeletable, memorySoftDeletable, memoryMembership, memoryMemberBabyIds } = require("./common");
+
+// Feeding, sleep and diaper entries, reached through their baby's
+// baby_members. A timer is an activity with no ended_at yet
+
+const ACTIVITY_COLUMNS = [
+  "id",
+  "baby_id",
+  "user_id",
+  "kind",
+  "started_at",
+  "ended_at",
+  "feed_type",
+  "breast_side",
+  "amount_ml",
+  "food",
+  "diaper",
+  "notes",
+];
+
+// What summarizeDay (utils/activities.js) needs
+const SUMMARY_COLUMNS = ["kind", "started_at", "ended_at", "feed_type", "amount_ml", "diaper"];
+
+// Activities only sort by started_at, the id breaking ties
+const PAGE_COLUMNS = ["started_at", "id"];
+
+// listVisible filters, all optional: babyId, kind, from and to (Dates, on
+// started_at, to exclusive). paging, required, is { descending, after, limit }
+// from utils/pagination.js
+const mysqlActivities = (db) => ({
+  ...mysqlSoftDeletable(db, "activities"),
+  // details are the kind's columns from validateActivityDetails; endedAt is null for a timer
+  create: async ({ babyId, userId, kind, startedAt, endedAt, details }) => {
+    const columns = Object.keys(details);
+    const [result] = await db.execute(
+      `INSERT INTO activities (baby_id, user_id, kind, started_at, ended_at${columns.map((column) => `, ${column}`).join("")})
+       VALUES (?, ?, ?, ?, ?${columns.map(() => ", ?").join("")})`,
+      [babyId, userId, kind, startedAt, endedAt, ...columns.map((column) => details[column])]
+    );
+    return result.insertId;
+  },
+  findRunning: async (babyId, kind) => {
+    const [rows] = await db.execute(
+      "SELECT id, started_at FROM activities WHERE baby_id = ? AND kind = ? AND ended_at IS NULL AND deleted_at IS NULL",
+      [babyId, kind]
+    );
+    return rows[0] || null;
+  },
+  listVisible: async (userId, { babyId, kind, from, to, paging }) => {
+    const clauses = ["deleted_at IS NULL", `baby_id IN (${memberBabiesSql("activities:read")})`];
+    const params = [userId];
+    if (babyId) {
+      clauses.push("baby_id = ?");
+      params.push(babyId);
+    }
+    if (kind) {
+      clauses.push("kind = ?");
+      params.push(kind);
+    }
+    if (from) {
+      clauses.push("started_at >= ?");
+      params.push(from);
+    }
+    if (to) {
+      clauses.push("started_at < ?");
+      params.push(to);
+    }
+    if (paging.after) {
+      const after = keysetCondition(PAGE_COLUMNS, paging.after, paging.descending);
+      clauses.push(after.sql);
+      params.push(...after.params);
+    }
+    const [rows] = await db.execute(
+      `SELECT ${ACTIVITY_COLUMNS.join(", ")} FROM activities WHERE ${clauses.join(" AND ")}
+       ORDER BY ${orderBySql(PAGE_COLUMNS, paging.descending).sql} LIMIT ${paging.limit + 1}`,
+      params
+    );
+    return rows;
+  },
+  // Running timers, oldest first
+  listRunning: async (userId) => {
+    const [rows] = await db.execute(
+      `SELECT ${ACTIVITY_COLUMNS.join(", ")} FROM activities WHERE ended_at IS NULL AND deleted_at IS NULL AND baby_id IN (${memberBabiesSql("activities:read")}) ORDER BY started_at`,
+      [userId]
+    );
+    return rows;
+  },
+  // A baby's activities started in [start, end)
+  listStartedBetween: async (babyId, start, end) => {
+    const [rows] = await db.execute(
+      `SELECT ${SUMMARY_COLUMNS.join(", ")} FROM activities WHERE baby_id = ? AND deleted_at IS NULL AND started_at >= ? AND started_at < ?`,
+      [babyId, start, end]
+    );
+    return rows;
+  },
+  // Sets ended_at and details; false if the timer was already stopped, so a
+  // double tap on "stop" keeps the first time
+  stop: async (id, endedAt, details) => {
+    const values = { ...details, ended_at: endedAt };
+    const columns = Object.keys(values);
+    const [result] = await db.execute(
+      `UPDATE activities SET ${columns.map((column) => `${column} = ?`).join(", ")} WHERE id = ? AND ended_at IS NULL`,
+      [...columns.map((column) => values[column]), id]
+    );
+    return result.affectedRows === 1;
+  },
+  findAccessible: async (id, userId, { deleted = false } = {}) => {
+    const [rows] = await db.execute(
+      `SELECT ${ACTIVITY_COLUMNS.map((column) => `r.${column}`).join(", ")}, r.deleted_at, m.role AS access_role FROM activities r
+       JOIN babies b ON b.id = r.baby_id JOIN baby_members m ON m.baby_id = b.id
+       WHERE r.id = ? AND m.user_id = ? AND b.deleted_at IS NULL AND r.deleted_at IS ${deleted ? "NOT " : ""}NULL`,
+      [id, userId]
+    );
+    return rows[0] || null;
+  },
+});
+
+const memoryActivities = (store) => {
+  const visibleTo = (userId) => {
+    const babyIds = memoryMemberBabyIds(store, userId, "activities:read");
+    return store.filter("activities", (row) => !row.deleted_at && babyIds.has(row.baby_id));
+  };
+  return {
+    ...memorySoftDeletable(store, "activities"),
+    create: async ({ babyId, userId, kind, startedAt, endedAt, details }) =>
+      store.insert("activities", {
+        ...Object.fromEntries(ACTIVITY_COLUMNS.slice(6).map((column) => [column, null])),
+        baby_id: Number(babyId),
+        user_id: Number(userId),
+        kind,
+        started_at: startedAt,
+        ended_at: endedAt,
+        ...details,
+        deleted_at: null,
+      }),
+    findRunning: async (babyId, kind) => {
+      const row = store.find("activities", (activity) => sameId(activity.baby_id, babyId) && activity.kind === kind && !activity.ended_at && !activity.deleted_at);
+      return pick(row, ["id", "started_at"]);
+    },
+    listVisible: async (userId, { babyId, kind, from, to, paging }) => {
+      const rows = visibleTo(userId).filter(
+        (row) => (!babyId || sameId(row.baby_id, babyId)) && (!kind || row.kind === kind) && (!from || row.started_at >= from) && (!to || row.started_at < to)
+      );
+      return pageRows(rows, paging, (row) => [row.started_at, row.id]).map((row) => pick(row, ACTIVITY_COLUMNS));
+    },
+    listRunning: async (userId) =>
+      visibleTo(userId)
+        .filter((row) => !row.ended_at)
+        .sort((a, b) => a.started_at - b.started_at)
+        .map((row) => pick(row, ACTIVITY_COLUMNS)),
+    listStartedBetween: async (babyId, start, end) =>
+      store
+        .filter("activities", (row) => sameId(row.baby_id, babyId) && !row.deleted_at && row.started_at >= start && row.started_at < end)
+        .map((row) => pick(row, SUMMARY_COLUMNS)),
+    stop: async (id, endedAt, details) => {
+      const row = store.find("activities", (activity) => sameId(activity.id, id));
+      if (!row || row.ended_at) return false;
+      Object.assign(row, details, { ended_at: endedAt });
+      return true;
+    },
+    findAccessible: async (id, userId, { deleted = false } = {}) => {
+      const row = store.find("activities", (activity) => sameId(activity.id, id) && Boolean(activity.deleted_at) === deleted);
+      const membership = row && memoryMembership(store, row.baby_id, userId);
+      return membership ? { ...pick(row, [...ACTIVITY_COLUMNS, "deleted_at"]), access_role: membership.role } : null;
+    },
+  };
+};
+
+module.exports = {
+  mysqlActivities,
+  memoryActivities,
+};
@@ -0,0 +1,97 @@
+const { sameId } = require("./common");
+
+// Who changed what (audit_log). `changes` is stored as JSON
+
+// list filters, all optional: entityType, entityId, actorId
+const mysqlAuditLog = (db) => ({
+  record: async ({ actorId, action, entityType, entityId, changes = null }) => {
+    await db.execute(
+      "INSERT INTO audit_log (actor_id, action, entity_type, entity_id, changes) VALUES (?, ?, ?, ?, ?)",
+      [actorId, action, entityType, entityId, changes ? JSON.stringify(changes) : null]
+    );
+  },
+  // Newest first, at most `limit`, with the actor's name
+  list: async ({ entityType, entityId, actorId } = {}, limit) => {
+    const clauses = [];
+    const params = [];
+    if (entityType) {
+      clauses.push("a.entity_type = ?");
+      params.push(entityType);
+    }
+    if (entityId) {
+      clauses.push("a.entity_id = ?");
+      params.push(entityId);
+    }
+    if (actorId) {
+      clauses.push("a.actor_id = ?");
+      params.push(actorId);
+    }
+    const [rows] = await db.execute(
+      `SELECT a.id, a.actor_id, u.name AS actor_name, a.action, a.entity_type, a.entity_id, a.changes, a.created_at
+       FROM audit_log a LEFT JOIN users u ON u.id = a.actor_id
+       ${clauses.length ? `WHERE ${clauses.join(" AND ")}` : ""} ORDER BY a.created_at DESC, a.id DESC LIMIT ${Number(limit)}`,
+      params
+    );
+    return rows;
+  },
+  // One entity's history, oldest first
+  listForEntity: async (entityType, entityId) => {
+    const [rows] = await db.execute(
+      `SELECT a.id, a.actor_id, u.name AS actor_name, a.action, a.changes, a.created_at
+       FROM audit_log a LEFT JOIN users u ON u.id = a.actor_id
+       WHERE a.entity_type = ? AND a.entity_id = ? ORDER BY a.created_at ASC, a.id ASC`,
+      [entityType, entityId]
+    );
+    return rows;
+  },
+});
+
+const memoryAuditLog = (store) => {
+  const withActorName = (row) => {
+    const actor = store.find("users", (user) => user.id === row.actor_id);
+    return {
+      id: row.id,
+      actor_id: row.actor_id,
+      actor_name: actor ? actor.name : null,
+      action: row.action,
+      entity_type: row.entity_type,
+      entity_id: row.entity_id,
+      changes: row.changes,
+      created_at: row.created_at,
+    };
+  };
+  return {
+    record: async ({ actorId, action, entityType, entityId, changes = null }) => {
+      store.insert("audit_log", {
+        actor_id: Number(actorId),
+        action,
+        entity_type: entityType,
+        entity_id: Number(entityId),
+        changes: changes ? JSON.stringify(changes) : null,
+      });
+    },
+    list: async ({ entityType, entityId, actorId } = {}, limit) =>
+      store
+        .filter(
+          "audit_log",
+          (row) =>
+            (!entityType || row.entity_type === entityType) && (!entityId || sameId(row.entity_id, entityId)) && (!actorId || sameId(row.actor_id, actorId))
+        )
+        .sort((a, b) => b.created_at - a.created_at || b.id - a.id)
+        .slice(0, limit)
+        .map(withActorName),
+    listForEntity: async (entityType, entityId) =>
+      store
+        .filter("audit_log", (row) => row.entity_type === entityType && sameId(row.entity_id, entityId))
+        .sort((a, b) => a.created_at - b.created_at || a.id - b.id)
+        .map((row) => {
+          const { entity_type, entity_id, ...entry } = withActorName(row);
+          return entry;
+        }),
+  };
+};
+
+module.exports = {
+  mysqlAuditLog,
+  memoryAuditLog,
+};
@@ -0,0 +1,86 @@
+const { pick, sameId, dateValue, mysqlSoftDeletable, memorySoftDeletable, memoryMembership } = require("./common");
+
+// Baby profiles and who they are shared with (baby_members). Whoever creates
+// a profile becomes its owner
+
+const mysqlBabies = (db) => ({
+  ...mysqlSoftDeletable(db, "babies"),
+  create: async ({ userId, name, birthDate, gender, immunizationSchedule }) => {
+    const [result] = await db.execute(
+      "INSERT INTO babies (user_id, name, birth_date, gender, immunization_schedule) VALUES (?, ?, ?, ?, ?)",
+      [userId, name, birthDate, gender, immunizationSchedule]
+    );
+    await db.execute("INSERT INTO baby_members (baby_id, user_id, role) VALUES (?, ?, 'owner')", [result.insertId, userId]);
+    return result.insertId;
+  },
+  findById: async (id) => {
+    const [rows] = await db.execute("SELECT * FROM babies WHERE id = ?", [id]);
+    return rows[0] || null;
+  },
+  // Live profiles the user is a member of, with their role
+  listForMember: async (userId) => {
+    const [rows] = await db.execute(
+      "SELECT b.id, b.name, b.birth_date, b.gender, b.immunization_schedule, m.role FROM babies b JOIN baby_members m ON m.baby_id = b.id WHERE m.user_id = ? AND b.deleted_at IS NULL",
+      [userId]
+    );
+    return rows;
+  },
+  findMembership: async (id, userId) => {
+    const [rows] = await db.execute(
+      "SELECT b.id, b.name, b.birth_date, b.gender, m.role FROM babies b JOIN baby_members m ON m.baby_id = b.id WHERE b.id = ? AND m.user_id = ? AND b.deleted_at IS NULL",
+      [id, userId]
+    );
+    return rows[0] || null;
+  },
+  // The record behind /api/babies/:id; { deleted: true } finds soft-deleted ones
+  findAccessible: async (id, userId, { deleted = false } = {}) => {
+    const [rows] = await db.execute(
+      `SELECT r.id, r.name, r.birth_date, r.gender, r.immunization_schedule, r.deleted_at, m.role AS access_role FROM babies r JOIN baby_members m ON m.baby_id = r.id WHERE r.id = ? AND m.user_id = ? AND r.deleted_at IS ${deleted ? "NOT " : ""}NULL`,
+      [id, userId]
+    );
+    return rows[0] || null;
+  },
+});
+
+const memoryBabies = (store) => ({
+  ...memorySoftDeletable(store, "babies", ["birth_date"]),
+  create: async ({ userId, name, birthDate, gender, immunizationSchedule }) => {
+    const id = store.insert("babies", {
+      user_id: Number(userId),
+      name,
+      birth_date: dateValue(birthDate),
+      gender,
+      immunization_schedule: immunizationSchedule,
+      deleted_at: null,
+    });
+    store.insert("baby_members", { baby_id: id, user_id: Number(userId), role: "owner" });
+    return id;
+  },
+  findById: async (id) => {
+    const row = store.find("babies", (baby) => sameId(baby.id, id));
+    return row ? { ...row } : null;
+  },
+  listForMember: async (userId) =>
+    store
+      .filter("baby_members", (member) => sameId(member.user_id, userId))
+      .map((member) => {
+        const baby = store.find("babies", (row) => row.id === member.baby_id && !row.deleted_at);
+        return baby && { ...pick(baby, ["id", "name", "birth_date", "gender", "immunization_schedule"]), role: member.role };
+      })
+      .filter(Boolean),
+  findMembership: async (id, userId) => {
+    const membership = memoryMembership(store, id, userId);
+    return membership && { ...pick(membership.baby, ["id", "name", "birth_date", "gender"]), role: membership.role };
+  },
+  findAccessible: async (id, userId, { deleted = false } = {}) => {
+    const baby = store.find("babies", (row) => sameId(row.id, id) && Boolean(row.deleted_at) === deleted);
+    const member = baby && store.find("baby_members", (row) => row.baby_id === baby.id && sameId(row.user_id, userId));
+    if (!member) return null;
+    return { ...pick(baby, ["id", "name", "birth_date", "gender", "immunization_schedule", "deleted_at"]), access_role: member.role };
+  },
+});
+
+module.exports = {
+  mysqlBabies,
+  memoryBabies,
+};
@@ -0,0 +1,79 @@
+const { sameId } = require("./common");
+
+// Who shares each baby profile (baby_members), with their role. The owner row
+// is created with the baby and never changed here
+
+const mysqlBabyMembers = (db) => ({
+  // Oldest member first, the owner included
+  list: async (babyId) => {
+    const [rows] = await db.execute(
+      "SELECT u.id AS user_id, u.name, u.email, m.role, m.created_at FROM baby_members m JOIN users u ON u.id = m.user_id WHERE m.baby_id = ? ORDER BY m.created_at",
+      [babyId]
+    );
+    return rows;
+  },
+  findByEmail: async (babyId, email) => {
+    const [rows] = await db.execute(
+      "SELECT m.user_id, m.role FROM baby_members m JOIN users u ON u.id = m.user_id WHERE m.baby_id = ? AND u.email = ?",
+      [babyId, email]
+    );
+    return rows[0] || null;
+  },
+  // False if there is no such member other than the owner
+  updateRole: async (babyId, userId, role) => {
+    const [result] = await db.execute("UPDATE baby_members SET role = ? WHERE baby_id = ? AND user_id = ? AND role <> 'owner'", [role, babyId, userId]);
+    return result.affectedRows === 1;
+  },
+  remove: async (babyId, userId) => {
+    const [result] = await db.execute("DELETE FROM baby_members WHERE baby_id = ? AND user_id = ? AND role <> 'owner'", [babyId, userId]);
+    return result.affectedRows === 1;
+  },
+  // An existing owner row is never downgraded by an invitation
+  add: async ({ babyId, userId, role, invitedBy }) => {
+    await db.execute(
+      `INSERT INTO baby_members (baby_id, user_id, role, invited_by) VALUES (?, ?, ?, ?)
+       ON DUPLICATE KEY UPDATE role = IF(role = 'owner', role, VALUES(role))`,
+      [babyId, userId, role, invitedBy]
+    );
+  },
+});
+
+const memoryBabyMembers = (store) => {
+  const findMember = (babyId, userId) => store.find("baby_members", (row) => sameId(row.baby_id, babyId) && sameId(row.user_id, userId));
+  return {
+    list: async (babyId) =>
+      store
+        .filter("baby_members", (row) => sameId(row.baby_id, babyId))
+        .sort((a, b) => a.created_at - b.created_at)
+        .map((member) => {
+          const user = store.find("users", (row) => row.id === member.user_id);
+          return { user_id: member.user_id, name: user.name, email: user.email, role: member.role, created_at: member.created_at };
+        }),
+    findByEmail: async (babyId, email) => {
+      const user = store.find("users", (row) => String(row.email).toLowerCase() === String(email).toLowerCase());
+      const member = user && findMember(babyId, user.id);
+      return member ? { user_id: member.user_id, role: member.role } : null;
+    },
+    updateRole: async (babyId, userId, role) => {
+      const member = findMember(babyId, userId);
+      if (!member || member.role === "owner") return false;
+      member.role = role;
+      return true;
+    },
+    remove: async (babyId, userId) =>
+      store.remove("baby_members", (row) => sameId(row.baby_id, babyId) && sameId(row.user_id, userId) && row.role !== "owner") === 1,
+    add: async ({ babyId, userId, role, invitedBy }) => {
+      const member = findMember(babyId, userId);
+      if (member) {
+        if (member.role !== "owner") member.role = role;
+        return;
+      }
+      store.insert("baby_members", { baby_id: Number(babyId), user_id: Number(userId), role, invited_by: invitedBy });
+    },
+  };
+};
+
+module.exports = {
+  mysqlBabyMembers,
+  memoryBabyMembers,
+};
@@ -0,0 +1,94 @@
+const { pick, sameId, dateValue } = require("./common");
+
+// Birthday reminders a user set up for a baby they are a member of. Without a
+// celebration_date they repeat every year on the baby's birthday
+
+const mysqlBirthdayReminders = (db) => ({
+  // Newest first, for live babies, optionally just one baby's
+  listForUser: async (userId, babyId = null) => {
+    const [rows] = await db.execute(
+      `SELECT r.id, r.baby_id, b.name AS baby_name, b.birth_date, r.celebration_date AS reminder_date, r.lead_days, r.status, r.created_at
+       FROM birthday_reminders r JOIN babies b ON b.id = r.baby_id
+       WHERE r.user_id = ? AND b.deleted_at IS NULL AND (? IS NULL OR r.baby_id = ?) ORDER BY r.created_at DESC`,
+      [userId, babyId, babyId]
+    );
+    return rows;
+  },
+  create: async ({ userId, babyId, celebrationDate, leadDays }) => {
+    const [result] = await db.execute(
+      "INSERT INTO birthday_reminders (user_id, baby_id, celebration_date, lead_days, status) VALUES (?, ?, ?, ?, 'active')",
+      [userId, babyId, celebrationDate, leadDays]
+    );
+    return result.insertId;
+  },
+  // False unless the user has this reminder and it is still active
+  cancel: async (id, userId) => {
+    const [result] = await db.execute("UPDATE birthday_reminders SET status = 'cancelled' WHERE id = ? AND user_id = ? AND status = 'active'", [id, userId]);
+    return result.affectedRows > 0;
+  },
+  // Active reminders of live babies, for the scheduler
+  listActive: async () => {
+    const [rows] = await db.execute(
+      "SELECT r.id, r.user_id, r.celebration_date, r.lead_days, b.birth_date FROM birthday_reminders r JOIN babies b ON b.id = r.baby_id WHERE r.status = 'active' AND b.deleted_at IS NULL"
+    );
+    return rows;
+  },
+  // What the reminder email needs, or null once the user is no longer a member of the baby
+  findForDelivery: async (id) => {
+    const [rows] = await db.execute(
+      "SELECT r.status, b.deleted_at, b.name AS baby_name, b.birth_date, u.name AS user_name, u.email FROM birthday_reminders r JOIN babies b ON b.id = r.baby_id JOIN users u ON u.id = r.user_id JOIN baby_members m ON m.baby_id = r.baby_id AND m.user_id = r.user_id WHERE r.id = ?",
+      [id]
+    );
+    return rows[0] || null;
+  },
+});
+
+const memoryBirthdayReminders = (store) => {
+  const findBaby = (reminder) => store.find("babies", (baby) => baby.id === reminder.baby_id);
+  return {
+    listForUser: async (userId, babyId = null) =>
+      store
+        .filter("birthday_reminders", (row) => sameId(row.user_id, userId) && (babyId === null || sameId(row.baby_id, babyId)) && !findBaby(row).deleted_at)
+        .sort((a, b) => b.created_at - a.created_at || b.id - a.id)
+        .map((row) => {
+          const baby = findBaby(row);
+          return {
+            ...pick(row, ["id", "baby_id"]),
+            baby_name: baby.name,
+            birth_date: baby.birth_date,
+            reminder_date: row.celebration_date,
+            ...pick(row, ["lead_days", "status", "created_at"]),
+          };
+        }),
+    create: async ({ userId, babyId, celebrationDate, leadDays }) =>
+      store.insert("birthday_reminders", {
+        user_id: Number(userId),
+        baby_id: Number(babyId),
+        celebration_date: celebrationDate ? dateValue(celebrationDate) : null,
+        lead_days: leadDays,
+        status: "active",
+      }),
+    cancel: async (id, userId) => {
+      const row = store.find("birthday_reminders", (reminder) => sameId(reminder.id, id) && sameId(reminder.user_id, userId) && reminder.status === "active");
+      if (!row) return false;
+      row.status = "cancelled";
+      return true;
+    },
+    listActive: async () =>
+      store
+        .filter("birthday_reminders", (row) => row.status === "active" && !findBaby(row).deleted_at)
+        .map((row) => ({ ...pick(row, ["id", "user_id", "celebration_date", "lead_days"]), birth_date: findBaby(row).birth_date })),
+    findForDelivery: async (id) => {
+      const row = store.find("birthday_reminders", (reminder) => sameId(reminder.id, id));
+      if (!row || !store.find("baby_members", (member) => member.baby_id === row.baby_id && member.user_id === row.user_id)) return null;
+      const baby = findBaby(row);
+      const user = store.find("users", (candidate) => candidate.id === row.user_id);
+      return { status: row.status, deleted_at: baby.deleted_at, baby_name: baby.name, birth_date: baby.birth_date, user_name: user.name, email: user.email };
+    },
+  };
+};
+
+module.exports = {
+  mysqlBirthdayReminders,
+  memoryBirthdayReminders,
+};
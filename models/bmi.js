@@ -0,0 +1,73 @@
+const { pick, sameId, dateValue } = require("./common");
+
+// The pre-pregnancy baseline (bmi_profiles) and the weights logged against it.
+// Weights and heights are kg and cm
+
+const PROFILE_COLUMNS = ["pre_pregnancy_weight_kg", "height_cm", "pre_pregnancy_bmi", "updated_at"];
+const WEIGHT_COLUMNS = ["id", "weight_kg", "height_cm", "bmi", "gestational_week", "recorded_on"];
+
+const mysqlBmi = (db) => ({
+  findProfile: async (userId) => {
+    const [rows] = await db.execute(`SELECT ${PROFILE_COLUMNS.join(", ")} FROM bmi_profiles WHERE user_id = ?`, [userId]);
+    return rows[0] || null;
+  },
+  saveProfile: async (userId, { weightKg, heightCm, bmi }) => {
+    await db.execute(
+      "INSERT INTO bmi_profiles (user_id, pre_pregnancy_weight_kg, height_cm, pre_pregnancy_bmi) VALUES (?, ?, ?, ?) ON DUPLICATE KEY UPDATE pre_pregnancy_weight_kg = VALUES(pre_pregnancy_weight_kg), height_cm = VALUES(height_cm), pre_pregnancy_bmi = VALUES(pre_pregnancy_bmi)",
+      [userId, weightKg, heightCm, bmi]
+    );
+  },
+  // Oldest first
+  listWeights: async (userId) => {
+    const [rows] = await db.execute(
+      `SELECT ${WEIGHT_COLUMNS.join(", ")} FROM weight_logs WHERE user_id = ? ORDER BY recorded_on ASC, id ASC`,
+      [userId]
+    );
+    return rows;
+  },
+  // recordedOn defaults to today
+  logWeight: async (userId, { weightKg, heightCm, bmi, gestationalWeek, recordedOn }) => {
+    const [result] = await db.execute(
+      "INSERT INTO weight_logs (user_id, weight_kg, height_cm, bmi, gestational_week, recorded_on) VALUES (?, ?, ?, ?, ?, COALESCE(?, CURDATE()))",
+      [userId, weightKg, heightCm, bmi, gestationalWeek, recordedOn || null]
+    );
+    return result.insertId;
+  },
+  findWeight: async (id) => {
+    const [rows] = await db.execute(`SELECT ${WEIGHT_COLUMNS.join(", ")} FROM weight_logs WHERE id = ?`, [id]);
+    return rows[0] || null;
+  },
+});
+
+const memoryBmi = (store) => ({
+  findProfile: async (userId) => pick(store.find("bmi_profiles", (row) => sameId(row.user_id, userId)), PROFILE_COLUMNS),
+  saveProfile: async (userId, { weightKg, heightCm, bmi }) => {
+    const values = { pre_pregnancy_weight_kg: weightKg, height_cm: heightCm, pre_pregnancy_bmi: bmi, updated_at: new Date() };
+    const row = store.find("bmi_profiles", (profile) => sameId(profile.user_id, userId));
+    if (row) Object.assign(row, values);
+    else store.insert("bmi_profiles", { user_id: Number(userId), ...values });
+  },
+  listWeights: async (userId) =>
+    store
+      .filter("weight_logs", (row) => sameId(row.user_id, userId))
+      .sort((a, b) => a.recorded_on - b.recorded_on || a.id - b.id)
+      .map((row) => pick(row, WEIGHT_COLUMNS)),
+  logWeight: async (userId, { weightKg, heightCm, bmi, gestationalWeek, recordedOn }) => {
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    return store.insert("weight_logs", {
+      user_id: Number(userId),
+      weight_kg: weightKg,
+      height_cm: heightCm,
+      bmi,
+      gestational_week: gestationalWeek,
+      recorded_on: recordedOn ? dateValue(recordedOn) : today,
+    });
+  },
+  findWeight: async (id) => pick(store.find("weight_logs", (row) => sameId(row.id, id)), WEIGHT_COLUMNS),
+});
+
+module.exports = {
+  mysqlBmi,
+  memoryBmi,
+};
@@ -0,0 +1,93 @@
+const { pick, sameId } = require("./common");
+
+// Monthly category budgets and the threshold alerts raised against them
+
+const ALERT_COLUMNS = ["id", "category", "month", "threshold", "spent", "monthly_limit", "expense_id", "created_at"];
+
+const mysqlBudgets = (db) => ({
+  listForUser: async (userId) => {
+    const [rows] = await db.execute("SELECT id, category, monthly_limit FROM expense_budgets WHERE user_id = ? ORDER BY category", [userId]);
+    return rows;
+  },
+  findForCategory: async (userId, category) => {
+    const [rows] = await db.execute("SELECT id, monthly_limit FROM expense_budgets WHERE user_id = ? AND category = ?", [userId, category]);
+    return rows[0] || null;
+  },
+  // One budget per category; saving again replaces the limit
+  save: async (userId, category, monthlyLimit) => {
+    await db.execute(
+      "INSERT INTO expense_budgets (user_id, category, monthly_limit) VALUES (?, ?, ?) ON DUPLICATE KEY UPDATE monthly_limit = VALUES(monthly_limit)",
+      [userId, category, monthlyLimit]
+    );
+  },
+  // Removes the budget and its alerts; false if the user has no such budget
+  remove: async (id, userId) => {
+    const [result] = await db.execute("DELETE FROM expense_budgets WHERE id = ? AND user_id = ?", [id, userId]);
+    return result.affectedRows > 0;
+  },
+  // False if this threshold already alerted for the budget and month
+  recordAlert: async ({ userId, budgetId, category, month, threshold, spent, monthlyLimit, expenseId }) => {
+    const [result] = await db.execute(
+      "INSERT IGNORE INTO budget_alerts (user_id, budget_id, category, month, threshold, spent, monthly_limit, expense_id) VALUES (?, ?, ?, ?, ?, ?, ?, ?)",
+      [userId, budgetId, category, month, threshold, spent, monthlyLimit, expenseId]
+    );
+    return result.affectedRows === 1;
+  },
+  // A YYYY-MM month's alerts, newest first
+  listAlerts: async (userId, month) => {
+    const [rows] = await db.execute(
+      `SELECT ${ALERT_COLUMNS.join(", ")} FROM budget_alerts WHERE user_id = ? AND month = ? ORDER BY created_at DESC`,
+      [userId, month]
+    );
+    return rows;
+  },
+});
+
+const memoryBudgets = (store) => ({
+  listForUser: async (userId) =>
+    store
+      .filter("expense_budgets", (budget) => sameId(budget.user_id, userId))
+      .sort((a, b) => a.category.localeCompare(b.category))
+      .map((row) => pick(row, ["id", "category", "monthly_limit"])),
+  findForCategory: async (userId, category) => {
+    const row = store.find("expense_budgets", (budget) => sameId(budget.user_id, userId) && budget.category === category);
+    return row ? { id: row.id, monthly_limit: row.monthly_limit } : null;
+  },
+  save: async (userId, category, monthlyLimit) => {
+    const row = store.find("expense_budgets", (budget) => sameId(budget.user_id, userId) && budget.category === category);
+    if (row) row.monthly_limit = monthlyLimit;
+    else store.insert("expense_budgets", { user_id: Number(userId), category, monthly_limit: monthlyLimit });
+  },
+  remove: async (id, userId) => {
+    const row = store.find("expense_budgets", (budget) => sameId(budget.id, id) && sameId(budget.user_id, userId));
+    if (!row) return false;
+    store.remove("budget_alerts", (alert) => alert.budget_id === row.id);
+    store.remove("expense_budgets", (budget) => budget.id === row.id);
+    return true;
+  },
+  recordAlert: async ({ userId, budgetId, category, month, threshold, spent, monthlyLimit, expenseId }) => {
+    const exists = store.find("budget_alerts", (row) => row.budget_id === budgetId && row.month === month && row.threshold === threshold);
+    if (exists) return false;
+    store.insert("budget_alerts", {
+      user_id: Number(userId),
+      budget_id: budgetId,
+      category,
+      month,
+      threshold,
+      spent,
+      monthly_limit: monthlyLimit,
+      expense_id: expenseId,
+    });
+    return true;
+  },
+  listAlerts: async (userId, month) =>
+    store
+      .filter("budget_alerts", (alert) => sameId(alert.user_id, userId) && alert.month === month)
+      .sort((a, b) => b.created_at - a.created_at || b.id - a.id)
+      .map((row) => pick(row, ALERT_COLUMNS)),
+});
+
+module.exports = {
+  mysqlBudgets,
+  memoryBudgets,
+};
@@ -0,0 +1,33 @@
+const { sameId } = require("./common");
+
+// One private calendar feed per user, found by the hash of its URL token
+
+const mysqlCalendarFeeds = (db) => ({
+  // Replaces any earlier token, so the old URL stops working
+  replaceToken: async (userId, tokenHash) => {
+    await db.execute(
+      "INSERT INTO calendar_feeds (user_id, token_hash) VALUES (?, ?) ON DUPLICATE KEY UPDATE token_hash = VALUES(token_hash), created_at = CURRENT_TIMESTAMP",
+      [userId, tokenHash]
+    );
+  },
+  findUserId: async (tokenHash) => {
+    const [rows] = await db.execute("SELECT user_id FROM calendar_feeds WHERE token_hash = ?", [tokenHash]);
+    return rows.length ? rows[0].user_id : null;
+  },
+});
+
+const memoryCalendarFeeds = (store) => ({
+  replaceToken: async (userId, tokenHash) => {
+    store.remove("calendar_feeds", (row) => sameId(row.user_id, userId));
+    store.insert("calendar_feeds", { user_id: Number(userId), token_hash: tokenHash });
+  },
+  findUserId: async (tokenHash) => {
+    const row = store.find("calendar_feeds", (feed) => feed.token_hash === tokenHash);
+    return row ? row.user_id : null;
+  },
+});
+
+module.exports = {
+  mysqlCalendarFeeds,
+  memoryCalendarFeeds,
+};
@@ -0,0 +1,151 @@
+const { can } = require("../utils/babyAccess");
+
+// Pieces shared by the repositories. Every repository comes in two flavours
+// with the same methods: mysqlX(db) runs SQL against the pool (or a
+// transaction connection) and memoryX(store) works on a memory store
+// (models/memoryStore.js). Both return rows shaped like the MySQL ones.
+
+const pick = (row, columns) => (row ? Object.fromEntries(columns.map((column) => [column, row[column] ?? null])) : null);
+
+// Ids arrive as route params and JSON numbers alike; MySQL compares them as numbers
+const sameId = (a, b) => a !== null && a !== undefined && b !== null && b !== undefined && Number(a) === Number(b);
+
+// mysql2 returns DATE columns as Dates at local midnight; memory rows do the same
+const dateValue = (value) => (typeof value === "string" && /^\d{4}-\d{2}-\d{2}$/.test(value) ? new Date(`${value}T00:00:00`) : value);
+
+// Column values as MySQL would store them: DATE columns as above, ids as numbers
+const columnValue = (column, value, dateColumns) => {
+  if (dateColumns.includes(column)) return dateValue(value);
+  if (column.endsWith("_id") && value !== null && value !== undefined) return Number(value);
+  return value;
+};
+
+const columnValues = (fields, dateColumns = []) =>
+  Object.fromEntries(Object.entries(fields).map(([column, value]) => [column, columnValue(column, value, dateColumns)]));
+
+// LIKE pattern for `text` anywhere in a column, its own % and _ taken literally
+const likePattern = (text) => `%${text.replace(/[\\%_]/g, "\\$&")}%`;
+
+// The memory version: case-insensitive, as LIKE is with the tables' collation
+const containsText = (value, text) => typeof value === "string" && value.toLowerCase().includes(text.toLowerCase());
+
+const minutesAgo = (minutes) => new Date(Date.now() - minutes * 60000);
+
+// update / softDelete / restore for tables with a deleted_at column.
+// restore only succeeds within `withinMinutes` of the delete
+const mysqlSoftDeletable = (db, table) => ({
+  update: async (id, fields) => {
+    const columns = Object.keys(fields);
+    await db.execute(
+      `UPDATE ${table} SET ${columns.map((column) => `${column} = ?`).join(", ")} WHERE id = ?`,
+      [...columns.map((column) => fields[column]), id]
+    );
+  },
+  softDelete: async (id) => {
+    await db.execute(`UPDATE ${table} SET deleted_at = NOW() WHERE id = ?`, [id]);
+  },
+  restore: async (id, withinMinutes) => {
+    const [result] = await db.execute(
+      `UPDATE ${table} SET deleted_at = NULL WHERE id = ? AND deleted_at >= NOW() - INTERVAL ? MINUTE`,
+      [id, withinMinutes]
+    );
+    return result.affectedRows === 1;
+  },
+});
+
+const memorySoftDeletable = (store, table, dateColumns = []) => {
+  const findRow = (id) => store.find(table, (row) => sameId(row.id, id));
+  return {
+    update: async (id, fields) => {
+      const row = findRow(id);
+      if (row) Object.assign(row, columnValues(fields, dateColumns));
+    },
+    softDelete: async (id) => {
+      const row = findRow(id);
+      if (row) row.deleted_at = new Date();
+    },
+    restore: async (id, withinMinutes) => {
+      const row = findRow(id);
+      if (!row || !row.deleted_at || row.deleted_at < minutesAgo(withinMinutes)) return false;
+      row.deleted_at = null;
+      return true;
+    },
+  };
+};
+
+// findStatus / update / transition for shared content that goes through the
+// publishing workflow (utils/contentWorkflow.js): daily reads and scriptures.
+// transition only applies while the row is still in fromStatus, so two
+// reviewers cannot act on the same version; it returns false otherwise
+const mysqlPublishable = (db, table) => ({
+  findStatus: async (id) => {
+    const [rows] = await db.execute(`SELECT id, status FROM ${table} WHERE id = ?`, [id]);
+    return rows[0] || null;
+  },
+  update: async (id, fields) => {
+    const columns = Object.keys(fields);
+    await db.execute(
+      `UPDATE ${table} SET ${columns.map((column) => `${column} = ?`).join(", ")} WHERE id = ?`,
+      [...columns.map((column) => fields[column]), id]
+    );
+  },
+  transition: async (id, fromStatus, fields) => {
+    const columns = Object.keys(fields);
+    const [result] = await db.execute(
+      `UPDATE ${table} SET ${columns.map((column) => `${column} = ?`).join(", ")} WHERE id = ? AND status = ?`,
+      [...columns.map((column) => fields[column]), id, fromStatus]
+    );
+    return result.affectedRows === 1;
+  },
+});
+
+// updated_at is kept by hand here; MySQL sets it ON UPDATE
+const memoryPublishable = (store, table, dateColumns = []) => {
+  const findRow = (id) => store.find(table, (row) => sameId(row.id, id));
+  return {
+    findStatus: async (id) => pick(findRow(id), ["id", "status"]),
+    update: async (id, fields) => {
+      const row = findRow(id);
+      if (row) Object.assign(row, columnValues(fields, dateColumns), { updated_at: new Date() });
+    },
+    transition: async (id, fromStatus, fields) => {
+      const row = findRow(id);
+      if (!row || row.status !== fromStatus) return false;
+      Object.assign(row, fields, { updated_at: new Date() });
+      return true;
+    },
+  };
+};
+
+// The user's membership of a live baby, or null
+const memoryMembership = (store, babyId, userId) => {
+  const baby = store.find("babies", (row) => sameId(row.id, babyId) && !row.deleted_at);
+  if (!baby) return null;
+  const member = store.find("baby_members", (row) => row.baby_id === baby.id && sameId(row.user_id, userId));
+  return member ? { baby, role: member.role } : null;
+};
+
+// Ids of live babies the user holds `permission` on (memberBabiesSql in memory)
+const memoryMemberBabyIds = (store, userId, permission) =>
+  new Set(
+    store
+      .filter("baby_members", (member) => sameId(member.user_id, userId) && can(member.role, permission))
+      .map((member) => member.baby_id)
+      .filter((babyId) => store.find("babies", (baby) => baby.id === babyId && !baby.deleted_at))
+  );
+
+module.exports = {
+  pick,
+  sameId,
+  dateValue,
+  columnValues,
+  likePattern,
+  containsText,
+  minutesAgo,
+  mysqlSoftDeletable,
+  memorySoftDeletable,
+  mysqlPublishable,
+  memoryPublishable,
+  memoryMembership,
+  memoryMemberBabyIds,
+};
@@ -0,0 +1,248 @@
+const { keysetCondition, orderBySql, pageRows } = require("../utils/pagination");
+const { matchingStages, stageCondition } = require("../utils/dailyReads");
+const { pick, sameId, columnValues, mysqlPublishable, memoryPublishable } = require("./common");
+
+// Daily reads, their topics and each user's bookmarks and read marks. Readers
+// only see published reads whose published_date has arrived; listings for
+// readers carry the user's bookmarked_at and read_at
+
+const STAGE_COLUMNS = ["pregnancy_week_from", "pregnancy_week_to", "baby_age_from_days", "baby_age_to_days"];
+const READ_COLUMNS = ["id", "title", "content", "published_date", ...STAGE_COLUMNS];
+const ADMIN_COLUMNS = [...READ_COLUMNS, "status", "author_id", "reviewed_by", "review_note", "published_at", "updated_at"];
+
+// listPublished options, all optional:
+//   search: full-text query; rows then carry a relevance score
+//   topic, stages (see utils/dailyReads.js), bookmarked, unread
+//   paging: { field, descending, after, limit } from utils/pagination.js, where
+//   field is published_date, title or relevance (with search)
+
+const VISIBLE_READ = "d.status = 'published' AND d.published_date <= CURDATE()";
+const USER_COLUMNS = `${READ_COLUMNS.map((column) => `d.${column}`).join(", ")}, bm.created_at AS bookmarked_at, v.read_at`;
+// Takes the user id twice
+const USER_JOINS =
+  "LEFT JOIN daily_read_bookmarks bm ON bm.daily_read_id = d.id AND bm.user_id = ? LEFT JOIN daily_read_views v ON v.daily_read_id = d.id AND v.user_id = ?";
+const MATCH = "MATCH(d.title, d.content) AGAINST (? IN NATURAL LANGUAGE MODE)";
+
+const mysqlDailyReads = (db) => ({
+  ...mysqlPublishable(db, "daily_reads"),
+  // Saved as a draft
+  create: async (fields, authorId) => {
+    const columns = Object.keys(fields);
+    const [result] = await db.execute(
+      `INSERT INTO daily_reads (${columns.join(", ")}, status, author_id) VALUES (${columns.map(() => "?").join(", ")}, 'draft', ?)`,
+      [...columns.map((column) => fields[column]), authorId]
+    );
+    return result.insertId;
+  },
+  findById: async (id) => {
+    const [rows] = await db.execute(`SELECT ${READ_COLUMNS.join(", ")}, status FROM daily_reads WHERE id = ?`, [id]);
+    return rows[0] || null;
+  },
+  // With the user's state and the status; unpublished reads only for a preview
+  findForUser: async (id, userId, { preview = false } = {}) => {
+    const [rows] = await db.execute(
+      `SELECT ${USER_COLUMNS}, d.status FROM daily_reads d ${USER_JOINS} WHERE d.id = ?${preview ? "" : ` AND ${VISIBLE_READ}`}`,
+      [userId, userId, id]
+    );
+    return rows[0] || null;
+  },
+  isVisible: async (id) => {
+    const [rows] = await db.execute(`SELECT d.id FROM daily_reads d WHERE d.id = ? AND ${VISIBLE_READ}`, [id]);
+    return rows.length > 0;
+  },
+  listPublished: async (userId, { search, topic, stages = [], bookmarked, unread, paging }) => {
+    const clauses = [VISIBLE_READ];
+    const params = [];
+    if (search) {
+      clauses.push(MATCH);
+      params.push(search);
+    }
+    if (topic) {
+      clauses.push("d.id IN (SELECT daily_read_id FROM daily_read_topics WHERE topic = ?)");
+      params.push(topic);
+    }
+    if (stages.length) {
+      const condition = stageCondition(stages);
+      clauses.push(condition.sql);
+      params.push(...condition.params);
+    }
+    if (bookmarked) clauses.push("bm.created_at IS NOT NULL");
+    if (unread) clauses.push("v.read_at IS NULL");
+
+    // Ties in relevance fall back to the newest first
+    const columns = paging.field === "relevance" ? [{ sql: MATCH, params: [search] }, "d.published_date", "d.id"] : [`d.${paging.field}`, "d.id"];
+    if (paging.after) {
+      const after = keysetCondition(columns, paging.after, paging.descending);
+      clauses.push(after.sql);
+      params.push(...after.params);
+    }
+    const order = orderBySql(columns, paging.descending);
+    const [rows] = await db.execute(
+      `SELECT ${USER_COLUMNS}${search ? `, ${MATCH} AS relevance` : ""}
+       FROM daily_reads d ${USER_JOINS}
+       WHERE ${clauses.join(" AND ")}
+       ORDER BY ${order.sql}
+       LIMIT ${paging.limit + 1}`,
+      [...(search ? [search] : []), userId, userId, ...params, ...order.params]
+    );
+    return rows;
+  },
+  // Reads for any of the stages, or with no stage at all when stages is null;
+  // unread first, then newest
+  listUnreadFirst: async (userId, stages, limit) => {
+    const condition = stages ? stageCondition(stages) : { sql: STAGE_COLUMNS.map((column) => `d.${column} IS NULL`).join(" AND "), params: [] };
+    const [rows] = await db.execute(
+      `SELECT ${USER_COLUMNS} FROM daily_reads d ${USER_JOINS}
+       WHERE ${VISIBLE_READ} AND ${condition.sql}
+       ORDER BY v.read_at IS NULL DESC, d.published_date DESC LIMIT ${Number(limit)}`,
+      [userId, userId, ...condition.params]
+    );
+    return rows;
+  },
+  // Topics of visible reads, most used first
+  countTopics: async () => {
+    const [rows] = await db.execute(
+      `SELECT t.topic, COUNT(*) AS count FROM daily_read_topics t JOIN daily_reads d ON d.id = t.daily_read_id
+       WHERE ${VISIBLE_READ} GROUP BY t.topic ORDER BY count DESC, t.topic`
+    );
+    return rows;
+  },
+  // Every read in any state (or one status), last edited first, with its author's name
+  listAll: async (status) => {
+    const [rows] = await db.execute(
+      `SELECT ${ADMIN_COLUMNS.map((column) => `d.${column}`).join(", ")}, a.name AS author_name
+       FROM daily_reads d LEFT JOIN users a ON a.id = d.author_id
+       ${status ? "WHERE d.status = ?" : ""} ORDER BY d.updated_at DESC`,
+      status ? [status] : []
+    );
+    return rows;
+  },
+  replaceTopics: async (id, topics) => {
+    await db.execute("DELETE FROM daily_read_topics WHERE daily_read_id = ?", [id]);
+    for (const topic of topics) {
+      await db.execute("INSERT INTO daily_read_topics (daily_read_id, topic) VALUES (?, ?)", [id, topic]);
+    }
+  },
+  // Map of read id -> topics, alphabetical
+  loadTopics: async (ids) => {
+    const topics = new Map(ids.map((id) => [id, []]));
+    if (ids.length === 0) return topics;
+    const [rows] = await db.execute(
+      `SELECT daily_read_id, topic FROM daily_read_topics WHERE daily_read_id IN (${ids.map(() => "?").join(", ")}) ORDER BY topic`,
+      ids
+    );
+    for (const row of rows) topics.get(row.daily_read_id).push(row.topic);
+    return topics;
+  },
+  bookmark: async (userId, id) => {
+    await db.execute("INSERT IGNORE INTO daily_read_bookmarks (user_id, daily_read_id) VALUES (?, ?)", [userId, id]);
+  },
+  removeBookmark: async (userId, id) => {
+    await db.execute("DELETE FROM daily_read_bookmarks WHERE user_id = ? AND daily_read_id = ?", [userId, id]);
+  },
+  markRead: async (userId, id) => {
+    await db.execute("INSERT IGNORE INTO daily_read_views (user_id, daily_read_id) VALUES (?, ?)", [userId, id]);
+  },
+});
+
+// A rough stand-in for MySQL's natural-language full-text search: how often
+// the query's words (of three letters or more) appear in the title and content
+const relevanceOf = (row, search) => {
+  const text = `${row.title} ${row.content}`.toLowerCase();
+  return search
+    .toLowerCase()
+    .split(/\W+/)
+    .filter((word) => word.length >= 3)
+    .reduce((score, word) => score + text.split(word).length - 1, 0);
+};
+
+const memoryDailyReads = (store) => {
+  const isVisible = (row) => {
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    return row.status === "published" && row.published_date <= today;
+  };
+  const userState = (row, userId) => {
+    const bookmark = store.find("daily_read_bookmarks", (mark) => mark.daily_read_id === row.id && sameId(mark.user_id, userId));
+    const view = store.find("daily_read_views", (mark) => mark.daily_read_id === row.id && sameId(mark.user_id, userId));
+    return { ...pick(row, READ_COLUMNS), bookmarked_at: bookmark ? bookmark.created_at : null, read_at: view ? view.read_at : null };
+  };
+  const hasTopic = (row, topic) => Boolean(store.find("daily_read_topics", (tag) => tag.daily_read_id === row.id && tag.topic === topic));
+  const hasNoStage = (row) => STAGE_COLUMNS.every((column) => row[column] === null || row[column] === undefined);
+  const mark = (table, column) => async (userId, id) => {
+    if (!store.find(table, (row) => sameId(row.user_id, userId) && sameId(row.daily_read_id, id))) {
+      store.insert(table, { user_id: Number(userId), daily_read_id: Number(id), [column]: new Date() });
+    }
+  };
+  return {
+    ...memoryPublishable(store, "daily_reads", ["published_date"]),
+    create: async (fields, authorId) =>
+      store.insert("daily_reads", {
+        ...Object.fromEntries(STAGE_COLUMNS.map((column) => [column, null])),
+        ...columnValues(fields, ["published_date"]),
+        status: "draft",
+        author_id: Number(authorId),
+        reviewed_by: null,
+        review_note: null,
+        published_at: null,
+        updated_at: new Date(),
+      }),
+    findById: async (id) => pick(store.find("daily_reads", (row) => sameId(row.id, id)), [...READ_COLUMNS, "status"]),
+    findForUser: async (id, userId, { preview = false } = {}) => {
+      const row = store.find("daily_reads", (read) => sameId(read.id, id) && (preview || isVisible(read)));
+      return row ? { ...userState(row, userId), status: row.status } : null;
+    },
+    isVisible: async (id) => Boolean(store.find("daily_reads", (row) => sameId(row.id, id) && isVisible(row))),
+    listPublished: async (userId, { search, topic, stages = [], bookmarked, unread, paging }) => {
+      const rows = store
+        .filter("daily_reads", (row) => isVisible(row) && (!topic || hasTopic(row, topic)) && (!stages.length || matchingStages(row, stages).length > 0))
+        .map((row) => ({ ...userState(row, userId), ...(search ? { relevance: relevanceOf(row, search) } : {}) }))
+        .filter((row) => (!search || row.relevance > 0) && (!bookmarked || row.bookmarked_at) && (!unread || !row.read_at));
+      const keyOf = (row) => (paging.field === "relevance" ? [row.relevance, row.published_date, row.id] : [row[paging.field], row.id]);
+      return pageRows(rows, paging, keyOf);
+    },
+    listUnreadFirst: async (userId, stages, limit) =>
+      store
+        .filter("daily_reads", (row) => isVisible(row) && (stages ? matchingStages(row, stages).length > 0 : hasNoStage(row)))
+        .map((row) => userState(row, userId))
+        .sort((a, b) => Number(Boolean(a.read_at)) - Number(Boolean(b.read_at)) || b.published_date - a.published_date || b.id - a.id)
+        .slice(0, limit),
+    countTopics: async () => {
+      const counts = new Map();
+      for (const tag of store.filter("daily_read_topics", (row) => store.find("daily_reads", (read) => read.id === row.daily_read_id && isVisible(read)))) {
+        counts.set(tag.topic, (counts.get(tag.topic) || 0) + 1);
+      }
+      return [...counts]
+        .map(([topic, count]) => ({ topic, count }))
+        .sort((a, b) => b.count - a.count || a.topic.localeCompare(b.topic));
+    },
+    listAll: async (status) =>
+      store
+        .filter("daily_reads", (row) => !status || row.status === status)
+        .sort((a, b) => b.updated_at - a.updated_at || b.id - a.id)
+        .map((row) => {
+          const author = store.find("users", (user) => user.id === row.author_id);
+          return { ...pick(row, ADMIN_COLUMNS), author_name: author ? author.name : null };
+        }),
+    replaceTopics: async (id, topics) => {
+      store.remove("daily_read_topics", (row) => sameId(row.daily_read_id, id));
+      for (const topic of topics) store.insert("daily_read_topics", { daily_read_id: Number(id), topic });
+    },
+    loadTopics: async (ids) => {
+      const topics = new Map(ids.map((id) => [id, []]));
+      for (const row of store.filter("daily_read_topics", (tag) => topics.has(tag.daily_read_id))) topics.get(row.daily_read_id).push(row.topic);
+      for (const list of topics.values()) list.sort();
+      return topics;
+    },
+    bookmark: mark("daily_read_bookmarks", "created_at"),
+    removeBookmark: async (userId, id) => {
+      store.remove("daily_read_bookmarks", (row) => sameId(row.user_id, userId) && sameId(row.daily_read_id, id));
+    },
+    markRead: mark("daily_read_views", "read_at"),
+  };
+};
+
+module.exports = {
+  mysqlDailyReads,
+  memoryDailyReads,
+};
@@ -0,0 +1,80 @@
+const { dateKey } = require("../utils/exchangeRates");
+const { sameId, dateValue } = require("./common");
+
+// Each user's morning devotional email settings; send_time is local "HH:MM"
+// and last_sent_on the local "YYYY-MM-DD" of the last email
+
+const mysqlDevotionalPreferences = (db) => ({
+  find: async (userId) => {
+    const [rows] = await db.execute(
+      "SELECT enabled, TIME_FORMAT(send_time, '%H:%i') AS send_time, timezone, theme FROM devotional_preferences WHERE user_id = ?",
+      [userId]
+    );
+    return rows[0] || null;
+  },
+  save: async (userId, { enabled, send_time, timezone, theme }) => {
+    await db.execute(
+      `INSERT INTO devotional_preferences (user_id, enabled, send_time, timezone, theme) VALUES (?, ?, ?, ?, ?)
+       ON DUPLICATE KEY UPDATE enabled = VALUES(enabled), send_time = VALUES(send_time), timezone = VALUES(timezone), theme = VALUES(theme)`,
+      [userId, enabled, send_time, timezone, theme]
+    );
+  },
+  // Turned on by users who are not disabled, for the scheduler
+  listEnabled: async () => {
+    const [rows] = await db.execute(
+      "SELECT p.user_id, TIME_FORMAT(p.send_time, '%H:%i') AS send_time, p.timezone FROM devotional_preferences p JOIN users u ON u.id = p.user_id WHERE p.enabled = 1 AND u.disabled_at IS NULL"
+    );
+    return rows;
+  },
+  // The settings with what the email needs
+  findForDelivery: async (userId) => {
+    const [rows] = await db.execute(
+      "SELECT p.enabled, TIME_FORMAT(p.send_time, '%H:%i') AS send_time, p.timezone, p.theme, DATE_FORMAT(p.last_sent_on, '%Y-%m-%d') AS last_sent_on, u.name AS user_name, u.email, u.disabled_at FROM devotional_preferences p JOIN users u ON u.id = p.user_id WHERE p.user_id = ?",
+      [userId]
+    );
+    return rows[0] || null;
+  },
+  markSent: async (userId, localDate) => {
+    await db.execute("UPDATE devotional_preferences SET last_sent_on = ? WHERE user_id = ?", [localDate, userId]);
+  },
+});
+
+const memoryDevotionalPreferences = (store) => ({
+  find: async (userId) => {
+    const row = store.find("devotional_preferences", (preference) => sameId(preference.user_id, userId));
+    return row ? { enabled: row.enabled ? 1 : 0, send_time: row.send_time, timezone: row.timezone, theme: row.theme } : null;
+  },
+  save: async (userId, { enabled, send_time, timezone, theme }) => {
+    const row = store.find("devotional_preferences", (preference) => sameId(preference.user_id, userId));
+    if (row) Object.assign(row, { enabled, send_time, timezone, theme });
+    else store.insert("devotional_preferences", { user_id: Number(userId), enabled, send_time, timezone, theme, last_sent_on: null });
+  },
+  listEnabled: async () =>
+    store
+      .filter("devotional_preferences", (row) => row.enabled && !store.find("users", (user) => user.id === row.user_id).disabled_at)
+      .map((row) => ({ user_id: row.user_id, send_time: row.send_time, timezone: row.timezone })),
+  findForDelivery: async (userId) => {
+    const row = store.find("devotional_preferences", (preference) => sameId(preference.user_id, userId));
+    if (!row) return null;
+    const user = store.find("users", (candidate) => candidate.id === row.user_id);
+    return {
+      enabled: row.enabled ? 1 : 0,
+      send_time: row.send_time,
+      timezone: row.timezone,
+      theme: row.theme,
+      last_sent_on: row.last_sent_on && dateKey(row.last_sent_on),
+      user_name: user.name,
+      email: user.email,
+      disabled_at: user.disabled_at || null,
+    };
+  },
+  markSent: async (userId, localDate) => {
+    const row = store.find("devotional_preferences", (preference) => sameId(preference.user_id, userId));
+    if (row) row.last_sent_on = dateValue(localDate);
+  },
+});
+
+module.exports = {
+  mysqlDevotionalPreferences,
+  memoryDevotionalPreferences,
+};
@@ -0,0 +1,97 @@
+const { pick, dateValue } = require("./common");
+
+// Stored exchange rates, one per currency pair and day
+
+// Only pairs touching the home currency or the cross-rate pivot (USD) can convert into it
+const PIVOT_CURRENCY = "USD";
+
+const RATE_COLUMNS = ["id", "base_currency", "quote_currency", "rate", "rate_date", "source", "created_at"];
+
+// list filters, all optional: base, quote, from and to (YYYY-MM-DD, inclusive)
+const mysqlExchangeRates = (db) => ({
+  listUsableFor: async (home) => {
+    const [rows] = await db.execute(
+      "SELECT base_currency, quote_currency, rate, rate_date FROM exchange_rates WHERE base_currency IN (?, ?) OR quote_currency IN (?, ?)",
+      [home, PIVOT_CURRENCY, home, PIVOT_CURRENCY]
+    );
+    return rows;
+  },
+  // Newest first, at most `limit`
+  list: async ({ base, quote, from, to } = {}, limit) => {
+    const clauses = [];
+    const params = [];
+    if (base) {
+      clauses.push("base_currency = ?");
+      params.push(base);
+    }
+    if (quote) {
+      clauses.push("quote_currency = ?");
+      params.push(quote);
+    }
+    if (from) {
+      clauses.push("rate_date >= ?");
+      params.push(from);
+    }
+    if (to) {
+      clauses.push("rate_date <= ?");
+      params.push(to);
+    }
+    const [rows] = await db.execute(
+      `SELECT ${RATE_COLUMNS.join(", ")} FROM exchange_rates
+       ${clauses.length ? `WHERE ${clauses.join(" AND ")}` : ""} ORDER BY rate_date DESC, base_currency, quote_currency LIMIT ${Number(limit)}`,
+      params
+    );
+    return rows;
+  },
+  // Rates from validateRate; one for a pair and day already stored replaces it
+  upsert: async (rates, source, userId) => {
+    for (const rate of rates) {
+      await db.execute(
+        `INSERT INTO exchange_rates (base_currency, quote_currency, rate, rate_date, source, uploaded_by) VALUES (?, ?, ?, ?, ?, ?)
+         ON DUPLICATE KEY UPDATE rate = VALUES(rate), source = VALUES(source), uploaded_by = VALUES(uploaded_by)`,
+        [rate.base_currency, rate.quote_currency, rate.rate, rate.rate_date, source, userId]
+      );
+    }
+  },
+});
+
+const memoryExchangeRates = (store) => ({
+  listUsableFor: async (home) =>
+    store
+      .filter("exchange_rates", (row) => [row.base_currency, row.quote_currency].some((currency) => currency === home || currency === PIVOT_CURRENCY))
+      .map(({ base_currency, quote_currency, rate, rate_date }) => ({ base_currency, quote_currency, rate, rate_date })),
+  list: async ({ base, quote, from, to } = {}, limit) =>
+    store
+      .filter(
+        "exchange_rates",
+        (row) =>
+          (!base || row.base_currency === base) &&
+          (!quote || row.quote_currency === quote) &&
+          (!from || row.rate_date >= dateValue(from)) &&
+          (!to || row.rate_date <= dateValue(to))
+      )
+      .sort(
+        (a, b) =>
+          b.rate_date - a.rate_date || a.base_currency.localeCompare(b.base_currency) || a.quote_currency.localeCompare(b.quote_currency)
+      )
+      .slice(0, limit)
+      .map((row) => pick(row, RATE_COLUMNS)),
+  upsert: async (rates, source, userId) => {
+    for (const rate of rates) {
+      const values = { rate: rate.rate, source, uploaded_by: Number(userId) };
+      const rateDate = dateValue(rate.rate_date);
+      const row = store.find(
+        "exchange_rates",
+        (stored) =>
+          stored.base_currency === rate.base_currency && stored.quote_currency === rate.quote_currency && stored.rate_date.getTime() === rateDate.getTime()
+      );
+      if (row) Object.assign(row, values);
+      else store.insert("exchange_rates", { base_currency: rate.base_currency, quote_currency: rate.quote_currency, rate_date: rateDate, ...values });
+    }
+  },
+});
+
+module.exports = {
+  mysqlExchangeRates,
+  memoryExchangeRates,
+};
@@ -0,0 +1,202 @@
+const { memberBabiesSql } = require("../utils/babyAccess");
+const { keysetCondition, orderBySql, pageRows } = require("../utils/pagination");
+const {
+  pick,
+  sameId,
+  dateValue,
+  columnValues,
+  likePattern,
+  containsText,
+  mysqlSoftDeletable,
+  memorySoftDeletable,
+  memoryMemberBabyIds,
+} = require("./common");
+
+// Expenses belong to whoever entered them. Tagged with a shared baby they are
+// also visible to that baby's co-parents
+
+const EXPENSE_COLUMNS = ["id", "baby_id", "category", "amount", "currency", "description", "expense_date"];
+
+// listVisible filters, all optional:
+//   babyId, category (ignoring case), q (text in the description)
+//   from, to: YYYY-MM-DD bounds on expense_date, inclusive
+//   paging: { field, descending, after, limit } from utils/pagination.js;
+//   without it every match is returned
+const sortColumn = (paging) => {
+  if (!EXPENSE_COLUMNS.includes(paging.field)) throw new Error(`Cannot sort expenses by ${paging.field}`);
+  return paging.field;
+};
+
+// Amounts are DECIMAL strings; they sort as numbers
+const sortValue = (row, column) => (column === "amount" ? Number(row.amount) : row[column]);
+
+const mysqlExpenses = (db) => ({
+  ...mysqlSoftDeletable(db, "expenses"),
+  create: async ({ userId, babyId, category, amount, currency, description, expenseDate }) => {
+    const [result] = await db.execute(
+      "INSERT INTO expenses (user_id, baby_id, category, amount, currency, description, expense_date) VALUES (?, ?, ?, ?, ?, ?, ?)",
+      [userId, babyId, category, amount, currency, description, expenseDate]
+    );
+    return result.insertId;
+  },
+  listVisible: async (userId, { babyId, category, from, to, q, paging } = {}) => {
+    const clauses = [`(user_id = ? OR baby_id IN (${memberBabiesSql("expenses:read")}))`, "deleted_at IS NULL"];
+    const params = [userId, userId];
+    if (babyId) {
+      clauses.push("baby_id = ?");
+      params.push(babyId);
+    }
+    if (category) {
+      clauses.push("category = ?");
+      params.push(category);
+    }
+    if (from) {
+      clauses.push("expense_date >= ?");
+      params.push(from);
+    }
+    if (to) {
+      clauses.push("expense_date <= ?");
+      params.push(to);
+    }
+    if (q) {
+      clauses.push("description LIKE ?");
+      params.push(likePattern(q));
+    }
+    let page = "";
+    if (paging) {
+      const columns = [sortColumn(paging), "id"];
+      if (paging.after) {
+        const after = keysetCondition(columns, paging.after, paging.descending);
+        clauses.push(after.sql);
+        params.push(...after.params);
+      }
+      page = ` ORDER BY ${orderBySql(columns, paging.descending).sql} LIMIT ${paging.limit + 1}`;
+    }
+    const [rows] = await db.execute(`SELECT ${EXPENSE_COLUMNS.join(", ")} FROM expenses WHERE ${clauses.join(" AND ")}${page}`, params);
+    return rows;
+  },
+  findAccessible: async (id, userId, { deleted = false } = {}) => {
+    const [rows] = await db.execute(
+      `SELECT ${EXPENSE_COLUMNS.map((column) => `r.${column}`).join(", ")}, r.user_id, r.deleted_at FROM expenses r
+       WHERE r.id = ? AND (r.user_id = ? OR r.baby_id IN (${memberBabiesSql("expenses:write")})) AND r.deleted_at IS ${deleted ? "NOT " : ""}NULL`,
+      [id, userId, userId]
+    );
+    return rows[0] || null;
+  },
+  // The user's own live expenses in a category between two YYYY-MM-DD dates, inclusive
+  listForCategory: async (userId, category, start, end) => {
+    const [rows] = await db.execute(
+      "SELECT id, amount, currency, expense_date FROM expenses WHERE user_id = ? AND category = ? AND expense_date BETWEEN ? AND ? AND deleted_at IS NULL",
+      [userId, category, start, end]
+    );
+    return rows;
+  },
+  // The same across every category
+  listOwnBetween: async (userId, start, end) => {
+    const [rows] = await db.execute(
+      "SELECT id, category, amount, currency, expense_date FROM expenses WHERE user_id = ? AND expense_date BETWEEN ? AND ? AND deleted_at IS NULL",
+      [userId, start, end]
+    );
+    return rows;
+  },
+  // Every visible expense matching babyId, from and to (as for listVisible),
+  // oldest first, with its baby's name for analytics and export
+  listForReport: async (userId, { babyId, from, to } = {}) => {
+    const clauses = [`(e.user_id = ? OR e.baby_id IN (${memberBabiesSql("expenses:read")}))`, "e.deleted_at IS NULL"];
+    const params = [userId, userId];
+    if (from) {
+      clauses.push("e.expense_date >= ?");
+      params.push(from);
+    }
+    if (to) {
+      clauses.push("e.expense_date <= ?");
+      params.push(to);
+    }
+    if (babyId) {
+      clauses.push("e.baby_id = ?");
+      params.push(babyId);
+    }
+    const [rows] = await db.execute(
+      `SELECT ${EXPENSE_COLUMNS.map((column) => `e.${column}`).join(", ")}, b.name AS baby_name
+       FROM expenses e LEFT JOIN babies b ON b.id = e.baby_id
+       WHERE ${clauses.join(" AND ")} ORDER BY e.expense_date, e.id`,
+      params
+    );
+    return rows;
+  },
+});
+
+const memoryExpenses = (store) => ({
+  ...memorySoftDeletable(store, "expenses", ["expense_date"]),
+  create: async ({ userId, babyId, category, amount, currency, description, expenseDate }) =>
+    store.insert(
+      "expenses",
+      columnValues(
+        { user_id: userId, baby_id: babyId, category, amount, currency, description, expense_date: expenseDate, deleted_at: null },
+        ["expense_date"]
+      )
+    ),
+  listVisible: async (userId, { babyId, category, from, to, q, paging } = {}) => {
+    const babyIds = memoryMemberBabyIds(store, userId, "expenses:read");
+    const rows = store.filter(
+      "expenses",
+      (row) =>
+        !row.deleted_at &&
+        (sameId(row.user_id, userId) || babyIds.has(row.baby_id)) &&
+        (!babyId || sameId(row.baby_id, babyId)) &&
+        (!category || row.category.toLowerCase() === category.toLowerCase()) &&
+        (!from || row.expense_date >= dateValue(from)) &&
+        (!to || row.expense_date <= dateValue(to)) &&
+        (!q || containsText(row.description, q))
+    );
+    const listed = paging ? pageRows(rows, paging, (row) => [sortValue(row, sortColumn(paging)), row.id]) : rows;
+    return listed.map((row) => pick(row, EXPENSE_COLUMNS));
+  },
+  findAccessible: async (id, userId, { deleted = false } = {}) => {
+    const babyIds = memoryMemberBabyIds(store, userId, "expenses:write");
+    const row = store.find(
+      "expenses",
+      (expense) => sameId(expense.id, id) && Boolean(expense.deleted_at) === deleted && (sameId(expense.user_id, userId) || babyIds.has(expense.baby_id))
+    );
+    return pick(row, [...EXPENSE_COLUMNS, "user_id", "deleted_at"]);
+  },
+  listForCategory: async (userId, category, start, end) =>
+    store
+      .filter(
+        "expenses",
+        (row) =>
+          !row.deleted_at &&
+          sameId(row.user_id, userId) &&
+          row.category === category &&
+          row.expense_date >= dateValue(start) &&
+          row.expense_date <= dateValue(end)
+      )
+      .map((row) => pick(row, ["id", "amount", "currency", "expense_date"])),
+  listOwnBetween: async (userId, start, end) =>
+    store
+      .filter("expenses", (row) => !row.deleted_at && sameId(row.user_id, userId) && row.expense_date >= dateValue(start) && row.expense_date <= dateValue(end))
+      .map((row) => pick(row, ["id", "category", "amount", "currency", "expense_date"])),
+  listForReport: async (userId, { babyId, from, to } = {}) => {
+    const babyIds = memoryMemberBabyIds(store, userId, "expenses:read");
+    return store
+      .filter(
+        "expenses",
+        (row) =>
+          !row.deleted_at &&
+          (sameId(row.user_id, userId) || babyIds.has(row.baby_id)) &&
+          (!babyId || sameId(row.baby_id, babyId)) &&
+          (!from || row.expense_date >= dateValue(from)) &&
+          (!to || row.expense_date <= dateValue(to))
+      )
+      .sort((a, b) => a.expense_date - b.expense_date || a.id - b.id)
+      .map((row) => {
+        const baby = row.baby_id && store.find("babies", (candidate) => candidate.id === row.baby_id);
+        return { ...pick(row, EXPENSE_COLUMNS), baby_name: baby ? baby.name : null };
+      });
+  },
+});
+
+module.exports = {
+  mysqlExpenses,
+  memoryExpenses,
+};
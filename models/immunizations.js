@@ -0,0 +1,91 @@
+const { pick, sameId, dateValue } = require("./common");
+
+// A baby's planned doses (baby_immunizations), as syncImmunizationPlan keeps
+// them in line with the schedule, and the record of each dose once given
+
+const PLAN_COLUMNS = ["id", "schedule_id", "code", "due_date", "given_on"];
+const DOSE_COLUMNS = [...PLAN_COLUMNS, "batch_number", "facility", "notes"];
+const CLEARED_DOSE = { given_on: null, batch_number: null, facility: null, notes: null, recorded_by: null };
+
+const mysqlImmunizations = (db) => ({
+  listPlan: async (babyId) => {
+    const [rows] = await db.execute(`SELECT ${PLAN_COLUMNS.join(", ")} FROM baby_immunizations WHERE baby_id = ?`, [babyId]);
+    return rows;
+  },
+  create: async ({ babyId, scheduleId, code, dueDate }) => {
+    await db.execute(
+      "INSERT INTO baby_immunizations (baby_id, schedule_id, code, due_date) VALUES (?, ?, ?, ?)",
+      [babyId, scheduleId, code, dueDate]
+    );
+  },
+  reschedule: async (id, scheduleId, dueDate) => {
+    await db.execute("UPDATE baby_immunizations SET schedule_id = ?, due_date = ? WHERE id = ?", [scheduleId, dueDate, id]);
+  },
+  removeMany: async (ids) => {
+    if (ids.length === 0) return;
+    await db.execute(`DELETE FROM baby_immunizations WHERE id IN (${ids.map(() => "?").join(", ")})`, ids);
+  },
+  // By due date
+  listForBaby: async (babyId) => {
+    const [rows] = await db.execute(`SELECT ${DOSE_COLUMNS.join(", ")} FROM baby_immunizations WHERE baby_id = ? ORDER BY due_date, id`, [babyId]);
+    return rows;
+  },
+  // False if the code is not in the baby's plan
+  recordDose: async (babyId, code, { givenOn, batchNumber, facility, notes, recordedBy }) => {
+    const [result] = await db.execute(
+      "UPDATE baby_immunizations SET given_on = ?, batch_number = ?, facility = ?, notes = ?, recorded_by = ? WHERE baby_id = ? AND code = ?",
+      [givenOn, batchNumber, facility, notes, recordedBy, babyId, code]
+    );
+    return result.affectedRows > 0;
+  },
+  // False if no dose was recorded for the code
+  clearDose: async (babyId, code) => {
+    const [result] = await db.execute(
+      "UPDATE baby_immunizations SET given_on = NULL, batch_number = NULL, facility = NULL, notes = NULL, recorded_by = NULL WHERE baby_id = ? AND code = ? AND given_on IS NOT NULL",
+      [babyId, code]
+    );
+    return result.affectedRows > 0;
+  },
+});
+
+const memoryImmunizations = (store) => ({
+  listPlan: async (babyId) => store.filter("baby_immunizations", (row) => sameId(row.baby_id, babyId)).map((row) => pick(row, PLAN_COLUMNS)),
+  create: async ({ babyId, scheduleId, code, dueDate }) => {
+    store.insert("baby_immunizations", {
+      baby_id: Number(babyId),
+      schedule_id: scheduleId,
+      code,
+      due_date: dateValue(dueDate),
+      ...CLEARED_DOSE,
+    });
+  },
+  reschedule: async (id, scheduleId, dueDate) => {
+    const row = store.find("baby_immunizations", (dose) => sameId(dose.id, id));
+    if (row) Object.assign(row, { schedule_id: scheduleId, due_date: dateValue(dueDate) });
+  },
+  removeMany: async (ids) => {
+    store.remove("baby_immunizations", (row) => ids.some((id) => sameId(row.id, id)));
+  },
+  listForBaby: async (babyId) =>
+    store
+      .filter("baby_immunizations", (row) => sameId(row.baby_id, babyId))
+      .sort((a, b) => a.due_date - b.due_date || a.id - b.id)
+      .map((row) => pick(row, DOSE_COLUMNS)),
+  recordDose: async (babyId, code, { givenOn, batchNumber, facility, notes, recordedBy }) => {
+    const row = store.find("baby_immunizations", (dose) => sameId(dose.baby_id, babyId) && dose.code === code);
+    if (!row) return false;
+    Object.assign(row, { given_on: dateValue(givenOn), batch_number: batchNumber, facility, notes, recorded_by: Number(recordedBy) });
+    return true;
+  },
+  clearDose: async (babyId, code) => {
+    const row = store.find("baby_immunizations", (dose) => sameId(dose.baby_id, babyId) && dose.code === code && dose.given_on);
+    if (!row) return false;
+    Object.assign(row, CLEARED_DOSE);
+    return true;
+  },
+});
+
+module.exports = {
+  mysqlImmunizations,
+  memoryImmunizations,
+};
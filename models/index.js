@@ -0,0 +1,122 @@
+const { getPool, withTransaction } = require("../config/db");
+const { createMemoryStore } = require("./memoryStore");
+const { mysqlUsers, memoryUsers } = require("./users");
+const { mysqlSessions, memorySessions } = require("./sessions");
+const { mysqlOneTimeCodes, memoryOneTimeCodes } = require("./oneTimeCodes");
+const { mysqlTwoFactor, memoryTwoFactor } = require("./twoFactor");
+const { mysqlBabies, memoryBabies } = require("./babies");
+const { mysqlImmunizations, memoryImmunizations } = require("./immunizations");
+const { mysqlSchedules, memorySchedules } = require("./schedules");
+const { mysqlExpenses, memoryExpenses } = require("./expenses");
+const { mysqlBudgets, memoryBudgets } = require("./budgets");
+const { mysqlExchangeRates, memoryExchangeRates } = require("./exchangeRates");
+const { mysqlMilestones, memoryMilestones } = require("./milestones");
+const { mysqlActivities, memoryActivities } = require("./activities");
+const { mysqlMailQueue, memoryMailQueue } = require("./mailQueue");
+const { mysqlAuditLog, memoryAuditLog } = require("./auditLog");
+const { mysqlBabyMembers, memoryBabyMembers } = require("./babyMembers");
+const { mysqlInvitations, memoryInvitations } = require("./invitations");
+const { mysqlPregnancies, memoryPregnancies } = require("./pregnancies");
+const { mysqlReminderJobs, memoryReminderJobs } = require("./reminderJobs");
+const { mysqlBirthdayReminders, memoryBirthdayReminders } = require("./birthdayReminders");
+const { mysqlSkinAssessments, memorySkinAssessments } = require("./skinAssessments");
+const { mysqlJaundiceChecks, memoryJaundiceChecks } = require("./jaundiceChecks");
+const { mysqlMeasurements, memoryMeasurements } = require("./measurements");
+const { mysqlBmi, memoryBmi } = require("./bmi");
+const { mysqlDevotionalPreferences, memoryDevotionalPreferences } = require("./devotionalPreferences");
+const { mysqlScriptures, memoryScriptures } = require("./scriptures");
+const { mysqlDailyReads, memoryDailyReads } = require("./dailyReads");
+const { mysqlMilestoneMedia, memoryMilestoneMedia } = require("./milestoneMedia");
+const { mysqlCalendarFeeds, memoryCalendarFeeds } = require("./calendarFeeds");
+
+// Every route, the reminder scheduler and the mail queue reach the data
+// through these repositories.
+
+// db is the pool or, inside withTransaction, the transaction's connection
+const createMysqlRepositories = (db) => ({
+  users: mysqlUsers(db),
+  sessions: mysqlSessions(db),
+  oneTimeCodes: mysqlOneTimeCodes(db),
+  twoFactor: mysqlTwoFactor(db),
+  babies: mysqlBabies(db),
+  immunizations: mysqlImmunizations(db),
+  schedules: mysqlSchedules(db),
+  expenses: mysqlExpenses(db),
+  budgets: mysqlBudgets(db),
+  exchangeRates: mysqlExchangeRates(db),
+  milestones: mysqlMilestones(db),
+  activities: mysqlActivities(db),
+  mailQueue: mysqlMailQueue(db),
+  auditLog: mysqlAuditLog(db),
+  babyMembers: mysqlBabyMembers(db),
+  invitations: mysqlInvitations(db),
+  pregnancies: mysqlPregnancies(db),
+  reminderJobs: mysqlReminderJobs(db),
+  birthdayReminders: mysqlBirthdayReminders(db),
+  skinAssessments: mysqlSkinAssessments(db),
+  jaundiceChecks: mysqlJaundiceChecks(db),
+  measurements: mysqlMeasurements(db),
+  bmi: mysqlBmi(db),
+  devotionalPreferences: mysqlDevotionalPreferences(db),
+  scriptures: mysqlScriptures(db),
+  dailyReads: mysqlDailyReads(db),
+  milestoneMedia: mysqlMilestoneMedia(db),
+  calendarFeeds: mysqlCalendarFeeds(db),
+  // fn(repositories) runs in a transaction on a connection of its own, with
+  // repositories bound to that connection
+  transaction: (fn) => withTransaction((connection) => fn(createMysqlRepositories(connection))),
+});
+
+// The store is exposed so tests can seed or inspect rows. The store has no
+// transactions: transaction(fn) just runs fn, and nothing is rolled back if it throws
+const createMemoryRepositories = (store = createMemoryStore()) => {
+  const repositories = {
+    store,
+    users: memoryUsers(store),
+    sessions: memorySessions(store),
+    oneTimeCodes: memoryOneTimeCodes(store),
+    twoFactor: memoryTwoFactor(store),
+    babies: memoryBabies(store),
+    immunizations: memoryImmunizations(store),
+    schedules: memorySchedules(store),
+    expenses: memoryExpenses(store),
+    budgets: memoryBudgets(store),
+    exchangeRates: memoryExchangeRates(store),
+    milestones: memoryMilestones(store),
+    activities: memoryActivities(store),
+    mailQueue: memoryMailQueue(store),
+    auditLog: memoryAuditLog(store),
+    babyMembers: memoryBabyMembers(store),
+    invitations: memoryInvitations(store),
+    pregnancies: memoryPregnancies(store),
+    reminderJobs: memoryReminderJobs(store),
+    birthdayReminders: memoryBirthdayReminders(store),
+    skinAssessments: memorySkinAssessments(store),
+    jaundiceChecks: memoryJaundiceChecks(store),
+    measurements: memoryMeasurements(store),
+    bmi: memoryBmi(store),
+    devotionalPreferences: memoryDevotionalPreferences(store),
+    scriptures: memoryScriptures(store),
+    dailyReads: memoryDailyReads(store),
+    milestoneMedia: memoryMilestoneMedia(store),
+    calendarFeeds: memoryCalendarFeeds(store),
+    transaction: (fn) => fn(repositories),
+  };
+  return repositories;
+};
+
+// DATA_STORE=mysql (default) uses the shared pool; DATA_STORE=memory keeps
+// everything in process memory. Read lazily so values from .env are picked up
+// after dotenv has run
+const createRepositories = () => {
+  const driver = process.env.DATA_STORE || "mysql";
+  if (driver === "mysql") return createMysqlRepositories(getPool());
+  if (driver === "memory") return createMemoryRepositories();
+  throw new Error(`Unknown DATA_STORE: ${driver} (use mysql or memory)`);
+};
+
+module.exports = {
+  createMysqlRepositories,
+  createMemoryRepositories,
+  createRepositories,
+};
@@ -0,0 +1,123 @@
+const { pick, sameId } = require("./common");
+
+// Invitations to share a baby profile (baby_invitations). Only a hash of the
+// emailed token is stored. An invitation is pending until it is accepted,
+// revoked or expires
+
+const mysqlInvitations = (db) => ({
+  // Pending invitations for a baby, newest first
+  listPending: async (babyId) => {
+    const [rows] = await db.execute(
+      "SELECT id, email, role, expires_at, created_at FROM baby_invitations WHERE baby_id = ? AND accepted_at IS NULL AND revoked_at IS NULL AND expires_at > NOW() ORDER BY created_at DESC",
+      [babyId]
+    );
+    return rows;
+  },
+  // A new invitation to the same address replaces any still pending
+  create: async ({ babyId, email, role, tokenHash, invitedBy, days }) => {
+    await db.execute(
+      "UPDATE baby_invitations SET revoked_at = NOW() WHERE baby_id = ? AND email = ? AND accepted_at IS NULL AND revoked_at IS NULL",
+      [babyId, email]
+    );
+    const [result] = await db.execute(
+      "INSERT INTO baby_invitations (baby_id, email, role, token_hash, invited_by, expires_at) VALUES (?, ?, ?, ?, ?, NOW() + INTERVAL ? DAY)",
+      [babyId, email, role, tokenHash, invitedBy, days]
+    );
+    return result.insertId;
+  },
+  // False if the invitation is not pending for that baby
+  revoke: async (id, babyId) => {
+    const [result] = await db.execute(
+      "UPDATE baby_invitations SET revoked_at = NOW() WHERE id = ? AND baby_id = ? AND accepted_at IS NULL AND revoked_at IS NULL",
+      [id, babyId]
+    );
+    return result.affectedRows === 1;
+  },
+  // Pending invitations to live babies addressed to `email`
+  listForEmail: async (email) => {
+    const [rows] = await db.execute(
+      `SELECT i.id, i.baby_id, b.name AS baby_name, i.role, u.name AS invited_by, i.expires_at
+       FROM baby_invitations i JOIN babies b ON b.id = i.baby_id JOIN users u ON u.id = i.invited_by
+       WHERE i.email = ? AND i.accepted_at IS NULL AND i.revoked_at IS NULL AND i.expires_at > NOW() AND b.deleted_at IS NULL`,
+      [email]
+    );
+    return rows;
+  },
+  findPendingByToken: async (tokenHash) => {
+    const [rows] = await db.execute(
+      `SELECT i.id, i.baby_id, i.email, i.role, i.invited_by, b.name AS baby_name FROM baby_invitations i JOIN babies b ON b.id = i.baby_id
+       WHERE i.token_hash = ? AND i.accepted_at IS NULL AND i.revoked_at IS NULL AND i.expires_at > NOW() AND b.deleted_at IS NULL`,
+      [tokenHash]
+    );
+    return rows[0] || null;
+  },
+  // Marks it accepted; false if it already was, so only one of two concurrent accepts wins
+  accept: async (id, userId) => {
+    const [result] = await db.execute("UPDATE baby_invitations SET accepted_at = NOW(), accepted_by = ? WHERE id = ? AND accepted_at IS NULL", [userId, id]);
+    return result.affectedRows === 1;
+  },
+});
+
+const memoryInvitations = (store) => {
+  const sameEmail = (a, b) => String(a).toLowerCase() === String(b).toLowerCase();
+  const isPending = (row) => !row.accepted_at && !row.revoked_at && row.expires_at > new Date();
+  const liveBaby = (row) => store.find("babies", (baby) => baby.id === row.baby_id && !baby.deleted_at);
+  return {
+    listPending: async (babyId) =>
+      store
+        .filter("baby_invitations", (row) => sameId(row.baby_id, babyId) && isPending(row))
+        .sort((a, b) => b.created_at - a.created_at)
+        .map((row) => pick(row, ["id", "email", "role", "expires_at", "created_at"])),
+    create: async ({ babyId, email, role, tokenHash, invitedBy, days }) => {
+      for (const row of store.filter("baby_invitations", (invitation) => sameId(invitation.baby_id, babyId) && sameEmail(invitation.email, email))) {
+        if (!row.accepted_at && !row.revoked_at) row.revoked_at = new Date();
+      }
+      return store.insert("baby_invitations", {
+        baby_id: Number(babyId),
+        email,
+        role,
+        token_hash: tokenHash,
+        invited_by: Number(invitedBy),
+        expires_at: new Date(Date.now() + days * 86400000),
+        accepted_at: null,
+        accepted_by: null,
+        revoked_at: null,
+      });
+    },
+    revoke: async (id, babyId) => {
+      const row = store.find("baby_invitations", (invitation) => sameId(invitation.id, id) && sameId(invitation.baby_id, babyId));
+      if (!row || row.accepted_at || row.revoked_at) return false;
+      row.revoked_at = new Date();
+      return true;
+    },
+    listForEmail: async (email) =>
+      store
+        .filter("baby_invitations", (row) => sameEmail(row.email, email) && isPending(row) && liveBaby(row))
+        .map((row) => {
+          const inviter = store.find("users", (user) => user.id === row.invited_by);
+          return {
+            id: row.id,
+            baby_id: row.baby_id,
+            baby_name: liveBaby(row).name,
+            role: row.role,
+            invited_by: inviter ? inviter.name : null,
+            expires_at: row.expires_at,
+          };
+        }),
+    findPendingByToken: async (tokenHash) => {
+      const row = store.find("baby_invitations", (invitation) => invitation.token_hash === tokenHash && isPending(invitation) && liveBaby(invitation));
+      return row ? { ...pick(row, ["id", "baby_id", "email", "role", "invited_by"]), baby_name: liveBaby(row).name } : null;
+    },
+    accept: async (id, userId) => {
+      const row = store.find("baby_invitations", (invitation) => sameId(invitation.id, id));
+      if (!row || row.accepted_at) return false;
+      Object.assign(row, { accepted_at: new Date(), accepted_by: Number(userId) });
+      return true;
+    },
+  };
+};
+
+module.exports = {
+  mysqlInvitations,
+  memoryInvitations,
+};
@@ -0,0 +1,63 @@
+const { pick, sameId } = require("./common");
+
+// Jaundice checks recorded for a baby with their risk assessment. symptoms and
+// reasons are JSON columns
+
+const CHECK_COLUMNS = ["id", "baby_id", "assessed_at", "age_hours", "yellowing_zone", "symptoms", "bilirubin_mg_dl", "risk_zone", "urgency", "reasons"];
+
+const mysqlJaundiceChecks = (db) => ({
+  // Oldest first
+  listForBaby: async (babyId) => {
+    const [rows] = await db.execute(
+      `SELECT ${CHECK_COLUMNS.join(", ")} FROM jaundice_checks WHERE baby_id = ? ORDER BY assessed_at ASC, id ASC`,
+      [babyId]
+    );
+    return rows;
+  },
+  // The latest bilirubin reading taken at or before `assessedAt`, or null
+  findPreviousReading: async (babyId, assessedAt) => {
+    const [rows] = await db.execute(
+      "SELECT age_hours, bilirubin_mg_dl FROM jaundice_checks WHERE baby_id = ? AND bilirubin_mg_dl IS NOT NULL AND assessed_at <= ? ORDER BY assessed_at DESC, id DESC LIMIT 1",
+      [babyId, assessedAt]
+    );
+    return rows[0] || null;
+  },
+  create: async ({ babyId, assessedAt, ageHours, yellowingZone, symptoms, bilirubin, riskZone, urgency, reasons }) => {
+    const [result] = await db.execute(
+      "INSERT INTO jaundice_checks (baby_id, assessed_at, age_hours, yellowing_zone, symptoms, bilirubin_mg_dl, risk_zone, urgency, reasons) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)",
+      [babyId, assessedAt, ageHours, yellowingZone, JSON.stringify(symptoms), bilirubin, riskZone, urgency, JSON.stringify(reasons)]
+    );
+    return result.insertId;
+  },
+});
+
+const memoryJaundiceChecks = (store) => ({
+  listForBaby: async (babyId) =>
+    store
+      .filter("jaundice_checks", (row) => sameId(row.baby_id, babyId))
+      .sort((a, b) => a.assessed_at - b.assessed_at || a.id - b.id)
+      .map((row) => pick(row, CHECK_COLUMNS)),
+  findPreviousReading: async (babyId, assessedAt) => {
+    const [latest] = store
+      .filter("jaundice_checks", (row) => sameId(row.baby_id, babyId) && row.bilirubin_mg_dl !== null && row.assessed_at <= assessedAt)
+      .sort((a, b) => b.assessed_at - a.assessed_at || b.id - a.id);
+    return pick(latest, ["age_hours", "bilirubin_mg_dl"]);
+  },
+  create: async ({ babyId, assessedAt, ageHours, yellowingZone, symptoms, bilirubin, riskZone, urgency, reasons }) =>
+    store.insert("jaundice_checks", {
+      baby_id: Number(babyId),
+      assessed_at: assessedAt,
+      age_hours: ageHours,
+      yellowing_zone: yellowingZone,
+      symptoms: JSON.stringify(symptoms),
+      bilirubin_mg_dl: bilirubin,
+      risk_zone: riskZone,
+      urgency,
+      reasons: JSON.stringify(reasons),
+    }),
+});
+
+module.exports = {
+  mysqlJaundiceChecks,
+  memoryJaundiceChecks,
+};
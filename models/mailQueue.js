@@ -0,0 +1,130 @@
+const { pick, sameId } = require("./common");
+
+// The outgoing email queue (utils/mailer.js). A message is 'pending' until
+// claimed, 'sending' while a worker has it, then 'sent' or, out of retries,
+// 'dead' (the dead-letter list)
+
+const DEAD_LETTER_COLUMNS = ["id", "template", "to_address", "subject", "attempts", "last_error", "created_at", "updated_at"];
+const INTERRUPTED = "Interrupted during delivery; not retried to avoid a duplicate email";
+
+const mysqlMailQueue = (db) => ({
+  enqueue: async ({ template, to, replyTo, subject, html, text }) => {
+    const [result] = await db.execute(
+      "INSERT INTO mail_queue (template, to_address, reply_to, subject, html, text, next_attempt_at) VALUES (?, ?, ?, ?, ?, ?, NOW())",
+      [template, to, replyTo || null, subject, html, text]
+    );
+    return result.insertId;
+  },
+  // Flips up to `limit` due messages to 'sending' and returns them with their
+  // attempt counted. A row another worker claimed first is skipped
+  claimDue: async (limit) => {
+    const [due] = await db.execute(
+      `SELECT id FROM mail_queue WHERE status = 'pending' AND next_attempt_at <= NOW() ORDER BY next_attempt_at ASC, id ASC LIMIT ${Number(limit)}`
+    );
+    const claimed = [];
+    for (const { id } of due) {
+      const [claim] = await db.execute(
+        "UPDATE mail_queue SET status = 'sending', attempts = attempts + 1 WHERE id = ? AND status = 'pending'",
+        [id]
+      );
+      if (claim.affectedRows !== 1) continue;
+      const [rows] = await db.execute(
+        "SELECT id, template, to_address, reply_to, subject, html, text, attempts FROM mail_queue WHERE id = ?",
+        [id]
+      );
+      claimed.push(rows[0]);
+    }
+    return claimed;
+  },
+  markSent: async (id) => {
+    await db.execute("UPDATE mail_queue SET status = 'sent', sent_at = NOW(), last_error = NULL, html = NULL, text = NULL WHERE id = ?", [id]);
+  },
+  retryAt: async (id, error, nextAttemptAt) => {
+    await db.execute(
+      "UPDATE mail_queue SET status = 'pending', last_error = ?, next_attempt_at = ? WHERE id = ?",
+      [error.slice(0, 500), nextAttemptAt, id]
+    );
+  },
+  markDead: async (id, error) => {
+    await db.execute("UPDATE mail_queue SET status = 'dead', last_error = ? WHERE id = ?", [error.slice(0, 500), id]);
+  },
+  listDead: async (limit) => {
+    const [rows] = await db.execute(
+      `SELECT ${DEAD_LETTER_COLUMNS.join(", ")} FROM mail_queue WHERE status = 'dead' ORDER BY updated_at DESC, id DESC LIMIT ${Number(limit)}`
+    );
+    return rows;
+  },
+  // Puts a dead message back in the queue with a fresh set of attempts
+  retryDead: async (id) => {
+    const [result] = await db.execute(
+      "UPDATE mail_queue SET status = 'pending', attempts = 0, next_attempt_at = NOW() WHERE id = ? AND status = 'dead'",
+      [id]
+    );
+    return result.affectedRows === 1;
+  },
+  // Messages left in 'sending' by a crash may or may not have gone out. They
+  // become dead letters instead of being retried so a restart never double-sends
+  recoverInterrupted: async () => {
+    const [result] = await db.execute("UPDATE mail_queue SET status = 'dead', last_error = ? WHERE status = 'sending'", [INTERRUPTED]);
+    return result.affectedRows;
+  },
+});
+
+const memoryMailQueue = (store) => {
+  const findRow = (id) => store.find("mail_queue", (row) => sameId(row.id, id));
+  const update = (id, fields) => {
+    const row = findRow(id);
+    if (row) Object.assign(row, fields, { updated_at: new Date() });
+  };
+  return {
+    enqueue: async ({ template, to, replyTo, subject, html, text }) =>
+      store.insert("mail_queue", {
+        template,
+        to_address: to,
+        reply_to: replyTo || null,
+        subject,
+        html,
+        text,
+        status: "pending",
+        attempts: 0,
+        next_attempt_at: new Date(),
+        last_error: null,
+        sent_at: null,
+        updated_at: new Date(),
+      }),
+    claimDue: async (limit) => {
+      const now = new Date();
+      const due = store
+        .filter("mail_queue", (row) => row.status === "pending" && row.next_attempt_at <= now)
+        .sort((a, b) => a.next_attempt_at - b.next_attempt_at || a.id - b.id)
+        .slice(0, limit);
+      for (const row of due) update(row.id, { status: "sending", attempts: row.attempts + 1 });
+      return due.map((row) => pick(row, ["id", "template", "to_address", "reply_to", "subject", "html", "text", "attempts"]));
+    },
+    markSent: async (id) => update(id, { status: "sent", sent_at: new Date(), last_error: null, html: null, text: null }),
+    retryAt: async (id, error, nextAttemptAt) => update(id, { status: "pending", last_error: error.slice(0, 500), next_attempt_at: nextAttemptAt }),
+    markDead: async (id, error) => update(id, { status: "dead", last_error: error.slice(0, 500) }),
+    listDead: async (limit) =>
+      store
+        .filter("mail_queue", (row) => row.status === "dead")
+        .sort((a, b) => b.updated_at - a.updated_at || b.id - a.id)
+        .slice(0, limit)
+        .map((row) => pick(row, DEAD_LETTER_COLUMNS)),
+    retryDead: async (id) => {
+      const row = findRow(id);
+      if (!row || row.status !== "dead") return false;
+      update(id, { status: "pending", attempts: 0, next_attempt_at: new Date() });
+      return true;
+    },
+    recoverInterrupted: async () => {
+      const interrupted = store.filter("mail_queue", (row) => row.status === "sending");
+      for (const row of interrupted) update(row.id, { status: "dead", last_error: INTERRUPTED });
+      return interrupted.length;
+    },
+  };
+};
+
+module.exports = {
+  mysqlMailQueue,
+  memoryMailQueue,
+};
@@ -0,0 +1,38 @@
+const { pick, sameId, dateValue } = require("./common");
+
+// Babies' height (cm) and weight (kg) measurements
+
+const MEASUREMENT_COLUMNS = ["id", "baby_id", "height", "weight", "measurement_date"];
+
+const mysqlMeasurements = (db) => ({
+  // Oldest first
+  listForBaby: async (babyId) => {
+    const [rows] = await db.execute(
+      `SELECT ${MEASUREMENT_COLUMNS.join(", ")} FROM baby_measurements WHERE baby_id = ? ORDER BY measurement_date ASC, id ASC`,
+      [babyId]
+    );
+    return rows;
+  },
+  create: async ({ babyId, height, weight, measurementDate }) => {
+    const [result] = await db.execute(
+      "INSERT INTO baby_measurements (baby_id, height, weight, measurement_date) VALUES (?, ?, ?, ?)",
+      [babyId, height, weight, measurementDate]
+    );
+    return result.insertId;
+  },
+});
+
+const memoryMeasurements = (store) => ({
+  listForBaby: async (babyId) =>
+    store
+      .filter("baby_measurements", (row) => sameId(row.baby_id, babyId))
+      .sort((a, b) => a.measurement_date - b.measurement_date || a.id - b.id)
+      .map((row) => pick(row, MEASUREMENT_COLUMNS)),
+  create: async ({ babyId, height, weight, measurementDate }) =>
+    store.insert("baby_measurements", { baby_id: Number(babyId), height, weight, measurement_date: dateValue(measurementDate) }),
+});
+
+module.exports = {
+  mysqlMeasurements,
+  memoryMeasurements,
+};
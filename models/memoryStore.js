@@ -0,0 +1,43 @@
+// Tables held in process memory for DATA_STORE=memory (tests and local
+// experiments). Each table is an array of row objects keyed by column name,
+// with AUTO_INCREMENT-style ids. Nothing survives a restart.
+
+const createMemoryStore = () => {
+  const tables = new Map();
+  const sequences = new Map();
+
+  const table = (name) => {
+    if (!tables.has(name)) tables.set(name, []);
+    return tables.get(name);
+  };
+
+  // Adds a row and returns its id, like result.insertId
+  const insert = (name, row) => {
+    const id = (sequences.get(name) || 0) + 1;
+    sequences.set(name, id);
+    table(name).push({ id, created_at: new Date(), ...row });
+    return id;
+  };
+
+  const find = (name, predicate) => table(name).find(predicate) || null;
+
+  const filter = (name, predicate) => table(name).filter(predicate);
+
+  const remove = (name, predicate) => {
+    const rows = table(name);
+    const kept = rows.filter((row) => !predicate(row));
+    tables.set(name, kept);
+    return rows.length - kept.length;
+  };
+
+  const clear = () => {
+    tables.clear();
+    sequences.clear();
+  };
+
+  return { table, insert, find, filter, remove, clear };
+};
+
+module.exports = {
+  createMemoryStore,
+};
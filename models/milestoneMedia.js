@@ -0,0 +1,109 @@
+const { pick, sameId, minutesAgo } = require("./common");
+
+// Photos and videos attached to milestones. The files live in media storage
+// (utils/mediaStorage.js); rows hold their storage_key. Callers check access
+// to the milestone first
+
+const MEDIA_COLUMNS = ["id", "milestone_id", "kind", "mime_type", "size_bytes", "original_name", "uploaded_by", "created_at", "storage_key"];
+
+const mysqlMilestoneMedia = (db) => ({
+  countForMilestone: async (milestoneId) => {
+    const [rows] = await db.execute("SELECT COUNT(*) AS count FROM milestone_media WHERE milestone_id = ?", [milestoneId]);
+    return Number(rows[0].count);
+  },
+  create: async ({ milestoneId, storageKey, kind, mimeType, sizeBytes, originalName, uploadedBy }) => {
+    const [result] = await db.execute(
+      "INSERT INTO milestone_media (milestone_id, storage_key, kind, mime_type, size_bytes, original_name, uploaded_by) VALUES (?, ?, ?, ?, ?, ?, ?)",
+      [milestoneId, storageKey, kind, mimeType, sizeBytes, originalName, uploadedBy]
+    );
+    return result.insertId;
+  },
+  findById: async (id) => {
+    const [rows] = await db.execute(`SELECT ${MEDIA_COLUMNS.join(", ")} FROM milestone_media WHERE id = ?`, [id]);
+    return rows[0] || null;
+  },
+  // Oldest first
+  listForMilestone: async (milestoneId) => {
+    const [rows] = await db.execute(`SELECT ${MEDIA_COLUMNS.join(", ")} FROM milestone_media WHERE milestone_id = ? ORDER BY created_at, id`, [milestoneId]);
+    return rows;
+  },
+  findForMilestone: async (id, milestoneId) => {
+    const [rows] = await db.execute(`SELECT ${MEDIA_COLUMNS.join(", ")} FROM milestone_media WHERE id = ? AND milestone_id = ?`, [id, milestoneId]);
+    return rows[0] || null;
+  },
+  // Null once the milestone or its baby is deleted, for signed links
+  findServable: async (id) => {
+    const [rows] = await db.execute(
+      `SELECT ${MEDIA_COLUMNS.map((column) => `mm.${column}`).join(", ")} FROM milestone_media mm
+       JOIN milestones ms ON ms.id = mm.milestone_id JOIN babies b ON b.id = ms.baby_id
+       WHERE mm.id = ? AND ms.deleted_at IS NULL AND b.deleted_at IS NULL`,
+      [id]
+    );
+    return rows[0] || null;
+  },
+  remove: async (id) => {
+    await db.execute("DELETE FROM milestone_media WHERE id = ?", [id]);
+  },
+  // Up to `limit` files whose milestone or baby was deleted more than `minutes` ago
+  listPurgeable: async (minutes, limit) => {
+    const [rows] = await db.execute(
+      `SELECT mm.id, mm.storage_key FROM milestone_media mm
+       JOIN milestones ms ON ms.id = mm.milestone_id JOIN babies b ON b.id = ms.baby_id
+       WHERE ms.deleted_at < NOW() - INTERVAL ? MINUTE OR b.deleted_at < NOW() - INTERVAL ? MINUTE LIMIT ${Number(limit)}`,
+      [minutes, minutes]
+    );
+    return rows;
+  },
+});
+
+const memoryMilestoneMedia = (store) => {
+  const milestoneAndBaby = (row) => {
+    const milestone = store.find("milestones", (candidate) => candidate.id === row.milestone_id);
+    const baby = milestone && store.find("babies", (candidate) => candidate.id === milestone.baby_id);
+    return { milestone, baby };
+  };
+  return {
+    countForMilestone: async (milestoneId) => store.filter("milestone_media", (row) => sameId(row.milestone_id, milestoneId)).length,
+    create: async ({ milestoneId, storageKey, kind, mimeType, sizeBytes, originalName, uploadedBy }) =>
+      store.insert("milestone_media", {
+        milestone_id: Number(milestoneId),
+        storage_key: storageKey,
+        kind,
+        mime_type: mimeType,
+        size_bytes: sizeBytes,
+        original_name: originalName,
+        uploaded_by: Number(uploadedBy),
+      }),
+    findById: async (id) => pick(store.find("milestone_media", (row) => sameId(row.id, id)), MEDIA_COLUMNS),
+    listForMilestone: async (milestoneId) =>
+      store
+        .filter("milestone_media", (row) => sameId(row.milestone_id, milestoneId))
+        .sort((a, b) => a.created_at - b.created_at || a.id - b.id)
+        .map((row) => pick(row, MEDIA_COLUMNS)),
+    findForMilestone: async (id, milestoneId) =>
+      pick(store.find("milestone_media", (row) => sameId(row.id, id) && sameId(row.milestone_id, milestoneId)), MEDIA_COLUMNS),
+    findServable: async (id) => {
+      const row = store.find("milestone_media", (media) => sameId(media.id, id));
+      const { milestone, baby } = row ? milestoneAndBaby(row) : {};
+      return milestone && baby && !milestone.deleted_at && !baby.deleted_at ? pick(row, MEDIA_COLUMNS) : null;
+    },
+    remove: async (id) => {
+      store.remove("milestone_media", (row) => sameId(row.id, id));
+    },
+    listPurgeable: async (minutes, limit) => {
+      const cutoff = minutesAgo(minutes);
+      return store
+        .filter("milestone_media", (row) => {
+          const { milestone, baby } = milestoneAndBaby(row);
+          return Boolean(milestone && baby) && ((milestone.deleted_at && milestone.deleted_at < cutoff) || (baby.deleted_at && baby.deleted_at < cutoff));
+        })
+        .slice(0, limit)
+        .map((row) => pick(row, ["id", "storage_key"]));
+    },
+  };
+};
+
+module.exports = {
+  mysqlMilestoneMedia,
+  memoryMilestoneMedia,
+};
@@ -0,0 +1,115 @@
+const { memberBabiesSql } = require("../utils/babyAccess");
+const { keysetCondition, orderBySql, pageRows } = require("../utils/pagination");
+const {
+  pick,
+  sameId,
+  dateValue,
+  columnValues,
+  likePattern,
+  containsText,
+  mysqlSoftDeletable,
+  memorySoftDeletable,
+  memoryMembership,
+  memoryMemberBabyIds,
+} = require("./common");
+
+// Milestones are reached through their baby's baby_members. Their photos and
+// videos are in milestoneMedia.js
+
+const MILESTONE_COLUMNS = ["id", "baby_id", "title", "description", "milestone_date", "photo_url"];
+
+// listVisible filters, all optional:
+//   babyId, q (text in the title or description)
+//   from, to: YYYY-MM-DD bounds on milestone_date, inclusive
+//   paging: { field, descending, after, limit } from utils/pagination.js;
+//   without it every match is returned
+const sortColumn = (paging) => {
+  if (!MILESTONE_COLUMNS.includes(paging.field)) throw new Error(`Cannot sort milestones by ${paging.field}`);
+  return paging.field;
+};
+
+const mysqlMilestones = (db) => ({
+  ...mysqlSoftDeletable(db, "milestones"),
+  create: async ({ babyId, title, description, milestoneDate, photoUrl }) => {
+    const [result] = await db.execute(
+      "INSERT INTO milestones (baby_id, title, description, milestone_date, photo_url) VALUES (?, ?, ?, ?, ?)",
+      [babyId, title, description, milestoneDate, photoUrl]
+    );
+    return result.insertId;
+  },
+  listVisible: async (userId, { babyId, from, to, q, paging } = {}) => {
+    const clauses = ["deleted_at IS NULL", `baby_id IN (${memberBabiesSql("milestones:read")})`];
+    const params = [userId];
+    if (babyId) {
+      clauses.push("baby_id = ?");
+      params.push(babyId);
+    }
+    if (from) {
+      clauses.push("milestone_date >= ?");
+      params.push(from);
+    }
+    if (to) {
+      clauses.push("milestone_date <= ?");
+      params.push(to);
+    }
+    if (q) {
+      clauses.push("(title LIKE ? OR description LIKE ?)");
+      params.push(likePattern(q), likePattern(q));
+    }
+    let page = "";
+    if (paging) {
+      const columns = [sortColumn(paging), "id"];
+      if (paging.after) {
+        const after = keysetCondition(columns, paging.after, paging.descending);
+        clauses.push(after.sql);
+        params.push(...after.params);
+      }
+      page = ` ORDER BY ${orderBySql(columns, paging.descending).sql} LIMIT ${paging.limit + 1}`;
+    }
+    const [rows] = await db.execute(`SELECT ${MILESTONE_COLUMNS.join(", ")} FROM milestones WHERE ${clauses.join(" AND ")}${page}`, params);
+    return rows;
+  },
+  findAccessible: async (id, userId, { deleted = false } = {}) => {
+    const [rows] = await db.execute(
+      `SELECT ${MILESTONE_COLUMNS.map((column) => `r.${column}`).join(", ")}, r.deleted_at, m.role AS access_role FROM milestones r
+       JOIN babies b ON b.id = r.baby_id JOIN baby_members m ON m.baby_id = b.id
+       WHERE r.id = ? AND m.user_id = ? AND b.deleted_at IS NULL AND r.deleted_at IS ${deleted ? "NOT " : ""}NULL`,
+      [id, userId]
+    );
+    return rows[0] || null;
+  },
+});
+
+const memoryMilestones = (store) => ({
+  ...memorySoftDeletable(store, "milestones", ["milestone_date"]),
+  create: async ({ babyId, title, description, milestoneDate, photoUrl }) =>
+    store.insert(
+      "milestones",
+      columnValues({ baby_id: babyId, title, description, milestone_date: milestoneDate, photo_url: photoUrl, deleted_at: null }, ["milestone_date"])
+    ),
+  listVisible: async (userId, { babyId, from, to, q, paging } = {}) => {
+    const babyIds = memoryMemberBabyIds(store, userId, "milestones:read");
+    const rows = store.filter(
+      "milestones",
+      (row) =>
+        !row.deleted_at &&
+        babyIds.has(row.baby_id) &&
+        (!babyId || sameId(row.baby_id, babyId)) &&
+        (!from || row.milestone_date >= dateValue(from)) &&
+        (!to || row.milestone_date <= dateValue(to)) &&
+        (!q || containsText(row.title, q) || containsText(row.description, q))
+    );
+    const listed = paging ? pageRows(rows, paging, (row) => [row[sortColumn(paging)], row.id]) : rows;
+    return listed.map((row) => pick(row, MILESTONE_COLUMNS));
+  },
+  findAccessible: async (id, userId, { deleted = false } = {}) => {
+    const row = store.find("milestones", (milestone) => sameId(milestone.id, id) && Boolean(milestone.deleted_at) === deleted);
+    const membership = row && memoryMembership(store, row.baby_id, userId);
+    return membership ? { ...pick(row, [...MILESTONE_COLUMNS, "deleted_at"]), access_role: membership.role } : null;
+  },
+});
+
+module.exports = {
+  mysqlMilestones,
+  memoryMilestones,
+};
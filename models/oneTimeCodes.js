@@ -0,0 +1,96 @@
+const { sameId, minutesAgo } = require("./common");
+
+// Email verification and password reset codes (see utils/oneTimeCodes.js for the rules)
+
+const mysqlOneTimeCodes = (db) => ({
+  // Failed guesses on unconsumed codes issued within the last `minutes`
+  countFailures: async (userId, purpose, minutes) => {
+    const [rows] = await db.execute(
+      "SELECT COALESCE(SUM(attempts), 0) AS failures FROM one_time_codes WHERE user_id = ? AND purpose = ? AND consumed_at IS NULL AND created_at > NOW() - INTERVAL ? MINUTE",
+      [userId, purpose, minutes]
+    );
+    return Number(rows[0].failures);
+  },
+  issuedWithin: async (userId, purpose, seconds) => {
+    const [rows] = await db.execute(
+      "SELECT id FROM one_time_codes WHERE user_id = ? AND purpose = ? AND created_at > NOW() - INTERVAL ? SECOND LIMIT 1",
+      [userId, purpose, seconds]
+    );
+    return rows.length > 0;
+  },
+  expireOutstanding: async (userId, purpose) => {
+    await db.execute(
+      "UPDATE one_time_codes SET expires_at = NOW() WHERE user_id = ? AND purpose = ? AND consumed_at IS NULL AND expires_at > NOW()",
+      [userId, purpose]
+    );
+  },
+  create: async ({ userId, purpose, codeHash, minutes }) => {
+    await db.execute(
+      "INSERT INTO one_time_codes (user_id, purpose, code_hash, expires_at) VALUES (?, ?, ?, NOW() + INTERVAL ? MINUTE)",
+      [userId, purpose, codeHash, minutes]
+    );
+  },
+  // The newest code that is neither consumed nor expired
+  findLatestActive: async (userId, purpose) => {
+    const [rows] = await db.execute(
+      "SELECT id, code_hash, attempts FROM one_time_codes WHERE user_id = ? AND purpose = ? AND consumed_at IS NULL AND expires_at > NOW() ORDER BY id DESC LIMIT 1",
+      [userId, purpose]
+    );
+    return rows[0] || null;
+  },
+  recordFailure: async (id) => {
+    await db.execute("UPDATE one_time_codes SET attempts = attempts + 1 WHERE id = ?", [id]);
+  },
+  // Conditional update so two concurrent submissions cannot both succeed
+  consume: async (id) => {
+    const [result] = await db.execute("UPDATE one_time_codes SET consumed_at = NOW() WHERE id = ? AND consumed_at IS NULL", [id]);
+    return result.affectedRows === 1;
+  },
+});
+
+const memoryOneTimeCodes = (store) => {
+  const codesFor = (userId, purpose) => store.filter("one_time_codes", (row) => sameId(row.user_id, userId) && row.purpose === purpose);
+  const findCode = (id) => store.find("one_time_codes", (row) => sameId(row.id, id));
+  return {
+    countFailures: async (userId, purpose, minutes) =>
+      codesFor(userId, purpose)
+        .filter((row) => !row.consumed_at && row.created_at > minutesAgo(minutes))
+        .reduce((sum, row) => sum + row.attempts, 0),
+    issuedWithin: async (userId, purpose, seconds) => codesFor(userId, purpose).some((row) => row.created_at > minutesAgo(seconds / 60)),
+    expireOutstanding: async (userId, purpose) => {
+      const now = new Date();
+      for (const row of codesFor(userId, purpose).filter((code) => !code.consumed_at && code.expires_at > now)) row.expires_at = now;
+    },
+    create: async ({ userId, purpose, codeHash, minutes }) => {
+      store.insert("one_time_codes", {
+        user_id: Number(userId),
+        purpose,
+        code_hash: codeHash,
+        attempts: 0,
+        expires_at: new Date(Date.now() + minutes * 60000),
+        consumed_at: null,
+      });
+    },
+    findLatestActive: async (userId, purpose) => {
+      const now = new Date();
+      const active = codesFor(userId, purpose).filter((row) => !row.consumed_at && row.expires_at > now);
+      const latest = active[active.length - 1];
+      return latest ? { id: latest.id, code_hash: latest.code_hash, attempts: latest.attempts } : null;
+    },
+    recordFailure: async (id) => {
+      const row = findCode(id);
+      if (row) row.attempts += 1;
+    },
+    consume: async (id) => {
+      const row = findCode(id);
+      if (!row || row.consumed_at) return false;
+      row.consumed_at = new Date();
+      return true;
+    },
+  };
+};
+
+module.exports = {
+  mysqlOneTimeCodes,
+  memoryOneTimeCodes,
+};
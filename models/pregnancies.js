@@ -0,0 +1,97 @@
+const { pick, sameId, columnValues, mysqlSoftDeletable, memorySoftDeletable } = require("./common");
+
+// A user's pregnancies, at most one of them active. Their prenatal visits are
+// schedules with a pregnancy_id (see models/schedules.js) and are hidden along
+// with a deleted pregnancy
+
+const PREGNANCY_COLUMNS = [
+  "id",
+  "status",
+  "dating_method",
+  "lmp_date",
+  "cycle_length",
+  "ultrasound_date",
+  "ultrasound_gestation_days",
+  "due_date",
+  "baby_id",
+  "delivered_on",
+  "created_at",
+];
+
+const DATE_COLUMNS = ["lmp_date", "ultrasound_date", "due_date", "delivered_on"];
+
+const mysqlPregnancies = (db) => ({
+  ...mysqlSoftDeletable(db, "pregnancies"),
+  // fields are the dating columns from datePregnancy (utils/pregnancy.js)
+  create: async (userId, fields) => {
+    const columns = Object.keys(fields);
+    const [result] = await db.execute(
+      `INSERT INTO pregnancies (user_id, ${columns.join(", ")}, status) VALUES (?, ${columns.map(() => "?").join(", ")}, 'active')`,
+      [userId, ...columns.map((column) => fields[column])]
+    );
+    return result.insertId;
+  },
+  // The user's pregnancy; { deleted: true } finds soft-deleted ones
+  findAccessible: async (id, userId, { deleted = false } = {}) => {
+    const [rows] = await db.execute(
+      `SELECT ${PREGNANCY_COLUMNS.join(", ")}, deleted_at FROM pregnancies WHERE id = ? AND user_id = ? AND deleted_at IS ${deleted ? "NOT " : ""}NULL`,
+      [id, userId]
+    );
+    return rows[0] || null;
+  },
+  findActive: async (userId) => {
+    const [rows] = await db.execute(
+      `SELECT ${PREGNANCY_COLUMNS.join(", ")} FROM pregnancies WHERE user_id = ? AND status = 'active' AND deleted_at IS NULL`,
+      [userId]
+    );
+    return rows[0] || null;
+  },
+  // Latest due date first
+  listForUser: async (userId) => {
+    const [rows] = await db.execute(
+      `SELECT ${PREGNANCY_COLUMNS.join(", ")} FROM pregnancies WHERE user_id = ? AND deleted_at IS NULL ORDER BY due_date DESC`,
+      [userId]
+    );
+    return rows;
+  },
+  markDelivered: async (id, babyId, deliveredOn) => {
+    await db.execute("UPDATE pregnancies SET status = 'delivered', baby_id = ?, delivered_on = ? WHERE id = ?", [babyId, deliveredOn, id]);
+  },
+});
+
+const memoryPregnancies = (store) => {
+  const records = memorySoftDeletable(store, "pregnancies", DATE_COLUMNS);
+  const liveFor = (userId) => store.filter("pregnancies", (row) => sameId(row.user_id, userId) && !row.deleted_at);
+  return {
+    ...records,
+    create: async (userId, fields) =>
+      store.insert("pregnancies", {
+        user_id: Number(userId),
+        ...columnValues(fields, DATE_COLUMNS),
+        status: "active",
+        baby_id: null,
+        delivered_on: null,
+        deleted_at: null,
+      }),
+    findAccessible: async (id, userId, { deleted = false } = {}) => {
+      const row = store.find(
+        "pregnancies",
+        (pregnancy) => sameId(pregnancy.id, id) && sameId(pregnancy.user_id, userId) && Boolean(pregnancy.deleted_at) === deleted
+      );
+      return pick(row, [...PREGNANCY_COLUMNS, "deleted_at"]);
+    },
+    findActive: async (userId) => pick(liveFor(userId).find((row) => row.status === "active"), PREGNANCY_COLUMNS),
+    listForUser: async (userId) =>
+      liveFor(userId)
+        .sort((a, b) => b.due_date - a.due_date)
+        .map((row) => pick(row, PREGNANCY_COLUMNS)),
+    markDelivered: async (id, babyId, deliveredOn) => {
+      await records.update(id, { status: "delivered", baby_id: babyId, delivered_on: deliveredOn });
+    },
+  };
+};
+
+module.exports = {
+  mysqlPregnancies,
+  memoryPregnancies,
+};
@@ -0,0 +1,133 @@
+const { pick, sameId } = require("./common");
+
+// Reminder emails the scheduler (utils/reminderScheduler.js) has queued, one
+// per source, event and lead time. A job is 'pending' until claimed,
+// 'sending' while being composed, then 'sent', 'failed' or 'cancelled'
+
+const JOB_COLUMNS = ["id", "source_type", "source_id", "event_at", "lead_minutes", "send_at", "status", "attempts", "last_error", "sent_at"];
+const DUE_COLUMNS = ["id", "user_id", "source_type", "source_id", "event_at", "lead_minutes", "attempts"];
+const INTERRUPTED = "Interrupted during delivery; not retried to avoid a duplicate email";
+
+const mysqlReminderJobs = (db) => ({
+  // Newest send time first; sourceType narrows to one kind, limit caps the count
+  listForUser: async (userId, { sourceType = null, limit = null } = {}) => {
+    const [rows] = await db.execute(
+      `SELECT ${JOB_COLUMNS.join(", ")} FROM reminder_jobs WHERE user_id = ?${sourceType ? " AND source_type = ?" : ""} ORDER BY send_at DESC${limit ? ` LIMIT ${Number(limit)}` : ""}`,
+      sourceType ? [userId, sourceType] : [userId]
+    );
+    return rows;
+  },
+  cancelPending: async (sourceType, sourceId) => {
+    await db.execute("UPDATE reminder_jobs SET status = 'cancelled' WHERE source_type = ? AND source_id = ? AND status = 'pending'", [sourceType, sourceId]);
+  },
+  // INSERT IGNORE against the unique (source_type, source_id, event_at, lead_minutes)
+  // key makes enqueueing idempotent across ticks and restarts
+  enqueue: async ({ userId, sourceType, sourceId, eventAt, leadMinutes }) => {
+    await db.execute(
+      "INSERT IGNORE INTO reminder_jobs (user_id, source_type, source_id, event_at, lead_minutes, send_at, status) VALUES (?, ?, ?, ?, ?, ?, 'pending')",
+      [userId, sourceType, sourceId, eventAt, leadMinutes, new Date(eventAt.getTime() - leadMinutes * 60000)]
+    );
+  },
+  // Flips up to `limit` jobs due by `now` to 'sending' and returns them with
+  // their attempt counted. A job another worker claimed first is skipped
+  claimDue: async (now, limit) => {
+    const [due] = await db.execute(
+      `SELECT ${DUE_COLUMNS.join(", ")} FROM reminder_jobs WHERE status = 'pending' AND send_at <= ? ORDER BY send_at ASC LIMIT ${Number(limit)}`,
+      [now]
+    );
+    const claimed = [];
+    for (const job of due) {
+      const [claim] = await db.execute(
+        "UPDATE reminder_jobs SET status = 'sending', attempts = attempts + 1, updated_at = NOW() WHERE id = ? AND status = 'pending'",
+        [job.id]
+      );
+      if (claim.affectedRows === 1) claimed.push({ ...job, attempts: job.attempts + 1 });
+    }
+    return claimed;
+  },
+  markSent: async (id) => {
+    await db.execute("UPDATE reminder_jobs SET status = 'sent', sent_at = NOW(), last_error = NULL WHERE id = ?", [id]);
+  },
+  markCancelled: async (id, reason) => {
+    await db.execute("UPDATE reminder_jobs SET status = 'cancelled', last_error = ? WHERE id = ?", [reason, id]);
+  },
+  // Back to 'pending' at `retryAt`, or 'failed' with retryAt null
+  markAttemptFailed: async (id, error, retryAt) => {
+    await db.execute(
+      "UPDATE reminder_jobs SET status = ?, last_error = ?, send_at = COALESCE(?, send_at) WHERE id = ?",
+      [retryAt ? "pending" : "failed", error.slice(0, 500), retryAt, id]
+    );
+  },
+  // Jobs left in 'sending' by a crash may or may not have gone out. They are
+  // marked failed instead of retried so a restart never double-sends
+  recoverInterrupted: async () => {
+    const [result] = await db.execute("UPDATE reminder_jobs SET status = 'failed', last_error = ? WHERE status = 'sending'", [INTERRUPTED]);
+    return result.affectedRows;
+  },
+});
+
+const memoryReminderJobs = (store) => {
+  const findJob = (id) => store.find("reminder_jobs", (row) => sameId(row.id, id));
+  return {
+    listForUser: async (userId, { sourceType = null, limit = null } = {}) =>
+      store
+        .filter("reminder_jobs", (row) => sameId(row.user_id, userId) && (!sourceType || row.source_type === sourceType))
+        .sort((a, b) => b.send_at - a.send_at || b.id - a.id)
+        .slice(0, limit || undefined)
+        .map((row) => pick(row, JOB_COLUMNS)),
+    cancelPending: async (sourceType, sourceId) => {
+      for (const row of store.filter("reminder_jobs", (job) => job.source_type === sourceType && sameId(job.source_id, sourceId) && job.status === "pending")) {
+        row.status = "cancelled";
+      }
+    },
+    enqueue: async ({ userId, sourceType, sourceId, eventAt, leadMinutes }) => {
+      const exists = store.find(
+        "reminder_jobs",
+        (row) =>
+          row.source_type === sourceType && sameId(row.source_id, sourceId) && row.event_at.getTime() === eventAt.getTime() && row.lead_minutes === leadMinutes
+      );
+      if (exists) return;
+      store.insert("reminder_jobs", {
+        user_id: Number(userId),
+        source_type: sourceType,
+        source_id: Number(sourceId),
+        event_at: eventAt,
+        lead_minutes: leadMinutes,
+        send_at: new Date(eventAt.getTime() - leadMinutes * 60000),
+        status: "pending",
+        attempts: 0,
+        last_error: null,
+        sent_at: null,
+      });
+    },
+    claimDue: async (now, limit) =>
+      store
+        .filter("reminder_jobs", (row) => row.status === "pending" && row.send_at <= now)
+        .sort((a, b) => a.send_at - b.send_at || a.id - b.id)
+        .slice(0, limit)
+        .map((row) => {
+          Object.assign(row, { status: "sending", attempts: row.attempts + 1 });
+          return pick(row, DUE_COLUMNS);
+        }),
+    markSent: async (id) => {
+      Object.assign(findJob(id), { status: "sent", sent_at: new Date(), last_error: null });
+    },
+    markCancelled: async (id, reason) => {
+      Object.assign(findJob(id), { status: "cancelled", last_error: reason });
+    },
+    markAttemptFailed: async (id, error, retryAt) => {
+      const row = findJob(id);
+      Object.assign(row, { status: retryAt ? "pending" : "failed", last_error: error.slice(0, 500), send_at: retryAt || row.send_at });
+    },
+    recoverInterrupted: async () => {
+      const interrupted = store.filter("reminder_jobs", (row) => row.status === "sending");
+      for (const row of interrupted) Object.assign(row, { status: "failed", last_error: INTERRUPTED });
+      return interrupted.length;
+    },
+  };
+};
+
+module.exports = {
+  mysqlReminderJobs,
+  memoryReminderJobs,
+};
@@ -0,0 +1,217 @@
+const { memberBabiesSql } = require("../utils/babyAccess");
+const { keysetCondition, orderBySql, pageRows } = require("../utils/pagination");
+const {
+  pick,
+  sameId,
+  columnValues,
+  likePattern,
+  containsText,
+  mysqlSoftDeletable,
+  memorySoftDeletable,
+  memoryMembership,
+  memoryMemberBabyIds,
+} = require("./common");
+
+// Schedules belong to a baby (reached through baby_members) or, for prenatal
+// visits, to the user's pregnancy. Visits generated from the prenatal plan
+// carry the prenatal_week they were planned for
+
+const SCHEDULE_COLUMNS = ["id", "baby_id", "pregnancy_id", "type", "scheduled_time", "notes", "recurrence_rule", "recurrence_exceptions"];
+
+// listVisible filters, all optional:
+//   babyId, type (as stored, ignoring case), q (text in the notes)
+//   occursBetween: [start, end], schedules that may occur in the window
+//   paging: { field, descending, after, limit } from utils/pagination.js;
+//   without it every match is returned
+const sortColumn = (paging) => {
+  if (!SCHEDULE_COLUMNS.includes(paging.field)) throw new Error(`Cannot sort schedules by ${paging.field}`);
+  return paging.field;
+};
+
+const mysqlSchedules = (db) => {
+  const records = mysqlSoftDeletable(db, "schedules");
+  return {
+    ...records,
+    create: async ({ babyId, pregnancyId, type, scheduledTime, notes, recurrenceRule = null, recurrenceExceptions = null, prenatalWeek = null }) => {
+      const [result] = await db.execute(
+        "INSERT INTO schedules (baby_id, pregnancy_id, type, scheduled_time, notes, recurrence_rule, recurrence_exceptions, prenatal_week) VALUES (?, ?, ?, ?, ?, ?, ?, ?)",
+        [babyId, pregnancyId, type, scheduledTime, notes, recurrenceRule, recurrenceExceptions, prenatalWeek]
+      );
+      return result.insertId;
+    },
+    // The pregnancy's next `limit` visits from now on
+    listUpcomingVisits: async (pregnancyId, limit) => {
+      const [rows] = await db.execute(
+        `SELECT id, type, scheduled_time, notes, prenatal_week FROM schedules WHERE pregnancy_id = ? AND deleted_at IS NULL AND scheduled_time >= NOW() ORDER BY scheduled_time LIMIT ${Number(limit)}`,
+        [pregnancyId]
+      );
+      return rows;
+    },
+    // Deletes the generated visits still ahead; ones the user added stay
+    dropPlannedVisits: async (pregnancyId) => {
+      await db.execute(
+        "UPDATE schedules SET deleted_at = NOW() WHERE pregnancy_id = ? AND prenatal_week IS NOT NULL AND deleted_at IS NULL AND scheduled_time > NOW()",
+        [pregnancyId]
+      );
+    },
+    listVisible: async (userId, { babyId, type, q, occursBetween, paging } = {}) => {
+      const clauses = ["deleted_at IS NULL", `(baby_id IN (${memberBabiesSql("schedules:read")}) OR pregnancy_id IN (SELECT id FROM pregnancies WHERE user_id = ? AND deleted_at IS NULL))`];
+      const params = [userId, userId];
+      if (babyId) {
+        clauses.push("baby_id = ?");
+        params.push(babyId);
+      }
+      if (type) {
+        clauses.push("type = ?");
+        params.push(type);
+      }
+      if (q) {
+        clauses.push("notes LIKE ?");
+        params.push(likePattern(q));
+      }
+      // Recurring schedules start at scheduled_time and may repeat into the window
+      if (occursBetween) {
+        clauses.push("scheduled_time <= ? AND (recurrence_rule IS NOT NULL OR scheduled_time >= ?)");
+        params.push(occursBetween[1], occursBetween[0]);
+      }
+      let page = "";
+      if (paging) {
+        const columns = [sortColumn(paging), "id"];
+        if (paging.after) {
+          const after = keysetCondition(columns, paging.after, paging.descending);
+          clauses.push(after.sql);
+          params.push(...after.params);
+        }
+        page = ` ORDER BY ${orderBySql(columns, paging.descending).sql} LIMIT ${paging.limit + 1}`;
+      }
+      const [rows] = await db.execute(`SELECT ${SCHEDULE_COLUMNS.join(", ")} FROM schedules WHERE ${clauses.join(" AND ")}${page}`, params);
+      return rows;
+    },
+    findAccessible: async (id, userId, { deleted = false } = {}) => {
+      const [rows] = await db.execute(
+        `SELECT ${SCHEDULE_COLUMNS.map((column) => `r.${column}`).join(", ")}, r.deleted_at, m.role AS access_role FROM schedules r
+         LEFT JOIN babies b ON b.id = r.baby_id LEFT JOIN baby_members m ON m.baby_id = b.id AND m.user_id = ? LEFT JOIN pregnancies p ON p.id = r.pregnancy_id AND p.deleted_at IS NULL
+         WHERE r.id = ? AND ((m.user_id IS NOT NULL AND b.deleted_at IS NULL) OR p.user_id = ?) AND r.deleted_at IS ${deleted ? "NOT " : ""}NULL`,
+        [userId, id, userId]
+      );
+      return rows[0] || null;
+    },
+    restore: async (id, withinMinutes) => {
+      if (!(await records.restore(id, withinMinutes))) return false;
+      // Reminders skipped while the schedule was deleted become due again
+      await db.execute(
+        "UPDATE reminder_jobs SET status = 'pending', last_error = NULL WHERE source_type = 'schedule' AND source_id = ? AND status = 'cancelled' AND send_at > NOW()",
+        [id]
+      );
+      return true;
+    },
+    // Live schedules with an occurrence that may fall in (now, horizon], with
+    // the user to remind: the baby's creator or the pregnancy's owner
+    listForReminders: async (now, horizon) => {
+      const [rows] = await db.execute(
+        `SELECT s.id, s.type, s.scheduled_time, s.recurrence_rule, s.recurrence_exceptions, COALESCE(b.user_id, p.user_id) AS user_id
+         FROM schedules s LEFT JOIN babies b ON b.id = s.baby_id LEFT JOIN pregnancies p ON p.id = s.pregnancy_id
+         WHERE s.deleted_at IS NULL AND (b.id IS NOT NULL OR p.id IS NOT NULL) AND (b.id IS NULL OR b.deleted_at IS NULL) AND (p.id IS NULL OR p.deleted_at IS NULL)
+           AND s.scheduled_time <= ? AND (s.scheduled_time > ? OR s.recurrence_rule IS NOT NULL)`,
+        [horizon, now]
+      );
+      return rows;
+    },
+    // What the reminder email needs, or null once the schedule or its baby is deleted
+    findForDelivery: async (id) => {
+      const [rows] = await db.execute(
+        "SELECT s.type, s.scheduled_time, s.recurrence_rule, s.recurrence_exceptions, s.notes, b.name AS baby_name, u.name AS user_name, u.email FROM schedules s LEFT JOIN babies b ON b.id = s.baby_id LEFT JOIN pregnancies p ON p.id = s.pregnancy_id JOIN users u ON u.id = COALESCE(b.user_id, p.user_id) WHERE s.id = ? AND s.deleted_at IS NULL AND (b.id IS NULL OR b.deleted_at IS NULL)",
+        [id]
+      );
+      return rows[0] || null;
+    },
+  };
+};
+
+const memorySchedules = (store) => {
+  // The live baby or pregnancy a schedule belongs to
+  const ownerOf = (row) =>
+    row.baby_id !== null
+      ? store.find("babies", (baby) => baby.id === row.baby_id && !baby.deleted_at)
+      : store.find("pregnancies", (pregnancy) => pregnancy.id === row.pregnancy_id && !pregnancy.deleted_at);
+  const ownsPregnancy = (pregnancyId, userId) =>
+    pregnancyId !== null && Boolean(store.find("pregnancies", (row) => row.id === pregnancyId && sameId(row.user_id, userId) && !row.deleted_at));
+  return {
+    ...memorySoftDeletable(store, "schedules"),
+    create: async ({ babyId, pregnancyId, type, scheduledTime, notes, recurrenceRule = null, recurrenceExceptions = null, prenatalWeek = null }) =>
+      store.insert(
+        "schedules",
+        columnValues({
+          baby_id: babyId,
+          pregnancy_id: pregnancyId,
+          type,
+          scheduled_time: scheduledTime,
+          notes,
+          recurrence_rule: recurrenceRule,
+          recurrence_exceptions: recurrenceExceptions,
+          prenatal_week: prenatalWeek,
+          deleted_at: null,
+        })
+      ),
+    listUpcomingVisits: async (pregnancyId, limit) =>
+      store
+        .filter("schedules", (row) => sameId(row.pregnancy_id, pregnancyId) && !row.deleted_at && row.scheduled_time >= new Date())
+        .sort((a, b) => a.scheduled_time - b.scheduled_time || a.id - b.id)
+        .slice(0, limit)
+        .map((row) => pick(row, ["id", "type", "scheduled_time", "notes", "prenatal_week"])),
+    dropPlannedVisits: async (pregnancyId) => {
+      const now = new Date();
+      for (const row of store.filter("schedules", (schedule) => sameId(schedule.pregnancy_id, pregnancyId) && schedule.prenatal_week !== null && !schedule.deleted_at && schedule.scheduled_time > now)) {
+        row.deleted_at = now;
+      }
+    },
+    listVisible: async (userId, { babyId, type, q, occursBetween, paging } = {}) => {
+      const babyIds = memoryMemberBabyIds(store, userId, "schedules:read");
+      const rows = store.filter(
+        "schedules",
+        (row) =>
+          !row.deleted_at &&
+          (babyIds.has(row.baby_id) || ownsPregnancy(row.pregnancy_id, userId)) &&
+          (!babyId || sameId(row.baby_id, babyId)) &&
+          (!type || row.type.toLowerCase() === type.toLowerCase()) &&
+          (!q || containsText(row.notes, q)) &&
+          (!occursBetween ||
+            (row.scheduled_time <= occursBetween[1] && (row.recurrence_rule || row.scheduled_time >= occursBetween[0])))
+      );
+      const listed = paging ? pageRows(rows, paging, (row) => [row[sortColumn(paging)], row.id]) : rows;
+      return listed.map((row) => pick(row, SCHEDULE_COLUMNS));
+    },
+    findAccessible: async (id, userId, { deleted = false } = {}) => {
+      const row = store.find("schedules", (schedule) => sameId(schedule.id, id) && Boolean(schedule.deleted_at) === deleted);
+      if (!row) return null;
+      const membership = row.baby_id === null ? null : memoryMembership(store, row.baby_id, userId);
+      if (!membership && !ownsPregnancy(row.pregnancy_id, userId)) return null;
+      return { ...pick(row, [...SCHEDULE_COLUMNS, "deleted_at"]), access_role: membership ? membership.role : null };
+    },
+    listForReminders: async (now, horizon) =>
+      store
+        .filter("schedules", (row) => !row.deleted_at && row.scheduled_time <= horizon && (row.scheduled_time > now || row.recurrence_rule))
+        .map((row) => ({ row, owner: ownerOf(row) }))
+        .filter(({ owner }) => owner)
+        .map(({ row, owner }) => ({ ...pick(row, ["id", "type", "scheduled_time", "recurrence_rule", "recurrence_exceptions"]), user_id: owner.user_id })),
+    findForDelivery: async (id) => {
+      const row = store.find("schedules", (schedule) => sameId(schedule.id, id) && !schedule.deleted_at);
+      const baby = row && row.baby_id !== null ? store.find("babies", (candidate) => candidate.id === row.baby_id) : null;
+      if (!row || (baby && baby.deleted_at)) return null;
+      const owner = baby || store.find("pregnancies", (pregnancy) => pregnancy.id === row.pregnancy_id);
+      const user = owner && store.find("users", (candidate) => candidate.id === owner.user_id);
+      if (!user) return null;
+      return {
+        ...pick(row, ["type", "scheduled_time", "recurrence_rule", "recurrence_exceptions", "notes"]),
+        baby_name: baby ? baby.name : null,
+        user_name: user.name,
+        email: user.email,
+      };
+    },
+  };
+};
+
+module.exports = {
+  mysqlSchedules,
+  memorySchedules,
+};
@@ -0,0 +1,228 @@
+const { BOOKS, canonicalKey } = require("../utils/scriptureReferences");
+const { verseOfDayIndex } = require("../utils/scriptures");
+const { keysetCondition, orderBySql, pageRows } = require("../utils/pagination");
+const { pick, sameId, likePattern, containsText, mysqlPublishable, memoryPublishable } = require("./common");
+
+// The scripture library, its themes and each user's favourites. Readers only
+// see published scriptures; rows for readers carry the user's favourited_at
+
+const SCRIPTURE_COLUMNS = ["id", "verse", "reference", "book", "chapter", "verse_start", "end_chapter", "verse_end"];
+const ADMIN_COLUMNS = [...SCRIPTURE_COLUMNS, "status", "author_id", "reviewed_by", "review_note", "published_at", "updated_at"];
+
+// listPublished options, all optional:
+//   theme, book (a canonical name from utils/scriptureReferences.js),
+//   q (text in the verse or reference), favourites
+//   paging: { field, descending, after, limit } from utils/pagination.js, where
+//   field is reference (canonical order, keyed by canonicalKey) or created_at
+
+const PUBLISHED = "s.status = 'published'";
+const USER_COLUMNS = `${SCRIPTURE_COLUMNS.map((column) => `s.${column}`).join(", ")}, f.created_at AS favourited_at`;
+// Takes the user id
+const FAVOURITE_JOIN = "LEFT JOIN scripture_favourites f ON f.scripture_id = s.id AND f.user_id = ?";
+const IN_THEME = "s.id IN (SELECT scripture_id FROM scripture_themes WHERE theme = ?)";
+
+const CANONICAL_ORDER = [
+  { sql: `FIELD(s.book, ${BOOKS.map(() => "?").join(", ")})`, params: BOOKS.map(([name]) => name) },
+  "s.chapter",
+  "COALESCE(s.verse_start, 0)",
+  "s.id",
+];
+
+const mysqlScriptures = (db) => ({
+  ...mysqlPublishable(db, "scriptures"),
+  // Saved as a draft
+  create: async (fields, authorId) => {
+    const columns = Object.keys(fields);
+    const [result] = await db.execute(
+      `INSERT INTO scriptures (${columns.join(", ")}, status, author_id) VALUES (${columns.map(() => "?").join(", ")}, 'draft', ?)`,
+      [...columns.map((column) => fields[column]), authorId]
+    );
+    return result.insertId;
+  },
+  findById: async (id) => {
+    const [rows] = await db.execute(`SELECT ${SCRIPTURE_COLUMNS.join(", ")}, status FROM scriptures WHERE id = ?`, [id]);
+    return rows[0] || null;
+  },
+  // Editors and admins preview scriptures in any state
+  findForUser: async (id, userId, { preview = false } = {}) => {
+    const [rows] = await db.execute(
+      `SELECT ${USER_COLUMNS}, s.status FROM scriptures s ${FAVOURITE_JOIN} WHERE s.id = ?${preview ? "" : ` AND ${PUBLISHED}`}`,
+      [userId, id]
+    );
+    return rows[0] || null;
+  },
+  isPublished: async (id) => {
+    const [rows] = await db.execute(`SELECT s.id FROM scriptures s WHERE s.id = ? AND ${PUBLISHED}`, [id]);
+    return rows.length > 0;
+  },
+  // One page plus the extra row, with created_at
+  listPublished: async (userId, { theme, book, q, favourites, paging }) => {
+    const clauses = [PUBLISHED];
+    const params = [userId];
+    if (theme) {
+      clauses.push(IN_THEME);
+      params.push(theme);
+    }
+    if (book) {
+      clauses.push("s.book = ?");
+      params.push(book);
+    }
+    if (q) {
+      clauses.push("(s.verse LIKE ? OR s.reference LIKE ?)");
+      params.push(likePattern(q), likePattern(q));
+    }
+    if (favourites) clauses.push("f.created_at IS NOT NULL");
+    const columns = paging.field === "reference" ? CANONICAL_ORDER : ["s.created_at", "s.id"];
+    if (paging.after) {
+      const after = keysetCondition(columns, paging.after, paging.descending);
+      clauses.push(after.sql);
+      params.push(...after.params);
+    }
+    const order = orderBySql(columns, paging.descending);
+    const [rows] = await db.execute(
+      `SELECT ${USER_COLUMNS}, s.created_at FROM scriptures s ${FAVOURITE_JOIN}
+       WHERE ${clauses.join(" AND ")} ORDER BY ${order.sql} LIMIT ${paging.limit + 1}`,
+      [...params, ...order.params]
+    );
+    return rows;
+  },
+  // The user's verse for a YYYY-MM-DD date, optionally from one theme, or
+  // null when there is nothing published to choose from
+  findVerseOfDay: async (userId, dateKey, theme = null) => {
+    const filter = theme ? { sql: ` AND ${IN_THEME}`, params: [theme] } : { sql: "", params: [] };
+    const [counts] = await db.execute(`SELECT COUNT(*) AS count FROM scriptures s WHERE ${PUBLISHED}${filter.sql}`, filter.params);
+    const count = Number(counts[0].count);
+    if (count === 0) return null;
+    const [rows] = await db.execute(
+      `SELECT ${USER_COLUMNS} FROM scriptures s ${FAVOURITE_JOIN} WHERE ${PUBLISHED}${filter.sql}
+       ORDER BY s.id LIMIT 1 OFFSET ${verseOfDayIndex(userId, dateKey, count)}`,
+      [userId, ...filter.params]
+    );
+    return rows[0] || null;
+  },
+  // Published scriptures per theme, for themes that have any
+  countThemes: async () => {
+    const [rows] = await db.execute(
+      `SELECT t.theme, COUNT(*) AS count FROM scripture_themes t JOIN scriptures s ON s.id = t.scripture_id WHERE ${PUBLISHED} GROUP BY t.theme`
+    );
+    return rows.map((row) => ({ theme: row.theme, count: Number(row.count) }));
+  },
+  // Every scripture, or those in one status, recently changed first
+  listAll: async (status) => {
+    const [rows] = await db.execute(
+      `SELECT ${ADMIN_COLUMNS.map((column) => `s.${column}`).join(", ")}, a.name AS author_name
+       FROM scriptures s LEFT JOIN users a ON a.id = s.author_id
+       ${status ? "WHERE s.status = ?" : ""} ORDER BY s.updated_at DESC`,
+      status ? [status] : []
+    );
+    return rows;
+  },
+  replaceThemes: async (id, themes) => {
+    await db.execute("DELETE FROM scripture_themes WHERE scripture_id = ?", [id]);
+    for (const theme of themes) {
+      await db.execute("INSERT INTO scripture_themes (scripture_id, theme) VALUES (?, ?)", [id, theme]);
+    }
+  },
+  // Map of scripture id -> themes
+  loadThemes: async (ids) => {
+    const themes = new Map(ids.map((id) => [id, []]));
+    if (ids.length === 0) return themes;
+    const [rows] = await db.execute(
+      `SELECT scripture_id, theme FROM scripture_themes WHERE scripture_id IN (${ids.map(() => "?").join(", ")}) ORDER BY theme`,
+      ids
+    );
+    for (const row of rows) themes.get(row.scripture_id).push(row.theme);
+    return themes;
+  },
+  favourite: async (userId, id) => {
+    await db.execute("INSERT IGNORE INTO scripture_favourites (user_id, scripture_id) VALUES (?, ?)", [userId, id]);
+  },
+  removeFavourite: async (userId, id) => {
+    await db.execute("DELETE FROM scripture_favourites WHERE user_id = ? AND scripture_id = ?", [userId, id]);
+  },
+});
+
+const memoryScriptures = (store) => {
+  const isPublished = (row) => row.status === "published";
+  const hasTheme = (row, theme) => Boolean(store.find("scripture_themes", (tag) => tag.scripture_id === row.id && tag.theme === theme));
+  const withFavourite = (row, userId) => {
+    const favourite = store.find("scripture_favourites", (mark) => mark.scripture_id === row.id && sameId(mark.user_id, userId));
+    return { ...pick(row, SCRIPTURE_COLUMNS), favourited_at: favourite ? favourite.created_at : null };
+  };
+  return {
+    ...memoryPublishable(store, "scriptures"),
+    create: async (fields, authorId) =>
+      store.insert("scriptures", {
+        ...fields,
+        status: "draft",
+        author_id: Number(authorId),
+        reviewed_by: null,
+        review_note: null,
+        published_at: null,
+        updated_at: new Date(),
+      }),
+    findById: async (id) => pick(store.find("scriptures", (row) => sameId(row.id, id)), [...SCRIPTURE_COLUMNS, "status"]),
+    findForUser: async (id, userId, { preview = false } = {}) => {
+      const row = store.find("scriptures", (scripture) => sameId(scripture.id, id) && (preview || isPublished(scripture)));
+      return row ? { ...withFavourite(row, userId), status: row.status } : null;
+    },
+    isPublished: async (id) => Boolean(store.find("scriptures", (row) => sameId(row.id, id) && isPublished(row))),
+    listPublished: async (userId, { theme, book, q, favourites, paging }) => {
+      const rows = store
+        .filter(
+          "scriptures",
+          (row) =>
+            isPublished(row) &&
+            (!theme || hasTheme(row, theme)) &&
+            (!book || row.book === book) &&
+            (!q || containsText(row.verse, q) || containsText(row.reference, q))
+        )
+        .map((row) => ({ ...withFavourite(row, userId), created_at: row.created_at }))
+        .filter((row) => !favourites || row.favourited_at);
+      return pageRows(rows, paging, (row) => (paging.field === "reference" ? canonicalKey(row) : [row.created_at, row.id]));
+    },
+    findVerseOfDay: async (userId, dateKey, theme = null) => {
+      const rows = store.filter("scriptures", (row) => isPublished(row) && (!theme || hasTheme(row, theme))).sort((a, b) => a.id - b.id);
+      if (rows.length === 0) return null;
+      return withFavourite(rows[verseOfDayIndex(userId, dateKey, rows.length)], userId);
+    },
+    countThemes: async () => {
+      const counts = new Map();
+      for (const tag of store.filter("scripture_themes", (row) => store.find("scriptures", (scripture) => scripture.id === row.scripture_id && isPublished(scripture)))) {
+        counts.set(tag.theme, (counts.get(tag.theme) || 0) + 1);
+      }
+      return [...counts].map(([theme, count]) => ({ theme, count }));
+    },
+    listAll: async (status) =>
+      store
+        .filter("scriptures", (row) => !status || row.status === status)
+        .sort((a, b) => b.updated_at - a.updated_at || b.id - a.id)
+        .map((row) => {
+          const author = store.find("users", (user) => user.id === row.author_id);
+          return { ...pick(row, ADMIN_COLUMNS), author_name: author ? author.name : null };
+        }),
+    replaceThemes: async (id, themes) => {
+      store.remove("scripture_themes", (row) => sameId(row.scripture_id, id));
+      for (const theme of themes) store.insert("scripture_themes", { scripture_id: Number(id), theme });
+    },
+    loadThemes: async (ids) => {
+      const themes = new Map(ids.map((id) => [id, []]));
+      for (const row of store.filter("scripture_themes", (tag) => themes.has(tag.scripture_id))) themes.get(row.scripture_id).push(row.theme);
+      for (const list of themes.values()) list.sort();
+      return themes;
+    },
+    favourite: async (userId, id) => {
+      if (!store.find("scripture_favourites", (row) => sameId(row.user_id, userId) && sameId(row.scripture_id, id))) {
+        store.insert("scripture_favourites", { user_id: Number(userId), scripture_id: Number(id) });
+      }
+    },
+    removeFavourite: async (userId, id) => {
+      store.remove("scripture_favourites", (row) => sameId(row.user_id, userId) && sameId(row.scripture_id, id));
+    },
+  };
+};
+
+module.exports = {
+  mysqlScriptures,
+  memoryScriptures,
+};
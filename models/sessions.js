@@ -0,0 +1,176 @@
+const { pick, sameId, minutesAgo } = require("./common");
+
+// Login sessions and their rotating refresh tokens (only token hashes are stored)
+
+const daysFromNow = (days) => new Date(Date.now() + days * 86400000);
+
+const mysqlSessions = (db) => ({
+  create: async ({ userId, device, userAgent, ipAddress, days }) => {
+    const [result] = await db.execute(
+      "INSERT INTO user_sessions (user_id, device, user_agent, ip_address, last_seen_at, expires_at) VALUES (?, ?, ?, ?, NOW(), NOW() + INTERVAL ? DAY)",
+      [userId, device, userAgent, ipAddress, days]
+    );
+    return result.insertId;
+  },
+  // The session if it is still signed in, with its user's current role
+  findActive: async (id, userId) => {
+    const [rows] = await db.execute(
+      "SELECT s.id, u.role, u.disabled_at FROM user_sessions s JOIN users u ON u.id = s.user_id WHERE s.id = ? AND s.user_id = ? AND s.revoked_at IS NULL AND s.expires_at > NOW()",
+      [id, userId]
+    );
+    return rows[0] || null;
+  },
+  // Records activity at most once every `minutes`
+  touch: async (id, ipAddress, minutes) => {
+    await db.execute(
+      "UPDATE user_sessions SET last_seen_at = NOW(), ip_address = ? WHERE id = ? AND last_seen_at < NOW() - INTERVAL ? MINUTE",
+      [ipAddress, id, minutes]
+    );
+  },
+  extend: async (id, ipAddress, days) => {
+    await db.execute(
+      "UPDATE user_sessions SET last_seen_at = NOW(), ip_address = ?, expires_at = NOW() + INTERVAL ? DAY WHERE id = ?",
+      [ipAddress, days, id]
+    );
+  },
+  revoke: async (id, reason) => {
+    await db.execute("UPDATE user_sessions SET revoked_at = NOW(), revoked_reason = ? WHERE id = ? AND revoked_at IS NULL", [reason, id]);
+  },
+  // The user's own session only; false if there is no such signed-in session
+  revokeOwned: async (id, userId, reason) => {
+    const [result] = await db.execute(
+      "UPDATE user_sessions SET revoked_at = NOW(), revoked_reason = ? WHERE id = ? AND user_id = ? AND revoked_at IS NULL",
+      [reason, id, userId]
+    );
+    return result.affectedRows === 1;
+  },
+  // Every session of the user but exceptId (optional); returns how many were signed out
+  revokeAll: async (userId, reason, exceptId = null) => {
+    const [result] = await db.execute(
+      `UPDATE user_sessions SET revoked_at = NOW(), revoked_reason = ? WHERE user_id = ? AND revoked_at IS NULL${exceptId ? " AND id <> ?" : ""}`,
+      exceptId ? [reason, userId, exceptId] : [reason, userId]
+    );
+    return result.affectedRows;
+  },
+  // Signed-in sessions, most recently used first
+  listActive: async (userId) => {
+    const [rows] = await db.execute(
+      "SELECT id, device, ip_address, created_at, last_seen_at FROM user_sessions WHERE user_id = ? AND revoked_at IS NULL AND expires_at > NOW() ORDER BY last_seen_at DESC",
+      [userId]
+    );
+    return rows;
+  },
+  createRefreshToken: async (sessionId, tokenHash, days) => {
+    const [result] = await db.execute(
+      "INSERT INTO refresh_tokens (session_id, token_hash, expires_at) VALUES (?, ?, NOW() + INTERVAL ? DAY)",
+      [sessionId, tokenHash, days]
+    );
+    return result.insertId;
+  },
+  findRefreshToken: async (tokenHash) => {
+    const [rows] = await db.execute(
+      `SELECT t.id, t.session_id, t.expires_at <= NOW() AS expired, s.revoked_at, u.id AS user_id, u.email, u.disabled_at
+       FROM refresh_tokens t
+       JOIN user_sessions s ON s.id = t.session_id
+       JOIN users u ON u.id = s.user_id
+       WHERE t.token_hash = ?`,
+      [tokenHash]
+    );
+    return rows[0] || null;
+  },
+  // Marks the token used; false if it already was, so only one of two concurrent uses wins
+  claimRefreshToken: async (id) => {
+    const [result] = await db.execute("UPDATE refresh_tokens SET used_at = NOW() WHERE id = ? AND used_at IS NULL", [id]);
+    return result.affectedRows === 1;
+  },
+  replaceRefreshToken: async (id, replacedBy) => {
+    await db.execute("UPDATE refresh_tokens SET replaced_by = ? WHERE id = ?", [replacedBy, id]);
+  },
+});
+
+const memorySessions = (store) => {
+  const findSession = (id) => store.find("user_sessions", (row) => sameId(row.id, id));
+  const revokeWhere = (predicate, reason) => {
+    const sessions = store.filter("user_sessions", (session) => predicate(session) && !session.revoked_at);
+    for (const row of sessions) {
+      Object.assign(row, { revoked_at: new Date(), revoked_reason: reason });
+    }
+    return sessions.length;
+  };
+  return {
+    create: async ({ userId, device, userAgent, ipAddress, days }) =>
+      store.insert("user_sessions", {
+        user_id: Number(userId),
+        device,
+        user_agent: userAgent,
+        ip_address: ipAddress,
+        last_seen_at: new Date(),
+        expires_at: daysFromNow(days),
+        revoked_at: null,
+        revoked_reason: null,
+      }),
+    findActive: async (id, userId) => {
+      const session = findSession(id);
+      if (!session || !sameId(session.user_id, userId) || session.revoked_at || session.expires_at <= new Date()) return null;
+      const user = store.find("users", (row) => row.id === session.user_id);
+      return user ? { id: session.id, role: user.role, disabled_at: user.disabled_at } : null;
+    },
+    touch: async (id, ipAddress, minutes) => {
+      const session = findSession(id);
+      if (session && session.last_seen_at < minutesAgo(minutes)) Object.assign(session, { last_seen_at: new Date(), ip_address: ipAddress });
+    },
+    extend: async (id, ipAddress, days) => {
+      const session = findSession(id);
+      if (session) Object.assign(session, { last_seen_at: new Date(), ip_address: ipAddress, expires_at: daysFromNow(days) });
+    },
+    revoke: async (id, reason) => {
+      revokeWhere((session) => sameId(session.id, id), reason);
+    },
+    revokeOwned: async (id, userId, reason) => revokeWhere((session) => sameId(session.id, id) && sameId(session.user_id, userId), reason) === 1,
+    revokeAll: async (userId, reason, exceptId = null) =>
+      revokeWhere((session) => sameId(session.user_id, userId) && !sameId(session.id, exceptId), reason),
+    listActive: async (userId) =>
+      store
+        .filter("user_sessions", (row) => sameId(row.user_id, userId) && !row.revoked_at && row.expires_at > new Date())
+        .sort((a, b) => b.last_seen_at - a.last_seen_at)
+        .map((row) => pick(row, ["id", "device", "ip_address", "created_at", "last_seen_at"])),
+    createRefreshToken: async (sessionId, tokenHash, days) =>
+      store.insert("refresh_tokens", {
+        session_id: Number(sessionId),
+        token_hash: tokenHash,
+        expires_at: daysFromNow(days),
+        used_at: null,
+        replaced_by: null,
+      }),
+    findRefreshToken: async (tokenHash) => {
+      const token = store.find("refresh_tokens", (row) => row.token_hash === tokenHash);
+      const session = token && findSession(token.session_id);
+      const user = session && store.find("users", (row) => row.id === session.user_id);
+      if (!user) return null;
+      return {
+        id: token.id,
+        session_id: session.id,
+        expired: token.expires_at <= new Date() ? 1 : 0,
+        revoked_at: session.revoked_at,
+        user_id: user.id,
+        email: user.email,
+        disabled_at: user.disabled_at,
+      };
+    },
+    claimRefreshToken: async (id) => {
+      const token = store.find("refresh_tokens", (row) => sameId(row.id, id));
+      if (!token || token.used_at) return false;
+      token.used_at = new Date();
+      return true;
+    },
+    replaceRefreshToken: async (id, replacedBy) => {
+      const token = store.find("refresh_tokens", (row) => sameId(row.id, id));
+      if (token) token.replaced_by = replacedBy;
+    },
+  };
+};
+
+module.exports = {
+  mysqlSessions,
+  memorySessions,
+};
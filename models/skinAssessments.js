@@ -0,0 +1,53 @@
+const { pick, sameId } = require("./common");
+
+// Skin checks recorded for a baby. symptoms and result are JSON columns; result
+// is the whole assessment from utils/skinDiseaseDetector.js
+
+const ASSESSMENT_COLUMNS = ["id", "baby_id", "symptoms", "knowledge_version", "top_condition", "urgency", "result", "created_at"];
+
+const mysqlSkinAssessments = (db) => ({
+  // Newest first
+  listForBaby: async (babyId) => {
+    const [rows] = await db.execute(
+      `SELECT ${ASSESSMENT_COLUMNS.join(", ")} FROM skin_assessments WHERE baby_id = ? ORDER BY created_at DESC, id DESC`,
+      [babyId]
+    );
+    return rows;
+  },
+  create: async ({ babyId, symptoms, result }) => {
+    const [inserted] = await db.execute(
+      "INSERT INTO skin_assessments (baby_id, symptoms, knowledge_version, top_condition, urgency, result) VALUES (?, ?, ?, ?, ?, ?)",
+      [
+        babyId,
+        JSON.stringify(symptoms),
+        result.knowledge_version,
+        result.candidates.length ? result.candidates[0].id : null,
+        result.urgency,
+        JSON.stringify(result),
+      ]
+    );
+    return inserted.insertId;
+  },
+});
+
+const memorySkinAssessments = (store) => ({
+  listForBaby: async (babyId) =>
+    store
+      .filter("skin_assessments", (row) => sameId(row.baby_id, babyId))
+      .sort((a, b) => b.created_at - a.created_at || b.id - a.id)
+      .map((row) => pick(row, ASSESSMENT_COLUMNS)),
+  create: async ({ babyId, symptoms, result }) =>
+    store.insert("skin_assessments", {
+      baby_id: Number(babyId),
+      symptoms: JSON.stringify(symptoms),
+      knowledge_version: result.knowledge_version,
+      top_condition: result.candidates.length ? result.candidates[0].id : null,
+      urgency: result.urgency,
+      result: JSON.stringify(result),
+    }),
+});
+
+module.exports = {
+  mysqlSkinAssessments,
+  memorySkinAssessments,
+};
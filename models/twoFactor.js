@@ -0,0 +1,139 @@
+const { sameId } = require("./common");
+
+// TOTP enrolments (user_totp) and their single-use recovery codes, stored as hashes
+
+const mysqlTwoFactor = (db) => ({
+  find: async (userId) => {
+    const [rows] = await db.execute(
+      "SELECT user_id, secret_encrypted, enabled_at, last_used_step, locked_until > NOW() AS locked FROM user_totp WHERE user_id = ?",
+      [userId]
+    );
+    return rows[0] || null;
+  },
+  // Starts over with a new secret; 2FA stays off until enable()
+  begin: async (userId, secretEncrypted) => {
+    await db.execute(
+      `INSERT INTO user_totp (user_id, secret_encrypted) VALUES (?, ?)
+       ON DUPLICATE KEY UPDATE secret_encrypted = VALUES(secret_encrypted), last_used_step = NULL, failed_attempts = 0, locked_until = NULL`,
+      [userId, secretEncrypted]
+    );
+  },
+  enable: async (userId, step) => {
+    await db.execute("UPDATE user_totp SET enabled_at = NOW(), last_used_step = ? WHERE user_id = ?", [step, userId]);
+  },
+  // Conditional so the same code cannot be used twice, even concurrently
+  useStep: async (userId, step) => {
+    const [result] = await db.execute(
+      "UPDATE user_totp SET last_used_step = ? WHERE user_id = ? AND (last_used_step IS NULL OR last_used_step < ?)",
+      [step, userId, step]
+    );
+    return result.affectedRows === 1;
+  },
+  // Every `maxFailures` failures lock the second factor for `lockMinutes`.
+  // locked_until is assigned first because MySQL applies SET clauses left to right
+  recordFailure: async (userId, maxFailures, lockMinutes) => {
+    await db.execute(
+      `UPDATE user_totp SET
+         locked_until = IF(failed_attempts + 1 >= ?, NOW() + INTERVAL ? MINUTE, locked_until),
+         failed_attempts = IF(failed_attempts + 1 >= ?, 0, failed_attempts + 1)
+       WHERE user_id = ?`,
+      [maxFailures, lockMinutes, maxFailures, userId]
+    );
+  },
+  resetFailures: async (userId) => {
+    await db.execute("UPDATE user_totp SET failed_attempts = 0 WHERE user_id = ?", [userId]);
+  },
+  // Removes the enrolment and its recovery codes; false if there was none
+  remove: async (userId) => {
+    await db.execute("DELETE FROM totp_recovery_codes WHERE user_id = ?", [userId]);
+    const [result] = await db.execute("DELETE FROM user_totp WHERE user_id = ?", [userId]);
+    return result.affectedRows > 0;
+  },
+  replaceRecoveryCodes: async (userId, codeHashes) => {
+    await db.execute("DELETE FROM totp_recovery_codes WHERE user_id = ?", [userId]);
+    for (const codeHash of codeHashes) {
+      await db.execute("INSERT INTO totp_recovery_codes (user_id, code_hash) VALUES (?, ?)", [userId, codeHash]);
+    }
+  },
+  // False if the code is unknown or already used
+  useRecoveryCode: async (userId, codeHash) => {
+    const [result] = await db.execute(
+      "UPDATE totp_recovery_codes SET used_at = NOW() WHERE user_id = ? AND code_hash = ? AND used_at IS NULL",
+      [userId, codeHash]
+    );
+    return result.affectedRows === 1;
+  },
+  countRecoveryCodes: async (userId) => {
+    const [rows] = await db.execute("SELECT COUNT(*) AS count FROM totp_recovery_codes WHERE user_id = ? AND used_at IS NULL", [userId]);
+    return Number(rows[0].count);
+  },
+});
+
+const memoryTwoFactor = (store) => {
+  const findRow = (userId) => store.find("user_totp", (totp) => sameId(totp.user_id, userId));
+  const codesFor = (userId) => store.filter("totp_recovery_codes", (row) => sameId(row.user_id, userId));
+  return {
+    find: async (userId) => {
+      const row = findRow(userId);
+      if (!row) return null;
+      return {
+        user_id: row.user_id,
+        secret_encrypted: row.secret_encrypted,
+        enabled_at: row.enabled_at || null,
+        last_used_step: row.last_used_step ?? null,
+        locked: row.locked_until ? (row.locked_until > new Date() ? 1 : 0) : null,
+      };
+    },
+    begin: async (userId, secretEncrypted) => {
+      const fresh = { secret_encrypted: secretEncrypted, last_used_step: null, failed_attempts: 0, locked_until: null };
+      const row = findRow(userId);
+      if (row) Object.assign(row, fresh);
+      else store.insert("user_totp", { user_id: Number(userId), enabled_at: null, ...fresh });
+    },
+    enable: async (userId, step) => {
+      const row = findRow(userId);
+      if (row) Object.assign(row, { enabled_at: new Date(), last_used_step: step });
+    },
+    useStep: async (userId, step) => {
+      const row = findRow(userId);
+      if (!row || (row.last_used_step !== null && row.last_used_step >= step)) return false;
+      row.last_used_step = step;
+      return true;
+    },
+    recordFailure: async (userId, maxFailures, lockMinutes) => {
+      const row = findRow(userId);
+      if (!row) return;
+      if (row.failed_attempts + 1 >= maxFailures) {
+        Object.assign(row, { locked_until: new Date(Date.now() + lockMinutes * 60000), failed_attempts: 0 });
+      } else {
+        row.failed_attempts += 1;
+      }
+    },
+    resetFailures: async (userId) => {
+      const row = findRow(userId);
+      if (row) row.failed_attempts = 0;
+    },
+    remove: async (userId) => {
+      store.remove("totp_recovery_codes", (row) => sameId(row.user_id, userId));
+      return store.remove("user_totp", (row) => sameId(row.user_id, userId)) > 0;
+    },
+    replaceRecoveryCodes: async (userId, codeHashes) => {
+      store.remove("totp_recovery_codes", (row) => sameId(row.user_id, userId));
+      for (const codeHash of codeHashes) {
+        store.insert("totp_recovery_codes", { user_id: Number(userId), code_hash: codeHash, used_at: null });
+      }
+    },
+    useRecoveryCode: async (userId, codeHash) => {
+      const row = codesFor(userId).find((code) => code.code_hash === codeHash && !code.used_at);
+      if (!row) return false;
+      row.used_at = new Date();
+      return true;
+    },
+    countRecoveryCodes: async (userId) => codesFor(userId).filter((row) => !row.used_at).length,
+  };
+};
+
+module.exports = {
+  mysqlTwoFactor,
+  memoryTwoFactor,
+};
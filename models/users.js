@@ -0,0 +1,123 @@
+const { pick, sameId, likePattern, containsText } = require("./common");
+
+// Accounts. Rows carry every column, password hash included, so callers must
+// pick what they send back
+
+const ADMIN_COLUMNS = ["id", "name", "email", "role", "is_verified", "disabled_at"];
+
+// listForAdmin filters, all optional: search (text in the name or email),
+// role, status (active, disabled or unverified)
+
+const mysqlUsers = (db) => ({
+  findByEmail: async (email) => {
+    const [rows] = await db.execute("SELECT * FROM users WHERE email = ?", [email]);
+    return rows[0] || null;
+  },
+  findById: async (id) => {
+    const [rows] = await db.execute("SELECT * FROM users WHERE id = ?", [id]);
+    return rows[0] || null;
+  },
+  create: async ({ name, email, password }) => {
+    const [result] = await db.execute(
+      "INSERT INTO users (name, email, password, is_verified) VALUES (?, ?, ?, ?)",
+      [name, email, password, false]
+    );
+    return result.insertId;
+  },
+  markVerified: async (id) => {
+    await db.execute("UPDATE users SET is_verified = true, verification_code = NULL WHERE id = ?", [id]);
+  },
+  // Receiving a reset code proves ownership of the address, so it also verifies it
+  resetPassword: async (id, password) => {
+    await db.execute("UPDATE users SET password = ?, is_verified = true, verification_code = NULL WHERE id = ?", [password, id]);
+  },
+  update: async (id, fields) => {
+    const columns = Object.keys(fields);
+    await db.execute(
+      `UPDATE users SET ${columns.map((column) => `${column} = ?`).join(", ")} WHERE id = ?`,
+      [...columns.map((column) => fields[column]), id]
+    );
+  },
+  // Newest first, at most `limit`
+  listForAdmin: async ({ search, role, status } = {}, limit) => {
+    const clauses = [];
+    const params = [];
+    if (search) {
+      clauses.push("(name LIKE ? OR email LIKE ?)");
+      params.push(likePattern(search), likePattern(search));
+    }
+    if (role) {
+      clauses.push("role = ?");
+      params.push(role);
+    }
+    if (status === "active") clauses.push("disabled_at IS NULL AND is_verified = true");
+    if (status === "disabled") clauses.push("disabled_at IS NOT NULL");
+    if (status === "unverified") clauses.push("is_verified = false");
+    const [rows] = await db.execute(
+      `SELECT ${ADMIN_COLUMNS.join(", ")} FROM users ${clauses.length ? `WHERE ${clauses.join(" AND ")}` : ""} ORDER BY id DESC LIMIT ${Number(limit)}`,
+      params
+    );
+    return rows;
+  },
+});
+
+const memoryUsers = (store) => {
+  // The users table collation compares emails case-insensitively
+  const byEmail = (email) => (row) => String(row.email).toLowerCase() === String(email).toLowerCase();
+  const copy = (row) => (row ? { ...row } : null);
+  const findRow = (id) => store.find("users", (user) => sameId(user.id, id));
+  const matchesStatus = (row, status) => {
+    if (status === "active") return !row.disabled_at && Boolean(row.is_verified);
+    if (status === "disabled") return Boolean(row.disabled_at);
+    if (status === "unverified") return !row.is_verified;
+    return true;
+  };
+  return {
+    findByEmail: async (email) => copy(store.find("users", byEmail(email))),
+    findById: async (id) => copy(findRow(id)),
+    create: async ({ name, email, password }) => {
+      if (store.find("users", byEmail(email))) throw new Error(`Duplicate entry '${email}' for key 'uq_users_email'`);
+      return store.insert("users", {
+        name,
+        email,
+        password,
+        verification_code: null,
+        is_verified: 0,
+        home_currency: "NGN",
+        role: "user",
+        disabled_at: null,
+      });
+    },
+    markVerified: async (id) => {
+      const row = findRow(id);
+      if (row) Object.assign(row, { is_verified: 1, verification_code: null });
+    },
+    resetPassword: async (id, password) => {
+      const row = findRow(id);
+      if (row) Object.assign(row, { password, is_verified: 1, verification_code: null });
+    },
+    // Booleans are stored as TINYINT(1), which reads back as 0 or 1
+    update: async (id, fields) => {
+      const row = findRow(id);
+      if (!row) return;
+      for (const [column, value] of Object.entries(fields)) row[column] = typeof value === "boolean" ? Number(value) : value;
+    },
+    listForAdmin: async ({ search, role, status } = {}, limit) =>
+      store
+        .filter(
+          "users",
+          (row) =>
+            (!search || containsText(row.name, search) || containsText(row.email, search)) &&
+            (!role || row.role === role) &&
+            matchesStatus(row, status)
+        )
+        .sort((a, b) => b.id - a.id)
+        .slice(0, limit)
+        .map((row) => pick(row, ADMIN_COLUMNS)),
+  };
+};
+
+module.exports = {
+  mysqlUsers,
+  memoryUsers,
+};
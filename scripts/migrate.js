@@ -0,0 +1,57 @@
+// Schema migrations (see utils/migrations.js)
+//
+//   npm run migrate                      apply pending migrations
+//   npm run migrate:rollback             undo the last batch
+//   npm run migrate:rollback -- --steps 2  undo the last two migrations
+//   npm run migrate:status               list applied and pending migrations
+const path = require("path");
+const dotenv = require("dotenv");
+const mysql = require("mysql2/promise");
+
+dotenv.config({ path: path.resolve(__dirname, "../../.env") });
+
+const { dbConfig } = require("../config/db");
+const { loadMigrations, migrate, rollback, migrationStatus } = require("../utils/migrations");
+
+const USAGE = "Usage: node scripts/migrate.js [up | down [--steps N] | status]";
+
+const parseSteps = (args) => {
+  const index = args.indexOf("--steps");
+  if (index === -1) return undefined;
+  const steps = Number(args[index + 1]);
+  if (!Number.isInteger(steps) || steps < 1) throw new Error("--steps must be a whole number of at least 1");
+  return steps;
+};
+
+const main = async () => {
+  const [command = "up", ...args] = process.argv.slice(2);
+  if (!["up", "down", "status"].includes(command)) {
+    console.error(USAGE);
+    process.exitCode = 1;
+    return;
+  }
+  const migrations = loadMigrations();
+  // The migration lock is per session, so this uses one connection rather than the pool
+  const db = await mysql.createConnection(dbConfig());
+  try {
+    if (command === "up") {
+      const ran = await migrate(db, migrations, { log: console.log });
+      console.log(ran.length ? `Applied ${ran.length} migration(s)` : "Nothing to migrate");
+    } else if (command === "down") {
+      const undone = await rollback(db, migrations, { steps: parseSteps(args), log: console.log });
+      console.log(undone.length ? `Rolled back ${undone.length} migration(s)` : "Nothing to roll back");
+    } else {
+      for (const row of await migrationStatus(db, migrations)) {
+        const state = row.missing ? "missing file" : row.applied_at ? `batch ${row.batch}, ${row.applied_at.toISOString()}` : "pending";
+        console.log(`${row.version.padEnd(40)} ${state}`);
+      }
+    }
+  } finally {
+    await db.end();
+  }
+};
+
+main().catch((error) => {
+  console.error("Migration error:", error.message);
+  process.exitCode = 1;
+});
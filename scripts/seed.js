@@ -0,0 +1,33 @@
+// Sample data for local development: `npm run seed` after `npm run migrate`.
+// Seeds are safe to run again; each one skips what is already there
+const fs = require("fs");
+const path = require("path");
+const dotenv = require("dotenv");
+
+dotenv.config({ path: path.resolve(__dirname, "../../.env") });
+
+const { getPool, closePool } = require("../config/db");
+
+const SEEDS_DIR = path.resolve(__dirname, "..", "seeds");
+
+const main = async () => {
+  if (process.env.NODE_ENV === "production" && !process.argv.includes("--force")) {
+    console.error("Refusing to seed a production database (pass --force if you really mean it)");
+    process.exitCode = 1;
+    return;
+  }
+  const db = getPool();
+  try {
+    for (const file of fs.readdirSync(SEEDS_DIR).filter((name) => name.endsWith(".js")).sort()) {
+      console.log(`Seeding ${file}`);
+      await require(path.join(SEEDS_DIR, file)).run(db, { log: (line) => console.log(`  ${line}`) });
+    }
+  } finally {
+    await closePool();
+  }
+};
+
+main().catch((error) => {
+  console.error("Seed error:", error.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,30 @@
+const bcrypt = require("bcryptjs");
+
+// An admin, an editor and a parent to sign in with. Existing accounts keep
+// their passwords; only their role is brought back in line
+const USERS = [
+  { name: "MamaCare Admin", email: () => process.env.SEED_ADMIN_EMAIL || "admin@mamacare.local", password: () => process.env.SEED_ADMIN_PASSWORD || "admin-password", role: "admin" },
+  { name: "Ada Editor", email: () => "editor@mamacare.local", password: () => "editor-password", role: "editor" },
+  { name: "Ngozi Parent", email: () => "parent@mamacare.local", password: () => "parent-password", role: "user" },
+];
+
+module.exports = {
+  run: async (db, { log }) => {
+    for (const user of USERS) {
+      const email = user.email();
+      const [existing] = await db.execute("SELECT id FROM users WHERE email = ?", [email]);
+      if (existing.length) {
+        await db.execute("UPDATE users SET role = ?, disabled_at = NULL WHERE id = ?", [user.role, existing[0].id]);
+        log(`${user.role.padEnd(6)} ${email} (already existed, password unchanged)`);
+        continue;
+      }
+      await db.execute("INSERT INTO users (name, email, password, is_verified, role) VALUES (?, ?, ?, true, ?)", [
+        user.name,
+        email,
+        await bcrypt.hash(user.password(), 10),
+        user.role,
+      ]);
+      log(`${user.role.padEnd(6)} ${email} / ${user.password()}`);
+    }
+  },
+};
@@ -0,0 +1,97 @@
+const { addDays } = require("../utils/timeZones");
+const { dateKey } = require("../utils/exchangeRates");
+const { defaultSchedule } = require("../utils/immunizations");
+
+// A ten-week-old baby for the demo parent with a little of everything logged,
+// dated relative to today so the app always has something current to show
+module.exports = {
+  run: async (db, { log }) => {
+    const [parents] = await db.execute("SELECT id FROM users WHERE email = 'parent@mamacare.local'");
+    if (parents.length === 0) return log("Skipped: parent@mamacare.local does not exist");
+    const parentId = parents[0].id;
+    const [babies] = await db.execute("SELECT id FROM babies WHERE user_id = ? AND deleted_at IS NULL", [parentId]);
+    if (babies.length) return log("Skipped: the demo parent already has a baby");
+
+    const today = dateKey(new Date());
+    const birthDate = addDays(today, -70);
+    const [baby] = await db.execute(
+      "INSERT INTO babies (user_id, name, birth_date, gender, immunization_schedule) VALUES (?, 'Amara', ?, 'female', ?)",
+      [parentId, birthDate, defaultSchedule()]
+    );
+    const babyId = baby.insertId;
+    await db.execute("INSERT INTO baby_members (baby_id, user_id, role) VALUES (?, ?, 'owner')", [babyId, parentId]);
+
+    for (const [days, type, notes] of [
+      [3, "Doctor Visit", "Ten-week check-up"],
+      [14, "Vaccination", "Bring the immunization card"],
+    ]) {
+      await db.execute("INSERT INTO schedules (baby_id, type, scheduled_time, notes) VALUES (?, ?, ?, ?)", [
+        babyId,
+        type,
+        `${addDays(today, days)} 10:00:00`,
+        notes,
+      ]);
+    }
+    await db.execute(
+      "INSERT INTO schedules (baby_id, type, scheduled_time, notes, recurrence_rule) VALUES (?, 'Bath Time', ?, NULL, 'FREQ=DAILY')",
+      [babyId, `${addDays(today, 1)} 19:00:00`]
+    );
+
+    for (const [days, height, weight] of [
+      [0, 49.5, 3.3],
+      [42, 56.0, 4.9],
+      [70, 58.5, 5.6],
+    ]) {
+      await db.execute("INSERT INTO baby_measurements (baby_id, height, weight, measurement_date) VALUES (?, ?, ?, ?)", [
+        babyId,
+        height,
+        weight,
+        addDays(birthDate, days),
+      ]);
+    }
+
+    await db.execute("INSERT INTO milestones (baby_id, title, description, milestone_date) VALUES (?, ?, ?, ?)", [
+      babyId,
+      "First smile",
+      "Smiled at Daddy during the morning feed",
+      addDays(birthDate, 42),
+    ]);
+
+    for (const [days, category, amount, description] of [
+      [-20, "Diapers", "12500.00", "Two packs of size 2"],
+      [-6, "Healthcare", "8000.00", "Clinic visit"],
+      [-2, "Clothing", "15000.00", "Onesies"],
+    ]) {
+      await db.execute(
+        "INSERT INTO expenses (user_id, baby_id, category, amount, currency, description, expense_date) VALUES (?, ?, ?, ?, 'NGN', ?, ?)",
+        [parentId, babyId, category, amount, description, addDays(today, days)]
+      );
+    }
+
+    // Yesterday's feeds, sleeps and diapers so the activity summary has a full day
+    const yesterday = addDays(today, -1);
+    for (const hour of [0, 3, 6, 9, 12, 15, 18, 21]) {
+      const start = `${yesterday} ${String(hour).padStart(2, "0")}:00:00`;
+      const end = `${yesterday} ${String(hour).padStart(2, "0")}:20:00`;
+      await db.execute(
+        "INSERT INTO activities (baby_id, user_id, kind, started_at, ended_at, feed_type, breast_side) VALUES (?, ?, 'feed', ?, ?, 'breast', 'both')",
+        [babyId, parentId, start, end]
+      );
+      await db.execute("INSERT INTO activities (baby_id, user_id, kind, started_at, ended_at, diaper) VALUES (?, ?, 'diaper', ?, ?, ?)", [
+        babyId,
+        parentId,
+        end,
+        end,
+        hour % 6 === 0 ? "mixed" : "wet",
+      ]);
+      await db.execute("INSERT INTO activities (baby_id, user_id, kind, started_at, ended_at) VALUES (?, ?, 'sleep', ?, ?)", [
+        babyId,
+        parentId,
+        `${yesterday} ${String(hour).padStart(2, "0")}:30:00`,
+        `${yesterday} ${String(hour + 2).padStart(2, "0")}:30:00`,
+      ]);
+    }
+
+    log(`Amara (baby ${babyId}) with schedules, measurements, a milestone, expenses and yesterday's activities`);
+  },
+};
@@ -0,0 +1,87 @@
+const { parseReference } = require("../utils/scriptureReferences");
+
+// Published daily reads and scriptures so the reading and devotional features
+// are not empty. Skipped when published content already exists
+const READS = [
+  {
+    title: "Your first week with a newborn",
+    content:
+      "Feed on demand, usually 8-12 times a day.\n\nExpect **at least one wet diaper per day of life** for the first week. Call your midwife if your baby is hard to wake or feeding poorly.",
+    topics: ["newborn", "feeding"],
+    baby_age_from_days: 0,
+    baby_age_to_days: 7,
+  },
+  {
+    title: "Safe sleep basics",
+    content: "Always place your baby **on their back** to sleep, in their own cot, with no pillows, bumpers or soft toys.",
+    topics: ["sleep", "safety"],
+    baby_age_from_days: 0,
+    baby_age_to_days: 365,
+  },
+  {
+    title: "Staying active in the second trimester",
+    content: "Walking, swimming and prenatal yoga are good choices. Stop and call your doctor if you feel dizzy, short of breath or have any bleeding.",
+    topics: ["exercise", "pregnancy"],
+    pregnancy_week_from: 14,
+    pregnancy_week_to: 27,
+  },
+];
+
+const SCRIPTURES = [
+  ["Psalm 139:13-14", "For you created my inmost being; you knit me together in my mother's womb. I praise you because I am fearfully and wonderfully made.", ["pregnancy", "gratitude"]],
+  ["Isaiah 40:11", "He tends his flock like a shepherd: He gathers the lambs in his arms and carries them close to his heart; he gently leads those that have young.", ["comfort", "family"]],
+  ["Philippians 4:6-7", "Do not be anxious about anything, but in every situation, by prayer and petition, with thanksgiving, present your requests to God. And the peace of God, which transcends all understanding, will guard your hearts and your minds in Christ Jesus.", ["peace"]],
+  ["Isaiah 41:10", "So do not fear, for I am with you; do not be dismayed, for I am your God. I will strengthen you and help you; I will uphold you with my righteous right hand.", ["strength", "comfort"]],
+  ["Psalm 127:3", "Children are a heritage from the Lord, offspring a reward from him.", ["family", "joy"]],
+];
+
+module.exports = {
+  run: async (db, { log }) => {
+    const [[editor]] = await db.execute("SELECT id FROM users WHERE email = 'editor@mamacare.local'");
+    const authorId = editor ? editor.id : null;
+
+    const [[{ reads }]] = await db.execute("SELECT COUNT(*) AS reads FROM daily_reads WHERE status = 'published'");
+    if (reads > 0) {
+      log("Skipped daily reads: published reads already exist");
+    } else {
+      for (const [index, read] of READS.entries()) {
+        const [result] = await db.execute(
+          `INSERT INTO daily_reads (title, content, published_date, pregnancy_week_from, pregnancy_week_to, baby_age_from_days, baby_age_to_days, status, author_id, published_at)
+           VALUES (?, ?, CURDATE() - INTERVAL ? DAY, ?, ?, ?, ?, 'published', ?, NOW())`,
+          [
+            read.title,
+            read.content,
+            index,
+            read.pregnancy_week_from ?? null,
+            read.pregnancy_week_to ?? null,
+            read.baby_age_from_days ?? null,
+            read.baby_age_to_days ?? null,
+            authorId,
+          ]
+        );
+        for (const topic of read.topics) {
+          await db.execute("INSERT INTO daily_read_topics (daily_read_id, topic) VALUES (?, ?)", [result.insertId, topic]);
+        }
+      }
+      log(`${READS.length} daily reads`);
+    }
+
+    const [[{ scriptures }]] = await db.execute("SELECT COUNT(*) AS scriptures FROM scriptures WHERE status = 'published'");
+    if (scriptures > 0) {
+      log("Skipped scriptures: published scriptures already exist");
+    } else {
+      for (const [input, verse, themes] of SCRIPTURES) {
+        const { reference, book, chapter, verse_start, end_chapter, verse_end } = parseReference(input);
+        const [result] = await db.execute(
+          `INSERT INTO scriptures (verse, reference, book, chapter, verse_start, end_chapter, verse_end, status, author_id, published_at)
+           VALUES (?, ?, ?, ?, ?, ?, ?, 'published', ?, NOW())`,
+          [verse, reference, book, chapter, verse_start, end_chapter, verse_end, authorId]
+        );
+        for (const theme of themes) {
+          await db.execute("INSERT INTO scripture_themes (scripture_id, theme) VALUES (?, ?)", [result.insertId, theme]);
+        }
+      }
+      log(`${SCRIPTURES.length} scriptures`);
+    }
+  },
+};
@@ -1,13 +1,146 @@
 const express = require("express");
-const nodemailer = require("nodemailer");
 const cors = require("cors");
 const dotenv = require("dotenv");
 const path = require("path");
-const mysql = require("mysql2/promise");
+const crypto = require("crypto");
 const bcrypt = require("bcryptjs");
 const jwt = require("jsonwebtoken");
 const helmet = require("helmet");
 const rateLimit = require("express-rate-limit");
+const { getPool } = require("./config/db");
+const { createRepositories } = require("./models");
+const { pick } = require("./models/common");
+const multer = require("multer");
+const {
+  INDICATORS: GROWTH_INDICATORS,
+  assessMeasurement,
+  percentileCrossings,
+  referenceCurves,
+  ageInDays,
+} = require("./utils/growth");
+const {
+  SYMPTOMS: JAUNDICE_SYMPTOMS,
+  toMgDl,
+  ageInHours,
+  assessJaundice,
+  jaundiceTrend,
+} = require("./utils/jaundice");
+const {
+  SYMPTOMS: SKIN_SYMPTOMS,
+  KNOWLEDGE_VERSION: SKIN_KNOWLEDGE_VERSION,
+  symptomDescriptions: skinSymptomDescriptions,
+  assessSkin,
+} = require("./utils/skin");
+const {
+  UNIT_SYSTEMS: BMI_UNIT_SYSTEMS,
+  toMetric,
+  weightIn,
+  heightIn,
+  computeBmi,
+  bmiCategory,
+  assessGain,
+  recommendationFor,
+} = require("./utils/bmi");
+const {
+  SCHEDULE_TYPES,
+  scheduleKind,
+  reminderConfig,
+  frontendUrl,
+  nextBirthday,
+  startReminderScheduler,
+} = require("./utils/reminderScheduler");
+const { RecurrenceError, parseRule, serializeRule, scheduleOccurrences } = require("./utils/recurrence");
+const { buildCalendar } = require("./utils/ical");
+const {
+  monthKey,
+  monthBounds,
+  monthsBetween,
+  monthOverMonth,
+  reachedThresholds,
+  toCsv,
+} = require("./utils/expenses");
+const {
+  SUPPORTED_CURRENCIES,
+  toMinor,
+  parseRate,
+  formatMinor,
+  formatRate,
+  sumMinor,
+  percentOf,
+} = require("./utils/money");
+const { dateKey, validateRate, parseRatesCsv, createConverter } = require("./utils/exchangeRates");
+const { sessionConfig, describeDevice } = require("./utils/sessions");
+const { recentlyIssued, issueCode, consumeCode, codeFailure } = require("./utils/oneTimeCodes");
+const {
+  generateSecret,
+  verifyTotp,
+  otpauthUri,
+  generateRecoveryCodes,
+  normalizeRecoveryCode,
+  encryptSecret,
+  decryptSecret,
+} = require("./utils/totp");
+const { INVITABLE_ROLES, can } = require("./utils/babyAccess");
+const { USER_ROLES, CONTENT_STATUSES, TRANSITIONS, isEditable, planTransition } = require("./utils/contentWorkflow");
+const {
+  MAX_PREGNANCY_WEEK,
+  MAX_BABY_AGE_DAYS,
+  normalizeTopics,
+  validateStages,
+  currentStages,
+  matchingStages,
+} = require("./utils/dailyReads");
+const { renderMarkdown, excerpt } = require("./utils/markdown");
+const { findBook, parseReference, canonicalKey } = require("./utils/scriptureReferences");
+const {
+  SCRIPTURE_THEMES,
+  TIME_PATTERN,
+  DEFAULT_DEVOTIONAL_TIME,
+  normalizeThemes,
+} = require("./utils/scriptures");
+const { isTimeZone, localDateKey, zonedTime, addDays } = require("./utils/timeZones");
+const {
+  DATING_METHODS,
+  WEEK_INFO,
+  trimesterOf,
+  gestationalAge,
+  progressOf,
+  datePregnancy,
+  infoForWeek,
+  prenatalPlan,
+} = require("./utils/pregnancy");
+const {
+  SCHEDULE_IDS: IMMUNIZATION_SCHEDULES,
+  STATUSES: IMMUNIZATION_STATUSES,
+  DISCLAIMER: IMMUNIZATION_DISCLAIMER,
+  defaultSchedule,
+  findDose,
+  planImmunizations,
+  doseStatus,
+  summarize: summarizeImmunizations,
+  listSchedules,
+} = require("./utils/immunizations");
+const {
+  ACTIVITY_KINDS,
+  TIMED_KINDS,
+  FEED_TYPES,
+  BREAST_SIDES,
+  DIAPER_TYPES,
+  validateActivityDetails,
+  validateTimes,
+  summarizeDay,
+  activityAlerts,
+  summarizeWeek,
+} = require("./utils/activities");
+const { sniffMediaType, mediaConfig, signMediaPath, verifyMediaSignature } = require("./utils/media");
+const { createMediaStorage } = require("./utils/mediaStorage");
+const { mailConfig, createMailTransport } = require("./utils/mailTransport");
+const { LOCALES: MAIL_LOCALES, escapeHtml } = require("./utils/mailTemplates");
+const { createMailer } = require("./utils/mailer");
+const { serverError, requestId, errorEnvelope, errorHandler } = require("./utils/httpErrors");
+const { FORMATS, validate, field, idParams } = require("./utils/validation");
+const { buildOpenApiDocument } = require("./utils/openapi");
+const { pageQuery, readPaging, toPage, pageRows } = require("./utils/pagination");
 
 // Load environment variables from .env file
 dotenv.config({ path: path.resolve(__dirname, "../.env") });
@@ -17,44 +150,35 @@ if (!process.env.JWT_SECRET) {
   console.error("FATAL: JWT_SECRET is not defined in .env");
   process.exit(1);
 }
-if (!process.env.EMAIL_USER || !process.env.EMAIL_PASS) {
-  console.error("FATAL: EMAIL_USER or EMAIL_PASS is not defined in .env");
-  process.exit(1);
-}
-
-// Debug environment variables
-console.log("EMAIL_USER:", process.env.EMAIL_USER || "undefined");
-console.log("PORT:", process.env.PORT || 5000);
 
 const app = express();
 const port = process.env.PORT || 5000;
 
-// MySQL connection configuration
-const dbConfig = {
-  host: process.env.NODE_ENV === "production" ? process.env.DB_HOST : process.env.DB_HOST_LOCAL,
-  port: process.env.NODE_ENV === "production" ? process.env.DB_PORT : process.env.DB_PORT_LOCAL,
-  user: process.env.NODE_ENV === "production" ? process.env.DB_USER : process.env.DB_USER_LOCAL,
-  password: process.env.NODE_ENV === "production" ? process.env.DB_PASS : process.env.DB_PASS_LOCAL,
-  database: process.env.NODE_ENV === "production" ? process.env.DB_NAME : process.env.DB_NAME_LOCAL,
-  ssl: process.env.NODE_ENV === "production" ? { rejectUnauthorized: true } : undefined,
-};
-
-// Nodemailer transporter for email sending
-const transporter = nodemailer.createTransport({
-  service: "gmail",
-  debug: true,
-  logger: true,
-  auth: {
-    user: process.env.EMAIL_USER,
-    pass: process.env.EMAIL_PASS,
-  },
-});
+// Shared MySQL connection pool (config/db.js), for /api/test-db; everything
+// else goes through the repositories
+const db = getPool();
+
+// Every route's data access: MySQL, or in memory for tests (DATA_STORE)
+const repositories = createRepositories();
+
+// Outgoing mail is queued and delivered in the background through SMTP, a JSON
+// outbox, the console or memory (MAIL_TRANSPORT)
+const mailer = createMailer({ queue: repositories.mailQueue, transport: createMailTransport(), from: mailConfig().from });
+
+// Milestone photos and videos: local disk or an S3-compatible bucket (MEDIA_STORAGE)
+const mediaStorage = createMediaStorage();
 
 // Middleware setup
+// Behind a load balancer, TRUST_PROXY (hop count or subnet list) makes req.ip the client address
+if (process.env.TRUST_PROXY) {
+  app.set("trust proxy", /^\d+$/.test(process.env.TRUST_PROXY) ? Number(process.env.TRUST_PROXY) : process.env.TRUST_PROXY);
+}
+app.use(requestId); // X-Request-Id on every response, and in error logs
+app.use(errorEnvelope); // { message, code, request_id } on every error response
 app.use(helmet()); // Security headers
 app.use(cors({
   origin: ["http://localhost:5173", "http://localhost:5174", "https://mamacare-backend-xu75.onrender.com/"],
-  methods: ["GET", "POST", "OPTIONS"],
+  methods: ["GET", "POST", "PUT", "PATCH", "DELETE", "OPTIONS"],
   credentials: true,
 }));
 app.use(express.json({ limit: "10kb" })); // Limit request body size
@@ -68,193 +192,420 @@ app.use("/api/signup", limiter);
 app.use("/api/login", limiter);
 app.use("/api/verify-email", limiter);
 app.use("/api/contact", limiter);
+app.use("/api/token/refresh", limiter);
+app.use("/api/resend-verification", limiter);
+app.use("/api/forgot-password", limiter);
+app.use("/api/reset-password", limiter);
+
+const ACCOUNT_DISABLED_MESSAGE = "This account has been disabled. Please contact support.";
 
 // Middleware to verify JWT
+// Access tokens carry their session id (sid), so signing a session out rejects
+// its access tokens straight away instead of when they expire
 const authenticateToken = (req, res, next) => {
   const authHeader = req.headers["authorization"];
   const token = authHeader && authHeader.split(" ")[1];
   if (!token) return res.status(401).json({ message: "Access token required" });
 
-  jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
-    if (err) return res.status(403).json({ message: "Invalid token" });
-    req.user = user;
-    next();
+  jwt.verify(token, process.env.JWT_SECRET, async (err, user) => {
+    // Purpose-bound tokens (such as 2FA challenges) are not access tokens
+    if (err || user.purpose) return res.status(403).json({ message: "Invalid token" });
+    if (!user.sid) return res.status(401).json({ message: "Session expired, please log in again" });
+
+    try {
+      const session = await repositories.sessions.findActive(user.sid, user.userId);
+      if (!session) {
+        return res.status(401).json({ message: "Session has been signed out, please log in again" });
+      }
+      if (session.disabled_at) {
+        return res.status(403).json({ message: ACCOUNT_DISABLED_MESSAGE });
+      }
+      await repositories.sessions.touch(user.sid, req.ip, sessionConfig().touchMinutes);
+      // The role is read fresh on every request so role changes apply immediately
+      req.user = { ...user, role: session.role };
+      next();
+    } catch (error) {
+      next(serverError("Failed to verify session", error));
+    }
   });
 };
 
+// Use after authenticateToken, e.g. requireRole("editor", "admin")
+const requireRole = (...roles) => {
+  const middleware = (req, res, next) => {
+    if (!roles.includes(req.user.role)) {
+      return res.status(403).json({ message: `This action requires the ${roles.join(" or ")} role` });
+    }
+    next();
+  };
+  // Listed in the API docs (utils/openapi.js)
+  middleware.roles = roles;
+  return middleware;
+};
+
+// Records who changed what; `repos` is repositories or a transaction's
+const recordAudit = (repos, actorId, action, entityType, entityId, changes = null) =>
+  repos.auditLog.record({ actorId, action, entityType, entityId, changes });
+
+// JSON columns come back parsed from MySQL but as strings from some drivers/versions
+const parseJsonColumn = (value) => (typeof value === "string" ? JSON.parse(value) : value);
+
+// Secrets handed to clients (refresh tokens, calendar feed tokens) are stored as SHA-256 hashes
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+// Loads a baby the user is a member of and checks their role grants `permission`
+// (see utils/babyAccess.js). Returns { baby } or { status, message } to send back
+const findMemberBaby = async (babyId, userId, permission) => {
+  const baby = await repositories.babies.findMembership(babyId, userId);
+  if (!baby) return { status: 404, message: "Baby not found" };
+  if (!can(baby.role, permission)) {
+    return { status: 403, message: "Your role on this baby's profile does not allow this" };
+  }
+  return { baby };
+};
+
+// Record ownership
+// Per-record routes load the row through ownershipGuard, which answers 404 for
+// records that don't exist or that the user has no access to. Babies, schedules
+// and milestones are reached through baby_members, so deleting a baby hides its
+// records as well. Expenses belong to whoever entered them, and are also visible
+// to co-parents when they are tagged with a shared baby. Pregnancies belong to
+// their user, and deleting one hides its prenatal visits.
+const UNDO_WINDOW_MINUTES = parseInt(process.env.UNDO_WINDOW_MINUTES || "10", 10);
+
+// Each resource is loaded through the repository of the same name
+// (findAccessible), and format shapes the response
+const OWNED_RESOURCES = {
+  babies: {
+    label: "Baby",
+    format: (row, role) => ({ ...row, role }),
+  },
+  schedules: {
+    label: "Schedule",
+    format: (row) => formatSchedule(row),
+  },
+  expenses: {
+    label: "Expense",
+    // user_id, the owner, is only loaded for budget alerts on shared expenses
+    format: ({ user_id, ...expense }) => expense,
+  },
+  activities: {
+    label: "Activity",
+    format: (row) => formatActivity(row),
+  },
+  milestones: {
+    label: "Milestone",
+  },
+  pregnancies: {
+    label: "Pregnancy",
+    format: (row) => presentPregnancy(row),
+  },
+};
+
+const findOwned = (resource, id, userId, options) => repositories[resource].findAccessible(id, userId, options);
+
+// Loads req.params.id into req.record if the current user can reach it.
+// Pass { deleted: true } to look up soft-deleted records (for restore) and
+// { permission } to require a baby role permission on top of access
+const ownershipGuard = (resource, options = {}) => async (req, res, next) => {
+  const { label } = OWNED_RESOURCES[resource];
+  try {
+    const record = await findOwned(resource, req.params.id, req.user.userId, options);
+    if (!record) return res.status(404).json({ message: `${label} not found` });
+    if (options.permission && record.access_role && !can(record.access_role, options.permission)) {
+      return res.status(403).json({ message: "Your role on this baby's profile does not allow this" });
+    }
+    req.record = record;
+    next();
+  } catch (error) {
+    throw serverError(`Failed to load ${label.toLowerCase()}`, error);
+  }
+};
+
+const presentOwned = (resource, record) => {
+  const { deleted_at, access_role, ...fields } = record;
+  const { format } = OWNED_RESOURCES[resource];
+  return format ? format(fields, access_role) : fields;
+};
+
+const sendOwned = (resource) => (req, res) => {
+  res.status(200).json(presentOwned(resource, req.record));
+};
+
+// Applies already-validated column updates and returns the fresh record
+// afterUpdate(record) may return extra fields to merge into the response
+const updateOwned = async (resource, req, res, fields, afterUpdate) => {
+  const { label } = OWNED_RESOURCES[resource];
+  const columns = Object.keys(fields);
+  if (columns.length === 0) {
+    return res.status(400).json({ message: "No updatable fields provided" });
+  }
+
+  try {
+    await repositories[resource].update(req.record.id, fields);
+    const record = await findOwned(resource, req.record.id, req.user.userId);
+    const extra = afterUpdate ? await afterUpdate(record) : {};
+    res.status(200).json({ message: `${label} updated!`, [label.toLowerCase()]: presentOwned(resource, record), ...extra });
+  } catch (error) {
+    throw serverError(`Failed to update ${label.toLowerCase()}`, error);
+  }
+};
+
+const softDeleteOwned = (resource) => async (req, res) => {
+  const { label } = OWNED_RESOURCES[resource];
+  try {
+    await repositories[resource].softDelete(req.record.id);
+    res.status(200).json({
+      message: `${label} deleted`,
+      undo_until: new Date(Date.now() + UNDO_WINDOW_MINUTES * 60000),
+    });
+  } catch (error) {
+    throw serverError(`Failed to delete ${label.toLowerCase()}`, error);
+  }
+};
+
+const restoreOwned = (resource) => async (req, res) => {
+  const { label } = OWNED_RESOURCES[resource];
+  try {
+    if (!(await repositories[resource].restore(req.record.id, UNDO_WINDOW_MINUTES))) {
+      return res.status(410).json({ message: `The undo window for this ${label.toLowerCase()} has expired` });
+    }
+    const record = await findOwned(resource, req.record.id, req.user.userId);
+    res.status(200).json({ message: `${label} restored`, [label.toLowerCase()]: presentOwned(resource, record) });
+  } catch (error) {
+    throw serverError(`Failed to restore ${label.toLowerCase()}`, error);
+  }
+};
+
+// Schema pieces shared across sections
+const NOTES = field.nullable(field.text(1000));
+const DESCRIPTION = field.nullable(field.text(5000));
+// For the health records listed per baby
+const BABY_QUERY = field.object({ baby_id: field.id }, ["baby_id"]);
+// Ranges accept a plain date as well as a date-time. A plain date means
+// midnight UTC; a date-time without an offset is read in server time
+const DATE_OR_DATE_TIME = field.string({
+  description: "YYYY-MM-DD (midnight UTC) or a date-time; without an offset, a date-time is in server time",
+  check: (value) => FORMATS.date.test(value) || FORMATS["date-time"].test(value) || "must be a date or a date-time",
+});
+
 // Health check
-app.get("/", (req, res) => {
+app.get("/", validate({ summary: "Check that the API is up" }), (req, res) => {
   res.status(200).json({ message: "MamaCare API is running!" });
 });
 
-// Test database connection
-app.get("/api/test-db", async (req, res) => {
+// Test the MySQL connection itself, whatever DATA_STORE is
+app.get("/api/test-db", validate({ summary: "Check the database connection" }), async (req, res) => {
   try {
-    const db = await mysql.createConnection(dbConfig);
     const [rows] = await db.execute("SELECT 1");
-    await db.end();
     res.status(200).json({ message: "Database connected successfully", rows });
   } catch (error) {
-    console.error("Database connection error:", error.message);
-    res.status(500).json({ message: "Failed to connect to database", error: error.message });
+    throw serverError("Failed to connect to database", error);
   }
 });
 
-// User Routes
-// Signup with email verification
-app.post("/api/signup", async (req, res) => {
-  const { name, email, password } = req.body;
+// Sessions
+// Each login starts a session with a short-lived access token and a rotating
+// refresh token. Refresh tokens are single use: presenting one that was
+// already rotated means it leaked, so the whole session is revoked.
+const signAccessToken = (user, sessionId) =>
+  jwt.sign({ userId: user.id, email: user.email, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: sessionConfig().accessTokenTtl,
+  });
+
+const issueRefreshToken = async (sessionId) => {
+  const refreshToken = crypto.randomBytes(32).toString("hex");
+  const refreshTokenId = await repositories.sessions.createRefreshToken(sessionId, hashToken(refreshToken), sessionConfig().refreshTokenDays);
+  return { refreshToken, refreshTokenId };
+};
+
+const createSession = async (user, req) => {
+  const userAgent = req.get("user-agent") || null;
+  const sessionId = await repositories.sessions.create({
+    userId: user.id,
+    device: describeDevice(userAgent),
+    userAgent: userAgent && userAgent.slice(0, 500),
+    ipAddress: req.ip,
+    days: sessionConfig().refreshTokenDays,
+  });
+  const { refreshToken } = await issueRefreshToken(sessionId);
+  return { token: signAccessToken(user, sessionId), refresh_token: refreshToken };
+};
+
+const verifyUrl = process.env.NODE_ENV === "production" ? "https://mamacare.vercel.app/verify" : "http://localhost:5174/verify";
+
+// Emails go out in the language the request asked for when there is a
+// template for it (data/email-templates.json)
+const mailLocale = (req) => req.acceptsLanguages(...MAIL_LOCALES) || undefined;
+
+const sendVerificationEmail = (user, code, ttlMinutes, locale) =>
+  mailer.send({
+    to: user.email,
+    template: "verify_email",
+    data: { name: user.name, code, ttl_minutes: ttlMinutes, verify_url: verifyUrl },
+    locale,
+  });
 
-  if (!name || !email || !password) {
-    return res.status(400).json({ message: "Missing required fields: name, email, password" });
+// Two-factor authentication
+// Opt-in TOTP. With 2FA on, /api/login only hands out a short-lived challenge
+// token; the session is created once /api/login/2fa accepts a code from the
+// authenticator app or one of the single-use recovery codes.
+const TWO_FACTOR_CHALLENGE_TTL = "5m";
+const TWO_FACTOR_MAX_FAILURES = 5;
+const TWO_FACTOR_LOCK_MINUTES = 15;
+
+const storeRecoveryCodes = async (userId) => {
+  const codes = generateRecoveryCodes();
+  await repositories.twoFactor.replaceRecoveryCodes(userId, codes.map((code) => hashToken(normalizeRecoveryCode(code))));
+  return codes;
+};
+
+// Accepts { code } from the authenticator or { recovery_code }. Repeated failures
+// lock the second factor for a while. Returns null on success, else { status, message }
+const verifySecondFactor = async (totp, { code, recovery_code }) => {
+  if (totp.locked) {
+    return { status: 429, message: `Too many incorrect codes. Try again in ${TWO_FACTOR_LOCK_MINUTES} minutes.` };
   }
 
-  const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-  if (!emailRegex.test(email)) {
-    return res.status(400).json({ message: "Invalid email format" });
+  let accepted = false;
+  if (recovery_code) {
+    accepted = await repositories.twoFactor.useRecoveryCode(totp.user_id, hashToken(normalizeRecoveryCode(recovery_code)));
+  } else {
+    const afterStep = totp.last_used_step === null ? null : Number(totp.last_used_step);
+    const step = verifyTotp(decryptSecret(totp.secret_encrypted), code, { afterStep });
+    if (step !== null) accepted = await repositories.twoFactor.useStep(totp.user_id, step);
   }
 
-  if (name.length > 255 || email.length > 255 || password.length < 8) {
-    return res.status(400).json({ message: "Invalid input lengths" });
+  if (!accepted) {
+    await repositories.twoFactor.recordFailure(totp.user_id, TWO_FACTOR_MAX_FAILURES, TWO_FACTOR_LOCK_MINUTES);
+    return { status: 400, message: "Invalid two-factor code" };
   }
+  await repositories.twoFactor.resetFailures(totp.user_id);
+  return null;
+};
+
+const checkPassword = async (userId, password) => {
+  const user = await repositories.users.findById(userId);
+  return Boolean(user) && typeof password === "string" && (await bcrypt.compare(password, user.password));
+};
+
+// User Routes
+const NEW_PASSWORD = field.string({ minLength: 8, maxLength: 128 });
+// Emailed one-time codes are strings so leading zeros survive
+const EMAILED_CODE = field.requiredText(20);
+
+// Signup with email verification
+const SIGNUP_REQUEST = {
+  summary: "Create an account and email a verification code",
+  body: field.object({ name: field.requiredText(255), email: field.email, password: NEW_PASSWORD }, ["name", "email", "password"]),
+};
+
+app.post("/api/signup", validate(SIGNUP_REQUEST), async (req, res) => {
+  const { name, email, password } = req.body;
 
   try {
-    const db = await mysql.createConnection(dbConfig);
-    const [existingUsers] = await db.execute("SELECT * FROM users WHERE email = ?", [email]);
-    if (existingUsers.length > 0) {
-      await db.end();
+    const existingUser = await repositories.users.findByEmail(email);
+    if (existingUser) {
+      if (!existingUser.is_verified) {
+        return res.status(400).json({
+          message: "Email already registered but not verified. Request a new code to finish signing up.",
+          redirect: "/verify",
+        });
+      }
       return res.status(400).json({ message: "Email already registered" });
     }
 
     const hashedPassword = await bcrypt.hash(password, 10);
-    const verificationCode = Math.floor(100000 + Math.random() * 900000).toString();
-    const hashedCode = await bcrypt.hash(verificationCode, 10);
-
-    await db.execute(
-      "INSERT INTO users (name, email, password, verification_code, is_verified) VALUES (?, ?, ?, ?, ?)",
-      [name, email, hashedPassword, hashedCode, false]
-    );
-
-    const mailOptions = {
-      from: `"MamaCare" <${process.env.EMAIL_USER}>`,
-      to: email,
-      subject: "Welcome to MamaCare! Verify Your Email",
-      html: `
-        <h3>Welcome to MamaCare, ${name}!</h3>
-        <p>Thank you for signing up. Please use the following code to verify your email:</p>
-        <h2>${verificationCode}</h2>
-        <p>Enter this code in the MamaCare app at <a href="${process.env.NODE_ENV === "production" ? "https://mamacare.vercel.app/verify" : "http://localhost:5174/verify"}">Verify Email</a> to complete your registration.</p>
-        <p>If you didn’t sign up, please ignore this email.</p>
-      `,
-    };
+    const userId = await repositories.users.create({ name, email, password: hashedPassword });
+    const { code, ttlMinutes } = await issueCode(repositories.oneTimeCodes, userId, "verify_email");
 
     try {
-      const info = await transporter.sendMail(mailOptions);
-      console.log("Welcome email sent:", info.response);
+      await sendVerificationEmail({ name, email }, code, ttlMinutes, mailLocale(req));
     } catch (emailError) {
-      console.error("Email sending failed:", emailError.message);
-      await db.end();
-      return res.status(500).json({ message: "User registered, but failed to send verification email" });
+      console.error("Verification email queueing failed:", emailError.message);
+      return res.status(500).json({
+        message: "User registered, but failed to send verification email. Request a new code to finish signing up.",
+        redirect: "/verify",
+      });
     }
 
-    await db.end();
     res.status(201).json({ 
       message: "User registered successfully! Please check your email for the verification code.",
       redirect: "/verify"
     });
   } catch (error) {
-    console.error("Signup error:", error.message);
-    res.status(500).json({ message: "Failed to register user", error: error.message });
+    throw serverError("Failed to register user", error);
   }
 });
 
 // Verify email with auto-login
-app.post("/api/verify-email", async (req, res) => {
-  const { email, code } = req.body;
+const VERIFY_EMAIL_REQUEST = {
+  summary: "Verify an email address with its code and sign in",
+  body: field.object({ email: field.email, code: EMAILED_CODE }, ["email", "code"]),
+};
 
-  if (!email || !code) {
-    return res.status(400).json({ message: "Missing required fields: email, code" });
-  }
+app.post("/api/verify-email", validate(VERIFY_EMAIL_REQUEST), async (req, res) => {
+  const { email, code } = req.body;
 
   try {
-    const db = await mysql.createConnection(dbConfig);
-    const [users] = await db.execute("SELECT * FROM users WHERE email = ?", [email]);
-    if (users.length === 0) {
-      await db.end();
+    const user = await repositories.users.findByEmail(email);
+    if (!user) {
       return res.status(404).json({ message: "User not found" });
     }
 
-    const user = users[0];
-    const isMatch = await bcrypt.compare(code, user.verification_code);
-    if (!isMatch) {
-      await db.end();
-      return res.status(400).json({ message: "Invalid verification code" });
-    }
-
-    await db.execute("UPDATE users SET is_verified = true, verification_code = NULL WHERE email = ?", [email]);
-
-    const token = jwt.sign({ userId: user.id, email: user.email }, process.env.JWT_SECRET, {
-      expiresIn: "1h",
-    });
-
-    const mailOptions = {
-      from: `"MamaCare" <${process.env.EMAIL_USER}>`,
-      to: email,
-      subject: "MamaCare Account Verified!",
-      html: `
-        <h3>Hello, ${user.name}!</h3>
-        <p>Your email (${email}) has been successfully verified!</p>
-        <p>Welcome to MamaCare, your go-to app for managing your parenting journey. You can now explore features like:</p>
-        <ul>
-          <li>Baby Scheduler: Track feeding, sleep, and doctor visits.</li>
-          <li>Expense Tracker: Monitor baby-related expenses.</li>
-          <li>Milestones: Record your baby’s special moments.</li>
-        </ul>
-        <p>You're logged in and ready to start! Visit <a href="${process.env.NODE_ENV === "production" ? "https://mamacare.vercel.app/dashboard" : "http://localhost:5174/dashboard"}">MamaCare Dashboard</a>.</p>
-        <p>Thank you for joining us!</p>
-        <p>The MamaCare Team</p>
-      `,
-    };
+    if (user.is_verified) {
+      return res.status(400).json({ message: "Email already verified", redirect: "/login" });
+    }
+
+    const check = await consumeCode(repositories.oneTimeCodes, user.id, "verify_email", code);
+    if (!check.ok) {
+      const { status, message } = codeFailure(check);
+      return res.status(status).json({ message });
+    }
+
+    await repositories.users.markVerified(user.id);
+
+    const tokens = await createSession(user, req);
 
     try {
-      const info = await transporter.sendMail(mailOptions);
-      console.log("Confirmation email sent:", info.response);
+      await mailer.send({
+        to: user.email,
+        template: "email_verified",
+        data: { name: user.name, email: user.email, dashboard_url: frontendUrl("/dashboard") },
+        locale: mailLocale(req),
+      });
     } catch (emailError) {
-      console.error("Confirmation email sending failed:", emailError.message);
+      console.error("Confirmation email queueing failed:", emailError.message);
     }
 
-    await db.end();
     res.status(200).json({ 
       message: "Email verified successfully! You're now logged in.",
-      token,
+      ...tokens,
       user: { id: user.id, name: user.name, email: user.email },
       redirect: "/dashboard"
     });
   } catch (error) {
-    console.error("Verify email error:", error.message);
-    res.status(500).json({ message: "Failed to verify email", error: error.message });
+    throw serverError("Failed to verify email", error);
   }
 });
 
 // Login
-app.post("/api/login", async (req, res) => {
-  const { email, password } = req.body;
+const LOGIN_REQUEST = {
+  summary: "Sign in with email and password",
+  description: "Accounts with two-factor authentication get a challenge_token to finish at /api/login/2fa instead of tokens.",
+  body: field.object({ email: field.requiredText(255), password: field.requiredText(1024) }, ["email", "password"]),
+};
 
-  if (!email || !password) {
-    return res.status(400).json({ message: "Missing required fields: email, password" });
-  }
+app.post("/api/login", validate(LOGIN_REQUEST), async (req, res) => {
+  const { email, password } = req.body;
 
   try {
-    const db = await mysql.createConnection(dbConfig);
-    const [users] = await db.execute("SELECT * FROM users WHERE email = ?", [email]);
-    if (users.length === 0) {
-      await db.end();
+    const user = await repositories.users.findByEmail(email);
+    if (!user) {
       return res.status(401).json({ message: "Invalid email or password" });
     }
 
-    const user = users[0];
     if (!user.is_verified) {
-      await db.end();
       return res.status(403).json({ 
         message: "Please verify your email before logging in",
         redirect: "/verify"
@@ -263,482 +614,3774 @@ app.post("/api/login", async (req, res) => {
 
     const isMatch = await bcrypt.compare(password, user.password);
     if (!isMatch) {
-      await db.end();
       return res.status(401).json({ message: "Invalid email or password" });
     }
 
-    const token = jwt.sign({ userId: user.id, email: user.email }, process.env.JWT_SECRET, {
-      expiresIn: "1h",
-    });
-    await db.end();
+    if (user.disabled_at) {
+      return res.status(403).json({ message: ACCOUNT_DISABLED_MESSAGE });
+    }
+
+    const totp = await repositories.twoFactor.find(user.id);
+    if (totp && totp.enabled_at) {
+      return res.status(200).json({
+        message: "Two-factor authentication required",
+        two_factor_required: true,
+        challenge_token: jwt.sign({ userId: user.id, purpose: "2fa_challenge" }, process.env.JWT_SECRET, {
+          expiresIn: TWO_FACTOR_CHALLENGE_TTL,
+        }),
+        redirect: "/login/2fa",
+      });
+    }
+
+    const tokens = await createSession(user, req);
     res.status(200).json({ 
       message: "Login successful", 
-      token,
+      ...tokens,
       user: { id: user.id, name: user.name, email: user.email },
       redirect: "/dashboard"
     });
   } catch (error) {
-    console.error("Login error:", error.message);
-    res.status(500).json({ message: "Failed to login", error: error.message });
+    throw serverError("Failed to login", error);
   }
 });
 
-// Contact form
-app.post("/api/contact", limiter, async (req, res) => {
-  const { name, email, message } = req.body;
-
-  if (!name || !email || !message) {
-    return res.status(400).json({ message: "Missing required fields: name, email, message" });
-  }
-
-  const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-  if (!emailRegex.test(email)) {
-    return res.status(400).json({ message: "Invalid email format" });
-  }
+const LOGIN_2FA_REQUEST = {
+  summary: "Finish signing in with an authenticator or recovery code",
+  body: field.object(
+    { challenge_token: field.requiredText(2048), code: field.text(10), recovery_code: field.text(20) },
+    ["challenge_token"]
+  ),
+};
 
-  if (name.length > 255 || message.length > 1000) {
-    return res.status(400).json({ message: "Invalid input lengths" });
+app.post("/api/login/2fa", validate(LOGIN_2FA_REQUEST), async (req, res) => {
+  const { challenge_token, code, recovery_code } = req.body;
+  if (!code && !recovery_code) {
+    return res.status(400).json({ message: "Missing required fields: challenge_token, code or recovery_code" });
   }
 
-  const mailOptions = {
-    from: `"MamaCare" <${process.env.EMAIL_USER}>`,
-    to: process.env.EMAIL_USER,
-    replyTo: email,
-    subject: `MamaCare Contact Form - From ${name}`,
-    html: `
-      <h3>New Contact Message from MamaCare</h3>
-      <p><strong>Name:</strong> ${name}</p>
-      <p><strong>Email:</strong> ${email}</p>
-      <p><strong>Message:</strong></p>
-      <p>${message}</p>
-      <p>Reply to this message directly or contact the user at <a href="mailto:${email}">${email}</a>.</p>
-      <p>Thank you for supporting MamaCare!</p>
-    `,
-  };
-
+  let challenge;
   try {
-    const info = await transporter.sendMail(mailOptions);
-    console.log("Contact email sent:", info.response);
-    res.status(200).json({ message: "Email sent successfully!" });
+    challenge = jwt.verify(challenge_token, process.env.JWT_SECRET);
   } catch (error) {
-    console.error("Contact email sending failed:", error.message);
-    res.status(500).json({ message: "Failed to send email", error: error.message });
+    return res.status(401).json({ message: "Login challenge expired, please log in again", redirect: "/login" });
+  }
+  if (challenge.purpose !== "2fa_challenge") {
+    return res.status(401).json({ message: "Invalid login challenge", redirect: "/login" });
   }
-});
 
-// User Data
-app.get("/api/user", authenticateToken, async (req, res) => {
   try {
-    const db = await mysql.createConnection(dbConfig);
-    const [users] = await db.execute("SELECT id, name, email FROM users WHERE id = ?", [req.user.userId]);
-    if (users.length === 0) {
-      await db.end();
-      return res.status(404).json({ message: "User not found" });
+    const user = await repositories.users.findById(challenge.userId);
+    const totp = user && !user.disabled_at ? await repositories.twoFactor.find(challenge.userId) : null;
+    if (!totp || !totp.enabled_at) {
+      return res.status(401).json({ message: "Invalid login challenge", redirect: "/login" });
     }
-    await db.end();
-    res.status(200).json(users[0]);
-  } catch (error) {
-    console.error("Get user error:", error.message);
-    res.status(500).json({ message: "Failed to fetch user data", error: error.message });
-  }
-});
 
-// Baby Profiles
-app.post("/api/babies", authenticateToken, async (req, res) => {
-  const { name, birth_date, gender } = req.body;
-  if (!name || !birth_date || !gender) {
-    return res.status(400).json({ message: "Missing required fields: name, birth_date, gender" });
-  }
+    const failure = await verifySecondFactor(totp, { code, recovery_code });
+    if (failure) {
+      return res.status(failure.status).json({ message: failure.message });
+    }
 
-  if (name.length > 255 || !/^\d{4}-\d{2}-\d{2}$/.test(birth_date) || !["male", "female"].includes(gender.toLowerCase())) {
-    return res.status(400).json({ message: "Invalid input format" });
+    const tokens = await createSession(user, req);
+    res.status(200).json({
+      message: "Login successful",
+      ...tokens,
+      user: { id: user.id, name: user.name, email: user.email },
+      recovery_codes_remaining: await repositories.twoFactor.countRecoveryCodes(user.id),
+      redirect: "/dashboard",
+    });
+  } catch (error) {
+    throw serverError("Failed to login", error);
   }
+});
 
+app.get("/api/2fa", authenticateToken, validate({ summary: "Two-factor authentication status" }), async (req, res) => {
   try {
-    const db = await mysql.createConnection(dbConfig);
-    await db.execute(
-      "INSERT INTO babies (user_id, name, birth_date, gender) VALUES (?, ?, ?, ?)",
-      [req.user.userId, name, birth_date, gender]
-    );
-    await db.end();
-    res.status(201).json({ message: "Baby profile added!" });
+    const totp = await repositories.twoFactor.find(req.user.userId);
+    res.status(200).json({
+      enabled: Boolean(totp && totp.enabled_at),
+      enabled_at: totp ? totp.enabled_at : null,
+      recovery_codes_remaining: totp && totp.enabled_at ? await repositories.twoFactor.countRecoveryCodes(req.user.userId) : 0,
+    });
   } catch (error) {
-    console.error("Add baby error:", error.message);
-    res.status(500).json({ message: "Failed to add baby profile", error: error.message });
+    throw serverError("Failed to fetch two-factor status", error);
   }
 });
 
-app.get("/api/babies", authenticateToken, async (req, res) => {
+// Starts enrollment with a new secret; 2FA stays off until /api/2fa/confirm
+app.post("/api/2fa/setup", authenticateToken, validate({ summary: "Start two-factor enrollment with a new secret" }), async (req, res) => {
   try {
-    const db = await mysql.createConnection(dbConfig);
-    const [babies] = await db.execute("SELECT id, name, birth_date, gender FROM babies WHERE user_id = ?", [req.user.userId]);
-    await db.end();
-    res.status(200).json(babies);
+    const totp = await repositories.twoFactor.find(req.user.userId);
+    if (totp && totp.enabled_at) {
+      return res.status(400).json({ message: "Two-factor authentication is already enabled" });
+    }
+
+    const secret = generateSecret();
+    await repositories.twoFactor.begin(req.user.userId, encryptSecret(secret));
+    res.status(200).json({
+      message: "Scan the QR code or enter the key in your authenticator app, then confirm with a code",
+      secret,
+      otpauth_uri: otpauthUri({ issuer: "MamaCare", account: req.user.email, secret }),
+    });
   } catch (error) {
-    console.error("Get babies error:", error.message);
-    res.status(500).json({ message: "Failed to fetch baby profiles", error: error.message });
+    throw serverError("Failed to start two-factor setup", error);
   }
 });
 
-// Schedules
-app.post("/api/schedules", authenticateToken, async (req, res) => {
-  const { baby_id, type, scheduled_time, notes } = req.body;
-  if (!baby_id || !type || !scheduled_time) {
-    return res.status(400).json({ message: "Missing required fields: baby_id, type, scheduled_time" });
-  }
+// Recovery codes are only ever shown in this response
+const CONFIRM_2FA_REQUEST = {
+  summary: "Turn two-factor authentication on with a first code",
+  body: field.object({ code: field.requiredText(10) }, ["code"]),
+};
+
+app.post("/api/2fa/confirm", authenticateToken, validate(CONFIRM_2FA_REQUEST), async (req, res) => {
+  const { code } = req.body;
 
   try {
-    const db = await mysql.createConnection(dbConfig);
-    await db.execute(
-      "INSERT INTO schedules (baby_id, type, scheduled_time, notes) VALUES (?, ?, ?, ?)",
-      [baby_id, type, scheduled_time, notes || null]
-    );
-    await db.end();
-    res.status(201).json({ message: "Schedule added!" });
+    const totp = await repositories.twoFactor.find(req.user.userId);
+    if (!totp || totp.enabled_at) {
+      return res.status(400).json({
+        message: totp ? "Two-factor authentication is already enabled" : "Start two-factor setup first",
+      });
+    }
+
+    const step = verifyTotp(decryptSecret(totp.secret_encrypted), code);
+    if (step === null) {
+      return res.status(400).json({ message: "Invalid two-factor code" });
+    }
+
+    await repositories.twoFactor.enable(req.user.userId, step);
+    const recoveryCodes = await storeRecoveryCodes(req.user.userId);
+    res.status(200).json({
+      message: "Two-factor authentication enabled. Store these recovery codes somewhere safe; each works once.",
+      recovery_codes: recoveryCodes,
+    });
   } catch (error) {
-    console.error("Add schedule error:", error.message);
-    res.status(500).json({ message: "Failed to add schedule", error: error.message });
+    throw serverError("Failed to enable two-factor authentication", error);
   }
 });
 
-app.get("/api/schedules", authenticateToken, async (req, res) => {
+const PASSWORD_CONFIRMATION = field.object({ password: field.requiredText(1024) }, ["password"]);
+
+app.post("/api/2fa/recovery-codes", authenticateToken, validate({ summary: "Replace the recovery codes", body: PASSWORD_CONFIRMATION }), async (req, res) => {
+  const { password } = req.body;
+
   try {
-    const db = await mysql.createConnection(dbConfig);
-    const [schedules] = await db.execute(
-      "SELECT id, baby_id, type, scheduled_time, notes FROM schedules WHERE baby_id IN (SELECT id FROM babies WHERE user_id = ?)",
-      [req.user.userId]
-    );
-    await db.end();
-    res.status(200).json(schedules);
+    if (!(await checkPassword(req.user.userId, password))) {
+      return res.status(401).json({ message: "Incorrect password" });
+    }
+    const totp = await repositories.twoFactor.find(req.user.userId);
+    if (!totp || !totp.enabled_at) {
+      return res.status(400).json({ message: "Two-factor authentication is not enabled" });
+    }
+    const recoveryCodes = await storeRecoveryCodes(req.user.userId);
+    res.status(200).json({ message: "New recovery codes generated. Previous codes no longer work.", recovery_codes: recoveryCodes });
   } catch (error) {
-    console.error("Get schedules error:", error.message);
-    res.status(500).json({ message: "Failed to fetch schedules", error: error.message });
+    throw serverError("Failed to generate recovery codes", error);
   }
 });
 
-// Expenses
-app.post("/api/expenses", authenticateToken, async (req, res) => {
-  const { baby_id, category, amount, description, expense_date } = req.body;
-  if (!category || !amount || !expense_date) {
-    return res.status(400).json({ message: "Missing required fields: category, amount, expense_date" });
-  }
+app.post("/api/2fa/disable", authenticateToken, validate({ summary: "Turn two-factor authentication off", body: PASSWORD_CONFIRMATION }), async (req, res) => {
+  const { password } = req.body;
 
   try {
-    const db = await mysql.createConnection(dbConfig);
-    await db.execute(
-      "INSERT INTO expenses (user_id, baby_id, category, amount, description, expense_date) VALUES (?, ?, ?, ?, ?, ?)",
-      [req.user.userId, baby_id || null, category, amount, description || null, expense_date]
-    );
-    await db.end();
-    res.status(201).json({ message: "Expense added!" });
+    if (!(await checkPassword(req.user.userId, password))) {
+      return res.status(401).json({ message: "Incorrect password" });
+    }
+    if (!(await repositories.twoFactor.remove(req.user.userId))) {
+      return res.status(400).json({ message: "Two-factor authentication is not enabled" });
+    }
+    res.status(200).json({ message: "Two-factor authentication disabled" });
   } catch (error) {
-    console.error("Add expense error:", error.message);
-    res.status(500).json({ message: "Failed to add expense", error: error.message });
+    throw serverError("Failed to disable two-factor authentication", error);
   }
 });
 
-app.get("/api/expenses", authenticateToken, async (req, res) => {
+// Responses below are the same whether or not the email is registered, so they
+// cannot be used to find out who has an account
+const EMAIL_ONLY = field.object({ email: field.requiredText(255) }, ["email"]);
+
+app.post("/api/resend-verification", validate({ summary: "Email a new verification code", body: EMAIL_ONLY }), async (req, res) => {
+  const { email } = req.body;
+
+  const response = { message: "If that email is registered and not yet verified, a new code is on its way.", redirect: "/verify" };
   try {
-    const db = await mysql.createConnection(dbConfig);
-    const [expenses] = await db.execute(
-      "SELECT id, baby_id, category, amount, description, expense_date FROM expenses WHERE user_id = ?",
-      [req.user.userId]
-    );
-    await db.end();
-    res.status(200).json(expenses);
+    const user = await repositories.users.findByEmail(email);
+    if (!user || user.is_verified || (await recentlyIssued(repositories.oneTimeCodes, user.id, "verify_email"))) {
+      return res.status(200).json(response);
+    }
+
+    const { code, ttlMinutes } = await issueCode(repositories.oneTimeCodes, user.id, "verify_email");
+    try {
+      await sendVerificationEmail(user, code, ttlMinutes, mailLocale(req));
+    } catch (emailError) {
+      console.error("Verification email queueing failed:", emailError.message);
+    }
+    res.status(200).json(response);
   } catch (error) {
-    console.error("Get expenses error:", error.message);
-    res.status(500).json({ message: "Failed to fetch expenses", error: error.message });
+    throw serverError("Failed to resend verification code", error);
   }
 });
 
-// Milestones
-app.post("/api/milestones", authenticateToken, async (req, res) => {
-  const { baby_id, title, description, milestone_date, photo_url } = req.body;
-  if (!baby_id || !title || !milestone_date) {
-    return res.status(400).json({ message: "Missing required fields: baby_id, title, milestone_date" });
-  }
+app.post("/api/forgot-password", validate({ summary: "Email a password reset code", body: EMAIL_ONLY }), async (req, res) => {
+  const { email } = req.body;
 
+  const response = { message: "If that email is registered, a password reset code is on its way.", redirect: "/reset-password" };
   try {
-    const db = await mysql.createConnection(dbConfig);
-    await db.execute(
-      "INSERT INTO milestones (baby_id, title, description, milestone_date, photo_url) VALUES (?, ?, ?, ?, ?)",
-      [baby_id, title, description || null, milestone_date, photo_url || null]
-    );
-    await db.end();
-    res.status(201).json({ message: "Milestone added!" });
+    const user = await repositories.users.findByEmail(email);
+    if (!user || (await recentlyIssued(repositories.oneTimeCodes, user.id, "reset_password"))) {
+      return res.status(200).json(response);
+    }
+
+    const { code, ttlMinutes } = await issueCode(repositories.oneTimeCodes, user.id, "reset_password");
+    try {
+      await mailer.send({
+        to: user.email,
+        template: "reset_password",
+        data: { name: user.name, code, ttl_minutes: ttlMinutes },
+        locale: mailLocale(req),
+      });
+    } catch (emailError) {
+      console.error("Password reset email queueing failed:", emailError.message);
+    }
+    res.status(200).json(response);
   } catch (error) {
-    console.error("Add milestone error:", error.message);
-    res.status(500).json({ message: "Failed to add milestone", error: error.message });
+    throw serverError("Failed to start password reset", error);
   }
 });
 
-app.get("/api/milestones", authenticateToken, async (req, res) => {
+// A successful reset signs out every session, since the old password may have leaked
+const RESET_PASSWORD_REQUEST = {
+  summary: "Choose a new password with an emailed reset code",
+  body: field.object({ email: field.requiredText(255), code: EMAILED_CODE, new_password: NEW_PASSWORD }, ["email", "code", "new_password"]),
+};
+
+app.post("/api/reset-password", validate(RESET_PASSWORD_REQUEST), async (req, res) => {
+  const { email, code, new_password } = req.body;
+
   try {
-    const db = await mysql.createConnection(dbConfig);
-    const [milestones] = await db.execute(
-      "SELECT id, baby_id, title, description, milestone_date, photo_url FROM milestones WHERE baby_id IN (SELECT id FROM babies WHERE user_id = ?)",
-      [req.user.userId]
-    );
-    await db.end();
-    res.status(200).json(milestones);
+    const user = await repositories.users.findByEmail(email);
+    if (!user) {
+      return res.status(400).json({ message: "This code has expired or is no longer valid. Please request a new one." });
+    }
+
+    const check = await consumeCode(repositories.oneTimeCodes, user.id, "reset_password", code);
+    if (!check.ok) {
+      const { status, message } = codeFailure(check);
+      return res.status(status).json({ message });
+    }
+
+    await repositories.users.resetPassword(user.id, await bcrypt.hash(new_password, 10));
+    await repositories.sessions.revokeAll(user.id, "password_reset");
+
+    try {
+      await mailer.send({ to: user.email, template: "password_changed", data: { name: user.name }, locale: mailLocale(req) });
+    } catch (emailError) {
+      console.error("Password changed email queueing failed:", emailError.message);
+    }
+
+    res.status(200).json({ message: "Password reset successfully. Please log in with your new password.", redirect: "/login" });
   } catch (error) {
-    console.error("Get milestones error:", error.message);
-    res.status(500).json({ message: "Failed to fetch milestones", error: error.message });
+    throw serverError("Failed to reset password", error);
   }
 });
 
-// Daily Reads
-app.post("/api/daily_reads", authenticateToken, async (req, res) => {
-  const { title, content, published_date } = req.body;
-  if (!title || !content || !published_date) {
-    return res.status(400).json({ message: "Missing required fields: title, content, published_date" });
-  }
+// Exchanges a refresh token for a new access token and a new refresh token
+const REFRESH_REQUEST = {
+  summary: "Exchange a refresh token for new tokens",
+  body: field.object({ refresh_token: field.requiredText(512) }, ["refresh_token"]),
+};
+
+app.post("/api/token/refresh", validate(REFRESH_REQUEST), async (req, res) => {
+  const { refresh_token } = req.body;
 
   try {
-    const db = await mysql.createConnection(dbConfig);
-    await db.execute(
-      "INSERT INTO daily_reads (title, content, published_date) VALUES (?, ?, ?)",
-      [title, content, published_date]
-    );
-    await db.end();
-    res.status(201).json({ message: "Daily read added!" });
+    const stored = await repositories.sessions.findRefreshToken(hashToken(refresh_token));
+    if (!stored) {
+      return res.status(401).json({ message: "Invalid refresh token" });
+    }
+
+    if (stored.revoked_at) {
+      return res.status(401).json({ message: "Session has been signed out, please log in again" });
+    }
+    if (stored.expired) {
+      return res.status(401).json({ message: "Refresh token expired, please log in again" });
+    }
+    if (stored.disabled_at) {
+      return res.status(403).json({ message: ACCOUNT_DISABLED_MESSAGE });
+    }
+
+    // Claiming the token atomically means only one of two concurrent uses wins
+    if (!(await repositories.sessions.claimRefreshToken(stored.id))) {
+      await repositories.sessions.revoke(stored.session_id, "refresh_token_reuse");
+      console.warn(`Refresh token reuse detected; revoked session ${stored.session_id}`);
+      return res.status(401).json({ message: "Refresh token has already been used. The session has been signed out for your security." });
+    }
+
+    const { refreshToken, refreshTokenId } = await issueRefreshToken(stored.session_id);
+    await repositories.sessions.replaceRefreshToken(stored.id, refreshTokenId);
+    await repositories.sessions.extend(stored.session_id, req.ip, sessionConfig().refreshTokenDays);
+    res.status(200).json({
+      message: "Token refreshed",
+      token: signAccessToken({ id: stored.user_id, email: stored.email }, stored.session_id),
+      refresh_token: refreshToken,
+    });
   } catch (error) {
-    console.error("Add daily read error:", error.message);
-    res.status(500).json({ message: "Failed to add daily read", error: error.message });
+    throw serverError("Failed to refresh token", error);
   }
 });
 
-app.get("/api/daily_reads", authenticateToken, async (req, res) => {
+app.post("/api/logout", authenticateToken, validate({ summary: "Sign out this session" }), async (req, res) => {
   try {
-    const db = await mysql.createConnection(dbConfig);
-    const [reads] = await db.execute("SELECT id, title, content, published_date FROM daily_reads ORDER BY published_date DESC");
-    await db.end();
-    res.status(200).json(reads);
+    await repositories.sessions.revoke(req.user.sid, "logout");
+    res.status(200).json({ message: "Logged out" });
   } catch (error) {
-    console.error("Get daily reads error:", error.message);
-    res.status(500).json({ message: "Failed to fetch daily reads", error: error.message });
+    throw serverError("Failed to log out", error);
   }
 });
 
-// Scriptures
-app.post("/api/scriptures", authenticateToken, async (req, res) => {
-  const { verse, reference } = req.body;
-  if (!verse || !reference) {
-    return res.status(400).json({ message: "Missing required fields: verse, reference" });
-  }
-
+app.get("/api/sessions", authenticateToken, validate({ summary: "List signed-in sessions" }), async (req, res) => {
   try {
-    const db = await mysql.createConnection(dbConfig);
-    await db.execute(
-      "INSERT INTO scriptures (user_id, verse, reference) VALUES (?, ?, ?)",
-      [req.user.userId, verse, reference]
-    );
-    await db.end();
-    res.status(201).json({ message: "Scripture added!" });
+    const sessions = await repositories.sessions.listActive(req.user.userId);
+    res.status(200).json(sessions.map((session) => ({ ...session, current: session.id === req.user.sid })));
   } catch (error) {
-    console.error("Add scripture error:", error.message);
-    res.status(500).json({ message: "Failed to add scripture", error: error.message });
+    throw serverError("Failed to fetch sessions", error);
   }
 });
 
-app.get("/api/scriptures", authenticateToken, async (req, res) => {
+// Sign out everywhere; pass { keep_current: true } to stay signed in on this device
+const REVOKE_ALL_REQUEST = {
+  summary: "Sign out every session",
+  body: field.object({ keep_current: field.boolean({ description: "Stay signed in on this device" }) }),
+};
+
+app.post("/api/sessions/revoke-all", authenticateToken, validate(REVOKE_ALL_REQUEST), async (req, res) => {
+  const keepCurrent = req.body.keep_current === true || req.body.keep_current === "true";
+
   try {
-    const db = await mysql.createConnection(dbConfig);
-    const [scriptures] = await db.execute("SELECT id, verse, reference FROM scriptures WHERE user_id = ?", [req.user.userId]);
-    await db.end();
-    res.status(200).json(scriptures);
+    const revoked = await repositories.sessions.revokeAll(req.user.userId, "revoke_all", keepCurrent ? req.user.sid : null);
+    res.status(200).json({ message: "Signed out everywhere", revoked });
   } catch (error) {
-    console.error("Get scriptures error:", error.message);
-    res.status(500).json({ message: "Failed to fetch scriptures", error: error.message });
+    throw serverError("Failed to sign out sessions", error);
   }
 });
 
-// New Feature Routes
-// BMI Calculator
-app.get("/api/bmi", authenticateToken, async (req, res) => {
+app.delete("/api/sessions/:id", authenticateToken, validate({ summary: "Sign out one session", params: idParams }), async (req, res) => {
   try {
-    res.status(200).json({ message: "BMI Calculator endpoint coming soon" });
+    if (!(await repositories.sessions.revokeOwned(req.params.id, req.user.userId, "revoked"))) {
+      return res.status(404).json({ message: "Session not found" });
+    }
+    res.status(200).json({ message: "Session signed out" });
   } catch (error) {
-    console.error("Get BMI error:", error.message);
-    res.status(500).json({ message: "Failed to fetch BMI data", error: error.message });
+    throw serverError("Failed to sign out session", error);
   }
 });
 
-app.post("/api/bmi", authenticateToken, async (req, res) => {
-  const { weight, height } = req.body;
-  if (!weight || !height) {
-    return res.status(400).json({ message: "Missing required fields: weight, height" });
-  }
-  if (typeof weight !== "number" || typeof height !== "number" || weight <= 0 || height <= 0) {
-    return res.status(400).json({ message: "Invalid input: weight and height must be positive numbers" });
-  }
+// Contact form
+const CONTACT_REQUEST = {
+  summary: "Send a message to the MamaCare team",
+  body: field.object({ name: field.requiredText(255), email: field.email, message: field.requiredText(1000) }, ["name", "email", "message"]),
+};
+
+app.post("/api/contact", limiter, validate(CONTACT_REQUEST), async (req, res) => {
+  const { name, email, message } = req.body;
 
   try {
-    res.status(200).json({ message: "BMI Calculator POST endpoint coming soon" });
+    await mailer.send({
+      to: mailConfig().contactAddress,
+      replyTo: email,
+      template: "contact_message",
+      data: { name, email, message, email_url: `mailto:${email}` },
+    });
+    res.status(200).json({ message: "Email sent successfully!" });
   } catch (error) {
-    console.error("Post BMI error:", error.message);
-    res.status(500).json({ message: "Failed to calculate BMI", error: error.message });
+    throw serverError("Failed to send email", error);
   }
 });
 
-// Baby Measurements
-app.get("/api/baby-measurements", authenticateToken, async (req, res) => {
+// User Data
+app.get("/api/user", authenticateToken, validate({ summary: "The signed-in user's profile" }), async (req, res) => {
   try {
-    res.status(200).json({ message: "Baby Measurements endpoint coming soon" });
+    const user = await repositories.users.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+    res.status(200).json(pick(user, ["id", "name", "email", "role", "home_currency"]));
   } catch (error) {
-    console.error("Get baby measurements error:", error.message);
-    res.status(500).json({ message: "Failed to fetch baby measurements", error: error.message });
+    throw serverError("Failed to fetch user data", error);
   }
 });
 
-app.post("/api/baby-measurements", authenticateToken, async (req, res) => {
-  const { baby_id, height, weight, measurement_date } = req.body;
-  if (!baby_id || !height || !weight || !measurement_date) {
-    return res.status(400).json({ message: "Missing required fields: baby_id, height, weight, measurement_date" });
-  }
-  if (typeof height !== "number" || typeof weight !== "number" || height <= 0 || weight <= 0) {
-    return res.status(400).json({ message: "Invalid input: height and weight must be positive numbers" });
-  }
-  if (!/^\d{4}-\d{2}-\d{2}$/.test(measurement_date)) {
-    return res.status(400).json({ message: "Invalid input: measurement_date must be in YYYY-MM-DD format" });
+// Profile settings: home_currency for money totals
+const UPDATE_USER_REQUEST = {
+  summary: "Update profile settings",
+  body: field.object({ home_currency: field.oneOf(SUPPORTED_CURRENCIES) }),
+};
+
+app.patch("/api/user", authenticateToken, validate(UPDATE_USER_REQUEST), async (req, res) => {
+  const { home_currency } = req.body;
+  const fields = {};
+  if (home_currency !== undefined) fields.home_currency = home_currency;
+  if (Object.keys(fields).length === 0) {
+    return res.status(400).json({ message: "No updatable fields provided" });
   }
 
   try {
-    res.status(201).json({ message: "Baby Measurements POST endpoint coming soon" });
+    await repositories.users.update(req.user.userId, fields);
+    const user = await repositories.users.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+    res.status(200).json({ message: "User updated!", user: pick(user, ["id", "name", "email", "home_currency"]) });
   } catch (error) {
-    console.error("Post baby measurements error:", error.message);
-    res.status(500).json({ message: "Failed to add baby measurement", error: error.message });
+    throw serverError("Failed to update user", error);
   }
 });
 
-// Birthday Reminder
-app.get("/api/birthday-reminder", authenticateToken, async (req, res) => {
+// Admin
+// User management for admins. Every change is written to audit_log.
+const ADMIN_USERS_REQUEST = {
+  summary: "List users",
+  query: field.object({
+    search: field.text(255, { description: "Matches name or email" }),
+    role: field.oneOf(USER_ROLES),
+    status: field.oneOf(["active", "disabled", "unverified"]),
+  }),
+};
+
+app.get("/api/admin/users", authenticateToken, requireRole("admin"), validate(ADMIN_USERS_REQUEST), async (req, res) => {
+  const { search, role, status } = req.query;
+
   try {
-    res.status(200).json({ message: "Birthday Reminder endpoint coming soon" });
+    res.status(200).json(await repositories.users.listForAdmin({ search, role, status }, 200));
   } catch (error) {
-    console.error("Get birthday reminder error:", error.message);
-    res.status(500).json({ message: "Failed to fetch birthday reminders", error: error.message });
+    throw serverError("Failed to fetch users", error);
   }
 });
 
-app.post("/api/birthday-reminder", authenticateToken, async (req, res) => {
-  const { baby_id, reminder_date } = req.body;
-  if (!baby_id || !reminder_date) {
-    return res.status(400).json({ message: "Missing required fields: baby_id, reminder_date" });
-  }
-  if (!/^\d{4}-\d{2}-\d{2}$/.test(reminder_date)) {
-    return res.status(400).json({ message: "Invalid input: reminder_date must be in YYYY-MM-DD format" });
+const ADMIN_USER_COLUMNS = ["id", "name", "email", "role", "is_verified", "disabled_at"];
+
+// Applies one admin change to a user and records it. Admins cannot disable or
+// demote themselves, so there is always someone left who can undo a mistake
+const adminUpdateUser = (action, buildUpdate) => async (req, res) => {
+  const targetId = Number(req.params.id);
+  const update = buildUpdate(req.body);
+  if (targetId === req.user.userId && ["disable", "change_role"].includes(action)) {
+    return res.status(400).json({ message: "You cannot disable or change the role of your own account" });
   }
 
   try {
-    res.status(201).json({ message: "Birthday Reminder POST endpoint coming soon" });
+    const before = await repositories.users.findById(targetId);
+    if (!before) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    const columns = Object.keys(update.fields);
+    await repositories.users.update(targetId, update.fields);
+    if (action === "disable") {
+      await repositories.sessions.revokeAll(targetId, "account_disabled");
+    }
+    const after = await repositories.users.findById(targetId);
+    await recordAudit(repositories, req.user.userId, action, "user", targetId, {
+      before: pick(before, columns),
+      after: pick(after, columns),
+    });
+    res.status(200).json({ message: "User updated!", user: pick(after, ADMIN_USER_COLUMNS) });
   } catch (error) {
-    console.error("Post birthday reminder error:", error.message);
-    res.status(500).json({ message: "Failed to add birthday reminder", error: error.message });
+    throw serverError("Failed to update user", error);
+  }
+};
+
+const adminUserRequest = (summary, body) => validate({ summary, params: idParams, ...(body && { body }) });
+
+app.post("/api/admin/users/:id/disable", authenticateToken, requireRole("admin"), adminUserRequest("Disable a user and sign them out"), adminUpdateUser("disable", () => ({ fields: { disabled_at: new Date() } })));
+app.post("/api/admin/users/:id/enable", authenticateToken, requireRole("admin"), adminUserRequest("Re-enable a disabled user"), adminUpdateUser("enable", () => ({ fields: { disabled_at: null } })));
+app.post("/api/admin/users/:id/verify", authenticateToken, requireRole("admin"), adminUserRequest("Mark a user's email as verified"), adminUpdateUser("verify", () => ({ fields: { is_verified: true } })));
+app.patch(
+  "/api/admin/users/:id/role",
+  authenticateToken,
+  requireRole("admin"),
+  adminUserRequest("Change a user's role", field.object({ role: field.oneOf(USER_ROLES) }, ["role"])),
+  adminUpdateUser("change_role", ({ role }) => ({ fields: { role } }))
+);
+
+const AUDIT_REQUEST = {
+  summary: "Recent audit log entries",
+  query: field.object({ entity_type: field.text(50), entity_id: field.id, actor_id: field.id }),
+};
+
+app.get("/api/admin/audit", authenticateToken, requireRole("admin"), validate(AUDIT_REQUEST), async (req, res) => {
+  const { entity_type, entity_id, actor_id } = req.query;
+
+  try {
+    const entries = await repositories.auditLog.list({ entityType: entity_type, entityId: entity_id, actorId: actor_id }, 200);
+    res.status(200).json(entries.map((entry) => ({ ...entry, changes: parseJsonColumn(entry.changes) })));
+  } catch (error) {
+    throw serverError("Failed to fetch audit log", error);
+  }
+});
+
+// Emails that ran out of delivery attempts (utils/mailer.js)
+app.get("/api/admin/mail/dead-letters", authenticateToken, requireRole("admin"), validate({ summary: "Emails that could not be delivered" }), async (req, res) => {
+  try {
+    res.status(200).json(await repositories.mailQueue.listDead(200));
+  } catch (error) {
+    throw serverError("Failed to fetch dead letters", error);
+  }
+});
+
+app.post("/api/admin/mail/dead-letters/:id/retry", authenticateToken, requireRole("admin"), validate({ summary: "Queue a dead letter for another try", params: idParams }), async (req, res) => {
+  try {
+    if (!(await repositories.mailQueue.retryDead(req.params.id))) {
+      return res.status(404).json({ message: "Dead letter not found" });
+    }
+    mailer.flush().catch((error) => console.error("Mail queue error:", error.message));
+    res.status(200).json({ message: "Email queued for another try" });
+  } catch (error) {
+    throw serverError("Failed to retry email", error);
+  }
+});
+
+// Baby Profiles
+// Stored as typed, so "Female" is accepted too
+const GENDER = field.string({
+  description: "male or female",
+  check: (value) => ["male", "female"].includes(value.toLowerCase()) || "must be male or female",
+});
+
+const BABY_FIELDS = {
+  name: field.requiredText(255),
+  birth_date: field.date,
+  gender: GENDER,
+};
+
+const CREATE_BABY_REQUEST = {
+  summary: "Add a baby profile",
+  body: field.object(
+    { ...BABY_FIELDS, immunization_schedule: field.oneOf(IMMUNIZATION_SCHEDULES, { description: "Defaults to the configured schedule" }) },
+    ["name", "birth_date", "gender"]
+  ),
+};
+
+app.post("/api/babies", authenticateToken, validate(CREATE_BABY_REQUEST), async (req, res) => {
+  const { name, birth_date, gender } = req.body;
+  const immunizationSchedule = req.body.immunization_schedule || defaultSchedule();
+
+  try {
+    const babyId = await repositories.babies.create({
+      userId: req.user.userId,
+      name,
+      birthDate: birth_date,
+      gender,
+      immunizationSchedule,
+    });
+    await syncImmunizationPlan(babyId);
+    res.status(201).json({ message: "Baby profile added!", id: babyId });
+  } catch (error) {
+    throw serverError("Failed to add baby profile", error);
+  }
+});
+
+app.get("/api/babies", authenticateToken, validate({ summary: "Baby profiles the user owns or shares" }), async (req, res) => {
+  try {
+    const babies = await repositories.babies.listForMember(req.user.userId);
+    res.status(200).json(babies);
+  } catch (error) {
+    throw serverError("Failed to fetch baby profiles", error);
+  }
+});
+
+app.get("/api/babies/:id", authenticateToken, validate({ summary: "A baby profile", params: idParams }), ownershipGuard("babies", { permission: "baby:read" }), sendOwned("babies"));
+
+const UPDATE_BABY_REQUEST = { summary: "Update a baby profile", params: idParams, body: field.object(BABY_FIELDS) };
+
+app.patch("/api/babies/:id", authenticateToken, validate(UPDATE_BABY_REQUEST), ownershipGuard("babies", { permission: "baby:edit" }), async (req, res) => {
+  const { name, birth_date, gender } = req.body;
+  const fields = {};
+  if (name !== undefined) fields.name = name;
+  if (birth_date !== undefined) fields.birth_date = birth_date;
+  if (gender !== undefined) fields.gender = gender;
+  // A corrected birth date moves every immunization due date with it
+  const afterUpdate = fields.birth_date
+    ? async (record) => ({ immunizations_rescheduled: await syncImmunizationPlan(record.id) })
+    : undefined;
+  await updateOwned("babies", req, res, fields, afterUpdate);
+});
+
+app.delete("/api/babies/:id", authenticateToken, validate({ summary: "Delete a baby profile (restorable)", params: idParams }), ownershipGuard("babies", { permission: "baby:delete" }), softDeleteOwned("babies"));
+app.post("/api/babies/:id/restore", authenticateToken, validate({ summary: "Restore a deleted baby profile", params: idParams }), ownershipGuard("babies", { deleted: true, permission: "baby:delete" }), restoreOwned("babies"));
+
+// Sharing
+// Owners invite by email; the invitee accepts with the emailed token while
+// signed in to the account with that address. Only a hash of the token is stored.
+const INVITATION_TTL_DAYS = parseInt(process.env.INVITATION_TTL_DAYS || "7", 10);
+
+const ROLE_LABELS = { owner: "owner", co_parent: "co-parent", caregiver: "caregiver" };
+
+const MEMBER_PARAMS = field.object({ id: field.id, userId: field.id });
+const MEMBER_ROLE = field.oneOf(INVITABLE_ROLES);
+
+app.get("/api/babies/:id/members", authenticateToken, validate({ summary: "Members and pending invitations", params: idParams }), ownershipGuard("babies", { permission: "baby:read" }), async (req, res) => {
+  try {
+    const members = await repositories.babyMembers.list(req.record.id);
+    const invitations = can(req.record.access_role, "members:manage") ? await repositories.invitations.listPending(req.record.id) : [];
+    res.status(200).json({ members, invitations });
+  } catch (error) {
+    throw serverError("Failed to fetch members", error);
+  }
+});
+
+const INVITE_REQUEST = {
+  summary: "Invite someone by email",
+  params: idParams,
+  body: field.object({ email: field.email, role: MEMBER_ROLE }, ["email", "role"]),
+};
+
+app.post("/api/babies/:id/invitations", authenticateToken, validate(INVITE_REQUEST), ownershipGuard("babies", { permission: "members:manage" }), async (req, res) => {
+  const { email, role } = req.body;
+
+  const token = crypto.randomBytes(32).toString("hex");
+  try {
+    const existing = await repositories.babyMembers.findByEmail(req.record.id, email);
+    if (existing) {
+      return res.status(400).json({ message: `${email} already has access as ${ROLE_LABELS[existing.role]}` });
+    }
+
+    // A new invitation to the same address replaces any still pending
+    const invitationId = await repositories.invitations.create({
+      babyId: req.record.id,
+      email,
+      role,
+      tokenHash: hashToken(token),
+      invitedBy: req.user.userId,
+      days: INVITATION_TTL_DAYS,
+    });
+    const inviter = await repositories.users.findById(req.user.userId);
+
+    const acceptUrl = frontendUrl(`/invitations/accept?token=${token}`);
+    try {
+      await mailer.send({
+        to: email,
+        template: "baby_invitation",
+        data: {
+          inviter: inviter ? inviter.name : "A MamaCare parent",
+          baby_name: req.record.name,
+          role: ROLE_LABELS[role],
+          accept_url: acceptUrl,
+          ttl_days: INVITATION_TTL_DAYS,
+        },
+        locale: mailLocale(req),
+      });
+    } catch (emailError) {
+      console.error("Invitation email queueing failed:", emailError.message);
+    }
+
+    res.status(201).json({ message: "Invitation sent!", id: invitationId, email, role, accept_url: acceptUrl });
+  } catch (error) {
+    throw serverError("Failed to create invitation", error);
+  }
+});
+
+const REVOKE_INVITATION_REQUEST = {
+  summary: "Revoke a pending invitation",
+  params: field.object({ id: field.id, invitationId: field.id }),
+};
+
+app.delete("/api/babies/:id/invitations/:invitationId", authenticateToken, validate(REVOKE_INVITATION_REQUEST), ownershipGuard("babies", { permission: "members:manage" }), async (req, res) => {
+  try {
+    if (!(await repositories.invitations.revoke(req.params.invitationId, req.record.id))) {
+      return res.status(404).json({ message: "Invitation not found" });
+    }
+    res.status(200).json({ message: "Invitation revoked" });
+  } catch (error) {
+    throw serverError("Failed to revoke invitation", error);
+  }
+});
+
+const UPDATE_MEMBER_REQUEST = {
+  summary: "Change a member's role",
+  params: MEMBER_PARAMS,
+  body: field.object({ role: MEMBER_ROLE }, ["role"]),
+};
+
+app.patch("/api/babies/:id/members/:userId", authenticateToken, validate(UPDATE_MEMBER_REQUEST), ownershipGuard("babies", { permission: "members:manage" }), async (req, res) => {
+  const { role } = req.body;
+
+  try {
+    if (!(await repositories.babyMembers.updateRole(req.record.id, req.params.userId, role))) {
+      return res.status(404).json({ message: "Member not found" });
+    }
+    res.status(200).json({ message: "Member updated!", user_id: Number(req.params.userId), role });
+  } catch (error) {
+    throw serverError("Failed to update member", error);
+  }
+});
+
+// Owners remove members; any other member may remove themselves to leave
+const REMOVE_MEMBER_REQUEST = { summary: "Remove a member, or leave a shared profile", params: MEMBER_PARAMS };
+
+app.delete("/api/babies/:id/members/:userId", authenticateToken, validate(REMOVE_MEMBER_REQUEST), ownershipGuard("babies", { permission: "baby:read" }), async (req, res) => {
+  const leaving = Number(req.params.userId) === req.user.userId;
+  if (!leaving && !can(req.record.access_role, "members:manage")) {
+    return res.status(403).json({ message: "Your role on this baby's profile does not allow this" });
+  }
+  if (leaving && req.record.access_role === "owner") {
+    return res.status(400).json({ message: "The owner cannot leave. Delete the profile instead." });
+  }
+
+  try {
+    if (!(await repositories.babyMembers.remove(req.record.id, req.params.userId))) {
+      return res.status(404).json({ message: "Member not found" });
+    }
+    res.status(200).json({ message: leaving ? "You no longer have access to this profile" : "Member removed" });
+  } catch (error) {
+    throw serverError("Failed to remove member", error);
+  }
+});
+
+// Pending invitations addressed to the signed-in user's email
+app.get("/api/invitations", authenticateToken, validate({ summary: "Invitations waiting for the signed-in user" }), async (req, res) => {
+  try {
+    res.status(200).json(await repositories.invitations.listForEmail(req.user.email));
+  } catch (error) {
+    throw serverError("Failed to fetch invitations", error);
+  }
+});
+
+const ACCEPT_INVITATION_REQUEST = {
+  summary: "Accept an invitation with its emailed token",
+  body: field.object({ token: field.requiredText(128) }, ["token"]),
+};
+
+app.post("/api/invitations/accept", authenticateToken, validate(ACCEPT_INVITATION_REQUEST), async (req, res) => {
+  const { token } = req.body;
+
+  try {
+    const invitation = await repositories.invitations.findPendingByToken(hashToken(token));
+    if (!invitation) {
+      return res.status(404).json({ message: "This invitation is invalid, expired or has been revoked" });
+    }
+
+    if (invitation.email.toLowerCase() !== String(req.user.email).toLowerCase()) {
+      return res.status(403).json({ message: `This invitation was sent to ${invitation.email}. Sign in with that address to accept it.` });
+    }
+
+    if (!(await repositories.invitations.accept(invitation.id, req.user.userId))) {
+      return res.status(404).json({ message: "This invitation is invalid, expired or has been revoked" });
+    }
+    await repositories.babyMembers.add({
+      babyId: invitation.baby_id,
+      userId: req.user.userId,
+      role: invitation.role,
+      invitedBy: invitation.invited_by,
+    });
+    res.status(200).json({
+      message: `You now have access to ${invitation.baby_name}'s profile as ${ROLE_LABELS[invitation.role]}`,
+      baby_id: invitation.baby_id,
+      role: invitation.role,
+    });
+  } catch (error) {
+    throw serverError("Failed to accept invitation", error);
+  }
+});
+
+// Pregnancy
+// One active pregnancy per user, dated from the LMP (Naegele's rule), an
+// ultrasound or a known due date (see utils/pregnancy.js). Prenatal visits are
+// ordinary schedules linked by pregnancy_id; the generated ones carry the
+// prenatal_week they were planned for.
+const PRENATAL_VISIT_TYPE = "Prenatal Visit";
+const PRENATAL_VISIT_TIME = "09:00";
+
+const presentPregnancy = (row, today = new Date()) => {
+  const dueDate = dateKey(row.due_date);
+  return {
+    id: row.id,
+    status: row.status,
+    dating_method: row.dating_method,
+    lmp_date: row.lmp_date && dateKey(row.lmp_date),
+    cycle_length: row.cycle_length,
+    ultrasound_date: row.ultrasound_date && dateKey(row.ultrasound_date),
+    ultrasound_gestational_age:
+      row.ultrasound_gestation_days === null
+        ? null
+        : { weeks: Math.floor(row.ultrasound_gestation_days / 7), days: row.ultrasound_gestation_days % 7 },
+    due_date: dueDate,
+    progress: row.status === "active" ? progressOf(dueDate, dateKey(today)) : null,
+    baby_id: row.baby_id,
+    delivered_on: row.delivered_on && dateKey(row.delivered_on),
+    created_at: row.created_at,
+  };
+};
+
+// Replaces the generated visits still ahead with a fresh plan from the due
+// date. Visits the user added themselves are left alone
+const planPrenatalVisits = async (pregnancy) => {
+  await repositories.schedules.dropPlannedVisits(pregnancy.id);
+  const visits = [];
+  for (const visit of prenatalPlan(dateKey(pregnancy.due_date), dateKey(new Date()))) {
+    const scheduledTime = new Date(`${visit.date}T${PRENATAL_VISIT_TIME}:00`);
+    const id = await repositories.schedules.create({
+      babyId: null,
+      pregnancyId: pregnancy.id,
+      type: PRENATAL_VISIT_TYPE,
+      scheduledTime,
+      notes: `Week ${visit.week}: ${visit.title}. ${visit.notes}`,
+      prenatalWeek: visit.week,
+    });
+    visits.push({ id, week: visit.week, title: visit.title, scheduled_time: scheduledTime });
+  }
+  return visits;
+};
+
+// Which dates are needed depends on dating_method; datePregnancy checks that
+// they fit together. Pass plan: false to skip generating prenatal visits
+const PREGNANCY_DATING = field.object(
+  {
+    dating_method: field.oneOf(DATING_METHODS),
+    lmp_date: { ...field.date, description: "First day of the last menstrual period, for lmp" },
+    cycle_length: field.integer({ minimum: 21, maximum: 45, description: "Days, for lmp; defaults to 28" }),
+    ultrasound_date: { ...field.date, description: "For ultrasound" },
+    gestational_weeks: field.integer({ minimum: 5, maximum: 24, description: "Age measured at the scan, for ultrasound" }),
+    gestational_days: field.integer({ minimum: 0, maximum: 6 }),
+    due_date: { ...field.date, description: "For due_date" },
+    plan: field.boolean({ description: "Generate prenatal visits; defaults to true" }),
+  },
+  ["dating_method"]
+);
+
+app.post("/api/pregnancies", authenticateToken, validate({ summary: "Add a pregnancy", body: PREGNANCY_DATING }), async (req, res) => {
+  const { fields, error } = datePregnancy(req.body, dateKey(new Date()));
+  if (error) {
+    return res.status(400).json({ message: error });
+  }
+
+  try {
+    const active = await repositories.pregnancies.findActive(req.user.userId);
+    if (active) {
+      return res.status(409).json({ message: "You already have an active pregnancy. Update it instead.", id: active.id });
+    }
+    const pregnancyId = await repositories.pregnancies.create(req.user.userId, fields);
+    const pregnancy = await repositories.pregnancies.findAccessible(pregnancyId, req.user.userId);
+    const visits = req.body.plan === false ? [] : await planPrenatalVisits(pregnancy);
+    res.status(201).json({ message: "Pregnancy added!", pregnancy: presentPregnancy(pregnancy), visits });
+  } catch (error) {
+    throw serverError("Failed to add pregnancy", error);
+  }
+});
+
+app.get("/api/pregnancies", authenticateToken, validate({ summary: "All of the user's pregnancies" }), async (req, res) => {
+  try {
+    const pregnancies = await repositories.pregnancies.listForUser(req.user.userId);
+    res.status(200).json(pregnancies.map((pregnancy) => presentPregnancy(pregnancy)));
+  } catch (error) {
+    throw serverError("Failed to fetch pregnancies", error);
+  }
+});
+
+// The active pregnancy with where it is today, this week's information and
+// the next few prenatal visits
+app.get("/api/pregnancies/current", authenticateToken, validate({ summary: "The active pregnancy and this week's information" }), async (req, res) => {
+  try {
+    const active = await repositories.pregnancies.findActive(req.user.userId);
+    if (!active) {
+      return res.status(404).json({ message: "No active pregnancy" });
+    }
+    const visits = await repositories.schedules.listUpcomingVisits(active.id, 3);
+    const pregnancy = presentPregnancy(active);
+    res.status(200).json({
+      pregnancy,
+      this_week: pregnancy.progress ? infoForWeek(pregnancy.progress.weeks) : null,
+      upcoming_visits: visits,
+      disclaimer: WEEK_INFO.disclaimer,
+    });
+  } catch (error) {
+    throw serverError("Failed to fetch pregnancy", error);
+  }
+});
+
+app.get("/api/pregnancies/weeks", authenticateToken, validate({ summary: "Week-by-week pregnancy information" }), (req, res) => {
+  res.status(200).json(WEEK_INFO);
+});
+
+const PREGNANCY_WEEK_REQUEST = { summary: "Information for one week of pregnancy", params: field.object({ week: field.integer({ minimum: 1 }) }) };
+
+app.get("/api/pregnancies/weeks/:week", authenticateToken, validate(PREGNANCY_WEEK_REQUEST), (req, res) => {
+  const info = infoForWeek(Number(req.params.week));
+  if (!info) {
+    const weeks = WEEK_INFO.weeks.map((entry) => entry.week);
+    return res.status(404).json({ message: `No information for that week; weeks ${weeks[0]}-${weeks[weeks.length - 1]} are covered` });
+  }
+  res.status(200).json({ ...info, trimester: trimesterOf(info.week), disclaimer: WEEK_INFO.disclaimer });
+});
+
+app.get("/api/pregnancies/:id", authenticateToken, validate({ summary: "A pregnancy", params: idParams }), ownershipGuard("pregnancies"), sendOwned("pregnancies"));
+
+// Re-dates an active pregnancy, e.g. once a scan confirms the due date. The
+// prenatal plan moves with the due date unless plan is false
+const REDATE_PREGNANCY_REQUEST = { summary: "Re-date the active pregnancy", params: idParams, body: PREGNANCY_DATING };
+
+app.patch("/api/pregnancies/:id", authenticateToken, validate(REDATE_PREGNANCY_REQUEST), async (req, res) => {
+  const { fields, error } = datePregnancy(req.body, dateKey(new Date()));
+  if (error) {
+    return res.status(400).json({ message: error });
+  }
+
+  try {
+    const before = await repositories.pregnancies.findAccessible(req.params.id, req.user.userId);
+    if (!before) {
+      return res.status(404).json({ message: "Pregnancy not found" });
+    }
+    if (before.status !== "active") {
+      return res.status(409).json({ message: "Only an active pregnancy can be re-dated" });
+    }
+    await repositories.pregnancies.update(before.id, fields);
+    const pregnancy = await repositories.pregnancies.findAccessible(before.id, req.user.userId);
+    const moved = dateKey(before.due_date) !== fields.due_date;
+    const visits = moved && req.body.plan !== false ? await planPrenatalVisits(pregnancy) : null;
+    res.status(200).json({ message: "Pregnancy updated!", pregnancy: presentPregnancy(pregnancy), ...(visits && { visits }) });
+  } catch (error) {
+    throw serverError("Failed to update pregnancy", error);
+  }
+});
+
+app.post("/api/pregnancies/:id/plan", authenticateToken, validate({ summary: "Regenerate the prenatal visits ahead", params: idParams }), async (req, res) => {
+  try {
+    const pregnancy = await repositories.pregnancies.findAccessible(req.params.id, req.user.userId);
+    if (!pregnancy || pregnancy.status !== "active") {
+      return res.status(404).json({ message: "No active pregnancy with that id" });
+    }
+    const visits = await planPrenatalVisits(pregnancy);
+    res.status(200).json({ message: `${visits.length} prenatal visit${visits.length === 1 ? "" : "s"} planned`, visits });
+  } catch (error) {
+    throw serverError("Failed to plan prenatal visits", error);
+  }
+});
+
+// The baby has arrived: creates the baby profile, closes the pregnancy and
+// drops the generated visits still ahead
+const BIRTH_REQUEST = {
+  summary: "Record the birth and create the baby's profile",
+  params: idParams,
+  body: field.object({ ...BABY_FIELDS, birth_date: { ...field.date, description: "Defaults to today" } }, ["name", "gender"]),
+};
+
+app.post("/api/pregnancies/:id/birth", authenticateToken, validate(BIRTH_REQUEST), async (req, res) => {
+  const { name, gender } = req.body;
+  const birthDate = req.body.birth_date || dateKey(new Date());
+  if (birthDate > dateKey(new Date())) {
+    return res.status(400).json({ message: "Invalid input: birth_date cannot be in the future" });
+  }
+
+  try {
+    const pregnancy = await repositories.pregnancies.findAccessible(req.params.id, req.user.userId);
+    if (!pregnancy) {
+      return res.status(404).json({ message: "Pregnancy not found" });
+    }
+    if (pregnancy.status !== "active") {
+      return res.status(409).json({ message: "This pregnancy has already been closed", baby_id: pregnancy.baby_id });
+    }
+
+    const babyId = await repositories.transaction(async (transaction) => {
+      const newBabyId = await transaction.babies.create({
+        userId: req.user.userId,
+        name,
+        birthDate,
+        gender,
+        immunizationSchedule: defaultSchedule(),
+      });
+      await syncImmunizationPlan(newBabyId, transaction);
+      await transaction.pregnancies.markDelivered(pregnancy.id, newBabyId, birthDate);
+      await transaction.schedules.dropPlannedVisits(pregnancy.id);
+      return newBabyId;
+    });
+    res.status(201).json({ message: `Congratulations! ${name}'s profile has been created.`, baby_id: babyId, pregnancy_id: pregnancy.id });
+  } catch (error) {
+    throw serverError("Failed to record the birth", error);
+  }
+});
+
+// Deleting hides the pregnancy's prenatal visits too. A delivered pregnancy
+// is the record of the birth, so it stays
+const refuseDelivered = (req, res, next) => {
+  if (req.record.status !== "active") {
+    return res.status(409).json({ message: "This pregnancy has been closed with a birth and cannot be deleted", baby_id: req.record.baby_id });
+  }
+  next();
+};
+
+// Only one pregnancy can be active at a time
+const refuseSecondActive = async (req, res, next) => {
+  try {
+    const active = await repositories.pregnancies.findActive(req.user.userId);
+    if (active) {
+      return res.status(409).json({ message: "You already have an active pregnancy. Delete it before restoring this one.", id: active.id });
+    }
+    next();
+  } catch (error) {
+    throw serverError("Failed to restore pregnancy", error);
+  }
+};
+
+app.delete("/api/pregnancies/:id", authenticateToken, validate({ summary: "Delete a pregnancy and its prenatal visits (restorable)", params: idParams }), ownershipGuard("pregnancies"), refuseDelivered, softDeleteOwned("pregnancies"));
+app.post("/api/pregnancies/:id/restore", authenticateToken, validate({ summary: "Restore a deleted pregnancy", params: idParams }), ownershipGuard("pregnancies", { deleted: true }), refuseSecondActive, restoreOwned("pregnancies"));
+
+// Schedules
+// Recurring schedules store an RRULE (see utils/recurrence.js) and a list of
+// skipped occurrences; scheduled_time is the first occurrence
+const MAX_SCHEDULE_WINDOW_DAYS = 366;
+
+const formatSchedule = (row) => ({
+  ...row,
+  recurrence_exceptions: parseJsonColumn(row.recurrence_exceptions) || [],
+});
+
+// Types are stored as typed, so "Doctor Visit" and "doctor-visit" both pass
+const SCHEDULE_TYPE = field.text(100, {
+  description: `One of ${SCHEDULE_TYPES.join(", ")}`,
+  check: (value) => SCHEDULE_TYPES.includes(scheduleKind(value)) || `must be one of ${SCHEDULE_TYPES.join(", ")}`,
+});
+
+const SCHEDULE_FIELDS = {
+  baby_id: field.id,
+  type: SCHEDULE_TYPE,
+  scheduled_time: { ...field.dateTime, description: "The first occurrence for a recurring schedule" },
+  notes: NOTES,
+  recurrence: field.nullable(field.text(255, { description: "RRULE, e.g. FREQ=WEEKLY;BYDAY=MO,TH" })),
+  exceptions: field.arrayOf(field.dateTime, { description: "Skipped occurrences" }),
+};
+
+const CREATE_SCHEDULE_REQUEST = {
+  summary: "Add a schedule for a baby or a pregnancy",
+  description: "Exactly one of baby_id and pregnancy_id is required.",
+  body: field.object({ ...SCHEDULE_FIELDS, pregnancy_id: field.id }, ["type", "scheduled_time"]),
+};
+
+app.post("/api/schedules", authenticateToken, validate(CREATE_SCHEDULE_REQUEST), async (req, res) => {
+  const { baby_id, pregnancy_id, type, scheduled_time, notes, recurrence, exceptions } = req.body;
+  if (!baby_id && !pregnancy_id) {
+    return res.status(400).json({ message: "Missing required fields: baby_id or pregnancy_id" });
+  }
+  if (baby_id && pregnancy_id) {
+    return res.status(400).json({ message: "Invalid input: a schedule belongs to either a baby or a pregnancy, not both" });
+  }
+
+  let recurrenceRule = null;
+  let recurrenceExceptions = null;
+  if (recurrence) {
+    try {
+      recurrenceRule = serializeRule(parseRule(recurrence));
+    } catch (error) {
+      if (!(error instanceof RecurrenceError)) throw error;
+      return res.status(400).json({ message: `Invalid input: ${error.message}` });
+    }
+    if (exceptions !== undefined) {
+      recurrenceExceptions = JSON.stringify(exceptions.map((value) => new Date(value).toISOString()));
+    }
+  }
+
+  try {
+    if (pregnancy_id) {
+      if (!(await repositories.pregnancies.findAccessible(pregnancy_id, req.user.userId))) {
+        return res.status(404).json({ message: "Pregnancy not found" });
+      }
+    } else {
+      const access = await findMemberBaby(baby_id, req.user.userId, "schedules:log");
+      if (!access.baby) {
+        return res.status(access.status).json({ message: access.message });
+      }
+    }
+
+    const scheduleId = await repositories.schedules.create({
+      babyId: baby_id || null,
+      pregnancyId: pregnancy_id || null,
+      type,
+      scheduledTime: new Date(scheduled_time),
+      notes: notes || null,
+      recurrenceRule,
+      recurrenceExceptions,
+    });
+    res.status(201).json({ message: "Schedule added!", id: scheduleId, recurrence_rule: recurrenceRule });
+  } catch (error) {
+    throw serverError("Failed to add schedule", error);
+  }
+});
+
+// Without from/to this pages through the stored schedules; with a window it
+// pages through every occurrence inside it, recurring schedules expanded
+const SCHEDULE_SORTS = ["scheduled_time", "type"];
+
+const LIST_SCHEDULES_REQUEST = {
+  summary: "Schedules, or their occurrences in a window",
+  description: `Give both from and to for a window of at most ${MAX_SCHEDULE_WINDOW_DAYS} days. Responds with { data, next_cursor }.`,
+  query: field.object({
+    from: DATE_OR_DATE_TIME,
+    to: DATE_OR_DATE_TIME,
+    baby_id: field.id,
+    type: field.text(100, { description: "As stored, ignoring case" }),
+    q: field.text(200, { description: "Text in the notes" }),
+    ...pageQuery(SCHEDULE_SORTS, "scheduled_time"),
+  }),
+};
+
+app.get("/api/schedules", authenticateToken, validate(LIST_SCHEDULES_REQUEST), async (req, res) => {
+  const { from, to, baby_id, type, q } = req.query;
+  const windowed = from !== undefined || to !== undefined;
+  const windowStart = windowed ? new Date(from) : null;
+  const windowEnd = windowed ? new Date(to) : null;
+  if (windowed) {
+    if (!from || !to) {
+      return res.status(400).json({ message: "Invalid input: from and to must both be given" });
+    }
+    if (windowEnd < windowStart || windowEnd - windowStart > MAX_SCHEDULE_WINDOW_DAYS * 86400000) {
+      return res.status(400).json({ message: `Invalid input: window must be positive and at most ${MAX_SCHEDULE_WINDOW_DAYS} days` });
+    }
+  }
+  // An occurrence's key also has its time
+  const paging = readPaging(req.query, "scheduled_time", windowed ? 3 : 2);
+  if (paging.error) {
+    return res.status(400).json({ message: paging.error });
+  }
+  const filters = { babyId: baby_id, type, q };
+
+  try {
+    if (!windowed) {
+      const schedules = await repositories.schedules.listVisible(req.user.userId, { ...filters, paging });
+      const page = toPage(schedules, paging, (schedule) => [schedule[paging.field], schedule.id]);
+      return res.status(200).json({ ...page, data: page.data.map(formatSchedule) });
+    }
+
+    const schedules = await repositories.schedules.listVisible(req.user.userId, { ...filters, occursBetween: [windowStart, windowEnd] });
+    const occurrences = schedules.flatMap((schedule) =>
+      scheduleOccurrences(schedule, windowStart, windowEnd).map((occurrence) => ({
+        id: schedule.id,
+        baby_id: schedule.baby_id,
+        pregnancy_id: schedule.pregnancy_id,
+        type: schedule.type,
+        scheduled_time: occurrence,
+        notes: schedule.notes,
+        recurrence_rule: schedule.recurrence_rule,
+      }))
+    );
+    // Occurrences of a recurring schedule share its id; their times tell them apart
+    const occurrenceKey = (occurrence) => [occurrence[paging.field], occurrence.id, occurrence.scheduled_time];
+    res.status(200).json(toPage(pageRows(occurrences, paging, occurrenceKey), paging, occurrenceKey));
+  } catch (error) {
+    throw serverError("Failed to fetch schedules", error);
+  }
+});
+
+app.get("/api/schedules/:id", authenticateToken, validate({ summary: "A schedule", params: idParams }), ownershipGuard("schedules", { permission: "schedules:read" }), sendOwned("schedules"));
+
+const UPDATE_SCHEDULE_REQUEST = {
+  summary: "Update a schedule",
+  description: "Setting baby_id moves a pregnancy schedule onto the baby. recurrence: null makes it a one-off again.",
+  params: idParams,
+  body: field.object(SCHEDULE_FIELDS),
+};
+
+app.patch("/api/schedules/:id", authenticateToken, validate(UPDATE_SCHEDULE_REQUEST), ownershipGuard("schedules", { permission: "schedules:edit" }), async (req, res) => {
+  const { baby_id, type, scheduled_time, notes, recurrence, exceptions } = req.body;
+  const fields = {};
+  if (type !== undefined) fields.type = type;
+  if (scheduled_time !== undefined) fields.scheduled_time = new Date(scheduled_time);
+  if (notes !== undefined) fields.notes = notes || null;
+  if (recurrence !== undefined) {
+    try {
+      fields.recurrence_rule = recurrence === null ? null : serializeRule(parseRule(recurrence));
+    } catch (error) {
+      if (!(error instanceof RecurrenceError)) throw error;
+      return res.status(400).json({ message: `Invalid input: ${error.message}` });
+    }
+    if (recurrence === null) fields.recurrence_exceptions = null;
+  }
+  if (exceptions !== undefined) {
+    fields.recurrence_exceptions = JSON.stringify(exceptions.map((value) => new Date(value).toISOString()));
+  }
+  if (baby_id !== undefined) {
+    try {
+      const access = await findMemberBaby(baby_id, req.user.userId, "schedules:edit");
+      if (!access.baby) return res.status(access.status).json({ message: access.message });
+    } catch (error) {
+      throw serverError("Failed to update schedule", error);
+    }
+    fields.baby_id = baby_id;
+    fields.pregnancy_id = null;
+  }
+  await updateOwned("schedules", req, res, fields);
+});
+
+app.delete("/api/schedules/:id", authenticateToken, validate({ summary: "Delete a schedule (restorable)", params: idParams }), ownershipGuard("schedules", { permission: "schedules:edit" }), softDeleteOwned("schedules"));
+app.post("/api/schedules/:id/restore", authenticateToken, validate({ summary: "Restore a deleted schedule", params: idParams }), ownershipGuard("schedules", { deleted: true, permission: "schedules:edit" }), restoreOwned("schedules"));
+
+// Skips a single occurrence of a recurring schedule
+const SKIP_OCCURRENCE_REQUEST = {
+  summary: "Skip one occurrence of a recurring schedule",
+  params: idParams,
+  body: field.object({ occurrence_time: field.dateTime }, ["occurrence_time"]),
+};
+
+app.post("/api/schedules/:id/exceptions", authenticateToken, validate(SKIP_OCCURRENCE_REQUEST), ownershipGuard("schedules", { permission: "schedules:edit" }), async (req, res) => {
+  const { occurrence_time } = req.body;
+
+  const schedule = formatSchedule(req.record);
+  const occurrence = new Date(occurrence_time);
+  if (!schedule.recurrence_rule || scheduleOccurrences(schedule, occurrence, occurrence).length === 0) {
+    return res.status(400).json({ message: "Invalid input: occurrence_time is not an occurrence of this schedule" });
+  }
+
+  try {
+    const updated = [...schedule.recurrence_exceptions, occurrence.toISOString()];
+    await repositories.schedules.update(schedule.id, { recurrence_exceptions: JSON.stringify(updated) });
+    res.status(200).json({ message: "Occurrence skipped", recurrence_exceptions: updated });
+  } catch (error) {
+    throw serverError("Failed to skip occurrence", error);
+  }
+});
+
+// Activities
+// Feeds, sleeps and diaper changes as they happened (see utils/activities.js).
+// Timers are activities with no ended_at yet; only one feed and one sleep can
+// run per baby at a time.
+const formatActivity = (row) => ({
+  ...row,
+  running: row.ended_at === null,
+  duration_minutes: row.ended_at === null ? null : Math.round((new Date(row.ended_at) - new Date(row.started_at)) / 60000),
+});
+
+// Which details apply depends on the kind; validateActivityDetails checks that
+const ACTIVITY_DETAILS = {
+  feed_type: field.oneOf(FEED_TYPES, { description: "Required for feeds" }),
+  breast_side: field.nullable(field.oneOf(BREAST_SIDES)),
+  amount_ml: field.nullable(field.integer({ minimum: 0, maximum: 500 })),
+  food: field.nullable(field.text(255)),
+  diaper: field.oneOf(DIAPER_TYPES, { description: "Required for diapers" }),
+  notes: NOTES,
+};
+
+const LOG_ACTIVITY_REQUEST = {
+  summary: "Log a finished feed, sleep or diaper change",
+  body: field.object(
+    { baby_id: field.id, kind: field.oneOf(ACTIVITY_KINDS), started_at: field.dateTime, ended_at: field.dateTime, ...ACTIVITY_DETAILS },
+    ["baby_id", "kind"]
+  ),
+};
+
+// Logs a finished activity. Diapers and feeds without an ended_at are
+// recorded as instant; sleeps need both ends or a timer
+app.post("/api/activities", authenticateToken, validate(LOG_ACTIVITY_REQUEST), async (req, res) => {
+  const { baby_id, kind, started_at, ended_at } = req.body;
+  if (kind === "sleep" && !ended_at) {
+    return res.status(400).json({ message: "Missing required fields: ended_at (or use /api/activities/start to time a sleep)" });
+  }
+  const startedAt = started_at ? new Date(started_at) : new Date();
+  const endedAt = ended_at && kind !== "diaper" ? new Date(ended_at) : startedAt;
+  const timeError = validateTimes(startedAt, endedAt);
+  if (timeError) {
+    return res.status(400).json({ message: timeError });
+  }
+  const { fields, error } = validateActivityDetails(kind, req.body);
+  if (error) {
+    return res.status(400).json({ message: error });
+  }
+
+  try {
+    const access = await findMemberBaby(baby_id, req.user.userId, "activities:log");
+    if (!access.baby) {
+      return res.status(access.status).json({ message: access.message });
+    }
+    const id = await repositories.activities.create({ babyId: baby_id, userId: req.user.userId, kind, startedAt, endedAt, details: fields });
+    res.status(201).json({ message: "Activity logged!", id });
+  } catch (error) {
+    throw serverError("Failed to log activity", error);
+  }
+});
+
+// Starts a feed or sleep timer; stop it with POST /api/activities/:id/stop
+const START_TIMER_REQUEST = {
+  summary: "Start a feed or sleep timer",
+  body: field.object({ baby_id: field.id, kind: field.oneOf(TIMED_KINDS), started_at: field.dateTime, ...ACTIVITY_DETAILS }, ["baby_id", "kind"]),
+};
+
+app.post("/api/activities/start", authenticateToken, validate(START_TIMER_REQUEST), async (req, res) => {
+  const { baby_id, kind, started_at } = req.body;
+  const startedAt = started_at ? new Date(started_at) : new Date();
+  const timeError = validateTimes(startedAt, null);
+  if (timeError) {
+    return res.status(400).json({ message: timeError });
+  }
+  const { fields, error } = validateActivityDetails(kind, req.body);
+  if (error) {
+    return res.status(400).json({ message: error });
+  }
+
+  try {
+    const access = await findMemberBaby(baby_id, req.user.userId, "activities:log");
+    if (!access.baby) {
+      return res.status(access.status).json({ message: access.message });
+    }
+    const running = await repositories.activities.findRunning(baby_id, kind);
+    if (running) {
+      return res.status(409).json({ message: `A ${kind} timer is already running for ${access.baby.name}`, id: running.id });
+    }
+    const id = await repositories.activities.create({ babyId: baby_id, userId: req.user.userId, kind, startedAt, endedAt: null, details: fields });
+    res.status(201).json({ message: `${kind === "feed" ? "Feed" : "Sleep"} timer started`, id, started_at: startedAt });
+  } catch (error) {
+    throw serverError("Failed to start timer", error);
+  }
+});
+
+const LIST_ACTIVITIES_REQUEST = {
+  summary: "Logged activities, newest first",
+  description: "Responds with { data, next_cursor }.",
+  query: field.object({
+    baby_id: field.id,
+    kind: field.oneOf(ACTIVITY_KINDS),
+    from: { ...DATE_OR_DATE_TIME, description: "On started_at" },
+    to: DATE_OR_DATE_TIME,
+    ...pageQuery(["started_at"], "-started_at"),
+  }),
+};
+
+app.get("/api/activities", authenticateToken, validate(LIST_ACTIVITIES_REQUEST), async (req, res) => {
+  const { baby_id, kind, from, to } = req.query;
+  const paging = readPaging(req.query, "-started_at");
+  if (paging.error) {
+    return res.status(400).json({ message: paging.error });
+  }
+  const filters = { babyId: baby_id, kind, from: from && new Date(from), to: to && new Date(to), paging };
+
+  try {
+    const activities = await repositories.activities.listVisible(req.user.userId, filters);
+    const page = toPage(activities, paging, (activity) => [activity.started_at, activity.id]);
+    res.status(200).json({ ...page, data: page.data.map(formatActivity) });
+  } catch (error) {
+    throw serverError("Failed to fetch activities", error);
+  }
+});
+
+// Timers still running across all the user's babies
+app.get("/api/activities/running", authenticateToken, validate({ summary: "Timers still running" }), async (req, res) => {
+  try {
+    const activities = await repositories.activities.listRunning(req.user.userId);
+    res.status(200).json(activities.map(formatActivity));
+  } catch (error) {
+    throw serverError("Failed to fetch running timers", error);
+  }
+});
+
+// Daily or weekly totals for one baby. Days run midnight to midnight in tz
+// (an IANA time zone, server time if omitted); a week is the 7 days ending on
+// date. Alerts are only raised for days that are over
+const TIME_ZONE = field.string({
+  description: "IANA time zone, e.g. Africa/Lagos",
+  check: (value) => isTimeZone(value) || "must be an IANA time zone such as Africa/Lagos",
+});
+
+const ACTIVITY_SUMMARY_REQUEST = {
+  summary: "Daily or weekly activity totals for a baby",
+  query: field.object(
+    {
+      baby_id: field.id,
+      period: field.oneOf(["day", "week"], { description: "Defaults to day" }),
+      date: { ...field.date, description: "The day, or the last day of the week; defaults to today" },
+      tz: TIME_ZONE,
+    },
+    ["baby_id"]
+  ),
+};
+
+app.get("/api/activities/summary", authenticateToken, validate(ACTIVITY_SUMMARY_REQUEST), async (req, res) => {
+  const { baby_id, tz } = req.query;
+  const period = req.query.period || "day";
+  const now = new Date();
+  const date = req.query.date || (tz ? localDateKey(now, tz) : dateKey(now));
+  const midnight = (key) => (tz ? zonedTime(key, "00:00", tz) : new Date(`${key}T00:00:00`));
+  const dayKeys = Array.from({ length: period === "week" ? 7 : 1 }, (_, i) => addDays(date, i - (period === "week" ? 6 : 0)));
+  const rangeStart = midnight(dayKeys[0]);
+  const rangeEnd = midnight(addDays(date, 1));
+
+  try {
+    const access = await findMemberBaby(baby_id, req.user.userId, "activities:read");
+    if (!access.baby) {
+      return res.status(access.status).json({ message: access.message });
+    }
+    // A day earlier as well, for sleeps that run past midnight and the gap to the first feed
+    const activities = await repositories.activities.listStartedBetween(baby_id, new Date(rangeStart.getTime() - 86400000), rangeEnd);
+
+    const days = dayKeys.map((key) => {
+      const from = midnight(key);
+      const to = midnight(addDays(key, 1));
+      const summary = summarizeDay(activities, from, to, now);
+      const complete = to <= now;
+      return {
+        date: key,
+        complete,
+        summary,
+        alerts: complete ? activityAlerts(summary, ageInDays(access.baby.birth_date, key)) : [],
+      };
+    });
+
+    if (period === "day") {
+      return res.status(200).json({ baby_id: access.baby.id, period, tz: tz || null, ...days[0] });
+    }
+    res.status(200).json({
+      baby_id: access.baby.id,
+      period,
+      tz: tz || null,
+      from: dayKeys[0],
+      to: date,
+      summary: summarizeWeek(days),
+      days,
+      alerts: days.flatMap((day) => day.alerts.map((alert) => ({ date: day.date, ...alert }))),
+    });
+  } catch (error) {
+    throw serverError("Failed to build activity summary", error);
+  }
+});
+
+app.get("/api/activities/:id", authenticateToken, validate({ summary: "An activity", params: idParams }), ownershipGuard("activities", { permission: "activities:read" }), sendOwned("activities"));
+
+const UPDATE_ACTIVITY_REQUEST = {
+  summary: "Correct a logged activity",
+  params: idParams,
+  body: field.object({ started_at: field.dateTime, ended_at: field.nullable(field.dateTime), ...ACTIVITY_DETAILS }),
+};
+
+app.patch("/api/activities/:id", authenticateToken, validate(UPDATE_ACTIVITY_REQUEST), ownershipGuard("activities", { permission: "activities:edit" }), async (req, res) => {
+  const { started_at, ended_at } = req.body;
+  const record = req.record;
+  const { fields, error } = validateActivityDetails(record.kind, req.body, { partial: true });
+  if (error) {
+    return res.status(400).json({ message: error });
+  }
+  if (started_at !== undefined) fields.started_at = new Date(started_at);
+  if (ended_at !== undefined && record.kind !== "diaper") {
+    if (ended_at === null) {
+      return res.status(400).json({ message: "Invalid input: ended_at cannot be cleared; start a new timer instead" });
+    }
+    fields.ended_at = new Date(ended_at);
+  }
+  if (record.kind === "diaper" && fields.started_at) fields.ended_at = fields.started_at;
+  const endedAt = fields.ended_at !== undefined ? fields.ended_at : record.ended_at;
+  const timeError = validateTimes(fields.started_at || new Date(record.started_at), endedAt === null ? null : new Date(endedAt));
+  if (timeError) {
+    return res.status(400).json({ message: timeError });
+  }
+  await updateOwned("activities", req, res, fields);
+});
+
+// Stops a running timer, optionally with the amount for a bottle feed
+const STOP_TIMER_REQUEST = {
+  summary: "Stop a running timer",
+  params: idParams,
+  body: field.object({ ended_at: { ...field.dateTime, description: "Defaults to now" }, ...ACTIVITY_DETAILS }),
+};
+
+app.post("/api/activities/:id/stop", authenticateToken, validate(STOP_TIMER_REQUEST), ownershipGuard("activities", { permission: "activities:log" }), async (req, res) => {
+  const { ended_at } = req.body;
+  const record = req.record;
+  if (record.ended_at !== null) {
+    return res.status(409).json({ message: "This timer has already been stopped" });
+  }
+  const endedAt = ended_at ? new Date(ended_at) : new Date();
+  const timeError = validateTimes(new Date(record.started_at), endedAt);
+  if (timeError) {
+    return res.status(400).json({ message: timeError });
+  }
+  const { fields, error } = validateActivityDetails(record.kind, req.body, { partial: true });
+  if (error) {
+    return res.status(400).json({ message: error });
+  }
+
+  try {
+    if (!(await repositories.activities.stop(record.id, endedAt, fields))) {
+      return res.status(409).json({ message: "This timer has already been stopped" });
+    }
+    const activity = await findOwned("activities", record.id, req.user.userId);
+    res.status(200).json({ message: "Timer stopped", activity: presentOwned("activities", activity) });
+  } catch (error) {
+    throw serverError("Failed to stop timer", error);
+  }
+});
+
+app.delete("/api/activities/:id", authenticateToken, validate({ summary: "Delete an activity (restorable)", params: idParams }), ownershipGuard("activities", { permission: "activities:edit" }), softDeleteOwned("activities"));
+app.post("/api/activities/:id/restore", authenticateToken, validate({ summary: "Restore a deleted activity", params: idParams }), ownershipGuard("activities", { deleted: true, permission: "activities:edit" }), restoreOwned("activities"));
+
+// Calendar subscription
+// The feed URL carries its own secret token because calendar apps cannot send
+// an Authorization header; only a hash of the token is stored
+
+app.post("/api/calendar/token", authenticateToken, validate({ summary: "Create a private calendar feed URL, replacing any earlier one" }), async (req, res) => {
+  const token = crypto.randomBytes(32).toString("hex");
+
+  try {
+    await repositories.calendarFeeds.replaceToken(req.user.userId, hashToken(token));
+
+    const url = `${req.protocol}://${req.get("host")}/api/calendar/${token}.ics`;
+    res.status(201).json({
+      message: "Calendar feed created. Any previous feed URL no longer works.",
+      url,
+      webcal_url: url.replace(/^https?:/, "webcal:"),
+    });
+  } catch (error) {
+    throw serverError("Failed to create calendar feed", error);
+  }
+});
+
+const CALENDAR_FEED_REQUEST = {
+  summary: "iCalendar feed of the user's schedules",
+  description: "Authenticated by the token in the URL, for calendar apps.",
+  params: field.object({ token: field.string() }),
+};
+
+app.get("/api/calendar/:token.ics", validate(CALENDAR_FEED_REQUEST), async (req, res) => {
+  try {
+    const userId = await repositories.calendarFeeds.findUserId(hashToken(req.params.token));
+    if (!userId) {
+      return res.status(404).json({ message: "Calendar feed not found" });
+    }
+
+    const babies = await repositories.babies.listForMember(userId);
+    const schedules = await repositories.schedules.listVisible(userId);
+    const milestones = await repositories.milestones.listVisible(userId);
+
+    const babyName = Object.fromEntries(babies.map((baby) => [baby.id, baby.name]));
+    const events = [
+      ...schedules.map((schedule) => ({
+        uid: `schedule-${schedule.id}@mamacare`,
+        summary: `${schedule.baby_id ? babyName[schedule.baby_id] : "Pregnancy"}: ${schedule.type}`,
+        description: schedule.notes,
+        start: schedule.scheduled_time,
+        rrule: schedule.recurrence_rule,
+        exdates: parseJsonColumn(schedule.recurrence_exceptions) || [],
+      })),
+      ...milestones.map((milestone) => ({
+        uid: `milestone-${milestone.id}@mamacare`,
+        summary: `${babyName[milestone.baby_id]}: ${milestone.title}`,
+        description: milestone.description,
+        start: milestone.milestone_date,
+        allDay: true,
+      })),
+      ...babies.map((baby) => ({
+        uid: `birthday-${baby.id}@mamacare`,
+        summary: `${baby.name}'s birthday`,
+        start: baby.birth_date,
+        allDay: true,
+        rrule: "FREQ=YEARLY",
+      })),
+    ];
+
+    res.set("Content-Type", "text/calendar; charset=utf-8");
+    res.set("Content-Disposition", 'inline; filename="mamacare.ics"');
+    res.status(200).send(buildCalendar({ name: "MamaCare", events }));
+  } catch (error) {
+    throw serverError("Failed to build calendar feed", error);
+  }
+});
+
+// Exchange Rates
+// Expenses keep the amount and currency they were entered in. Listings and
+// totals convert into the user's home currency at the latest stored rate on or
+// before the expense date; amounts with no usable rate are reported, not summed.
+const DEFAULT_HOME_CURRENCY = process.env.DEFAULT_HOME_CURRENCY || "NGN";
+
+const homeCurrencyFor = async (userId) => {
+  const user = await repositories.users.findById(userId);
+  return (user && user.home_currency) || DEFAULT_HOME_CURRENCY;
+};
+
+const loadConverter = async (userId) => {
+  const home = await homeCurrencyFor(userId);
+  return createConverter(await repositories.exchangeRates.listUsableFor(home), home);
+};
+
+const convertExpense = (converter, expense) => {
+  const minor = toMinor(String(expense.amount));
+  return { minor, converted: converter.convert(minor, expense.currency, expense.expense_date) };
+};
+
+const presentExpense = (converter, expense) => {
+  const { minor, converted } = convertExpense(converter, expense);
+  return {
+    ...expense,
+    amount: formatMinor(minor),
+    home_currency: converter.home,
+    home_amount: converted ? formatMinor(converted.minor) : null,
+    exchange_rate: converted ? formatRate(converted.rate) : null,
+    rate_date: converted ? converted.rate_date : null,
+  };
+};
+
+// Sums expenses in the home currency, keyed by groupBy(expense)
+const totalExpenses = (converter, expenses, groupBy = () => "all") => {
+  const groups = new Map();
+  const unconverted = [];
+  for (const expense of expenses) {
+    const { converted } = convertExpense(converter, expense);
+    if (!converted) {
+      unconverted.push({ id: expense.id, currency: expense.currency, amount: formatMinor(toMinor(String(expense.amount))), expense_date: expense.expense_date });
+      continue;
+    }
+    const key = groupBy(expense);
+    const group = groups.get(key) || { total: 0n, count: 0 };
+    group.total += converted.minor;
+    group.count += 1;
+    groups.set(key, group);
+  }
+  return { groups, unconverted };
+};
+
+const CURRENCY = field.oneOf(SUPPORTED_CURRENCIES);
+
+const LIST_RATES_REQUEST = {
+  summary: "Stored exchange rates",
+  query: field.object({ base: CURRENCY, quote: CURRENCY, from: field.date, to: field.date }),
+};
+
+app.get("/api/exchange-rates", authenticateToken, validate(LIST_RATES_REQUEST), async (req, res) => {
+  const { base, quote, from, to } = req.query;
+
+  try {
+    const rates = await repositories.exchangeRates.list({ base, quote, from, to }, 1000);
+    res.status(200).json({
+      supported_currencies: SUPPORTED_CURRENCIES,
+      rates: rates.map((rate) => ({ ...rate, rate: formatRate(parseRate(rate.rate)), rate_date: dateKey(rate.rate_date) })),
+    });
+  } catch (error) {
+    throw serverError("Failed to fetch exchange rates", error);
+  }
+});
+
+// Rows are checked one by one by validateRate so every rejected row is reported
+const EXCHANGE_RATE = field.object({
+  base_currency: field.string(),
+  quote_currency: field.string(),
+  rate: { description: "Positive decimal with up to 10 places; send a string to keep precision" },
+  rate_date: field.date,
+});
+
+const SAVE_RATES_REQUEST = {
+  summary: "Save exchange rates",
+  description: "Send { rates: [...] } or a single rate. A rate for an existing pair and date replaces it.",
+  body: field.object({ rates: field.arrayOf(EXCHANGE_RATE, { minItems: 1, maxItems: 500 }), ...EXCHANGE_RATE.properties }),
+};
+
+app.post("/api/exchange-rates", authenticateToken, requireRole("admin"), validate(SAVE_RATES_REQUEST), async (req, res) => {
+  const input = Array.isArray(req.body.rates) ? req.body.rates : [req.body];
+  const rates = [];
+  const errors = [];
+  input.forEach((row, index) => {
+    const { rate, error } = validateRate(row || {});
+    if (error) errors.push({ index, message: error });
+    else rates.push(rate);
+  });
+  if (errors.length) {
+    return res.status(400).json({ message: "Invalid input: some rates were rejected", errors });
+  }
+
+  try {
+    await repositories.exchangeRates.upsert(rates, "manual", req.user.userId);
+    res.status(201).json({ message: "Exchange rates saved!", saved: rates.length });
+  } catch (error) {
+    throw serverError("Failed to save exchange rates", error);
+  }
+});
+
+// CSV upload with a header row: base_currency,quote_currency,rate,rate_date.
+// Nothing is stored unless every row is valid
+app.post(
+  "/api/exchange-rates/import",
+  authenticateToken,
+  requireRole("admin"),
+  validate({ summary: "Import exchange rates from CSV", description: "text/csv body with the header base_currency,quote_currency,rate,rate_date." }),
+  express.text({ type: ["text/csv", "text/plain"], limit: "1mb" }),
+  async (req, res) => {
+    if (typeof req.body !== "string" || !req.body.trim()) {
+      return res.status(400).json({ message: "Missing required fields: CSV body (Content-Type: text/csv)" });
+    }
+    const { rates, errors } = parseRatesCsv(req.body);
+    if (errors.length) {
+      return res.status(400).json({ message: "Invalid input: some rows were rejected", errors });
+    }
+    if (rates.length === 0) {
+      return res.status(400).json({ message: "Invalid input: the file has no rate rows" });
+    }
+
+    try {
+      await repositories.transaction((transaction) => transaction.exchangeRates.upsert(rates, "csv", req.user.userId));
+      res.status(201).json({ message: "Exchange rates imported!", imported: rates.length });
+    } catch (error) {
+      throw serverError("Failed to import exchange rates", error);
+    }
+  }
+);
+
+// Expenses
+// Records an alert for each budget threshold (80%, 100%) the category's spend
+// for that month has reached. Budgets are in the home currency. The unique key
+// on (budget_id, month, threshold) means each threshold alerts at most once per month.
+const recordBudgetAlerts = async (userId, category, expenseDate, expenseId) => {
+  const budget = await repositories.budgets.findForCategory(userId, category);
+  if (!budget) return [];
+
+  const { start, end } = monthBounds(expenseDate);
+  const expenses = await repositories.expenses.listForCategory(userId, category, start, end);
+  const converter = await loadConverter(userId);
+  const { groups } = totalExpenses(converter, expenses);
+  const spent = groups.has("all") ? groups.get("all").total : 0n;
+  const limit = toMinor(String(budget.monthly_limit));
+
+  const alerts = [];
+  for (const threshold of reachedThresholds(spent, limit)) {
+    const recorded = await repositories.budgets.recordAlert({
+      userId,
+      budgetId: budget.id,
+      category,
+      month: monthKey(expenseDate),
+      threshold,
+      spent: formatMinor(spent),
+      monthlyLimit: formatMinor(limit),
+      expenseId,
+    });
+    if (recorded) {
+      alerts.push({
+        category,
+        month: monthKey(expenseDate),
+        threshold,
+        spent: formatMinor(spent),
+        monthly_limit: formatMinor(limit),
+        currency: converter.home,
+      });
+    }
+  }
+  return alerts;
+};
+
+const validateAmount = (amount) => {
+  const minor = typeof amount === "number" || typeof amount === "string" ? toMinor(amount) : null;
+  return minor !== null && minor > 0n ? formatMinor(minor) : null;
+};
+
+// Numbers or numeric strings; handlers store validateAmount(value)
+const AMOUNT = field.number({
+  exclusiveMinimum: 0,
+  description: "At most 2 decimal places",
+  check: (value) => validateAmount(value) !== null || "must have at most 2 decimal places",
+});
+
+const EXPENSE_FIELDS = {
+  baby_id: field.nullable(field.id),
+  category: field.requiredText(100),
+  amount: AMOUNT,
+  currency: { ...CURRENCY, description: "Defaults to the user's home currency" },
+  description: DESCRIPTION,
+  expense_date: field.date,
+};
+
+const CREATE_EXPENSE_REQUEST = {
+  summary: "Add an expense",
+  body: field.object(EXPENSE_FIELDS, ["category", "amount", "expense_date"]),
+};
+
+app.post("/api/expenses", authenticateToken, validate(CREATE_EXPENSE_REQUEST), async (req, res) => {
+  const { baby_id, category, amount, currency, description, expense_date } = req.body;
+  const normalizedAmount = validateAmount(amount);
+
+  try {
+    if (baby_id) {
+      const access = await findMemberBaby(baby_id, req.user.userId, "expenses:write");
+      if (!access.baby) {
+        return res.status(access.status).json({ message: access.message });
+      }
+    }
+
+    const expenseCurrency = currency || (await homeCurrencyFor(req.user.userId));
+    const expenseId = await repositories.expenses.create({
+      userId: req.user.userId,
+      babyId: baby_id || null,
+      category,
+      amount: normalizedAmount,
+      currency: expenseCurrency,
+      description: description || null,
+      expenseDate: expense_date,
+    });
+    const budgetAlerts = await recordBudgetAlerts(req.user.userId, category, expense_date, expenseId);
+    res.status(201).json({ message: "Expense added!", id: expenseId, currency: expenseCurrency, budget_alerts: budgetAlerts });
+  } catch (error) {
+    throw serverError("Failed to add expense", error);
+  }
+});
+
+const EXPENSE_RANGE = { from: field.date, to: field.date, baby_id: field.id };
+
+const EXPENSE_SORTS = ["expense_date", "amount", "category"];
+
+const LIST_EXPENSES_REQUEST = {
+  summary: "Expenses the user can see",
+  description: "from and to are inclusive. Sorting by amount uses the amount as entered, whatever its currency. Responds with { data, next_cursor }.",
+  query: field.object({
+    ...EXPENSE_RANGE,
+    category: field.text(100, { description: "Ignoring case" }),
+    q: field.text(200, { description: "Text in the description" }),
+    ...pageQuery(EXPENSE_SORTS, "-expense_date"),
+  }),
+};
+
+app.get("/api/expenses", authenticateToken, validate(LIST_EXPENSES_REQUEST), async (req, res) => {
+  const { from, to, baby_id, category, q } = req.query;
+  if (from && to && from > to) {
+    return res.status(400).json({ message: "Invalid input: from must not be after to" });
+  }
+  const paging = readPaging(req.query, "-expense_date");
+  if (paging.error) {
+    return res.status(400).json({ message: paging.error });
+  }
+
+  try {
+    const expenses = await repositories.expenses.listVisible(req.user.userId, { babyId: baby_id, category, from, to, q, paging });
+    const converter = await loadConverter(req.user.userId);
+    // Amounts come back as DECIMAL strings
+    const page = toPage(expenses, paging, (expense) => [paging.field === "amount" ? Number(expense.amount) : expense[paging.field], expense.id]);
+    res.status(200).json({ ...page, data: page.data.map((expense) => presentExpense(converter, expense)) });
+  } catch (error) {
+    throw serverError("Failed to fetch expenses", error);
+  }
+});
+
+// Budgets, analytics and export are registered before /api/expenses/:id so
+// their paths are not taken for an id
+const BUDGETS_REQUEST = {
+  summary: "Monthly budgets with what has been spent",
+  query: field.object({ month: field.string({ pattern: "^\\d{4}-(0[1-9]|1[0-2])$", description: "YYYY-MM; defaults to this month" }) }),
+};
+
+app.get("/api/expenses/budgets", authenticateToken, validate(BUDGETS_REQUEST), async (req, res) => {
+  const month = req.query.month || monthKey(new Date());
+
+  try {
+    const { start, end } = monthBounds(month);
+    const budgets = await repositories.budgets.listForUser(req.user.userId);
+    const expenses = await repositories.expenses.listOwnBetween(req.user.userId, start, end);
+    const alerts = await repositories.budgets.listAlerts(req.user.userId, month);
+    const converter = await loadConverter(req.user.userId);
+
+    const { groups, unconverted } = totalExpenses(converter, expenses, (expense) => expense.category);
+    res.status(200).json({
+      month,
+      currency: converter.home,
+      budgets: budgets.map((budget) => {
+        const limit = toMinor(String(budget.monthly_limit));
+        const spent = groups.has(budget.category) ? groups.get(budget.category).total : 0n;
+        return {
+          id: budget.id,
+          category: budget.category,
+          monthly_limit: formatMinor(limit),
+          spent: formatMinor(spent),
+          remaining: formatMinor(limit - spent),
+          used_pct: percentOf(spent, limit),
+        };
+      }),
+      alerts,
+      unconverted,
+    });
+  } catch (error) {
+    throw serverError("Failed to fetch budgets", error);
+  }
+});
+
+const SAVE_BUDGET_REQUEST = {
+  summary: "Set the monthly budget for a category",
+  body: field.object({ category: field.requiredText(100), monthly_limit: AMOUNT }, ["category", "monthly_limit"]),
+};
+
+app.post("/api/expenses/budgets", authenticateToken, validate(SAVE_BUDGET_REQUEST), async (req, res) => {
+  const { category, monthly_limit } = req.body;
+  const limit = validateAmount(monthly_limit);
+
+  try {
+    await repositories.budgets.save(req.user.userId, category, limit);
+    const currency = await homeCurrencyFor(req.user.userId);
+    res.status(200).json({ message: "Budget saved!", category, monthly_limit: limit, currency });
+  } catch (error) {
+    throw serverError("Failed to save budget", error);
+  }
+});
+
+app.delete("/api/expenses/budgets/:id", authenticateToken, validate({ summary: "Delete a budget", params: idParams }), async (req, res) => {
+  try {
+    if (!(await repositories.budgets.remove(req.params.id, req.user.userId))) {
+      return res.status(404).json({ message: "Budget not found" });
+    }
+    res.status(200).json({ message: "Budget deleted" });
+  } catch (error) {
+    throw serverError("Failed to delete budget", error);
+  }
+});
+
+// Shared date-range and baby filters for analytics and export: own expenses
+// plus those tagged with a baby shared with this user
+const expenseFilters = (query) => {
+  const { from, to, baby_id } = query;
+  if (from && to && from > to) {
+    return { error: "Invalid input: from must not be after to" };
+  }
+  return { babyId: baby_id, from, to };
+};
+
+const ANALYTICS_REQUEST = { summary: "Spending by category, baby and month", query: field.object(EXPENSE_RANGE) };
+
+app.get("/api/expenses/analytics", authenticateToken, validate(ANALYTICS_REQUEST), async (req, res) => {
+  const filters = expenseFilters(req.query);
+  if (filters.error) {
+    return res.status(400).json({ message: filters.error });
+  }
+
+  try {
+    const expenses = await repositories.expenses.listForReport(req.user.userId, filters);
+    const converter = await loadConverter(req.user.userId);
+
+    // Totals are converted per expense, at each expense's own date
+    const byCategory = totalExpenses(converter, expenses, (expense) => expense.category).groups;
+    const byBaby = totalExpenses(converter, expenses, (expense) => expense.baby_id).groups;
+    const { groups: byMonth, unconverted } = totalExpenses(converter, expenses, (expense) => monthKey(expense.expense_date));
+    const babyNames = new Map(expenses.map((expense) => [expense.baby_id, expense.baby_name]));
+    const descending = ([, a], [, b]) => (a.total > b.total ? -1 : a.total < b.total ? 1 : 0);
+
+    const from = req.query.from || (expenses.length ? expenses[0].expense_date : null);
+    const to = req.query.to || (expenses.length ? expenses[expenses.length - 1].expense_date : null);
+    const months = from && to ? monthsBetween(from, to) : [];
+
+    res.status(200).json({
+      from: req.query.from || null,
+      to: req.query.to || null,
+      currency: converter.home,
+      total: formatMinor(sumMinor([...byCategory.values()].map((group) => group.total))),
+      by_category: [...byCategory].sort(descending).map(([category, group]) => ({
+        category,
+        total: formatMinor(group.total),
+        count: group.count,
+      })),
+      by_baby: [...byBaby].sort(descending).map(([babyId, group]) => ({
+        baby_id: babyId,
+        baby_name: babyId ? babyNames.get(babyId) : "Family / unassigned",
+        total: formatMinor(group.total),
+        count: group.count,
+      })),
+      by_month: monthOverMonth(
+        Object.fromEntries([...byMonth].map(([month, group]) => [month, group.total])),
+        months
+      ),
+      unconverted,
+    });
+  } catch (error) {
+    throw serverError("Failed to build expense analytics", error);
+  }
+});
+
+const EXPORT_REQUEST = {
+  summary: "Download expenses as CSV or JSON",
+  query: field.object({ ...EXPENSE_RANGE, format: field.oneOf(["csv", "json"], { description: "Defaults to csv" }) }),
+};
+
+app.get("/api/expenses/export", authenticateToken, validate(EXPORT_REQUEST), async (req, res) => {
+  const format = req.query.format || "csv";
+  const filters = expenseFilters(req.query);
+  if (filters.error) {
+    return res.status(400).json({ message: filters.error });
+  }
+
+  try {
+    const rows = await repositories.expenses.listForReport(req.user.userId, filters);
+    const converter = await loadConverter(req.user.userId);
+    const expenses = rows.map((row) => presentExpense(converter, row));
+
+    const filename = `mamacare-expenses-${req.query.from || "start"}-to-${req.query.to || "today"}.${format}`;
+    res.set("Content-Disposition", `attachment; filename="${filename}"`);
+    if (format === "json") {
+      return res.status(200).json(expenses);
+    }
+    const columns = [
+      "id",
+      "expense_date",
+      "category",
+      "amount",
+      "currency",
+      "home_amount",
+      "home_currency",
+      "exchange_rate",
+      "rate_date",
+      "description",
+      "baby_id",
+      "baby_name",
+    ];
+    res.set("Content-Type", "text/csv; charset=utf-8");
+    res.status(200).send(toCsv(columns, expenses));
+  } catch (error) {
+    throw serverError("Failed to export expenses", error);
+  }
+});
+
+app.get("/api/expenses/:id", authenticateToken, validate({ summary: "An expense", params: idParams }), ownershipGuard("expenses"), async (req, res) => {
+  try {
+    const converter = await loadConverter(req.user.userId);
+    res.status(200).json(presentExpense(converter, presentOwned("expenses", req.record)));
+  } catch (error) {
+    throw serverError("Failed to fetch expense", error);
+  }
+});
+
+const UPDATE_EXPENSE_REQUEST = { summary: "Update an expense", params: idParams, body: field.object(EXPENSE_FIELDS) };
+
+app.patch("/api/expenses/:id", authenticateToken, validate(UPDATE_EXPENSE_REQUEST), ownershipGuard("expenses"), async (req, res) => {
+  const { baby_id, category, amount, currency, description, expense_date } = req.body;
+  const fields = {};
+  if (category !== undefined) fields.category = category;
+  if (amount !== undefined) fields.amount = validateAmount(amount);
+  if (currency !== undefined) fields.currency = currency;
+  if (description !== undefined) fields.description = description || null;
+  if (expense_date !== undefined) fields.expense_date = expense_date;
+  if (baby_id !== undefined) {
+    if (baby_id !== null) {
+      try {
+        const access = await findMemberBaby(baby_id, req.user.userId, "expenses:write");
+        if (!access.baby) return res.status(access.status).json({ message: access.message });
+      } catch (error) {
+        throw serverError("Failed to update expense", error);
+      }
+    }
+    fields.baby_id = baby_id;
+  }
+  await updateOwned("expenses", req, res, fields, async (record) => ({
+    budget_alerts: await recordBudgetAlerts(record.user_id, record.category, record.expense_date, record.id),
+  }));
+});
+
+app.delete("/api/expenses/:id", authenticateToken, validate({ summary: "Delete an expense (restorable)", params: idParams }), ownershipGuard("expenses"), softDeleteOwned("expenses"));
+app.post("/api/expenses/:id/restore", authenticateToken, validate({ summary: "Restore a deleted expense", params: idParams }), ownershipGuard("expenses", { deleted: true }), restoreOwned("expenses"));
+
+// Milestones
+const MILESTONE_FIELDS = {
+  baby_id: field.id,
+  title: field.requiredText(255),
+  description: DESCRIPTION,
+  milestone_date: field.date,
+  photo_url: field.nullable(field.text(2048, { pattern: "^https?://", description: "Link to a photo stored elsewhere; uploads go to /media" })),
+};
+
+const CREATE_MILESTONE_REQUEST = {
+  summary: "Record a milestone",
+  body: field.object(MILESTONE_FIELDS, ["baby_id", "title", "milestone_date"]),
+};
+
+app.post("/api/milestones", authenticateToken, validate(CREATE_MILESTONE_REQUEST), async (req, res) => {
+  const { baby_id, title, description, milestone_date, photo_url } = req.body;
+
+  try {
+    const access = await findMemberBaby(baby_id, req.user.userId, "milestones:log");
+    if (!access.baby) {
+      return res.status(access.status).json({ message: access.message });
+    }
+
+    const milestoneId = await repositories.milestones.create({
+      babyId: baby_id,
+      title,
+      description: description || null,
+      milestoneDate: milestone_date,
+      photoUrl: photo_url || null,
+    });
+    res.status(201).json({ message: "Milestone added!", id: milestoneId });
+  } catch (error) {
+    throw serverError("Failed to add milestone", error);
+  }
+});
+
+const MILESTONE_SORTS = ["milestone_date", "title"];
+
+const LIST_MILESTONES_REQUEST = {
+  summary: "Milestones the user can see",
+  description: "from and to are inclusive. Responds with { data, next_cursor }.",
+  query: field.object({
+    baby_id: field.id,
+    from: { ...field.date, description: "On milestone_date" },
+    to: field.date,
+    q: field.text(200, { description: "Text in the title or description" }),
+    ...pageQuery(MILESTONE_SORTS, "-milestone_date"),
+  }),
+};
+
+app.get("/api/milestones", authenticateToken, validate(LIST_MILESTONES_REQUEST), async (req, res) => {
+  const { baby_id, from, to, q } = req.query;
+  if (from && to && from > to) {
+    return res.status(400).json({ message: "Invalid input: from must not be after to" });
+  }
+  const paging = readPaging(req.query, "-milestone_date");
+  if (paging.error) {
+    return res.status(400).json({ message: paging.error });
+  }
+
+  try {
+    const milestones = await repositories.milestones.listVisible(req.user.userId, { babyId: baby_id, from, to, q, paging });
+    res.status(200).json(toPage(milestones, paging, (milestone) => [milestone[paging.field], milestone.id]));
+  } catch (error) {
+    throw serverError("Failed to fetch milestones", error);
+  }
+});
+
+app.get("/api/milestones/:id", authenticateToken, validate({ summary: "A milestone", params: idParams }), ownershipGuard("milestones", { permission: "milestones:read" }), sendOwned("milestones"));
+
+const UPDATE_MILESTONE_REQUEST = { summary: "Update a milestone", params: idParams, body: field.object(MILESTONE_FIELDS) };
+
+app.patch("/api/milestones/:id", authenticateToken, validate(UPDATE_MILESTONE_REQUEST), ownershipGuard("milestones", { permission: "milestones:edit" }), async (req, res) => {
+  const { baby_id, title, description, milestone_date, photo_url } = req.body;
+  const fields = {};
+  if (title !== undefined) fields.title = title;
+  if (description !== undefined) fields.description = description || null;
+  if (milestone_date !== undefined) fields.milestone_date = milestone_date;
+  if (photo_url !== undefined) fields.photo_url = photo_url || null;
+  if (baby_id !== undefined) {
+    try {
+      const access = await findMemberBaby(baby_id, req.user.userId, "milestones:edit");
+      if (!access.baby) return res.status(access.status).json({ message: access.message });
+    } catch (error) {
+      throw serverError("Failed to update milestone", error);
+    }
+    fields.baby_id = baby_id;
+  }
+  await updateOwned("milestones", req, res, fields);
+});
+
+app.delete("/api/milestones/:id", authenticateToken, validate({ summary: "Delete a milestone (restorable)", params: idParams }), ownershipGuard("milestones", { permission: "milestones:edit" }), softDeleteOwned("milestones"));
+app.post("/api/milestones/:id/restore", authenticateToken, validate({ summary: "Restore a deleted milestone", params: idParams }), ownershipGuard("milestones", { deleted: true, permission: "milestones:edit" }), restoreOwned("milestones"));
+
+// Milestone media
+// Photos and short videos uploaded as multipart/form-data (field "file"). Files
+// are held in memory while their type is sniffed and then handed to the storage
+// adapter (utils/mediaStorage.js). Clients get short-lived signed download
+// URLs; authenticated members can also fetch a file through its milestone.
+
+// Runs multer after access has been checked, with the larger of the two size
+// limits; the per-kind limit is applied once the type is known
+const receiveMediaFile = (req, res, next) => {
+  const { maxBytes } = mediaConfig();
+  multer({ storage: multer.memoryStorage(), limits: { files: 1, fields: 0, fileSize: Math.max(maxBytes.image, maxBytes.video) } }).single("file")(
+    req,
+    res,
+    (error) => {
+      if (!error) return next();
+      if (error.code === "LIMIT_FILE_SIZE") {
+        return res.status(413).json({ message: `File too large: videos can be up to ${Math.round(maxBytes.video / 1048576)} MB` });
+      }
+      if (error instanceof multer.MulterError) {
+        return res.status(400).json({ message: `Invalid input: ${error.message}; send one file in the "file" field` });
+      }
+      next(error);
+    }
+  );
+};
+
+const presentMedia = (media) => {
+  const { urlTtlSeconds } = mediaConfig();
+  const { storage_key, ...fields } = media;
+  return {
+    ...fields,
+    url: mediaStorage.signedUrl(storage_key, urlTtlSeconds) || signMediaPath(media.id, urlTtlSeconds),
+    url_expires_at: new Date(Date.now() + urlTtlSeconds * 1000),
+  };
+};
+
+const streamMedia = async (res, media) => {
+  const object = await mediaStorage.get(media.storage_key);
+  if (!object) return res.status(404).json({ message: "Media file not found" });
+  res.set({
+    "Content-Type": media.mime_type,
+    "Cache-Control": "private, max-age=3600",
+    // Helmet defaults to same-origin, which would stop the app embedding it
+    "Cross-Origin-Resource-Policy": "cross-origin",
+  });
+  if (object.size) res.set("Content-Length", String(object.size));
+  object.stream.on("error", (error) => {
+    console.error("Stream media error:", error.message);
+    res.destroy(error);
+  });
+  object.stream.pipe(res);
+};
+
+const MEDIA_PARAMS = field.object({ id: field.id, mediaId: field.id });
+
+const UPLOAD_MEDIA_REQUEST = {
+  summary: "Upload a photo or video to a milestone",
+  params: idParams,
+  multipart: field.object({ file: field.string({ format: "binary" }) }, ["file"]),
+};
+
+app.post(
+  "/api/milestones/:id/media",
+  authenticateToken,
+  validate(UPLOAD_MEDIA_REQUEST),
+  ownershipGuard("milestones", { permission: "milestones:log" }),
+  receiveMediaFile,
+  async (req, res) => {
+    if (!req.file) {
+      return res.status(400).json({ message: "Missing required fields: file (multipart/form-data)" });
+    }
+    const type = sniffMediaType(req.file.buffer);
+    if (!type) {
+      return res.status(415).json({ message: "Unsupported file type: upload a JPEG, PNG, GIF, WebP or HEIC photo, or an MP4, MOV or WebM video" });
+    }
+    const { maxBytes, perMilestone } = mediaConfig();
+    if (req.file.size > maxBytes[type.kind]) {
+      return res.status(413).json({ message: `File too large: ${type.kind}s can be up to ${Math.round(maxBytes[type.kind] / 1048576)} MB` });
+    }
+    const originalName = req.file.originalname ? req.file.originalname.slice(0, 255) : null;
+    const storageKey = `milestones/${req.record.id}/${crypto.randomUUID()}.${type.ext}`;
+
+    try {
+      if ((await repositories.milestoneMedia.countForMilestone(req.record.id)) >= perMilestone) {
+        return res.status(409).json({ message: `A milestone can have at most ${perMilestone} photos and videos` });
+      }
+      await mediaStorage.put(storageKey, req.file.buffer, type.mime_type);
+      let mediaId;
+      try {
+        mediaId = await repositories.milestoneMedia.create({
+          milestoneId: req.record.id,
+          storageKey,
+          kind: type.kind,
+          mimeType: type.mime_type,
+          sizeBytes: req.file.size,
+          originalName,
+          uploadedBy: req.user.userId,
+        });
+      } catch (error) {
+        await mediaStorage.remove(storageKey).catch(() => {});
+        throw error;
+      }
+      const media = await repositories.milestoneMedia.findById(mediaId);
+      res.status(201).json({ message: "Media uploaded!", media: presentMedia(media) });
+    } catch (error) {
+      throw serverError("Failed to upload media", error);
+    }
+  }
+);
+
+app.get("/api/milestones/:id/media", authenticateToken, validate({ summary: "A milestone's photos and videos", params: idParams }), ownershipGuard("milestones", { permission: "milestones:read" }), async (req, res) => {
+  try {
+    const media = await repositories.milestoneMedia.listForMilestone(req.record.id);
+    res.status(200).json(media.map(presentMedia));
+  } catch (error) {
+    throw serverError("Failed to fetch media", error);
+  }
+});
+
+app.get("/api/milestones/:id/media/:mediaId", authenticateToken, validate({ summary: "Download a photo or video", params: MEDIA_PARAMS }), ownershipGuard("milestones", { permission: "milestones:read" }), async (req, res) => {
+  try {
+    const media = await repositories.milestoneMedia.findForMilestone(req.params.mediaId, req.record.id);
+    if (!media) return res.status(404).json({ message: "Media not found" });
+    await streamMedia(res, media);
+  } catch (error) {
+    throw serverError("Failed to download media", error);
+  }
+});
+
+app.delete("/api/milestones/:id/media/:mediaId", authenticateToken, validate({ summary: "Delete a photo or video", params: MEDIA_PARAMS }), ownershipGuard("milestones", { permission: "milestones:edit" }), async (req, res) => {
+  try {
+    const media = await repositories.milestoneMedia.findForMilestone(req.params.mediaId, req.record.id);
+    if (!media) {
+      return res.status(404).json({ message: "Media not found" });
+    }
+    await repositories.milestoneMedia.remove(media.id);
+    // The row is gone, so a file left behind by a storage error is only an orphan
+    await mediaStorage.remove(media.storage_key).catch((error) => console.error("Remove media file error:", error.message));
+    res.status(200).json({ message: "Media deleted" });
+  } catch (error) {
+    throw serverError("Failed to delete media", error);
+  }
+});
+
+// Signed download links (see presentMedia); no session needed, so they work
+// in <img> and <video> tags
+const SIGNED_MEDIA_REQUEST = {
+  summary: "Download media through a signed link",
+  params: idParams,
+  query: field.object({ expires: field.integer(), signature: field.string() }, ["expires", "signature"]),
+};
+
+app.get("/api/media/:id", validate(SIGNED_MEDIA_REQUEST), async (req, res) => {
+  const { expires, signature } = req.query;
+  if (!verifyMediaSignature(req.params.id, expires, signature)) {
+    return res.status(403).json({ message: "This link is invalid or has expired" });
+  }
+  try {
+    // Media of a deleted milestone or baby stops being served straight away
+    const media = await repositories.milestoneMedia.findServable(req.params.id);
+    if (!media) return res.status(404).json({ message: "Media not found" });
+    await streamMedia(res, media);
+  } catch (error) {
+    throw serverError("Failed to download media", error);
+  }
+});
+
+// Milestones deleted, or whose baby was deleted, keep their files for the undo
+// window; after that the files and rows are removed for good
+const MEDIA_PURGE_INTERVAL_MINUTES = 15;
+
+const purgeDeletedMilestoneMedia = async () => {
+  try {
+    const media = await repositories.milestoneMedia.listPurgeable(UNDO_WINDOW_MINUTES, 500);
+    for (const item of media) {
+      await mediaStorage.remove(item.storage_key);
+      await repositories.milestoneMedia.remove(item.id);
+    }
+  } catch (error) {
+    console.error("Purge milestone media error:", error.message);
+  }
+};
+
+// Daily Reads
+// Reads are shown to every user, so they go through the publishing workflow
+// (utils/contentWorkflow.js): editors write drafts, admins publish them. A
+// published read only appears once its published_date has arrived, which is
+// how reads are scheduled. Content is markdown; see utils/markdown.js.
+
+const stageBound = (maximum) => field.nullable(field.integer({ minimum: 0, maximum }));
+
+const DAILY_READ_FIELDS = {
+  title: field.requiredText(255),
+  content: field.string({ minLength: 1, description: "Markdown" }),
+  published_date: { ...field.date, description: "The read appears from this date once published" },
+  pregnancy_week_from: stageBound(MAX_PREGNANCY_WEEK),
+  pregnancy_week_to: stageBound(MAX_PREGNANCY_WEEK),
+  baby_age_from_days: stageBound(MAX_BABY_AGE_DAYS),
+  baby_age_to_days: stageBound(MAX_BABY_AGE_DAYS),
+  topics: field.arrayOf(field.string(), { description: 'Slugs such as "sleep" or "breast-feeding"' }),
+};
+
+// After the schema check: orders the stage ranges and normalises topics.
+// Returns { fields, topics } (topics undefined when not given) or { error }
+const validateDailyRead = (body) => {
+  const { title, content, published_date, topics } = body;
+  const fields = {};
+  if (title !== undefined) fields.title = title;
+  if (content !== undefined) fields.content = content;
+  if (published_date !== undefined) fields.published_date = published_date;
+  const stages = validateStages(body);
+  if (stages.error) return stages;
+  Object.assign(fields, stages.fields);
+  if (topics === undefined) return { fields };
+  const normalized = normalizeTopics(topics);
+  if (normalized.error) return normalized;
+  return { fields, topics: normalized.topics };
+};
+
+const presentRead = async (read, topics, { html = false, stages = null } = {}) => ({
+  id: read.id,
+  title: read.title,
+  excerpt: excerpt(read.content),
+  content: read.content,
+  ...(html ? { content_html: await renderMarkdown(read.content) } : {}),
+  published_date: read.published_date,
+  topics: topics.get(read.id) || [],
+  pregnancy_weeks:
+    read.pregnancy_week_from === null && read.pregnancy_week_to === null
+      ? null
+      : { from: read.pregnancy_week_from, to: read.pregnancy_week_to },
+  baby_age_days:
+    read.baby_age_from_days === null && read.baby_age_to_days === null
+      ? null
+      : { from: read.baby_age_from_days, to: read.baby_age_to_days },
+  ...(stages ? { matched_stages: matchingStages(read, stages) } : {}),
+  bookmarked: Boolean(read.bookmarked_at),
+  read: Boolean(read.read_at),
+});
+
+// Schemas for the workflow routes shared by daily reads and scriptures
+const contentTransitionRequest = (label) => ({
+  summary: `Move a ${label} through the publishing workflow`,
+  description: "reject needs a note explaining why.",
+  params: field.object({ id: field.id, action: field.oneOf(Object.keys(TRANSITIONS)) }),
+  body: field.object({ note: NOTES }),
+});
+
+const contentHistoryRequest = (label) => ({ summary: `Audit history of a ${label}`, params: idParams });
+
+const CONTENT_STATUS_QUERY = field.object({ status: field.oneOf(CONTENT_STATUSES) });
+
+// Moves a piece of shared content through the workflow; mounted as POST .../:id/:action
+// `resource` names its repository
+const contentTransition = (resource, entityType, label) => async (req, res) => {
+  const { action } = req.params;
+  const { note } = req.body;
+
+  try {
+    const item = await repositories[resource].findStatus(req.params.id);
+    if (!item) {
+      return res.status(404).json({ message: `${label} not found` });
+    }
+
+    const plan = planTransition(action, item.status, req.user.role, note);
+    if (plan.error) {
+      return res.status(plan.status).json({ message: plan.error });
+    }
+
+    const fields = { status: plan.to };
+    if (action === "submit") fields.review_note = null;
+    if (action === "approve" || action === "reject") {
+      fields.reviewed_by = req.user.userId;
+      fields.review_note = note || null;
+    }
+    if (action === "approve") fields.published_at = new Date();
+    if (action === "unpublish") fields.published_at = null;
+
+    if (!(await repositories[resource].transition(item.id, item.status, fields))) {
+      return res.status(409).json({ message: `${label} was changed by someone else; reload and try again` });
+    }
+    await recordAudit(repositories, req.user.userId, action, entityType, item.id, { from: item.status, to: plan.to, note: note || null });
+    res.status(200).json({ message: `${label} ${plan.done}`, id: item.id, status: plan.to });
+  } catch (error) {
+    throw serverError(`Failed to ${action} ${label.toLowerCase()}`, error);
+  }
+};
+
+const contentHistory = (entityType) => async (req, res) => {
+  try {
+    const entries = await repositories.auditLog.listForEntity(entityType, req.params.id);
+    res.status(200).json(entries.map((entry) => ({ ...entry, changes: parseJsonColumn(entry.changes) })));
+  } catch (error) {
+    throw serverError("Failed to fetch history", error);
+  }
+};
+
+const CREATE_DAILY_READ_REQUEST = {
+  summary: "Write a daily read (saved as a draft)",
+  body: field.object(DAILY_READ_FIELDS, ["title", "content", "published_date"]),
+};
+
+app.post("/api/daily_reads", authenticateToken, requireRole("editor", "admin"), validate(CREATE_DAILY_READ_REQUEST), async (req, res) => {
+  const { fields, topics = [], error } = validateDailyRead(req.body);
+  if (error) {
+    return res.status(400).json({ message: error });
+  }
+
+  try {
+    const id = await repositories.dailyReads.create(fields, req.user.userId);
+    await repositories.dailyReads.replaceTopics(id, topics);
+    await recordAudit(repositories, req.user.userId, "create", "daily_read", id, { after: { ...fields, topics } });
+    res.status(201).json({ message: "Daily read saved as a draft", id, status: "draft" });
+  } catch (error) {
+    throw serverError("Failed to add daily read", error);
+  }
+});
+
+const DAILY_READ_SORTS = ["published_date", "title"];
+
+const LIST_DAILY_READS_REQUEST = {
+  summary: "Published daily reads, newest first",
+  description: "Responds with { data, next_cursor }.",
+  query: field.object({
+    q: field.text(200, { description: "Full-text search; results are ordered by relevance" }),
+    topic: field.text(50),
+    pregnancy_week: field.integer({ minimum: 0, maximum: MAX_PREGNANCY_WEEK }),
+    baby_age_days: field.integer({ minimum: 0, maximum: MAX_BABY_AGE_DAYS }),
+    bookmarked: field.boolean(),
+    unread: field.boolean(),
+    ...pageQuery(DAILY_READ_SORTS, "-published_date, or by relevance with q"),
+  }),
+};
+
+app.get("/api/daily_reads", authenticateToken, validate(LIST_DAILY_READS_REQUEST), async (req, res) => {
+  const { q, topic, pregnancy_week, baby_age_days, bookmarked, unread } = req.query;
+
+  const stages = [];
+  if (pregnancy_week !== undefined) stages.push({ type: "pregnancy", week: Number(pregnancy_week) });
+  if (baby_age_days !== undefined) stages.push({ type: "baby", age_days: Number(baby_age_days) });
+
+  const search = typeof q === "string" && q.trim() ? q.trim() : null;
+  const paging = readPaging(req.query, search ? "-relevance" : "-published_date", (sort) => (sort === "-relevance" ? 3 : 2));
+  if (paging.error) {
+    return res.status(400).json({ message: paging.error });
+  }
+  const filters = {
+    search,
+    topic: topic && String(topic).toLowerCase(),
+    stages,
+    bookmarked: bookmarked === "true",
+    unread: unread === "true",
+    paging,
+  };
+
+  try {
+    const reads = await repositories.dailyReads.listPublished(req.user.userId, filters);
+    const page = toPage(reads, paging, (read) =>
+      paging.field === "relevance" ? [read.relevance, read.published_date, read.id] : [read[paging.field], read.id]
+    );
+    const topics = await repositories.dailyReads.loadTopics(page.data.map((read) => read.id));
+    res.status(200).json({ ...page, data: await Promise.all(page.data.map((read) => presentRead(read, topics))) });
+  } catch (error) {
+    throw serverError("Failed to fetch daily reads", error);
+  }
+});
+
+// Personalised feed: reads for the week of the user's active pregnancy and
+// each baby's age, unread first, topped up with general reads
+const TODAY_FEED_SIZE = 5;
+
+app.get("/api/daily_reads/today", authenticateToken, validate({ summary: "Reads for the user's pregnancy week and babies' ages" }), async (req, res) => {
+  try {
+    const pregnancy = await repositories.pregnancies.findActive(req.user.userId);
+    const babies = await repositories.babies.listForMember(req.user.userId);
+    const today = new Date();
+    const stages = currentStages({ dueDate: pregnancy ? pregnancy.due_date : null, babies }, today);
+
+    const staged = await repositories.dailyReads.listUnreadFirst(req.user.userId, stages, TODAY_FEED_SIZE * Math.max(stages.length, 1));
+    const general = await repositories.dailyReads.listUnreadFirst(req.user.userId, null, TODAY_FEED_SIZE);
+    const reads = [...staged, ...general.slice(0, Math.max(TODAY_FEED_SIZE - staged.length, 0))];
+    const topics = await repositories.dailyReads.loadTopics(reads.map((read) => read.id));
+
+    res.status(200).json({
+      date: dateKey(today),
+      stages,
+      reads: await Promise.all(reads.map((read) => presentRead(read, topics, { html: true, stages }))),
+    });
+  } catch (error) {
+    throw serverError("Failed to fetch today's reads", error);
+  }
+});
+
+app.get("/api/daily_reads/topics", authenticateToken, validate({ summary: "Topics of published reads with counts" }), async (req, res) => {
+  try {
+    res.status(200).json(await repositories.dailyReads.countTopics());
+  } catch (error) {
+    throw serverError("Failed to fetch topics", error);
+  }
+});
+
+// Every read in any state, for the editorial dashboard
+const ADMIN_DAILY_READS_REQUEST = { summary: "Daily reads in any state", query: CONTENT_STATUS_QUERY };
+
+app.get("/api/admin/daily_reads", authenticateToken, requireRole("editor", "admin"), validate(ADMIN_DAILY_READS_REQUEST), async (req, res) => {
+  const { status } = req.query;
+
+  try {
+    const reads = await repositories.dailyReads.listAll(status);
+    const topics = await repositories.dailyReads.loadTopics(reads.map((read) => read.id));
+    res.status(200).json(reads.map((read) => ({ ...read, topics: topics.get(read.id) })));
+  } catch (error) {
+    throw serverError("Failed to fetch daily reads", error);
+  }
+});
+
+// Editors and admins can preview reads in any state; everyone else sees published ones
+app.get("/api/daily_reads/:id", authenticateToken, validate({ summary: "A daily read", params: idParams }), async (req, res) => {
+  const preview = ["editor", "admin"].includes(req.user.role);
+
+  try {
+    const found = await repositories.dailyReads.findForUser(req.params.id, req.user.userId, { preview });
+    if (!found) {
+      return res.status(404).json({ message: "Daily read not found" });
+    }
+    const topics = await repositories.dailyReads.loadTopics([found.id]);
+    const read = await presentRead(found, topics, { html: true });
+    res.status(200).json(preview ? { ...read, status: found.status } : read);
+  } catch (error) {
+    throw serverError("Failed to fetch daily read", error);
+  }
+});
+
+const UPDATE_DAILY_READ_REQUEST = { summary: "Edit a draft daily read", params: idParams, body: field.object(DAILY_READ_FIELDS) };
+
+app.patch("/api/daily_reads/:id", authenticateToken, requireRole("editor", "admin"), validate(UPDATE_DAILY_READ_REQUEST), async (req, res) => {
+  const { fields, topics, error } = validateDailyRead(req.body);
+  if (error) {
+    return res.status(400).json({ message: error });
+  }
+  const columns = Object.keys(fields);
+  if (columns.length === 0 && topics === undefined) {
+    return res.status(400).json({ message: "No updatable fields provided" });
+  }
+
+  try {
+    const before = await repositories.dailyReads.findById(req.params.id);
+    if (!before) {
+      return res.status(404).json({ message: "Daily read not found" });
+    }
+    if (!isEditable(before.status)) {
+      return res.status(409).json({ message: "Only drafts can be edited. Unpublish or reject it first." });
+    }
+
+    if (columns.length) await repositories.dailyReads.update(before.id, fields);
+    const changes = {
+      before: Object.fromEntries(columns.map((column) => [column, before[column]])),
+      after: { ...fields },
+    };
+    if (topics !== undefined) {
+      changes.before.topics = (await repositories.dailyReads.loadTopics([before.id])).get(before.id);
+      changes.after.topics = topics;
+      await repositories.dailyReads.replaceTopics(before.id, topics);
+    }
+    await recordAudit(repositories, req.user.userId, "update", "daily_read", before.id, changes);
+    res.status(200).json({ message: "Daily read updated!", id: before.id });
+  } catch (error) {
+    throw serverError("Failed to update daily read", error);
+  }
+});
+
+app.get("/api/daily_reads/:id/history", authenticateToken, requireRole("editor", "admin"), validate(contentHistoryRequest("daily read")), contentHistory("daily_read"));
+
+// Bookmarks and read tracking for reads the user can see
+// `mark` is the dailyReads repository method to call
+const markDailyRead = (label, mark) => async (req, res) => {
+  try {
+    if (!(await repositories.dailyReads.isVisible(req.params.id))) {
+      return res.status(404).json({ message: "Daily read not found" });
+    }
+    await repositories.dailyReads[mark](req.user.userId, req.params.id);
+    res.status(200).json({ message: label, id: Number(req.params.id) });
+  } catch (error) {
+    throw serverError("Failed to update daily read", error);
+  }
+};
+
+app.put(
+  "/api/daily_reads/:id/bookmark",
+  authenticateToken,
+  validate({ summary: "Bookmark a daily read", params: idParams }),
+  markDailyRead("Bookmarked", "bookmark")
+);
+app.delete(
+  "/api/daily_reads/:id/bookmark",
+  authenticateToken,
+  validate({ summary: "Remove a bookmark", params: idParams }),
+  markDailyRead("Bookmark removed", "removeBookmark")
+);
+// Registered before the workflow actions below so "read" is not taken for one
+app.post(
+  "/api/daily_reads/:id/read",
+  authenticateToken,
+  validate({ summary: "Mark a daily read as read", params: idParams }),
+  markDailyRead("Marked as read", "markRead")
+);
+
+// submit, approve, reject (with a note) or unpublish
+app.post("/api/daily_reads/:id/:action", authenticateToken, requireRole("editor", "admin"), validate(contentTransitionRequest("daily read")), contentTransition("dailyReads", "daily_read", "Daily read"));
+
+// Scriptures
+// A shared library curated through the same workflow as daily reads: editors
+// add verses as drafts, admins publish them. References are normalised on the
+// way in (see utils/scriptureReferences.js).
+const SCRIPTURE_FIELDS = {
+  verse: field.requiredText(2000),
+  reference: field.requiredText(100, { description: 'e.g. "Psalm 23:1-4"' }),
+  themes: field.arrayOf(field.string(), { description: `Up to 5 of ${SCRIPTURE_THEMES.join(", ")}` }),
+};
+
+// After the schema check: parses the reference and normalises themes.
+// Returns { fields, themes } (themes undefined when not given) or { error }
+const validateScripture = ({ verse, reference, themes }) => {
+  const fields = {};
+  if (verse !== undefined) fields.verse = verse.trim();
+  if (reference !== undefined) {
+    const parsed = parseReference(reference);
+    if (parsed.error) return parsed;
+    Object.assign(fields, parsed);
+  }
+  if (themes === undefined) return { fields };
+  const normalized = normalizeThemes(themes);
+  if (normalized.error) return normalized;
+  return { fields, themes: normalized.themes };
+};
+
+const presentScripture = (scripture, themes) => ({
+  id: scripture.id,
+  verse: scripture.verse,
+  reference: scripture.reference,
+  book: scripture.book,
+  chapter: scripture.chapter,
+  verse_start: scripture.verse_start,
+  end_chapter: scripture.end_chapter,
+  verse_end: scripture.verse_end,
+  themes: themes.get(scripture.id) || [],
+  favourite: Boolean(scripture.favourited_at),
+});
+
+const CREATE_SCRIPTURE_REQUEST = {
+  summary: "Add a scripture (saved as a draft)",
+  body: field.object(SCRIPTURE_FIELDS, ["verse", "reference"]),
+};
+
+app.post("/api/scriptures", authenticateToken, requireRole("editor", "admin"), validate(CREATE_SCRIPTURE_REQUEST), async (req, res) => {
+  const { fields, themes = [], error } = validateScripture(req.body);
+  if (error) {
+    return res.status(400).json({ message: error });
+  }
+
+  try {
+    const id = await repositories.scriptures.create(fields, req.user.userId);
+    await repositories.scriptures.replaceThemes(id, themes);
+    await recordAudit(repositories, req.user.userId, "create", "scripture", id, { after: { ...fields, themes } });
+    res.status(201).json({ message: "Scripture saved as a draft", id, reference: fields.reference, status: "draft" });
+  } catch (error) {
+    throw serverError("Failed to add scripture", error);
+  }
+});
+
+const SCRIPTURE_THEME = field.oneOf(SCRIPTURE_THEMES);
+
+// reference is canonical order: books as they appear in the Bible, then
+// chapter and verse, a whole chapter before its verses
+const SCRIPTURE_SORTS = ["reference", "created_at"];
+
+const LIST_SCRIPTURES_REQUEST = {
+  summary: "Published scriptures in canonical order",
+  description: "Responds with { data, next_cursor }.",
+  query: field.object({
+    theme: SCRIPTURE_THEME,
+    book: field.text(50),
+    q: field.text(200, { description: "Matches the verse text or reference" }),
+    favourites: field.boolean(),
+    ...pageQuery(SCRIPTURE_SORTS, "reference"),
+  }),
+};
+
+app.get("/api/scriptures", authenticateToken, validate(LIST_SCRIPTURES_REQUEST), async (req, res) => {
+  const { theme, book, q, favourites } = req.query;
+  // Cursors carry canonicalKey (four parts) or created_at and id
+  const paging = readPaging(req.query, "reference", (sort) => (sort.endsWith("reference") ? 4 : 2));
+  if (paging.error) {
+    return res.status(400).json({ message: paging.error });
+  }
+  let bookName = null;
+  if (book) {
+    const found = findBook(String(book));
+    if (!found) {
+      return res.status(400).json({ message: `Invalid input: unknown book "${book}"` });
+    }
+    bookName = found.name;
+  }
+
+  try {
+    const scriptures = await repositories.scriptures.listPublished(req.user.userId, {
+      theme,
+      book: bookName,
+      q,
+      favourites: favourites === "true",
+      paging,
+    });
+    const page = toPage(scriptures, paging, (scripture) =>
+      paging.field === "reference" ? canonicalKey(scripture) : [scripture.created_at, scripture.id]
+    );
+    const themes = await repositories.scriptures.loadThemes(page.data.map((scripture) => scripture.id));
+    res.status(200).json({ ...page, data: page.data.map((scripture) => presentScripture(scripture, themes)) });
+  } catch (error) {
+    throw serverError("Failed to fetch scriptures", error);
+  }
+});
+
+// Verse of the day: the same verse all day for a user, from their devotional
+// theme unless ?theme= asks for another
+const VERSE_OF_DAY_REQUEST = { summary: "The user's verse of the day", query: field.object({ theme: SCRIPTURE_THEME }) };
+
+app.get("/api/scriptures/today", authenticateToken, validate(VERSE_OF_DAY_REQUEST), async (req, res) => {
+  const { theme } = req.query;
+
+  try {
+    // "Today" is in the user's devotional time zone when they have set one
+    const preference = await repositories.devotionalPreferences.find(req.user.userId);
+    const date = preference && preference.timezone ? localDateKey(new Date(), preference.timezone) : dateKey(new Date());
+    const chosenTheme = theme || (preference && preference.theme) || null;
+    const verse = await repositories.scriptures.findVerseOfDay(req.user.userId, date, chosenTheme);
+    if (!verse) {
+      return res.status(404).json({ message: chosenTheme ? `No published scriptures for ${chosenTheme} yet` : "No published scriptures yet" });
+    }
+    const themes = await repositories.scriptures.loadThemes([verse.id]);
+    res.status(200).json({ date, theme: chosenTheme, scripture: presentScripture(verse, themes) });
+  } catch (error) {
+    throw serverError("Failed to fetch verse of the day", error);
+  }
+});
+
+app.get("/api/scriptures/themes", authenticateToken, validate({ summary: "Scripture themes with counts" }), async (req, res) => {
+  try {
+    const counts = new Map((await repositories.scriptures.countThemes()).map((row) => [row.theme, row.count]));
+    res.status(200).json(SCRIPTURE_THEMES.map((theme) => ({ theme, count: counts.get(theme) || 0 })));
+  } catch (error) {
+    throw serverError("Failed to fetch themes", error);
+  }
+});
+
+const ADMIN_SCRIPTURES_REQUEST = { summary: "Scriptures in any state", query: CONTENT_STATUS_QUERY };
+
+app.get("/api/admin/scriptures", authenticateToken, requireRole("editor", "admin"), validate(ADMIN_SCRIPTURES_REQUEST), async (req, res) => {
+  const { status } = req.query;
+
+  try {
+    const scriptures = await repositories.scriptures.listAll(status);
+    const themes = await repositories.scriptures.loadThemes(scriptures.map((scripture) => scripture.id));
+    res.status(200).json(scriptures.map((scripture) => ({ ...scripture, themes: themes.get(scripture.id) })));
+  } catch (error) {
+    throw serverError("Failed to fetch scriptures", error);
+  }
+});
+
+app.get("/api/scriptures/:id", authenticateToken, validate({ summary: "A scripture", params: idParams }), async (req, res) => {
+  const preview = ["editor", "admin"].includes(req.user.role);
+
+  try {
+    const found = await repositories.scriptures.findForUser(req.params.id, req.user.userId, { preview });
+    if (!found) {
+      return res.status(404).json({ message: "Scripture not found" });
+    }
+    const themes = await repositories.scriptures.loadThemes([found.id]);
+    const scripture = presentScripture(found, themes);
+    res.status(200).json(preview ? { ...scripture, status: found.status } : scripture);
+  } catch (error) {
+    throw serverError("Failed to fetch scripture", error);
+  }
+});
+
+const UPDATE_SCRIPTURE_REQUEST = { summary: "Edit a draft scripture", params: idParams, body: field.object(SCRIPTURE_FIELDS) };
+
+app.patch("/api/scriptures/:id", authenticateToken, requireRole("editor", "admin"), validate(UPDATE_SCRIPTURE_REQUEST), async (req, res) => {
+  const { fields, themes, error } = validateScripture(req.body);
+  if (error) {
+    return res.status(400).json({ message: error });
+  }
+  const columns = Object.keys(fields);
+  if (columns.length === 0 && themes === undefined) {
+    return res.status(400).json({ message: "No updatable fields provided" });
+  }
+
+  try {
+    const before = await repositories.scriptures.findById(req.params.id);
+    if (!before) {
+      return res.status(404).json({ message: "Scripture not found" });
+    }
+    if (!isEditable(before.status)) {
+      return res.status(409).json({ message: "Only drafts can be edited. Unpublish or reject it first." });
+    }
+
+    if (columns.length) await repositories.scriptures.update(before.id, fields);
+    const changes = {
+      before: Object.fromEntries(columns.map((column) => [column, before[column]])),
+      after: { ...fields },
+    };
+    if (themes !== undefined) {
+      changes.before.themes = (await repositories.scriptures.loadThemes([before.id])).get(before.id);
+      changes.after.themes = themes;
+      await repositories.scriptures.replaceThemes(before.id, themes);
+    }
+    await recordAudit(repositories, req.user.userId, "update", "scripture", before.id, changes);
+    res.status(200).json({ message: "Scripture updated!", id: before.id });
+  } catch (error) {
+    throw serverError("Failed to update scripture", error);
+  }
+});
+
+app.get("/api/scriptures/:id/history", authenticateToken, requireRole("editor", "admin"), validate(contentHistoryRequest("scripture")), contentHistory("scripture"));
+
+// `mark` is the scriptures repository method to call
+const markFavourite = (label, mark) => async (req, res) => {
+  try {
+    if (!(await repositories.scriptures.isPublished(req.params.id))) {
+      return res.status(404).json({ message: "Scripture not found" });
+    }
+    await repositories.scriptures[mark](req.user.userId, req.params.id);
+    res.status(200).json({ message: label, id: Number(req.params.id) });
+  } catch (error) {
+    throw serverError("Failed to update favourites", error);
+  }
+};
+
+app.put(
+  "/api/scriptures/:id/favourite",
+  authenticateToken,
+  validate({ summary: "Add a scripture to favourites", params: idParams }),
+  markFavourite("Added to favourites", "favourite")
+);
+app.delete(
+  "/api/scriptures/:id/favourite",
+  authenticateToken,
+  validate({ summary: "Remove a scripture from favourites", params: idParams }),
+  markFavourite("Removed from favourites", "removeFavourite")
+);
+
+// submit, approve, reject (with a note) or unpublish
+app.post("/api/scriptures/:id/:action", authenticateToken, requireRole("editor", "admin"), validate(contentTransitionRequest("scripture")), contentTransition("scriptures", "scripture", "Scripture"));
+
+// Morning devotional email: opt in with a local send time and IANA time zone
+app.get("/api/devotional", authenticateToken, validate({ summary: "Devotional email settings" }), async (req, res) => {
+  try {
+    const preference = await repositories.devotionalPreferences.find(req.user.userId);
+    res.status(200).json(
+      preference
+        ? { ...preference, enabled: Boolean(preference.enabled) }
+        : { enabled: false, send_time: DEFAULT_DEVOTIONAL_TIME, timezone: null, theme: null }
+    );
+  } catch (error) {
+    throw serverError("Failed to fetch devotional settings", error);
+  }
+});
+
+const DEVOTIONAL_REQUEST = {
+  summary: "Change devotional email settings",
+  description: "Turning emails on needs a timezone, given now or earlier.",
+  body: field.object({
+    enabled: field.boolean(),
+    send_time: field.string({ pattern: TIME_PATTERN.source, description: "Local time, HH:MM on a 24-hour clock" }),
+    timezone: TIME_ZONE,
+    theme: field.nullable(SCRIPTURE_THEME),
+  }),
+};
+
+app.patch("/api/devotional", authenticateToken, validate(DEVOTIONAL_REQUEST), async (req, res) => {
+  const { enabled, send_time, timezone, theme } = req.body;
+  const fields = {};
+  if (enabled !== undefined) fields.enabled = String(enabled) === "true";
+  if (send_time !== undefined) fields.send_time = send_time;
+  if (timezone !== undefined) fields.timezone = timezone;
+  if (theme !== undefined) fields.theme = theme;
+  if (Object.keys(fields).length === 0) {
+    return res.status(400).json({ message: "No updatable fields provided" });
+  }
+
+  try {
+    const current = await repositories.devotionalPreferences.find(req.user.userId);
+    const next = {
+      enabled: false,
+      send_time: DEFAULT_DEVOTIONAL_TIME,
+      timezone: null,
+      theme: null,
+      ...(current && { ...current, enabled: Boolean(current.enabled) }),
+      ...fields,
+    };
+    if (next.enabled && !next.timezone) {
+      return res.status(400).json({ message: "Missing required fields: timezone (needed to send at your local time)" });
+    }
+    await repositories.devotionalPreferences.save(req.user.userId, next);
+    res.status(200).json({ message: next.enabled ? "Devotional emails are on" : "Devotional emails are off", ...next });
+  } catch (error) {
+    throw serverError("Failed to update devotional settings", error);
+  }
+});
+
+// New Feature Routes
+// BMI Calculator and pregnancy weight-gain tracker
+// Weights and heights are stored in kg/cm; `units` only affects input and output
+const BMI_UNITS = field.oneOf(BMI_UNIT_SYSTEMS, { description: "metric (kg, cm) or imperial (lb, in); defaults to metric" });
+
+const BODY_MEASURES = {
+  weight: field.number({ exclusiveMinimum: 0 }),
+  height: field.number({ exclusiveMinimum: 0 }),
+  units: BMI_UNITS,
+};
+
+// Converts the checked body to kg/cm; returns { weightKg, heightCm } or { error }
+// when the values are outside the plausible adult range
+const bodyMeasures = ({ weight, height, units }) => {
+  const { weightKg, heightCm } = toMetric(Number(weight), Number(height), units);
+  if (weightKg < 25 || weightKg > 300 || heightCm < 100 || heightCm > 250) {
+    return { error: "Invalid input: weight or height is outside the plausible adult range" };
+  }
+  return { weightKg, heightCm };
+};
+
+const formatWeightLog = (row, profile, units) => {
+  const weightKg = Number(row.weight_kg);
+  const gain = profile
+    ? assessGain(Number(profile.pre_pregnancy_weight_kg), Number(profile.pre_pregnancy_bmi), weightKg, row.gestational_week)
+    : null;
+  return {
+    id: row.id,
+    recorded_on: row.recorded_on,
+    gestational_week: row.gestational_week,
+    weight: weightIn(weightKg, units),
+    height: heightIn(Number(row.height_cm), units),
+    bmi: Number(row.bmi),
+    bmi_category: bmiCategory(Number(row.bmi)),
+    gain: gain ? weightIn(gain.gain_kg, units) : null,
+    expected_gain: gain ? { min: weightIn(gain.expected_gain_kg.min, units), max: weightIn(gain.expected_gain_kg.max, units) } : null,
+    gain_status: gain ? gain.status : null,
+  };
+};
+
+const formatBmiProfile = (profile, units) =>
+  profile && {
+    pre_pregnancy_weight: weightIn(Number(profile.pre_pregnancy_weight_kg), units),
+    height: heightIn(Number(profile.height_cm), units),
+    pre_pregnancy_bmi: Number(profile.pre_pregnancy_bmi),
+    recommendation: recommendationFor(Number(profile.pre_pregnancy_bmi), units),
+    updated_at: profile.updated_at,
+  };
+
+const BMI_REQUEST = { summary: "Pre-pregnancy BMI and the weight-gain series", query: field.object({ units: BMI_UNITS }) };
+
+app.get("/api/bmi", authenticateToken, validate(BMI_REQUEST), async (req, res) => {
+  const units = req.query.units || "metric";
+
+  try {
+    const profile = await repositories.bmi.findProfile(req.user.userId);
+    const logs = await repositories.bmi.listWeights(req.user.userId);
+
+    const series = logs.map((row) => formatWeightLog(row, profile, units));
+    res.status(200).json({
+      units,
+      profile: formatBmiProfile(profile, units),
+      latest: series.length ? series[series.length - 1] : null,
+      series,
+    });
+  } catch (error) {
+    throw serverError("Failed to fetch BMI data", error);
+  }
+});
+
+// Records the pre-pregnancy baseline that weight gain is measured against
+const PRE_PREGNANCY_BMI_REQUEST = {
+  summary: "Save the pre-pregnancy weight and height",
+  body: field.object(BODY_MEASURES, ["weight", "height"]),
+};
+
+app.post("/api/bmi/pre-pregnancy", authenticateToken, validate(PRE_PREGNANCY_BMI_REQUEST), async (req, res) => {
+  const units = req.body.units || "metric";
+  const { weightKg, heightCm, error } = bodyMeasures(req.body);
+  if (error) {
+    return res.status(400).json({ message: error });
+  }
+  const bmi = computeBmi(weightKg, heightCm);
+
+  try {
+    await repositories.bmi.saveProfile(req.user.userId, { weightKg, heightCm, bmi });
+    res.status(200).json({
+      message: "Pre-pregnancy BMI saved!",
+      units,
+      pre_pregnancy_bmi: bmi,
+      recommendation: recommendationFor(bmi, units),
+    });
+  } catch (error) {
+    throw serverError("Failed to save pre-pregnancy BMI", error);
+  }
+});
+
+const LOG_WEIGHT_REQUEST = {
+  summary: "Log a weight during pregnancy",
+  body: field.object(
+    {
+      ...BODY_MEASURES,
+      gestational_week: field.integer({ minimum: 0, maximum: 42, description: "Worked out from the active pregnancy when omitted" }),
+      recorded_on: { ...field.date, description: "Defaults to today" },
+    },
+    ["weight", "height"]
+  ),
+};
+
+app.post("/api/bmi", authenticateToken, validate(LOG_WEIGHT_REQUEST), async (req, res) => {
+  const { gestational_week, recorded_on } = req.body;
+  const units = req.body.units || "metric";
+  const { weightKg, heightCm, error } = bodyMeasures(req.body);
+  if (error) {
+    return res.status(400).json({ message: error });
+  }
+  const bmi = computeBmi(weightKg, heightCm);
+
+  try {
+    // Without an explicit week, work it out from the active pregnancy
+    let week = gestational_week === undefined ? null : Number(gestational_week);
+    if (week === null) {
+      const pregnancy = await repositories.pregnancies.findActive(req.user.userId);
+      const age = pregnancy ? gestationalAge(pregnancy.due_date, recorded_on || new Date()) : null;
+      week = age && age.weeks <= 42 ? age.weeks : null;
+    }
+    const id = await repositories.bmi.logWeight(req.user.userId, { weightKg, heightCm, bmi, gestationalWeek: week, recordedOn: recorded_on });
+    const entry = await repositories.bmi.findWeight(id);
+    const profile = await repositories.bmi.findProfile(req.user.userId);
+
+    res.status(201).json({
+      message: "Weight logged!",
+      units,
+      entry: formatWeightLog(entry, profile, units),
+      recommendation: profile ? recommendationFor(Number(profile.pre_pregnancy_bmi), units) : null,
+    });
+  } catch (error) {
+    throw serverError("Failed to calculate BMI", error);
+  }
+});
+
+// Baby Measurements
+// Attaches WHO z-scores and percentiles to measurement rows of one baby
+const assessMeasurements = (baby, rows) =>
+  rows.map((row) => ({
+    ...row,
+    height: Number(row.height),
+    weight: Number(row.weight),
+    ...assessMeasurement({
+      birthDate: baby.birth_date,
+      gender: baby.gender,
+      measurementDate: row.measurement_date,
+      height: Number(row.height),
+      weight: Number(row.weight),
+    }),
+  }));
+
+const LIST_MEASUREMENTS_REQUEST = { summary: "A baby's measurements with WHO percentiles", query: BABY_QUERY };
+
+app.get("/api/baby-measurements", authenticateToken, validate(LIST_MEASUREMENTS_REQUEST), async (req, res) => {
+  const { baby_id } = req.query;
+
+  try {
+    const access = await findMemberBaby(baby_id, req.user.userId, "health:read");
+    if (!access.baby) {
+      return res.status(access.status).json({ message: access.message });
+    }
+    const { baby } = access;
+
+    const measurements = await repositories.measurements.listForBaby(baby.id);
+
+    const assessed = assessMeasurements(baby, measurements);
+    res.status(200).json({
+      baby: baby,
+      measurements: assessed,
+      flags: percentileCrossings(assessed),
+    });
+  } catch (error) {
+    throw serverError("Failed to fetch baby measurements", error);
+  }
+});
+
+// Growth chart series: WHO reference percentile curves plus the baby's own points
+const GROWTH_CURVE_REQUEST = {
+  summary: "WHO percentile curves with the baby's own points",
+  query: field.object(
+    { ...BABY_QUERY.properties, indicator: field.oneOf(Object.keys(GROWTH_INDICATORS), { description: "Defaults to weight-for-age" }) },
+    ["baby_id"]
+  ),
+};
+
+app.get("/api/baby-measurements/growth-curve", authenticateToken, validate(GROWTH_CURVE_REQUEST), async (req, res) => {
+  const { baby_id } = req.query;
+  const indicator = req.query.indicator || "weight-for-age";
+
+  try {
+    const access = await findMemberBaby(baby_id, req.user.userId, "health:read");
+    if (!access.baby) {
+      return res.status(access.status).json({ message: access.message });
+    }
+    const { baby } = access;
+
+    const measurements = await repositories.measurements.listForBaby(baby.id);
+
+    const key = indicator.replace(/-/g, "_");
+    const assessed = assessMeasurements(baby, measurements);
+    const points = assessed
+      .filter((m) => m[key])
+      .map((m) => ({
+        measurement_id: m.id,
+        measurement_date: m.measurement_date,
+        x: indicator === "weight-for-length" ? m.height : m.age_months,
+        y: indicator === "length-for-age" ? m.height : m.weight,
+        z_score: m[key].z_score,
+        percentile: m[key].percentile,
+      }));
+
+    res.status(200).json({
+      baby: baby,
+      indicator,
+      x_unit: indicator === "weight-for-length" ? "cm" : "months",
+      y_unit: indicator === "length-for-age" ? "cm" : "kg",
+      reference: referenceCurves(indicator, baby.gender),
+      points,
+      flags: percentileCrossings(assessed).filter((flag) => flag.indicator === key),
+    });
+  } catch (error) {
+    throw serverError("Failed to fetch growth curve", error);
+  }
+});
+
+const ADD_MEASUREMENT_REQUEST = {
+  summary: "Add a height and weight measurement",
+  body: field.object(
+    {
+      baby_id: field.id,
+      height: field.number({ exclusiveMinimum: 0, description: "cm" }),
+      weight: field.number({ exclusiveMinimum: 0, description: "kg" }),
+      measurement_date: field.date,
+    },
+    ["baby_id", "height", "weight", "measurement_date"]
+  ),
+};
+
+app.post("/api/baby-measurements", authenticateToken, validate(ADD_MEASUREMENT_REQUEST), async (req, res) => {
+  const { baby_id, measurement_date } = req.body;
+  const height = Number(req.body.height);
+  const weight = Number(req.body.weight);
+
+  try {
+    const access = await findMemberBaby(baby_id, req.user.userId, "health:write");
+    if (!access.baby) {
+      return res.status(access.status).json({ message: access.message });
+    }
+    const { baby } = access;
+
+    if (ageInDays(baby.birth_date, measurement_date) < 0) {
+      return res.status(400).json({ message: "Invalid input: measurement_date cannot be before the baby's birth_date" });
+    }
+
+    const id = await repositories.measurements.create({ babyId: baby.id, height, weight, measurementDate: measurement_date });
+    const measurements = await repositories.measurements.listForBaby(baby.id);
+
+    const assessed = assessMeasurements(baby, measurements);
+    const measurement = assessed.find((m) => m.id === id);
+    res.status(201).json({
+      message: "Baby measurement added!",
+      measurement,
+      flags: percentileCrossings(assessed).filter((flag) => flag.measurement_id === id),
+    });
+  } catch (error) {
+    throw serverError("Failed to add baby measurement", error);
+  }
+});
+
+// Immunizations
+// Each baby follows one schedule (babies.immunization_schedule) and has a row
+// per dose in baby_immunizations holding its due date and, once given, the
+// dose record. Due dates are recalculated whenever the birth date, the
+// schedule or a recorded dose changes (see utils/immunizations.js).
+
+// Brings the baby's dose rows in line with its schedule and birth date.
+// Returns how many due dates were added or moved. Pass the repositories of a
+// transaction to run it inside one
+const syncImmunizationPlan = async (babyId, { babies, immunizations } = repositories) => {
+  const baby = await babies.findById(babyId);
+  if (!baby) return 0;
+  const scheduleId = baby.immunization_schedule;
+  const rows = await immunizations.listPlan(babyId);
+  const existing = new Map(rows.map((row) => [row.code, row]));
+  const givenOn = Object.fromEntries(rows.filter((row) => row.given_on).map((row) => [row.code, dateKey(row.given_on)]));
+  const plan = planImmunizations(scheduleId, dateKey(baby.birth_date), givenOn);
+
+  let changed = 0;
+  for (const dose of plan) {
+    const row = existing.get(dose.code);
+    if (!row) {
+      await immunizations.create({ babyId, scheduleId, code: dose.code, dueDate: dose.due_date });
+      changed += 1;
+    } else if (dateKey(row.due_date) !== dose.due_date || row.schedule_id !== scheduleId) {
+      await immunizations.reschedule(row.id, scheduleId, dose.due_date);
+      changed += 1;
+    }
+  }
+  // Doses from a previous schedule are dropped unless they were given
+  const planned = new Set(plan.map((dose) => dose.code));
+  await immunizations.removeMany(rows.filter((row) => !planned.has(row.code) && !row.given_on).map((row) => row.id));
+  return changed;
+};
+
+const loadImmunizations = async (baby) => {
+  let rows = await repositories.immunizations.listForBaby(baby.id);
+  // Babies added before immunization plans existed get theirs on first view
+  if (rows.length === 0) {
+    await syncImmunizationPlan(baby.id);
+    rows = await repositories.immunizations.listForBaby(baby.id);
+  }
+  const today = dateKey(new Date());
+  return rows.map((row) => {
+    const dose = findDose(row.schedule_id, row.code);
+    const dueDate = dateKey(row.due_date);
+    const givenOn = row.given_on && dateKey(row.given_on);
+    return {
+      code: row.code,
+      label: dose ? dose.label : row.code,
+      vaccine: dose ? dose.vaccine : null,
+      protects_against: dose ? dose.protects_against : null,
+      note: (dose && dose.note) || null,
+      due_date: dueDate,
+      status: doseStatus(dueDate, givenOn, today),
+      given_on: givenOn,
+      batch_number: row.batch_number,
+      facility: row.facility,
+      notes: row.notes,
+    };
+  });
+};
+
+app.get("/api/immunization-schedules", authenticateToken, validate({ summary: "Available immunization schedules" }), (req, res) => {
+  res.status(200).json({ default: defaultSchedule(), schedules: listSchedules(), disclaimer: IMMUNIZATION_DISCLAIMER });
+});
+
+const LIST_IMMUNIZATIONS_REQUEST = {
+  summary: "A baby's immunization plan and records",
+  params: idParams,
+  query: field.object({ status: field.oneOf(IMMUNIZATION_STATUSES) }),
+};
+
+app.get("/api/babies/:id/immunizations", authenticateToken, validate(LIST_IMMUNIZATIONS_REQUEST), ownershipGuard("babies", { permission: "health:read" }), async (req, res) => {
+  const { status } = req.query;
+
+  try {
+    const doses = await loadImmunizations(req.record);
+    res.status(200).json({
+      baby_id: req.record.id,
+      schedule: req.record.immunization_schedule,
+      summary: summarizeImmunizations(doses),
+      doses: status ? doses.filter((dose) => dose.status === status) : doses,
+      disclaimer: IMMUNIZATION_DISCLAIMER,
+    });
+  } catch (error) {
+    throw serverError("Failed to fetch immunizations", error);
+  }
+});
+
+// Switches the baby to another schedule; doses already given are kept
+const CHANGE_IMMUNIZATION_SCHEDULE_REQUEST = {
+  summary: "Switch the baby to another immunization schedule",
+  params: idParams,
+  body: field.object({ schedule: field.oneOf(IMMUNIZATION_SCHEDULES) }, ["schedule"]),
+};
+
+app.patch("/api/babies/:id/immunizations", authenticateToken, validate(CHANGE_IMMUNIZATION_SCHEDULE_REQUEST), ownershipGuard("babies", { permission: "health:write" }), async (req, res) => {
+  const { schedule } = req.body;
+
+  try {
+    await repositories.babies.update(req.record.id, { immunization_schedule: schedule });
+    const rescheduled = await syncImmunizationPlan(req.record.id);
+    const doses = await loadImmunizations(req.record);
+    res.status(200).json({ message: "Immunization schedule updated!", schedule, rescheduled, summary: summarizeImmunizations(doses), doses });
+  } catch (error) {
+    throw serverError("Failed to update immunization schedule", error);
+  }
+});
+
+// Records a dose as given (or corrects the record)
+const DOSE_PARAMS = field.object({ id: field.id, code: field.text(50, { description: "Vaccine code from the baby's schedule" }) });
+
+const RECORD_DOSE_REQUEST = {
+  summary: "Record a dose as given",
+  params: DOSE_PARAMS,
+  body: field.object(
+    { given_on: field.date, batch_number: field.nullable(field.text(50)), facility: field.nullable(field.text(255)), notes: NOTES },
+    ["given_on"]
+  ),
+};
+
+app.put("/api/babies/:id/immunizations/:code", authenticateToken, validate(RECORD_DOSE_REQUEST), ownershipGuard("babies", { permission: "health:write" }), async (req, res) => {
+  const { given_on, batch_number, facility, notes } = req.body;
+  if (given_on > dateKey(new Date()) || given_on < dateKey(req.record.birth_date)) {
+    return res.status(400).json({ message: "Invalid input: given_on must be between the birth date and today" });
+  }
+
+  try {
+    await syncImmunizationPlan(req.record.id);
+    const recorded = await repositories.immunizations.recordDose(req.record.id, req.params.code, {
+      givenOn: given_on,
+      batchNumber: batch_number || null,
+      facility: facility || null,
+      notes: notes || null,
+      recordedBy: req.user.userId,
+    });
+    if (!recorded) {
+      return res.status(404).json({ message: "That vaccine is not in this baby's schedule" });
+    }
+    const rescheduled = await syncImmunizationPlan(req.record.id);
+    const doses = await loadImmunizations(req.record);
+    res.status(200).json({
+      message: "Dose recorded!",
+      dose: doses.find((dose) => dose.code === req.params.code),
+      rescheduled,
+      summary: summarizeImmunizations(doses),
+    });
+  } catch (error) {
+    throw serverError("Failed to record dose", error);
+  }
+});
+
+// Clears a dose recorded by mistake
+app.delete("/api/babies/:id/immunizations/:code", authenticateToken, validate({ summary: "Clear a dose recorded by mistake", params: DOSE_PARAMS }), ownershipGuard("babies", { permission: "health:write" }), async (req, res) => {
+  try {
+    if (!(await repositories.immunizations.clearDose(req.record.id, req.params.code))) {
+      return res.status(404).json({ message: "No recorded dose for that vaccine" });
+    }
+    const rescheduled = await syncImmunizationPlan(req.record.id);
+    res.status(200).json({ message: "Dose record cleared", rescheduled });
+  } catch (error) {
+    throw serverError("Failed to clear dose", error);
+  }
+});
+
+// Printable immunization card (HTML; print or save as PDF from the browser)
+app.get("/api/babies/:id/immunizations/card", authenticateToken, validate({ summary: "Printable immunization card (HTML)", params: idParams }), ownershipGuard("babies", { permission: "health:read" }), async (req, res) => {
+  try {
+    const doses = await loadImmunizations(req.record);
+
+    const scheduleId = req.record.immunization_schedule;
+    const schedule = listSchedules().find((entry) => entry.id === scheduleId);
+    const rows = doses
+      .map(
+        (dose) => `
+        <tr class="${dose.status}">
+          <td>${escapeHtml(dose.label)}</td>
+          <td>${escapeHtml(dose.protects_against || "")}</td>
+          <td>${dose.due_date}</td>
+          <td>${dose.given_on || ""}</td>
+          <td>${escapeHtml(dose.batch_number || "")}</td>
+          <td>${escapeHtml(dose.facility || "")}</td>
+          <td>${dose.status}</td>
+        </tr>`
+      )
+      .join("");
+    const html = `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Immunization card - ${escapeHtml(req.record.name)}</title>
+  <style>
+    body { font-family: Arial, sans-serif; margin: 24px; color: #222; }
+    table { border-collapse: collapse; width: 100%; font-size: 13px; }
+    th, td { border: 1px solid #999; padding: 6px 8px; text-align: left; }
+    th { background: #f3e8ef; }
+    tr.overdue td:last-child { color: #b00020; font-weight: bold; }
+    tr.completed td:last-child { color: #2e7d32; }
+    .small { font-size: 11px; color: #555; }
+    @media print { body { margin: 0; } }
+  </style>
+</head>
+<body>
+  <h1>Immunization card</h1>
+  <p><strong>Name:</strong> ${escapeHtml(req.record.name)} &nbsp; <strong>Date of birth:</strong> ${dateKey(req.record.birth_date)} &nbsp; <strong>Sex:</strong> ${escapeHtml(req.record.gender)}</p>
+  <p><strong>Schedule:</strong> ${escapeHtml(schedule ? schedule.name : scheduleId)}</p>
+  <table>
+    <thead><tr><th>Vaccine</th><th>Protects against</th><th>Due</th><th>Given</th><th>Batch</th><th>Facility</th><th>Status</th></tr></thead>
+    <tbody>${rows}
+    </tbody>
+  </table>
+  <p class="small">Printed from MamaCare on ${dateKey(new Date())}. ${escapeHtml(IMMUNIZATION_DISCLAIMER)}</p>
+</body>
+</html>
+`;
+    res.set("Content-Type", "text/html; charset=utf-8");
+    res.set("Content-Disposition", `inline; filename="immunization-card-${req.record.id}.html"`);
+    res.status(200).send(html);
+  } catch (error) {
+    throw serverError("Failed to build immunization card", error);
+  }
+});
+
+// Birthday Reminder
+// Reminders without a reminder_date repeat every year on the baby's birthday;
+// the scheduler in utils/reminderScheduler.js turns them into email jobs
+const LIST_BIRTHDAY_REMINDERS_REQUEST = {
+  summary: "Birthday reminders with their deliveries",
+  query: field.object({ baby_id: field.id }),
+};
+
+app.get("/api/birthday-reminder", authenticateToken, validate(LIST_BIRTHDAY_REMINDERS_REQUEST), async (req, res) => {
+  const { baby_id } = req.query;
+
+  try {
+    const reminders = await repositories.birthdayReminders.listForUser(req.user.userId, baby_id || null);
+    const jobs = await repositories.reminderJobs.listForUser(req.user.userId, { sourceType: "birthday" });
+
+    const config = reminderConfig();
+    const now = new Date();
+    res.status(200).json(
+      reminders.map((reminder) => ({
+        ...reminder,
+        next_event_at: reminder.status === "active"
+          ? nextBirthday(reminder.birth_date, reminder.reminder_date, config.birthdayHour, now)
+          : null,
+        deliveries: jobs
+          .filter((job) => job.source_id === reminder.id)
+          .map(({ source_type, lead_minutes, ...delivery }) => delivery),
+      }))
+    );
+  } catch (error) {
+    throw serverError("Failed to fetch birthday reminders", error);
+  }
+});
+
+const ADD_BIRTHDAY_REMINDER_REQUEST = {
+  summary: "Add a birthday reminder",
+  body: field.object(
+    {
+      baby_id: field.id,
+      reminder_date: { ...field.date, description: "A fixed celebration date; without one the reminder repeats every birthday" },
+      lead_days: field.integer({ minimum: 0, maximum: 60, description: "Days ahead to send the email" }),
+    },
+    ["baby_id"]
+  ),
+};
+
+app.post("/api/birthday-reminder", authenticateToken, validate(ADD_BIRTHDAY_REMINDER_REQUEST), async (req, res) => {
+  const { baby_id, reminder_date } = req.body;
+  const leadDays = Number(req.body.lead_days ?? reminderConfig().birthdayLeadDays[0] ?? 7);
+
+  try {
+    const access = await findMemberBaby(baby_id, req.user.userId, "baby:read");
+    if (!access.baby) {
+      return res.status(access.status).json({ message: access.message });
+    }
+
+    const id = await repositories.birthdayReminders.create({
+      userId: req.user.userId,
+      babyId: access.baby.id,
+      celebrationDate: reminder_date || null,
+      leadDays,
+    });
+    res.status(201).json({ message: "Birthday reminder added!", id });
+  } catch (error) {
+    throw serverError("Failed to add birthday reminder", error);
+  }
+});
+
+app.post("/api/birthday-reminder/:id/cancel", authenticateToken, validate({ summary: "Cancel a birthday reminder", params: idParams }), async (req, res) => {
+  try {
+    if (!(await repositories.birthdayReminders.cancel(req.params.id, req.user.userId))) {
+      return res.status(404).json({ message: "Active birthday reminder not found" });
+    }
+    await repositories.reminderJobs.cancelPending("birthday", req.params.id);
+    res.status(200).json({ message: "Birthday reminder cancelled" });
+  } catch (error) {
+    throw serverError("Failed to cancel birthday reminder", error);
+  }
+});
+
+// Delivery status of every reminder email queued for the user
+app.get("/api/reminders", authenticateToken, validate({ summary: "Delivery status of reminder emails" }), async (req, res) => {
+  try {
+    res.status(200).json(await repositories.reminderJobs.listForUser(req.user.userId, { limit: 200 }));
+  } catch (error) {
+    throw serverError("Failed to fetch reminders", error);
   }
 });
 
 // Pediatrician Finder
-app.get("/api/pediatrician-finder", authenticateToken, async (req, res) => {
+app.get("/api/pediatrician-finder", authenticateToken, validate({ summary: "Find a pediatrician (not available yet)" }), async (req, res) => {
   try {
     res.status(200).json({ message: "Pediatrician Finder endpoint coming soon" });
   } catch (error) {
-    console.error("Get pediatrician finder error:", error.message);
-    res.status(500).json({ message: "Failed to fetch pediatrician data", error: error.message });
+    throw serverError("Failed to fetch pediatrician data", error);
   }
 });
 
 // Accessories
-app.get("/api/accessories", authenticateToken, async (req, res) => {
+app.get("/api/accessories", authenticateToken, validate({ summary: "Baby and maternity accessories (not available yet)" }), async (req, res) => {
   try {
     res.status(200).json({ message: "Accessories endpoint coming soon" });
   } catch (error) {
-    console.error("Get accessories error:", error.message);
-    res.status(500).json({ message: "Failed to fetch accessories", error: error.message });
+    throw serverError("Failed to fetch accessories", error);
   }
 });
 
-app.post("/api/accessories", authenticateToken, async (req, res) => {
-  const { name, type, price, description } = req.body;
-  if (!name || !type || !price) {
-    return res.status(400).json({ message: "Missing required fields: name, type, price" });
-  }
-  if (typeof price !== "number" || price < 0) {
-    return res.status(400).json({ message: "Invalid input: price must be a non-negative number" });
-  }
-  if (!["toy", "clothing", "maternal"].includes(type.toLowerCase())) {
-    return res.status(400).json({ message: "Invalid input: type must be toy, clothing, or maternal" });
-  }
+const ACCESSORY_TYPES = ["toy", "clothing", "maternal"];
+
+const ADD_ACCESSORY_REQUEST = {
+  summary: "Add an accessory (not available yet)",
+  body: field.object(
+    {
+      name: field.requiredText(255),
+      type: field.string({
+        description: ACCESSORY_TYPES.join(", "),
+        check: (value) => ACCESSORY_TYPES.includes(value.toLowerCase()) || `must be one of ${ACCESSORY_TYPES.join(", ")}`,
+      }),
+      price: field.number({ minimum: 0 }),
+      description: DESCRIPTION,
+    },
+    ["name", "type", "price"]
+  ),
+};
 
+app.post("/api/accessories", authenticateToken, validate(ADD_ACCESSORY_REQUEST), async (req, res) => {
   try {
     res.status(201).json({ message: "Accessories POST endpoint coming soon" });
   } catch (error) {
-    console.error("Post accessories error:", error.message);
-    res.status(500).json({ message: "Failed to add accessory", error: error.message });
+    throw serverError("Failed to add accessory", error);
   }
 });
 
 // Neonatal Jaundice Checker
-app.get("/api/jaundice-checker", authenticateToken, async (req, res) => {
+const formatJaundiceCheck = (row) => ({
+  ...row,
+  age_hours: Number(row.age_hours),
+  bilirubin_mg_dl: row.bilirubin_mg_dl === null ? null : Number(row.bilirubin_mg_dl),
+  symptoms: parseJsonColumn(row.symptoms),
+  reasons: parseJsonColumn(row.reasons),
+});
+
+app.get("/api/jaundice-checker", authenticateToken, validate({ summary: "A baby's jaundice checks and trend", query: BABY_QUERY }), async (req, res) => {
+  const { baby_id } = req.query;
+
   try {
-    res.status(200).json({ message: "Neonatal Jaundice Checker endpoint coming soon" });
+    const access = await findMemberBaby(baby_id, req.user.userId, "health:read");
+    if (!access.baby) {
+      return res.status(access.status).json({ message: access.message });
+    }
+    const { baby } = access;
+
+    const checks = (await repositories.jaundiceChecks.listForBaby(baby.id)).map(formatJaundiceCheck);
+    res.status(200).json({ baby: baby, checks, trend: jaundiceTrend(checks) });
   } catch (error) {
-    console.error("Get jaundice checker error:", error.message);
-    res.status(500).json({ message: "Failed to fetch jaundice checker data", error: error.message });
+    throw serverError("Failed to fetch jaundice checker data", error);
   }
 });
 
-app.post("/api/jaundice-checker", authenticateToken, async (req, res) => {
-  const { baby_id, symptoms } = req.body;
-  if (!baby_id || !symptoms) {
-    return res.status(400).json({ message: "Missing required fields: baby_id, symptoms" });
-  }
-  if (!Array.isArray(symptoms)) {
-    return res.status(400).json({ message: "Invalid input: symptoms must be an array" });
-  }
+const JAUNDICE_CHECK_REQUEST = {
+  summary: "Record a jaundice check and get its risk assessment",
+  body: field.object(
+    {
+      baby_id: field.id,
+      symptoms: field.arrayOf(field.oneOf(JAUNDICE_SYMPTOMS)),
+      yellowing_zone: field.integer({ minimum: 0, maximum: 5, description: "Kramer zone; defaults to 0" }),
+      bilirubin: field.number({ exclusiveMinimum: 0 }),
+      bilirubin_unit: field.oneOf(["mg/dL", "umol/L"], { description: "Defaults to mg/dL" }),
+      birth_time: { ...field.time, description: "HH:MM; without it the age in hours is estimated" },
+      assessed_at: { ...field.dateTime, description: "Defaults to now" },
+      gestational_age_weeks: field.number({ minimum: 22, maximum: 44 }),
+    },
+    ["baby_id", "symptoms"]
+  ),
+};
+
+app.post("/api/jaundice-checker", authenticateToken, validate(JAUNDICE_CHECK_REQUEST), async (req, res) => {
+  const { baby_id, symptoms, birth_time, assessed_at } = req.body;
+  const yellowingZone = Number(req.body.yellowing_zone ?? 0);
+  const bilirubinUnit = req.body.bilirubin_unit || "mg/dL";
+  const gestationalWeeks = req.body.gestational_age_weeks === undefined ? undefined : Number(req.body.gestational_age_weeks);
+  const assessedAt = assessed_at ? new Date(assessed_at) : new Date();
 
   try {
-    res.status(201).json({ message: "Neonatal Jaundice Checker POST endpoint coming soon" });
+    const access = await findMemberBaby(baby_id, req.user.userId, "health:write");
+    if (!access.baby) {
+      return res.status(access.status).json({ message: access.message });
+    }
+    const { baby } = access;
+
+    const ageHours = ageInHours(baby.birth_date, birth_time, assessedAt);
+    if (ageHours < 0) {
+      return res.status(400).json({ message: "Invalid input: assessed_at cannot be before the baby's birth" });
+    }
+
+    const previous = await repositories.jaundiceChecks.findPreviousReading(baby.id, assessedAt);
+
+    const bilirubin = req.body.bilirubin === undefined ? null : Math.round(toMgDl(Number(req.body.bilirubin), bilirubinUnit) * 10) / 10;
+    const assessment = assessJaundice({
+      ageHours,
+      ageHoursEstimated: !birth_time,
+      yellowingZone,
+      symptoms,
+      bilirubin,
+      gestationalWeeks,
+      previousReading: previous ? { age_hours: Number(previous.age_hours), bilirubin_mg_dl: Number(previous.bilirubin_mg_dl) } : null,
+    });
+
+    const id = await repositories.jaundiceChecks.create({
+      babyId: baby.id,
+      assessedAt,
+      ageHours: assessment.age_hours,
+      yellowingZone,
+      symptoms,
+      bilirubin,
+      riskZone: assessment.risk_zone,
+      urgency: assessment.urgency,
+      reasons: assessment.reasons,
+    });
+
+    res.status(201).json({
+      message: "Jaundice check recorded",
+      check: { id, baby_id: baby.id, assessed_at: assessedAt, symptoms, ...assessment },
+    });
   } catch (error) {
-    console.error("Post jaundice checker error:", error.message);
-    res.status(500).json({ message: "Failed to process jaundice checker", error: error.message });
+    throw serverError("Failed to process jaundice checker", error);
   }
 });
 
 // Skin Disease Detector
-app.get("/api/skin-disease-detector", authenticateToken, async (req, res) => {
+app.get("/api/skin-disease-detector/symptoms", authenticateToken, validate({ summary: "Symptoms the skin checker knows about" }), (req, res) => {
+  res.status(200).json({ knowledge_version: SKIN_KNOWLEDGE_VERSION, symptoms: skinSymptomDescriptions });
+});
+
+app.get("/api/skin-disease-detector", authenticateToken, validate({ summary: "A baby's past skin assessments", query: BABY_QUERY }), async (req, res) => {
+  const { baby_id } = req.query;
+
   try {
-    res.status(200).json({ message: "Skin Disease Detector endpoint coming soon" });
+    const access = await findMemberBaby(baby_id, req.user.userId, "health:read");
+    if (!access.baby) {
+      return res.status(access.status).json({ message: access.message });
+    }
+    const { baby } = access;
+
+    const assessments = (await repositories.skinAssessments.listForBaby(baby.id)).map((row) => ({
+      ...row,
+      symptoms: parseJsonColumn(row.symptoms),
+      result: parseJsonColumn(row.result),
+    }));
+    res.status(200).json({ baby: baby, assessments });
   } catch (error) {
-    console.error("Get skin disease detector error:", error.message);
-    res.status(500).json({ message: "Failed to fetch skin disease detector data", error: error.message });
+    throw serverError("Failed to fetch skin disease detector data", error);
   }
 });
 
-app.post("/api/skin-disease-detector", authenticateToken, async (req, res) => {
+const SKIN_CHECK_REQUEST = {
+  summary: "Assess a baby's skin symptoms",
+  body: field.object(
+    {
+      baby_id: field.id,
+      symptoms: field.arrayOf(field.oneOf(SKIN_SYMPTOMS), { minItems: 1, description: "See /api/skin-disease-detector/symptoms" }),
+    },
+    ["baby_id", "symptoms"]
+  ),
+};
+
+app.post("/api/skin-disease-detector", authenticateToken, validate(SKIN_CHECK_REQUEST), async (req, res) => {
   const { baby_id, symptoms } = req.body;
-  if (!baby_id || !symptoms) {
-    return res.status(400).json({ message: "Missing required fields: baby_id, symptoms" });
-  }
-  if (!Array.isArray(symptoms)) {
-    return res.status(400).json({ message: "Invalid input: symptoms must be an array" });
-  }
 
   try {
-    res.status(201).json({ message: "Skin Disease Detector POST endpoint coming soon" });
-  } catch {
-    console.error("Post skin disease detector error:", error.message);
-    res.status(500).json({ message: "Failed to process skin disease detector", error: error.message });
+    const access = await findMemberBaby(baby_id, req.user.userId, "health:write");
+    if (!access.baby) {
+      return res.status(access.status).json({ message: access.message });
+    }
+    const { baby } = access;
+
+    const uniqueSymptoms = [...new Set(symptoms)];
+    const ageDays = baby.birth_date ? ageInDays(baby.birth_date, new Date()) : null;
+    const result = assessSkin(uniqueSymptoms, ageDays);
+
+    const id = await repositories.skinAssessments.create({ babyId: baby.id, symptoms: uniqueSymptoms, result });
+
+    res.status(201).json({ message: "Skin assessment recorded", id, ...result });
+  } catch (error) {
+    throw serverError("Failed to process skin disease detector", error);
   }
 });
 
+// API docs
+// OpenAPI 3 document generated from the routes' validate() schemas. Built on
+// first request, once every route has been registered
+let apiDocument = null;
+app.get("/api/docs", validate({ summary: "This OpenAPI document" }), (req, res) => {
+  apiDocument = apiDocument || buildOpenApiDocument(app, {
+    title: "MamaCare API",
+    version: require("./package.json").version,
+    description: "Error responses share one envelope (components.schemas.Error) with a request id that matches the server logs.",
+    authenticate: authenticateToken,
+  });
+  res.status(200).json(apiDocument);
+});
+
 // Handle undefined routes
 app.use((req, res) => {
   res.status(404).json({ message: "Endpoint not found" });
 });
 
-// Start server
-app.listen(port, () => {
-  console.log(`API server running on http://localhost:${port}`);
-});
\ No newline at end of file
+// Errors passed on or thrown by routes (utils/httpErrors.js)
+app.use(errorHandler);
+
+// Start server when run directly (node server.js); tests require the app instead
+if (require.main === module) {
+  app.listen(port, () => {
+    console.log(`API server running on http://localhost:${port} (mail transport: ${mailConfig().transport})`);
+    if (process.env.REMINDER_SCHEDULER !== "off") {
+      startReminderScheduler({ repositories, mailer });
+    }
+    if (process.env.MAIL_QUEUE !== "off") {
+      mailer.start().catch((error) => console.error("Mail queue error:", error.message));
+    }
+    setInterval(purgeDeletedMilestoneMedia, MEDIA_PURGE_INTERVAL_MINUTES * 60000).unref();
+  });
+}
+
+module.exports = { app, repositories, mailer };
\ No newline at end of file
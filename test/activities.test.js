@@ -0,0 +1,62 @@
+const { describe, it, before } = require("node:test");
+const assert = require("node:assert/strict");
+const { api, createVerifiedUser, bearer } = require("./helpers");
+
+describe("activities", () => {
+  let parent;
+  let stranger;
+  let babyId;
+
+  before(async () => {
+    parent = bearer((await createVerifiedUser({ email: "activities@example.com" })).token);
+    stranger = bearer((await createVerifiedUser({ email: "activities-stranger@example.com" })).token);
+    babyId = (await api().post("/api/babies").set(parent).send({ name: "Kemi", birth_date: "2025-04-01", gender: "female" }).expect(201)).body.id;
+    const log = (activity) => api().post("/api/activities").set(parent).send({ baby_id: babyId, ...activity }).expect(201);
+    await log({ kind: "sleep", started_at: "2025-05-09T22:00:00Z", ended_at: "2025-05-10T03:00:00Z" });
+    await log({ kind: "feed", feed_type: "bottle", amount_ml: 90, started_at: "2025-05-10T06:00:00Z", ended_at: "2025-05-10T06:20:00Z" });
+    await log({ kind: "feed", feed_type: "breast", breast_side: "left", started_at: "2025-05-10T09:00:00Z", ended_at: "2025-05-10T09:15:00Z" });
+    await log({ kind: "diaper", diaper: "mixed", started_at: "2025-05-10T09:30:00Z" });
+  });
+
+  it("lists logged activities newest first, filtered", async () => {
+    const list = await api().get(`/api/activities?baby_id=${babyId}`).set(parent).expect(200);
+    assert.deepEqual(list.body.data.map((activity) => activity.kind), ["diaper", "feed", "feed", "sleep"]);
+    assert.equal(list.body.data[2].duration_minutes, 20);
+    const feeds = await api().get("/api/activities?kind=feed&from=2025-05-10T07:00:00Z&limit=5").set(parent).expect(200);
+    assert.deepEqual(feeds.body.data.map((feed) => feed.feed_type), ["breast"]);
+    assert.deepEqual((await api().get("/api/activities").set(stranger).expect(200)).body, { data: [], next_cursor: null });
+    await api().post("/api/activities").set(parent).send({ baby_id: babyId, kind: "sleep" }).expect(400);
+  });
+
+  it("sums up a day", async () => {
+    const response = await api().get(`/api/activities/summary?baby_id=${babyId}&date=2025-05-10&tz=UTC`).set(parent).expect(200);
+    assert.equal(response.body.complete, true);
+    assert.equal(response.body.summary.sleep.total_minutes, 180);
+    assert.deepEqual(response.body.summary.feeds, {
+      count: 2,
+      breast: 1,
+      breast_minutes: 15,
+      bottle: 1,
+      bottle_ml: 90,
+      solids: 0,
+      longest_gap_minutes: 180,
+    });
+    assert.deepEqual(response.body.summary.diapers, { count: 1, wet: 1, dirty: 1 });
+    await api().get(`/api/activities/summary?baby_id=${babyId}`).set(stranger).expect(404);
+  });
+
+  it("runs one timer per kind until it is stopped", async () => {
+    const started = await api().post("/api/activities/start").set(parent).send({ baby_id: babyId, kind: "feed", feed_type: "bottle" }).expect(201);
+    const again = await api().post("/api/activities/start").set(parent).send({ baby_id: babyId, kind: "feed", feed_type: "bottle" }).expect(409);
+    assert.equal(again.body.id, started.body.id);
+    const running = await api().get("/api/activities/running").set(parent).expect(200);
+    assert.deepEqual(running.body.map((activity) => [activity.id, activity.running]), [[started.body.id, true]]);
+
+    const stopped = await api().post(`/api/activities/${started.body.id}/stop`).set(parent).send({ amount_ml: 120 }).expect(200);
+    assert.equal(stopped.body.activity.running, false);
+    assert.equal(stopped.body.activity.amount_ml, 120);
+    await api().post(`/api/activities/${started.body.id}/stop`).set(parent).send({}).expect(409);
+    assert.deepEqual((await api().get("/api/activities/running").set(parent).expect(200)).body, []);
+    await api().post("/api/activities/start").set(parent).send({ baby_id: babyId, kind: "feed", feed_type: "bottle" }).expect(201);
+  });
+});
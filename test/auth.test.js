@@ -0,0 +1,169 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { api, repositories, sentMail, latestCode, createVerifiedUser, bearer } = require("./helpers");
+const { hotp, currentStep } = require("../utils/totp");
+
+describe("signup and email verification", () => {
+  it("rejects incomplete and malformed signups", async () => {
+    await api().post("/api/signup").send({ email: "missing@example.com" }).expect(400);
+    await api().post("/api/signup").send({ name: "A", email: "not-an-email", password: "long-enough" }).expect(400);
+    await api().post("/api/signup").send({ name: "A", email: "short@example.com", password: "short" }).expect(400);
+  });
+
+  it("emails a code and logs the user in once it is verified", async () => {
+    const email = "ada@example.com";
+    const signup = await api().post("/api/signup").send({ name: "Ada", email, password: "correct-horse" }).expect(201);
+    assert.equal(signup.body.redirect, "/verify");
+    assert.equal((await sentMail()).at(-1).to, email);
+
+    const verified = await api().post("/api/verify-email").send({ email, code: await latestCode(email) }).expect(200);
+    assert.ok(verified.body.token);
+    assert.ok(verified.body.refresh_token);
+    assert.deepEqual(verified.body.user, { id: verified.body.user.id, name: "Ada", email });
+
+    await api().get("/api/babies").set(bearer(verified.body.token)).expect(200);
+  });
+
+  it("refuses a wrong code and counts down the attempts left", async () => {
+    const email = "grace@example.com";
+    await api().post("/api/signup").send({ name: "Grace", email, password: "correct-horse" }).expect(201);
+    const code = await latestCode(email);
+    const wrong = code === "123456" ? "654321" : "123456";
+
+    const response = await api().post("/api/verify-email").send({ email, code: wrong }).expect(400);
+    assert.match(response.body.message, /4 attempts remaining/);
+    await api().post("/api/verify-email").send({ email, code }).expect(200);
+    await api().post("/api/verify-email").send({ email, code }).expect(400);
+  });
+
+  it("does not register the same email twice", async () => {
+    await createVerifiedUser({ email: "taken@example.com" });
+    const response = await api().post("/api/signup").send({ name: "Again", email: "TAKEN@example.com", password: "correct-horse" }).expect(400);
+    assert.equal(response.body.message, "Email already registered");
+  });
+});
+
+describe("login", () => {
+  it("requires a verified email", async () => {
+    await api().post("/api/signup").send({ name: "Unverified", email: "pending@example.com", password: "correct-horse" }).expect(201);
+    const response = await api().post("/api/login").send({ email: "pending@example.com", password: "correct-horse" }).expect(403);
+    assert.equal(response.body.redirect, "/verify");
+  });
+
+  it("rejects a wrong password or unknown email with the same message", async () => {
+    await createVerifiedUser({ email: "login@example.com" });
+    const wrongPassword = await api().post("/api/login").send({ email: "login@example.com", password: "wrong-password" }).expect(401);
+    const unknown = await api().post("/api/login").send({ email: "nobody@example.com", password: "correct-horse" }).expect(401);
+    assert.equal(wrongPassword.body.message, unknown.body.message);
+  });
+
+  it("returns tokens for the right password", async () => {
+    await createVerifiedUser({ email: "right@example.com" });
+    const response = await api().post("/api/login").send({ email: "right@example.com", password: "correct-horse" }).expect(200);
+    assert.ok(response.body.token);
+    await api().get("/api/milestones").set(bearer(response.body.token)).expect(200);
+  });
+});
+
+describe("authentication failures", () => {
+  it("needs an access token", async () => {
+    await api().get("/api/babies").expect(401);
+    await api().post("/api/babies").send({ name: "Nope", birth_date: "2025-01-01", gender: "female" }).expect(401);
+  });
+
+  it("rejects tokens that are malformed or signed with another secret", async () => {
+    await api().get("/api/babies").set(bearer("not-a-jwt")).expect(403);
+    const forged = require("jsonwebtoken").sign({ userId: 1, sid: 1 }, "some-other-secret");
+    await api().get("/api/babies").set(bearer(forged)).expect(403);
+  });
+
+  it("rotates refresh tokens and signs the session out when one is reused", async () => {
+    const { token, refresh_token } = await createVerifiedUser({ email: "rotate@example.com" });
+
+    const refreshed = await api().post("/api/token/refresh").send({ refresh_token }).expect(200);
+    assert.notEqual(refreshed.body.refresh_token, refresh_token);
+
+    await api().post("/api/token/refresh").send({ refresh_token }).expect(401);
+    await api().get("/api/babies").set(bearer(token)).expect(401);
+    await api().post("/api/token/refresh").send({ refresh_token: refreshed.body.refresh_token }).expect(401);
+  });
+
+  it("signs every session out after a password reset", async () => {
+    const email = "reset@example.com";
+    const { token } = await createVerifiedUser({ email });
+
+    await api().post("/api/forgot-password").send({ email }).expect(200);
+    await api().post("/api/reset-password").send({ email, code: await latestCode(email), new_password: "new-password" }).expect(200);
+
+    await api().get("/api/babies").set(bearer(token)).expect(401);
+    await api().post("/api/login").send({ email, password: "correct-horse" }).expect(401);
+    await api().post("/api/login").send({ email, password: "new-password" }).expect(200);
+  });
+});
+
+describe("two-factor authentication", () => {
+  it("asks for a second factor once enabled and accepts each recovery code once", async () => {
+    const email = "totp@example.com";
+    const { token } = await createVerifiedUser({ email });
+    const setup = await api().post("/api/2fa/setup").set(bearer(token)).expect(200);
+    await api().post("/api/2fa/confirm").set(bearer(token)).send({ code: "000000" }).expect(400);
+    const confirmed = await api()
+      .post("/api/2fa/confirm")
+      .set(bearer(token))
+      .send({ code: hotp(setup.body.secret, currentStep()) })
+      .expect(200);
+    assert.equal(confirmed.body.recovery_codes.length, 10);
+
+    const login = await api().post("/api/login").send({ email, password: "correct-horse" }).expect(200);
+    assert.equal(login.body.two_factor_required, true);
+    const [recovery_code] = confirmed.body.recovery_codes;
+    const finished = await api().post("/api/login/2fa").send({ challenge_token: login.body.challenge_token, recovery_code }).expect(200);
+    assert.equal(finished.body.recovery_codes_remaining, 9);
+    await api().post("/api/login/2fa").send({ challenge_token: login.body.challenge_token, recovery_code }).expect(400);
+
+    await api().post("/api/2fa/disable").set(bearer(token)).send({ password: "wrong-password" }).expect(401);
+    await api().post("/api/2fa/disable").set(bearer(token)).send({ password: "correct-horse" }).expect(200);
+    const status = await api().get("/api/2fa").set(bearer(token)).expect(200);
+    assert.deepEqual(status.body, { enabled: false, enabled_at: null, recovery_codes_remaining: 0 });
+  });
+});
+
+describe("sessions", () => {
+  it("lists signed-in devices and signs them out", async () => {
+    const email = "devices@example.com";
+    const { token } = await createVerifiedUser({ email });
+    const other = await api().post("/api/login").send({ email, password: "correct-horse" }).expect(200);
+
+    const sessions = await api().get("/api/sessions").set(bearer(token)).expect(200);
+    assert.equal(sessions.body.length, 2);
+    assert.equal(sessions.body.filter((session) => session.current).length, 1);
+
+    const revoked = await api().post("/api/sessions/revoke-all").set(bearer(token)).send({ keep_current: true }).expect(200);
+    assert.equal(revoked.body.revoked, 1);
+    await api().get("/api/babies").set(bearer(other.body.token)).expect(401);
+    await api().delete("/api/sessions/999").set(bearer(token)).expect(404);
+    await api().post("/api/logout").set(bearer(token)).expect(200);
+    await api().get("/api/babies").set(bearer(token)).expect(401);
+  });
+});
+
+describe("user administration", () => {
+  it("lets admins disable accounts and records it in the audit log", async () => {
+    const admin = await createVerifiedUser({ email: "boss@example.com" });
+    repositories.store.find("users", (user) => user.id === admin.user.id).role = "admin";
+    const member = await createVerifiedUser({ name: "Dee Member", email: "member@example.com" });
+
+    const found = await api().get("/api/admin/users?search=dee").set(bearer(admin.token)).expect(200);
+    assert.deepEqual(found.body.map((user) => user.email), ["member@example.com"]);
+    await api().post(`/api/admin/users/${admin.user.id}/disable`).set(bearer(admin.token)).expect(400);
+
+    const disabled = await api().post(`/api/admin/users/${member.user.id}/disable`).set(bearer(admin.token)).expect(200);
+    assert.ok(disabled.body.user.disabled_at);
+    await api().get("/api/user").set(bearer(member.token)).expect(401);
+
+    const audit = await api().get(`/api/admin/audit?entity_type=user&entity_id=${member.user.id}`).set(bearer(admin.token)).expect(200);
+    assert.equal(audit.body[0].action, "disable");
+    assert.equal(audit.body[0].actor_name, "Test Parent");
+    assert.equal(audit.body[0].changes.before.disabled_at, null);
+  });
+});
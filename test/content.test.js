@@ -0,0 +1,164 @@
+const { describe, it, before } = require("node:test");
+const assert = require("node:assert/strict");
+const { api, repositories, createVerifiedUser, bearer } = require("./helpers");
+const { dateKey } = require("../utils/exchangeRates");
+
+const withRole = async (email, role) => {
+  const account = await createVerifiedUser({ email });
+  repositories.store.find("users", (user) => user.id === account.user.id).role = role;
+  return bearer(account.token);
+};
+
+describe("daily reads", () => {
+  let admin;
+  let editor;
+  let reader;
+
+  const publish = async (read) => {
+    const { id } = (await api().post("/api/daily_reads").set(editor).send(read).expect(201)).body;
+    await api().post(`/api/daily_reads/${id}/submit`).set(editor).expect(200);
+    await api().post(`/api/daily_reads/${id}/approve`).set(admin).expect(200);
+    return id;
+  };
+
+  before(async () => {
+    admin = await withRole("reads-admin@example.com", "admin");
+    editor = await withRole("reads-editor@example.com", "editor");
+    reader = bearer((await createVerifiedUser({ email: "reads-reader@example.com" })).token);
+  });
+
+  it("are only shown once an admin publishes them", async () => {
+    const read = { title: "Sleep basics", content: "Newborns sleep a lot.", published_date: "2025-01-01", topics: ["Sleep"] };
+    await api().post("/api/daily_reads").set(reader).send(read).expect(403);
+    const { id } = (await api().post("/api/daily_reads").set(editor).send(read).expect(201)).body;
+    await api().get(`/api/daily_reads/${id}`).set(reader).expect(404);
+
+    await api().post(`/api/daily_reads/${id}/submit`).set(editor).expect(200);
+    await api().post(`/api/daily_reads/${id}/approve`).set(editor).expect(403);
+    await api().post(`/api/daily_reads/${id}/reject`).set(admin).expect(400);
+    await api().post(`/api/daily_reads/${id}/approve`).set(admin).expect(200);
+    await api().post(`/api/daily_reads/${id}/approve`).set(admin).expect(409);
+    await api().patch(`/api/daily_reads/${id}`).set(editor).send({ title: "Changed" }).expect(409);
+
+    const shown = await api().get(`/api/daily_reads/${id}`).set(reader).expect(200);
+    assert.deepEqual(shown.body.topics, ["sleep"]);
+    assert.match(shown.body.content_html, /<p>Newborns sleep a lot\.<\/p>/);
+
+    const history = await api().get(`/api/daily_reads/${id}/history`).set(editor).expect(200);
+    assert.deepEqual(history.body.map((entry) => entry.action), ["create", "submit", "approve"]);
+    assert.equal(history.body[2].actor_name, "Test Parent");
+    assert.deepEqual(history.body[2].changes, { from: "in_review", to: "published", note: null });
+  });
+
+  it("list by topic and search, with bookmarks and read marks", async () => {
+    await publish({ title: "Feeding cues", content: "Watch for feeding cues such as rooting.", published_date: "2025-02-01", topics: ["feeding"] });
+    const future = await publish({ title: "Later feeding", content: "Feeding next year.", published_date: "2999-01-01", topics: ["feeding"] });
+
+    const feeding = await api().get("/api/daily_reads?topic=Feeding").set(reader).expect(200);
+    assert.deepEqual(feeding.body.data.map((read) => read.title), ["Feeding cues"]);
+    const search = await api().get("/api/daily_reads?q=newborns%20sleep").set(reader).expect(200);
+    assert.deepEqual(search.body.data.map((read) => read.title), ["Sleep basics"]);
+    await api().put(`/api/daily_reads/${future}/bookmark`).set(reader).expect(404);
+
+    const [cues] = feeding.body.data;
+    await api().put(`/api/daily_reads/${cues.id}/bookmark`).set(reader).expect(200);
+    await api().post(`/api/daily_reads/${cues.id}/read`).set(reader).expect(200);
+    const bookmarked = await api().get("/api/daily_reads?bookmarked=true").set(reader).expect(200);
+    assert.deepEqual(bookmarked.body.data.map((read) => [read.title, read.read]), [["Feeding cues", true]]);
+    const unread = await api().get("/api/daily_reads?unread=true").set(reader).expect(200);
+    assert.deepEqual(unread.body.data.map((read) => read.title), ["Sleep basics"]);
+    await api().delete(`/api/daily_reads/${cues.id}/bookmark`).set(reader).expect(200);
+    assert.deepEqual((await api().get("/api/daily_reads?bookmarked=true").set(reader).expect(200)).body.data, []);
+
+    const topics = await api().get("/api/daily_reads/topics").set(reader).expect(200);
+    assert.deepEqual(topics.body, [{ topic: "feeding", count: 1 }, { topic: "sleep", count: 1 }]);
+    const adminList = await api().get("/api/admin/daily_reads?status=published").set(editor).expect(200);
+    assert.equal(adminList.body.length, 3);
+  });
+
+  it("pick today's reads for the user's babies, unread first", async () => {
+    const birth = new Date();
+    birth.setDate(birth.getDate() - 10);
+    const birthDate = `${birth.getFullYear()}-${String(birth.getMonth() + 1).padStart(2, "0")}-${String(birth.getDate()).padStart(2, "0")}`;
+    await api().post("/api/babies").set(reader).send({ name: "Ada", birth_date: birthDate, gender: "female" }).expect(201);
+    await publish({ title: "The second week", content: "Cord care.", published_date: "2025-03-01", baby_age_from_days: 7, baby_age_to_days: 14 });
+
+    const today = await api().get("/api/daily_reads/today").set(reader).expect(200);
+    assert.deepEqual(today.body.reads.map((read) => read.title), ["The second week", "Sleep basics", "Feeding cues"]);
+    assert.equal(today.body.reads[0].matched_stages.length, 1);
+  });
+});
+
+describe("scriptures", () => {
+  let admin;
+  let editor;
+  let reader;
+
+  const publish = async (scripture) => {
+    const { id } = (await api().post("/api/scriptures").set(editor).send(scripture).expect(201)).body;
+    await api().post(`/api/scriptures/${id}/submit`).set(editor).expect(200);
+    await api().post(`/api/scriptures/${id}/approve`).set(admin).expect(200);
+    return id;
+  };
+
+  before(async () => {
+    admin = await withRole("scriptures-admin@example.com", "admin");
+    editor = await withRole("scriptures-editor@example.com", "editor");
+    reader = bearer((await createVerifiedUser({ email: "scriptures-reader@example.com" })).token);
+  });
+
+  it("list published verses in canonical order", async () => {
+    await publish({ verse: "The Lord is my shepherd.", reference: "psalm 23:1", themes: ["comfort", "peace"] });
+    await publish({ verse: "In the beginning God created the heaven and the earth.", reference: "Gen 1:1", themes: ["hope"] });
+    const draft = (await api().post("/api/scriptures").set(editor).send({ verse: "Jesus wept.", reference: "John 11:35" }).expect(201)).body.id;
+    await api().get(`/api/scriptures/${draft}`).set(reader).expect(404);
+    await api().patch(`/api/scriptures/${draft}`).set(editor).send({ themes: ["joy"] }).expect(200);
+
+    const list = await api().get("/api/scriptures?limit=1").set(reader).expect(200);
+    assert.deepEqual(list.body.data.map((scripture) => scripture.reference), ["Genesis 1:1"]);
+    const next = await api().get(`/api/scriptures?limit=1&cursor=${list.body.next_cursor}`).set(reader).expect(200);
+    assert.deepEqual(next.body.data.map((scripture) => [scripture.reference, scripture.themes]), [["Psalms 23:1", ["comfort", "peace"]]]);
+    assert.equal(next.body.next_cursor, null);
+
+    assert.equal((await api().get("/api/scriptures?book=ps&q=SHEPHERD").set(reader).expect(200)).body.data.length, 1);
+    await api().get("/api/scriptures?book=nowhere").set(reader).expect(400);
+    const themes = await api().get("/api/scriptures/themes").set(reader).expect(200);
+    assert.deepEqual(themes.body.filter((theme) => theme.count).map((theme) => theme.theme), ["comfort", "peace", "hope"]);
+    const adminList = await api().get("/api/admin/scriptures?status=draft").set(editor).expect(200);
+    assert.deepEqual(adminList.body.map((scripture) => scripture.themes), [["joy"]]);
+  });
+
+  it("keep favourites and a verse of the day", async () => {
+    const [verse] = (await api().get("/api/scriptures?theme=comfort").set(reader).expect(200)).body.data;
+    await api().put(`/api/scriptures/${verse.id}/favourite`).set(reader).expect(200);
+    const favourites = await api().get("/api/scriptures?favourites=true").set(reader).expect(200);
+    assert.deepEqual(favourites.body.data.map((scripture) => [scripture.id, scripture.favourite]), [[verse.id, true]]);
+
+    const today = await api().get("/api/scriptures/today?theme=comfort").set(reader).expect(200);
+    assert.equal(today.body.scripture.id, verse.id);
+    assert.equal(today.body.scripture.favourite, true);
+    await api().get("/api/scriptures/today?theme=joy").set(reader).expect(404);
+    await api().delete(`/api/scriptures/${verse.id}/favourite`).set(reader).expect(200);
+    assert.deepEqual((await api().get("/api/scriptures?favourites=true").set(reader).expect(200)).body.data, []);
+  });
+
+  it("save devotional settings, needing a time zone to turn emails on", async () => {
+    const initial = await api().get("/api/devotional").set(reader).expect(200);
+    assert.deepEqual(initial.body, { enabled: false, send_time: "07:00", timezone: null, theme: null });
+    await api().patch("/api/devotional").set(reader).send({ enabled: true }).expect(400);
+    await api().patch("/api/devotional").set(reader).send({ enabled: true, timezone: "Africa/Lagos", send_time: "06:30" }).expect(200);
+    await api().patch("/api/devotional").set(reader).send({ theme: "hope" }).expect(200);
+    const saved = await api().get("/api/devotional").set(reader).expect(200);
+    assert.deepEqual(saved.body, { enabled: true, send_time: "06:30", timezone: "Africa/Lagos", theme: "hope" });
+    const today = await api().get("/api/scriptures/today").set(reader).expect(200);
+    assert.equal(today.body.scripture.reference, "Genesis 1:1");
+  });
+
+  it("pick a verse of the day for settings saved without a time zone", async () => {
+    const listener = bearer((await createVerifiedUser({ email: "scriptures-no-zone@example.com" })).token);
+    await api().patch("/api/devotional").set(listener).send({ send_time: "07:00" }).expect(200);
+    assert.equal((await api().get("/api/devotional").set(listener).expect(200)).body.timezone, null);
+    const today = await api().get("/api/scriptures/today").set(listener).expect(200);
+    assert.equal(today.body.date, dateKey(new Date()));
+  });
+});
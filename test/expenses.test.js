@@ -0,0 +1,105 @@
+const { describe, it, before } = require("node:test");
+const assert = require("node:assert/strict");
+const { api, repositories, createVerifiedUser, bearer } = require("./helpers");
+
+describe("exchange rates", () => {
+  let admin;
+  let parent;
+
+  before(async () => {
+    const account = await createVerifiedUser({ email: "rates-admin@example.com" });
+    repositories.store.find("users", (user) => user.id === account.user.id).role = "admin";
+    admin = bearer(account.token);
+    parent = bearer((await createVerifiedUser({ email: "rates-parent@example.com" })).token);
+  });
+
+  it("are saved by admins, a second rate for a day replacing the first", async () => {
+    const rate = { base_currency: "USD", quote_currency: "NGN", rate: "1500", rate_date: "2025-03-01" };
+    await api().post("/api/exchange-rates").set(parent).send(rate).expect(403);
+    await api().post("/api/exchange-rates").set(admin).send(rate).expect(201);
+    await api().post("/api/exchange-rates").set(admin).send({ ...rate, rate: "1550" }).expect(201);
+    const rejected = await api().post("/api/exchange-rates").set(admin).send({ rates: [rate, { ...rate, rate: "-1" }] }).expect(400);
+    assert.deepEqual(rejected.body.errors.map((error) => error.index), [1]);
+
+    const list = await api().get("/api/exchange-rates?base=USD").set(parent).expect(200);
+    assert.deepEqual(list.body.rates.map((stored) => `${stored.rate_date} ${stored.rate}`), ["2025-03-01 1550"]);
+  });
+
+  it("are imported from CSV only when every row is valid", async () => {
+    const csv = (rows) => ["base_currency,quote_currency,rate,rate_date", ...rows].join("\n");
+    await api().post("/api/exchange-rates/import").set(admin).set("Content-Type", "text/csv").send(csv(["GBP,NGN,1900,2025-03-01", "GBP,NGN,x,2025-03-02"])).expect(400);
+    const imported = await api().post("/api/exchange-rates/import").set(admin).set("Content-Type", "text/csv").send(csv(["GBP,NGN,1900,2025-03-01", "USD,NGN,1600,2025-04-01"])).expect(201);
+    assert.equal(imported.body.imported, 2);
+    const list = await api().get("/api/exchange-rates?quote=NGN&from=2025-03-01&to=2025-03-31").set(parent).expect(200);
+    assert.deepEqual(list.body.rates.map((stored) => stored.base_currency), ["GBP", "USD"]);
+  });
+
+  it("convert expenses at the rate on or before their date", async () => {
+    const expense = await api().post("/api/expenses").set(parent).send({ category: "Formula", amount: "10", currency: "USD", expense_date: "2025-03-15" }).expect(201);
+    const converted = await api().get(`/api/expenses/${expense.body.id}`).set(parent).expect(200);
+    assert.equal(converted.body.home_amount, "15500.00");
+    assert.equal(converted.body.rate_date, "2025-03-01");
+  });
+});
+
+describe("budgets and reports", () => {
+  let parent;
+  let babyId;
+
+  before(async () => {
+    parent = bearer((await createVerifiedUser({ email: "budgets@example.com" })).token);
+    babyId = (await api().post("/api/babies").set(parent).send({ name: "Tobi", birth_date: "2025-01-01", gender: "male" }).expect(201)).body.id;
+  });
+
+  it("alert once per threshold and month, and can be deleted", async () => {
+    await api().post("/api/expenses/budgets").set(parent).send({ category: "Diapers", monthly_limit: "5000" }).expect(200);
+    await api().post("/api/expenses/budgets").set(parent).send({ category: "Diapers", monthly_limit: "10000" }).expect(200);
+    const first = await api().post("/api/expenses").set(parent).send({ category: "Diapers", amount: "8500", expense_date: "2025-05-02" }).expect(201);
+    assert.deepEqual(first.body.budget_alerts.map((alert) => alert.threshold), [80]);
+    const second = await api().post("/api/expenses").set(parent).send({ category: "Diapers", amount: "500", expense_date: "2025-05-03" }).expect(201);
+    assert.deepEqual(second.body.budget_alerts, []);
+
+    const month = await api().get("/api/expenses/budgets?month=2025-05").set(parent).expect(200);
+    assert.deepEqual(month.body.budgets.map((budget) => [budget.category, budget.spent, budget.remaining]), [["Diapers", "9000.00", "1000.00"]]);
+    assert.deepEqual(month.body.alerts.map((alert) => alert.threshold), [80]);
+
+    const budgetId = month.body.budgets[0].id;
+    await api().delete(`/api/expenses/budgets/${budgetId}`).set(parent).expect(200);
+    await api().delete(`/api/expenses/budgets/${budgetId}`).set(parent).expect(404);
+    assert.deepEqual((await api().get("/api/expenses/budgets?month=2025-05").set(parent).expect(200)).body.alerts, []);
+  });
+
+  it("break spending down by category, baby and month", async () => {
+    await api().post("/api/expenses").set(parent).send({ baby_id: babyId, category: "Clothing", amount: "2000", expense_date: "2025-06-10" }).expect(201);
+    const analytics = await api().get("/api/expenses/analytics?from=2025-05-01&to=2025-06-30").set(parent).expect(200);
+    assert.equal(analytics.body.total, "11000.00");
+    assert.deepEqual(analytics.body.by_category.map((group) => [group.category, group.total]), [["Diapers", "9000.00"], ["Clothing", "2000.00"]]);
+    assert.deepEqual(analytics.body.by_baby.map((group) => group.baby_name), ["Family / unassigned", "Tobi"]);
+    assert.deepEqual(analytics.body.by_month.map((group) => group.change), [null, "-7000.00"]);
+    await api().get("/api/expenses/analytics?from=2025-06-30&to=2025-05-01").set(parent).expect(400);
+  });
+
+  it("export as CSV or JSON", async () => {
+    const csv = await api().get(`/api/expenses/export?baby_id=${babyId}`).set(parent).expect(200);
+    assert.match(csv.headers["content-type"], /text\/csv/);
+    assert.match(csv.text, /2025-06-10,Clothing,2000\.00,NGN,2000\.00,NGN/);
+    assert.match(csv.text, /,Tobi/);
+    const json = await api().get("/api/expenses/export?format=json&from=2025-05-01").set(parent).expect(200);
+    assert.deepEqual(json.body.map((expense) => expense.expense_date.slice(0, 10)), ["2025-05-02", "2025-05-03", "2025-06-10"]);
+  });
+
+  it("alert against the owner's budgets when a co-parent edits a shared expense", async () => {
+    const coParent = bearer((await createVerifiedUser({ email: "budgets-co-parent@example.com" })).token);
+    const invited = await api().post(`/api/babies/${babyId}/invitations`).set(parent).send({ email: "budgets-co-parent@example.com", role: "co_parent" }).expect(201);
+    const token = new URL(invited.body.accept_url).searchParams.get("token");
+    await api().post("/api/invitations/accept").set(coParent).send({ token }).expect(200);
+
+    await api().post("/api/expenses/budgets").set(parent).send({ category: "Formula", monthly_limit: "10000" }).expect(200);
+    const expense = await api().post("/api/expenses").set(parent).send({ baby_id: babyId, category: "Formula", amount: "1000", expense_date: "2025-06-02" }).expect(201);
+    assert.deepEqual(expense.body.budget_alerts, []);
+    const edited = await api().patch(`/api/expenses/${expense.body.id}`).set(coParent).send({ amount: "10000" }).expect(200);
+    assert.deepEqual(edited.body.budget_alerts.map((alert) => alert.threshold), [80, 100]);
+    const month = await api().get("/api/expenses/budgets?month=2025-06").set(parent).expect(200);
+    assert.deepEqual(month.body.alerts.map((alert) => alert.threshold).sort((a, b) => a - b), [80, 100]);
+  });
+});
@@ -0,0 +1,74 @@
+const { describe, it, before } = require("node:test");
+const assert = require("node:assert/strict");
+const { api, createVerifiedUser, bearer } = require("./helpers");
+
+const daysAgo = (days) => {
+  const date = new Date();
+  date.setDate(date.getDate() - days);
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, "0")}-${String(date.getDate()).padStart(2, "0")}`;
+};
+
+describe("health", () => {
+  let parent;
+  let stranger;
+  let babyId;
+
+  before(async () => {
+    parent = bearer((await createVerifiedUser({ email: "health@example.com" })).token);
+    stranger = bearer((await createVerifiedUser({ email: "health-stranger@example.com" })).token);
+    babyId = (await api().post("/api/babies").set(parent).send({ name: "Kemi", birth_date: daysAgo(60), gender: "female" }).expect(201)).body.id;
+  });
+
+  it("tracks pregnancy weight against the pre-pregnancy BMI", async () => {
+    await api().post("/api/pregnancies").set(parent).send({ dating_method: "due_date", due_date: daysAgo(-140) }).expect(201);
+    await api().post("/api/bmi/pre-pregnancy").set(parent).send({ weight: 60, height: 165 }).expect(200);
+    const logged = await api().post("/api/bmi").set(parent).send({ weight: 65, height: 165 }).expect(201);
+    assert.equal(logged.body.entry.gestational_week, 20);
+    assert.equal(logged.body.entry.gain, 5);
+
+    const bmi = await api().get("/api/bmi?units=imperial").set(parent).expect(200);
+    assert.equal(bmi.body.series.length, 1);
+    assert.equal(bmi.body.latest.id, logged.body.entry.id);
+    assert.equal(bmi.body.profile.pre_pregnancy_bmi, 22);
+  });
+
+  it("assesses measurements against WHO references", async () => {
+    await api().post("/api/baby-measurements").set(stranger).send({ baby_id: babyId, height: 57, weight: 5.1, measurement_date: daysAgo(1) }).expect(404);
+    await api().post("/api/baby-measurements").set(parent).send({ baby_id: babyId, height: 57, weight: 5.1, measurement_date: daysAgo(61) }).expect(400);
+    const added = await api().post("/api/baby-measurements").set(parent).send({ baby_id: babyId, height: 57, weight: 5.1, measurement_date: daysAgo(1) }).expect(201);
+    assert.ok(added.body.measurement.weight_for_age.percentile > 0);
+
+    const list = await api().get(`/api/baby-measurements?baby_id=${babyId}`).set(parent).expect(200);
+    assert.deepEqual(list.body.measurements.map((measurement) => measurement.id), [added.body.measurement.id]);
+    const curve = await api().get(`/api/baby-measurements/growth-curve?baby_id=${babyId}&indicator=length-for-age`).set(parent).expect(200);
+    assert.deepEqual(curve.body.points.map((point) => point.y), [57]);
+  });
+
+  it("records and clears immunization doses", async () => {
+    const plan = await api().get(`/api/babies/${babyId}/immunizations`).set(parent).expect(200);
+    assert.equal(plan.body.doses[0].code, "bcg");
+    assert.equal(plan.body.doses[0].status, "overdue");
+
+    const recorded = await api().put(`/api/babies/${babyId}/immunizations/bcg`).set(parent).send({ given_on: daysAgo(59), facility: "PHC Yaba" }).expect(200);
+    assert.deepEqual([recorded.body.dose.status, recorded.body.dose.facility], ["completed", "PHC Yaba"]);
+    await api().put(`/api/babies/${babyId}/immunizations/nope`).set(parent).send({ given_on: daysAgo(59) }).expect(404);
+
+    await api().delete(`/api/babies/${babyId}/immunizations/bcg`).set(parent).expect(200);
+    await api().delete(`/api/babies/${babyId}/immunizations/bcg`).set(parent).expect(404);
+    const card = await api().get(`/api/babies/${babyId}/immunizations/card`).set(parent).expect(200);
+    assert.match(card.text, /BCG/);
+  });
+
+  it("keeps jaundice and skin checks per baby", async () => {
+    await api().post("/api/jaundice-checker").set(parent).send({ baby_id: babyId, symptoms: [], bilirubin: 5, assessed_at: new Date(Date.now() - 3600000).toISOString() }).expect(201);
+    const check = await api().post("/api/jaundice-checker").set(parent).send({ baby_id: babyId, symptoms: ["fever"], yellowing_zone: 2 }).expect(201);
+    assert.deepEqual(check.body.check.symptoms, ["fever"]);
+    const checks = await api().get(`/api/jaundice-checker?baby_id=${babyId}`).set(parent).expect(200);
+    assert.deepEqual(checks.body.checks.map((row) => row.symptoms), [[], ["fever"]]);
+    await api().get(`/api/jaundice-checker?baby_id=${babyId}`).set(stranger).expect(404);
+
+    const skin = await api().post("/api/skin-disease-detector").set(parent).send({ baby_id: babyId, symptoms: ["location_diaper_area", "location_diaper_area"] }).expect(201);
+    const assessments = await api().get(`/api/skin-disease-detector?baby_id=${babyId}`).set(parent).expect(200);
+    assert.deepEqual(assessments.body.assessments.map((row) => [row.id, row.symptoms, row.result.urgency]), [[skin.body.id, ["location_diaper_area"], skin.body.urgency]]);
+  });
+});
@@ -0,0 +1,47 @@
+// Shared setup for the API tests: the app runs on the in-memory repositories
+// and mail transport, so no MySQL or SMTP server is needed. Each test file
+// runs in its own process and so starts with an empty store.
+process.env.DATA_STORE = "memory";
+process.env.MAIL_TRANSPORT = "memory";
+process.env.JWT_SECRET = process.env.JWT_SECRET || "test-secret";
+process.env.REMINDER_SCHEDULER = "off";
+
+const request = require("supertest");
+const { app, repositories, mailer } = require("../server");
+
+const api = () => request(app);
+
+// Emails are queued; this delivers everything due and returns what the
+// memory transport has received so far
+const sentMail = async () => {
+  await mailer.flush();
+  return mailer.transport.sent;
+};
+
+// The code from the newest email sent to `email`
+const latestCode = async (email) => {
+  const message = [...(await sentMail())].reverse().find((sent) => sent.to === email);
+  const match = message && /<h2>(\d{6})<\/h2>/.exec(message.html);
+  if (!match) throw new Error(`No code has been emailed to ${email}`);
+  return match[1];
+};
+
+// Signs up and verifies a new account; returns the verify response body
+// ({ token, refresh_token, user })
+const createVerifiedUser = async ({ name = "Test Parent", email, password = "correct-horse" }) => {
+  await api().post("/api/signup").send({ name, email, password }).expect(201);
+  const response = await api().post("/api/verify-email").send({ email, code: await latestCode(email) }).expect(200);
+  return response.body;
+};
+
+const bearer = (token) => ({ Authorization: `Bearer ${token}` });
+
+module.exports = {
+  api,
+  repositories,
+  mailer,
+  sentMail,
+  latestCode,
+  createVerifiedUser,
+  bearer,
+};
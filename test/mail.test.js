@@ -0,0 +1,98 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { api, repositories, sentMail, createVerifiedUser, bearer } = require("./helpers");
+const { renderEmail } = require("../utils/mailTemplates");
+const { createMailer, retryDelaySeconds } = require("../utils/mailer");
+const { createMemoryRepositories } = require("../models");
+
+describe("email templates", () => {
+  it("escapes values in the HTML part and keeps them as typed in the text part", () => {
+    const email = renderEmail("contact_message", {
+      name: "<b>Eve</b>",
+      email: "eve@example.com",
+      message: "Hi & <script>alert(1)</script>\nSecond line",
+      email_url: "mailto:eve@example.com",
+    });
+    assert.equal(email.subject, "MamaCare Contact Form - From <b>Eve</b>");
+    assert.match(email.html, /<strong>Name:<\/strong> &lt;b&gt;Eve&lt;\/b&gt;/);
+    assert.match(email.html, /Hi &amp; &lt;script&gt;alert\(1\)&lt;\/script&gt;<br>\nSecond line/);
+    assert.match(email.html, /<a href="mailto:eve@example.com">eve@example.com<\/a>/);
+    assert.ok(!email.html.includes("<script>"));
+    assert.match(email.text, /Hi & <script>alert\(1\)<\/script>\nSecond line/);
+  });
+
+  it("only links to web and mail addresses", () => {
+    const email = renderEmail("verify_email", { name: "Ada", code: "123456", ttl_minutes: 15, verify_url: "javascript:alert(1)" });
+    assert.ok(!email.html.includes("javascript:"));
+    assert.match(email.html, /at Verify Email to complete/);
+    assert.match(renderEmail("verify_email", { name: "Ada", code: "1", ttl_minutes: 15, verify_url: "https://x.test/v" }).text, /Verify Email \(https:\/\/x\.test\/v\)/);
+  });
+
+  it("skips optional blocks and falls back to the default locale", () => {
+    const data = { name: "Ada", baby_name: "Amara", type: "Doctor visit", lead: "1 day", when: "Monday", dashboard_url: "https://x.test" };
+    assert.ok(!renderEmail("schedule_reminder", { ...data, notes: null }).html.includes("Notes"));
+    assert.match(renderEmail("schedule_reminder", { ...data, notes: "Bring the card" }, "fr-FR").text, /Notes: Bring the card/);
+    assert.throws(() => renderEmail("schedule_reminder", { name: "Ada" }), /needs a value for \{type\}/);
+    assert.throws(() => renderEmail("no_such_template", {}), /Unknown email template/);
+  });
+});
+
+describe("mail queue", () => {
+  const config = { pollSeconds: 60, maxAttempts: 3, retryBaseSeconds: 30, retryMaxSeconds: 3600, batchSize: 20 };
+
+  it("backs off exponentially up to the cap", () => {
+    assert.deepEqual([1, 2, 3, 4].map((attempts) => retryDelaySeconds(attempts, config)), [30, 60, 120, 240]);
+    assert.equal(retryDelaySeconds(20, config), 3600);
+  });
+
+  it("retries failed sends and dead-letters them once attempts run out", async () => {
+    const { store, mailQueue } = createMemoryRepositories();
+    let failures = 0;
+    const transport = { sendMail: async () => { failures += 1; throw new Error("Connection refused"); } };
+    const mailer = createMailer({ queue: mailQueue, transport, from: "test@mamacare.local", config });
+
+    const id = await mailer.send({ to: "ada@example.com", template: "password_changed", data: { name: "Ada" } });
+    await mailer.flush();
+    const row = store.find("mail_queue", (message) => message.id === id);
+    assert.equal(row.status, "pending");
+    assert.equal(row.last_error, "Connection refused");
+    assert.ok(row.next_attempt_at - Date.now() > 25000);
+
+    for (let attempt = 2; attempt <= config.maxAttempts; attempt += 1) {
+      row.next_attempt_at = new Date();
+      await mailer.flush();
+    }
+    assert.equal(failures, config.maxAttempts);
+    assert.equal(row.status, "dead");
+    assert.deepEqual((await mailQueue.listDead(10)).map((message) => message.id), [id]);
+
+    assert.equal(await mailQueue.retryDead(id), true);
+    transport.sendMail = async () => ({ messageId: "<1@test>" });
+    await mailer.flush();
+    assert.equal(row.status, "sent");
+    assert.equal(row.html, null);
+  });
+});
+
+describe("contact form", () => {
+  it("queues the message for the team with a reply-to address", async () => {
+    await api().post("/api/contact").send({ name: "<i>Eve</i>", email: "eve@example.com", message: "Hello <3" }).expect(200);
+    const message = (await sentMail()).at(-1);
+    assert.equal(message.replyTo, "eve@example.com");
+    assert.match(message.html, /Hello &lt;3/);
+    assert.ok(message.text);
+  });
+});
+
+describe("dead letters", () => {
+  it("are only visible to admins", async () => {
+    const parent = await createVerifiedUser({ email: "parent@example.com" });
+    await api().get("/api/admin/mail/dead-letters").set(bearer(parent.token)).expect(403);
+
+    const admin = await createVerifiedUser({ email: "admin@example.com" });
+    repositories.store.find("users", (user) => user.id === admin.user.id).role = "admin";
+    const list = await api().get("/api/admin/mail/dead-letters").set(bearer(admin.token)).expect(200);
+    assert.deepEqual(list.body, []);
+    await api().post("/api/admin/mail/dead-letters/999/retry").set(bearer(admin.token)).expect(404);
+  });
+});
@@ -0,0 +1,63 @@
+const os = require("node:os");
+const path = require("node:path");
+const fs = require("node:fs");
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+
+// Uploaded files go to a scratch directory instead of ./uploads
+const mediaDir = fs.mkdtempSync(path.join(os.tmpdir(), "mamacare-media-"));
+process.env.MEDIA_STORAGE = "local";
+process.env.MEDIA_DIR = mediaDir;
+
+const { api, createVerifiedUser, bearer } = require("./helpers");
+
+const PNG = Buffer.concat([Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]), Buffer.alloc(24)]);
+
+describe("milestone media", () => {
+  let parent;
+  let stranger;
+  let milestoneId;
+
+  before(async () => {
+    parent = bearer((await createVerifiedUser({ email: "media@example.com" })).token);
+    stranger = bearer((await createVerifiedUser({ email: "media-stranger@example.com" })).token);
+    const babyId = (await api().post("/api/babies").set(parent).send({ name: "Zara", birth_date: "2025-01-01", gender: "female" }).expect(201)).body.id;
+    milestoneId = (await api().post("/api/milestones").set(parent).send({ baby_id: babyId, title: "First steps", milestone_date: "2025-09-01" }).expect(201)).body.id;
+  });
+
+  after(() => fs.rmSync(mediaDir, { recursive: true, force: true }));
+
+  const upload = (auth, buffer, filename) => api().post(`/api/milestones/${milestoneId}/media`).set(auth).attach("file", buffer, filename);
+
+  it("stores photos and serves them through signed links", async () => {
+    const uploaded = await upload(parent, PNG, "steps.png").expect(201);
+    assert.equal(uploaded.body.media.kind, "image");
+    assert.equal(uploaded.body.media.storage_key, undefined);
+    await upload(parent, Buffer.from("just text"), "notes.txt").expect(415);
+    await upload(stranger, PNG, "steps.png").expect(404);
+
+    const list = await api().get(`/api/milestones/${milestoneId}/media`).set(parent).expect(200);
+    assert.deepEqual(list.body.map((media) => media.original_name), ["steps.png"]);
+    const signed = await api().get(list.body[0].url).expect(200);
+    assert.equal(signed.headers["content-type"], "image/png");
+    assert.deepEqual(signed.body, PNG);
+    await api().get(`/api/milestones/${milestoneId}/media/${list.body[0].id}`).set(parent).expect(200);
+  });
+
+  it("stops serving media of a deleted milestone", async () => {
+    const [media] = (await api().get(`/api/milestones/${milestoneId}/media`).set(parent).expect(200)).body;
+    await api().delete(`/api/milestones/${milestoneId}`).set(parent).expect(200);
+    await api().get(media.url).expect(404);
+    await api().post(`/api/milestones/${milestoneId}/restore`).set(parent).expect(200);
+    await api().get(media.url).expect(200);
+  });
+
+  it("deletes a file", async () => {
+    const [media] = (await api().get(`/api/milestones/${milestoneId}/media`).set(parent).expect(200)).body;
+    await api().delete(`/api/milestones/${milestoneId}/media/${media.id}`).set(stranger).expect(404);
+    await api().delete(`/api/milestones/${milestoneId}/media/${media.id}`).set(parent).expect(200);
+    await api().delete(`/api/milestones/${milestoneId}/media/${media.id}`).set(parent).expect(404);
+    assert.deepEqual((await api().get(`/api/milestones/${milestoneId}/media`).set(parent).expect(200)).body, []);
+    await api().get(media.url).expect(404);
+  });
+});
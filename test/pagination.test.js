@@ -0,0 +1,146 @@
+const { describe, it, before } = require("node:test");
+const assert = require("node:assert/strict");
+const { api, createVerifiedUser, bearer } = require("./helpers");
+const { encodeCursor, decodeCursor, keysetCondition } = require("../utils/pagination");
+
+// Follows next_cursor to the end and returns every page's data
+const allPages = async (auth, path) => {
+  const pages = [];
+  let cursor = null;
+  do {
+    const separator = path.includes("?") ? "&" : "?";
+    const response = await api()
+      .get(`${path}${cursor ? `${separator}cursor=${cursor}` : ""}`)
+      .set(auth)
+      .expect(200);
+    pages.push(response.body.data);
+    cursor = response.body.next_cursor;
+  } while (cursor);
+  return pages;
+};
+
+describe("cursors", () => {
+  it("round-trip dates and belong to one sort", () => {
+    const when = new Date("2025-04-01T09:00:00Z");
+    const cursor = encodeCursor("-expense_date", [when, 7]);
+    assert.deepEqual(decodeCursor(cursor, "-expense_date", 2), [when, 7]);
+    assert.equal(decodeCursor(cursor, "amount", 2), null);
+    assert.equal(decodeCursor("not a cursor", "amount", 2), null);
+  });
+
+  it("reject forged values", () => {
+    const forged = (values) => Buffer.from(JSON.stringify(["-expense_date", ...values])).toString("base64url");
+    assert.equal(decodeCursor(forged([{ date: "garbage" }, 1]), "-expense_date", 2), null);
+    assert.equal(decodeCursor(forged([1]), "-expense_date", 2), null);
+    assert.equal(decodeCursor(forged(["2025-03-01", 1, 2]), "-expense_date", 2), null);
+    assert.equal(decodeCursor(forged([{ id: 1 }, null]), "-expense_date", 2), null);
+    assert.deepEqual(decodeCursor(forged(["2025-03-01", 1]), "-expense_date", 2), ["2025-03-01", 1]);
+  });
+
+  it("compare every sort column, the id last", () => {
+    const condition = keysetCondition([{ sql: "FIELD(book, ?, ?)", params: ["Genesis", "Exodus"] }, "chapter", "id"], [2, 3, 40], false);
+    assert.equal(condition.sql, "((FIELD(book, ?, ?) > ?) OR (FIELD(book, ?, ?) = ? AND chapter > ?) OR (FIELD(book, ?, ?) = ? AND chapter = ? AND id > ?))");
+    assert.deepEqual(condition.params, ["Genesis", "Exodus", 2, "Genesis", "Exodus", 2, 3, "Genesis", "Exodus", 2, 3, 40]);
+  });
+});
+
+describe("paged lists", () => {
+  let parent;
+  let firstBaby;
+  let secondBaby;
+
+  before(async () => {
+    parent = bearer((await createVerifiedUser({ email: "pages@example.com" })).token);
+    firstBaby = (await api().post("/api/babies").set(parent).send({ name: "Ada", birth_date: "2025-01-01", gender: "female" }).expect(201)).body.id;
+    secondBaby = (await api().post("/api/babies").set(parent).send({ name: "Ben", birth_date: "2025-01-01", gender: "male" }).expect(201)).body.id;
+    for (const [index, amount] of [120, 9.5, 40, 9.5, 300].entries()) {
+      await api()
+        .post("/api/expenses")
+        .set(parent)
+        .send({
+          baby_id: index % 2 === 0 ? firstBaby : secondBaby,
+          category: index < 3 ? "Diapers" : "Clothing",
+          amount,
+          expense_date: `2025-03-0${index + 1}`,
+          description: index === 4 ? "Winter coat" : "Pack of 40",
+        })
+        .expect(201);
+    }
+  });
+
+  it("page through expenses without gaps or repeats", async () => {
+    const pages = await allPages(parent, "/api/expenses?limit=2");
+    assert.deepEqual(pages.map((page) => page.length), [2, 2, 1]);
+    assert.deepEqual(pages.flat().map((expense) => expense.expense_date.slice(0, 10)), ["2025-03-05", "2025-03-04", "2025-03-03", "2025-03-02", "2025-03-01"]);
+  });
+
+  it("sort by a whitelisted field, ties broken by id", async () => {
+    const pages = await allPages(parent, "/api/expenses?sort=amount&limit=1");
+    assert.deepEqual(pages.flat().map((expense) => expense.amount), ["9.50", "9.50", "40.00", "120.00", "300.00"]);
+    await api().get("/api/expenses?sort=user_id").set(parent).expect(400);
+  });
+
+  it("filter by baby, category, date range and text", async () => {
+    const filtered = async (query) => (await api().get(`/api/expenses?${query}`).set(parent).expect(200)).body.data.map((expense) => Number(expense.amount));
+    assert.deepEqual(await filtered(`baby_id=${secondBaby}`), [9.5, 9.5]);
+    assert.deepEqual(await filtered("category=diapers"), [40, 9.5, 120]);
+    assert.deepEqual(await filtered("from=2025-03-02&to=2025-03-03"), [40, 9.5]);
+    assert.deepEqual(await filtered("q=coat"), [300]);
+    await api().get("/api/expenses?from=2025-03-04&to=2025-03-01").set(parent).expect(400);
+  });
+
+  it("reject a cursor from another sort", async () => {
+    const first = await api().get("/api/expenses?limit=1").set(parent).expect(200);
+    const response = await api().get(`/api/expenses?sort=amount&cursor=${first.body.next_cursor}`).set(parent).expect(400);
+    assert.match(response.body.message, /cursor/);
+    const forged = Buffer.from(JSON.stringify(["-expense_date", { date: "garbage" }, 1])).toString("base64url");
+    await api().get(`/api/expenses?cursor=${forged}`).set(parent).expect(400);
+  });
+
+  it("page through schedule occurrences in a window", async () => {
+    await api()
+      .post("/api/schedules")
+      .set(parent)
+      .send({ baby_id: firstBaby, type: "Feeding", scheduled_time: "2025-04-01T08:00:00Z", recurrence: "FREQ=DAILY", notes: "Bottle" })
+      .expect(201);
+    await api().post("/api/schedules").set(parent).send({ baby_id: secondBaby, type: "Bath", scheduled_time: "2025-04-02T18:00:00Z" }).expect(201);
+    await api().post("/api/schedules").set(parent).send({ baby_id: secondBaby, type: "Bath", scheduled_time: "2025-06-01T18:00:00Z" }).expect(201);
+
+    const pages = await allPages(parent, "/api/schedules?from=2025-04-01T00:00:00Z&to=2025-04-04T00:00:00Z&limit=2");
+    assert.deepEqual(
+      pages.flat().map((occurrence) => `${occurrence.type} ${occurrence.scheduled_time}`),
+      [
+        "Feeding 2025-04-01T08:00:00.000Z",
+        "Feeding 2025-04-02T08:00:00.000Z",
+        "Bath 2025-04-02T18:00:00.000Z",
+        "Feeding 2025-04-03T08:00:00.000Z",
+      ]
+    );
+    const baths = await api().get(`/api/schedules?baby_id=${secondBaby}&type=bath&sort=-scheduled_time`).set(parent).expect(200);
+    assert.deepEqual(baths.body.data.map((schedule) => schedule.scheduled_time), ["2025-06-01T18:00:00.000Z", "2025-04-02T18:00:00.000Z"]);
+    assert.equal((await api().get("/api/schedules?q=bottle").set(parent).expect(200)).body.data.length, 1);
+  });
+
+  it("filter milestones by date and text", async () => {
+    for (const [title, date] of [["First smile", "2025-02-01"], ["Rolled over", "2025-04-15"], ["First tooth", "2025-07-01"]]) {
+      await api().post("/api/milestones").set(parent).send({ baby_id: firstBaby, title, milestone_date: date }).expect(201);
+    }
+    const list = await api().get("/api/milestones?q=first&from=2025-03-01").set(parent).expect(200);
+    assert.deepEqual(list.body.data.map((milestone) => milestone.title), ["First tooth"]);
+    assert.equal(list.body.next_cursor, null);
+    const byTitle = await allPages(parent, "/api/milestones?sort=title&limit=2");
+    assert.deepEqual(byTitle.flat().map((milestone) => milestone.title), ["First smile", "First tooth", "Rolled over"]);
+  });
+
+  it("page through activities by start time, ties broken by id", async () => {
+    for (const [diaper, startedAt] of [["wet", "2025-05-01T08:00:00Z"], ["dirty", "2025-05-01T09:00:00Z"], ["mixed", "2025-05-01T09:00:00Z"]]) {
+      await api().post("/api/activities").set(parent).send({ baby_id: secondBaby, kind: "diaper", diaper, started_at: startedAt }).expect(201);
+    }
+    const newest = await allPages(parent, "/api/activities?limit=2");
+    assert.deepEqual(newest.map((page) => page.length), [2, 1]);
+    assert.deepEqual(newest.flat().map((activity) => activity.diaper), ["mixed", "dirty", "wet"]);
+    const oldest = await allPages(parent, `/api/activities?baby_id=${secondBaby}&sort=started_at&limit=1`);
+    assert.deepEqual(oldest.flat().map((activity) => activity.diaper), ["wet", "dirty", "mixed"]);
+    await api().get("/api/activities?sort=kind").set(parent).expect(400);
+  });
+});
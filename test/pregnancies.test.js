@@ -0,0 +1,96 @@
+const { describe, it, before } = require("node:test");
+const assert = require("node:assert/strict");
+const { api, createVerifiedUser, bearer } = require("./helpers");
+const { dateKey } = require("../utils/exchangeRates");
+
+const daysFromToday = (days) => dateKey(new Date(Date.now() + days * 86400000));
+
+// Only visits still ahead are replanned; one planned for earlier today stays
+const ahead = (visits) => visits.filter((visit) => new Date(visit.scheduled_time) > new Date());
+
+describe("pregnancies", () => {
+  let parent;
+  let pregnancyId;
+
+  before(async () => {
+    parent = bearer((await createVerifiedUser({ email: "expecting@example.com" })).token);
+  });
+
+  it("dates a pregnancy and plans its prenatal visits", async () => {
+    const created = await api().post("/api/pregnancies").set(parent).send({ dating_method: "due_date", due_date: daysFromToday(140) }).expect(201);
+    pregnancyId = created.body.pregnancy.id;
+    assert.equal(created.body.pregnancy.status, "active");
+    assert.ok(created.body.visits.length > 0);
+    await api().post("/api/pregnancies").set(parent).send({ dating_method: "due_date", due_date: daysFromToday(100) }).expect(409);
+
+    const current = await api().get("/api/pregnancies/current").set(parent).expect(200);
+    assert.equal(current.body.pregnancy.progress.weeks, 20);
+    assert.equal(current.body.upcoming_visits.length, 3);
+    assert.equal(current.body.upcoming_visits[0].type, "Prenatal Visit");
+  });
+
+  it("moves the plan when the pregnancy is re-dated", async () => {
+    const redated = await api().patch(`/api/pregnancies/${pregnancyId}`).set(parent).send({ dating_method: "due_date", due_date: daysFromToday(133) }).expect(200);
+    assert.equal(redated.body.pregnancy.progress.weeks, 21);
+    const schedules = await api().get("/api/schedules?limit=100").set(parent).expect(200);
+    assert.equal(ahead(schedules.body.data).length, ahead(redated.body.visits).length);
+  });
+
+  it("creates the baby's profile at birth and closes the pregnancy", async () => {
+    const born = await api().post(`/api/pregnancies/${pregnancyId}/birth`).set(parent).send({ name: "Zuri", gender: "female" }).expect(201);
+    const babies = await api().get("/api/babies").set(parent).expect(200);
+    assert.deepEqual(babies.body.map((baby) => baby.id), [born.body.baby_id]);
+
+    const pregnancy = await api().get(`/api/pregnancies/${pregnancyId}`).set(parent).expect(200);
+    assert.equal(pregnancy.body.status, "delivered");
+    assert.equal(pregnancy.body.baby_id, born.body.baby_id);
+    await api().get("/api/pregnancies/current").set(parent).expect(404);
+    await api().post(`/api/pregnancies/${pregnancyId}/birth`).set(parent).send({ name: "Again", gender: "male" }).expect(409);
+    const schedules = await api().get("/api/schedules").set(parent).expect(200);
+    assert.deepEqual(ahead(schedules.body.data), []);
+  });
+
+  it("keeps other users out", async () => {
+    const stranger = bearer((await createVerifiedUser({ email: "not-expecting@example.com" })).token);
+    await api().get(`/api/pregnancies/${pregnancyId}`).set(stranger).expect(404);
+    assert.deepEqual((await api().get("/api/pregnancies").set(stranger).expect(200)).body, []);
+    await api().delete(`/api/pregnancies/${pregnancyId}`).set(stranger).expect(404);
+  });
+});
+
+describe("deleting a pregnancy", () => {
+  let parent;
+
+  before(async () => {
+    parent = bearer((await createVerifiedUser({ email: "undo@example.com" })).token);
+  });
+
+  it("hides it and its visits until it is restored", async () => {
+    const created = await api().post("/api/pregnancies").set(parent).send({ dating_method: "due_date", due_date: daysFromToday(200) }).expect(201);
+    const id = created.body.pregnancy.id;
+    const deleted = await api().delete(`/api/pregnancies/${id}`).set(parent).expect(200);
+    assert.ok(deleted.body.undo_until);
+    await api().get(`/api/pregnancies/${id}`).set(parent).expect(404);
+    await api().get("/api/pregnancies/current").set(parent).expect(404);
+    assert.deepEqual((await api().get("/api/schedules").set(parent).expect(200)).body.data, []);
+
+    const restored = await api().post(`/api/pregnancies/${id}/restore`).set(parent).expect(200);
+    assert.equal(restored.body.pregnancy.status, "active");
+    assert.ok(ahead((await api().get("/api/schedules").set(parent).expect(200)).body.data).length > 0);
+  });
+
+  it("does not restore a second active pregnancy", async () => {
+    const first = (await api().get("/api/pregnancies/current").set(parent).expect(200)).body.pregnancy.id;
+    await api().delete(`/api/pregnancies/${first}`).set(parent).expect(200);
+    await api().post("/api/pregnancies").set(parent).send({ dating_method: "due_date", due_date: daysFromToday(150) }).expect(201);
+    await api().post(`/api/pregnancies/${first}/restore`).set(parent).expect(409);
+  });
+
+  it("refuses to delete a pregnancy that ended in a birth", async () => {
+    const current = (await api().get("/api/pregnancies/current").set(parent).expect(200)).body.pregnancy.id;
+    const born = await api().post(`/api/pregnancies/${current}/birth`).set(parent).send({ name: "Tobi", gender: "male" }).expect(201);
+    const refused = await api().delete(`/api/pregnancies/${current}`).set(parent).expect(409);
+    assert.equal(refused.body.baby_id, born.body.baby_id);
+    await api().get(`/api/pregnancies/${current}`).set(parent).expect(200);
+  });
+});
@@ -0,0 +1,223 @@
+const { describe, it, before } = require("node:test");
+const assert = require("node:assert/strict");
+const { api, createVerifiedUser, bearer } = require("./helpers");
+
+describe("baby records", () => {
+  let owner;
+  let stranger;
+  let babyId;
+
+  before(async () => {
+    owner = bearer((await createVerifiedUser({ name: "Owner", email: "owner@example.com" })).token);
+    stranger = bearer((await createVerifiedUser({ name: "Stranger", email: "stranger@example.com" })).token);
+    const baby = await api().post("/api/babies").set(owner).send({ name: "Amara", birth_date: "2025-03-01", gender: "female" }).expect(201);
+    babyId = baby.body.id;
+  });
+
+  describe("babies", () => {
+    it("validates new profiles", async () => {
+      await api().post("/api/babies").set(owner).send({ name: "No date", gender: "male" }).expect(400);
+      await api().post("/api/babies").set(owner).send({ name: "Bad", birth_date: "01/03/2025", gender: "male" }).expect(400);
+    });
+
+    it("lists and returns the owner's profile", async () => {
+      const list = await api().get("/api/babies").set(owner).expect(200);
+      assert.deepEqual(list.body.map((baby) => baby.name), ["Amara"]);
+      const baby = await api().get(`/api/babies/${babyId}`).set(owner).expect(200);
+      assert.equal(baby.body.role, "owner");
+    });
+
+    it("updates the profile", async () => {
+      const response = await api().patch(`/api/babies/${babyId}`).set(owner).send({ name: "Amara Grace" }).expect(200);
+      assert.equal(response.body.baby.name, "Amara Grace");
+      await api().patch(`/api/babies/${babyId}`).set(owner).send({ gender: "other" }).expect(400);
+    });
+
+    it("plans immunizations for a new profile", async () => {
+      const baby = await api().post("/api/babies").set(owner).send({ name: "Planned", birth_date: "2025-01-01", gender: "male" }).expect(201);
+      const changed = await api().patch(`/api/babies/${baby.body.id}`).set(owner).send({ birth_date: "2025-01-08" }).expect(200);
+      assert.ok(changed.body.immunizations_rescheduled > 0);
+    });
+
+    it("soft deletes and restores within the undo window", async () => {
+      const baby = await api().post("/api/babies").set(owner).send({ name: "Short lived", birth_date: "2025-02-01", gender: "male" }).expect(201);
+      const deleted = await api().delete(`/api/babies/${baby.body.id}`).set(owner).expect(200);
+      assert.ok(deleted.body.undo_until);
+      await api().get(`/api/babies/${baby.body.id}`).set(owner).expect(404);
+      await api().post(`/api/babies/${baby.body.id}/restore`).set(owner).expect(200);
+      await api().get(`/api/babies/${baby.body.id}`).set(owner).expect(200);
+    });
+
+    it("hides the profile from other users", async () => {
+      const list = await api().get("/api/babies").set(stranger).expect(200);
+      assert.deepEqual(list.body, []);
+      await api().get(`/api/babies/${babyId}`).set(stranger).expect(404);
+      await api().patch(`/api/babies/${babyId}`).set(stranger).send({ name: "Mine now" }).expect(404);
+      await api().delete(`/api/babies/${babyId}`).set(stranger).expect(404);
+    });
+  });
+
+  describe("schedules", () => {
+    let scheduleId;
+
+    it("adds a schedule for the baby", async () => {
+      const response = await api()
+        .post("/api/schedules")
+        .set(owner)
+        .send({ baby_id: babyId, type: "Feeding", scheduled_time: "2025-04-01T09:00:00Z", recurrence: "FREQ=DAILY" })
+        .expect(201);
+      scheduleId = response.body.id;
+      assert.equal(response.body.recurrence_rule, "FREQ=DAILY");
+      await api().post("/api/schedules").set(owner).send({ baby_id: babyId, type: "Feeding", scheduled_time: "soon" }).expect(400);
+    });
+
+    it("lists stored schedules and expands occurrences in a window", async () => {
+      const stored = await api().get("/api/schedules").set(owner).expect(200);
+      assert.deepEqual(stored.body.data.map((schedule) => schedule.id), [scheduleId]);
+      const window = await api().get("/api/schedules?from=2025-04-01T00:00:00Z&to=2025-04-04T00:00:00Z").set(owner).expect(200);
+      assert.equal(window.body.data.length, 3);
+    });
+
+    it("updates and deletes the schedule", async () => {
+      const updated = await api().patch(`/api/schedules/${scheduleId}`).set(owner).send({ notes: "Left side first" }).expect(200);
+      assert.equal(updated.body.schedule.notes, "Left side first");
+      await api().delete(`/api/schedules/${scheduleId}`).set(owner).expect(200);
+      await api().get(`/api/schedules/${scheduleId}`).set(owner).expect(404);
+      await api().post(`/api/schedules/${scheduleId}/restore`).set(owner).expect(200);
+    });
+
+    it("keeps other users out", async () => {
+      await api().post("/api/schedules").set(stranger).send({ baby_id: babyId, type: "Bath", scheduled_time: "2025-04-01T18:00:00Z" }).expect(404);
+      const list = await api().get("/api/schedules").set(stranger).expect(200);
+      assert.deepEqual(list.body, { data: [], next_cursor: null });
+      await api().get(`/api/schedules/${scheduleId}`).set(stranger).expect(404);
+      await api().patch(`/api/schedules/${scheduleId}`).set(stranger).send({ notes: "Hijacked" }).expect(404);
+      await api().delete(`/api/schedules/${scheduleId}`).set(stranger).expect(404);
+    });
+  });
+
+  describe("expenses", () => {
+    let expenseId;
+
+    it("records an expense in the home currency", async () => {
+      const response = await api()
+        .post("/api/expenses")
+        .set(owner)
+        .send({ baby_id: babyId, category: "Diapers", amount: "4500.5", expense_date: "2025-04-02" })
+        .expect(201);
+      expenseId = response.body.id;
+      assert.equal(response.body.currency, "NGN");
+      await api().post("/api/expenses").set(owner).send({ category: "Diapers", amount: "-3", expense_date: "2025-04-02" }).expect(400);
+    });
+
+    it("returns the expense with its converted amount", async () => {
+      const expense = await api().get(`/api/expenses/${expenseId}`).set(owner).expect(200);
+      assert.equal(expense.body.amount, "4500.50");
+      assert.equal(expense.body.home_amount, "4500.50");
+      const list = await api().get("/api/expenses").set(owner).expect(200);
+      assert.deepEqual(list.body.data.map((row) => row.id), [expenseId]);
+    });
+
+    it("updates the expense", async () => {
+      const updated = await api().patch(`/api/expenses/${expenseId}`).set(owner).send({ amount: 5000 }).expect(200);
+      assert.equal(updated.body.expense.amount, "5000.00");
+      await api().patch(`/api/expenses/${expenseId}`).set(owner).send({ currency: "XYZ" }).expect(400);
+    });
+
+    it("keeps other users out", async () => {
+      await api().post("/api/expenses").set(stranger).send({ baby_id: babyId, category: "Toys", amount: 10, expense_date: "2025-04-02" }).expect(404);
+      const list = await api().get("/api/expenses").set(stranger).expect(200);
+      assert.deepEqual(list.body, { data: [], next_cursor: null });
+      await api().get(`/api/expenses/${expenseId}`).set(stranger).expect(404);
+      await api().patch(`/api/expenses/${expenseId}`).set(stranger).send({ amount: 1 }).expect(404);
+      await api().delete(`/api/expenses/${expenseId}`).set(stranger).expect(404);
+      await api().delete(`/api/expenses/${expenseId}`).set(owner).expect(200);
+    });
+  });
+
+  describe("milestones", () => {
+    let milestoneId;
+
+    it("records a milestone", async () => {
+      const response = await api()
+        .post("/api/milestones")
+        .set(owner)
+        .send({ baby_id: babyId, title: "First smile", milestone_date: "2025-04-10" })
+        .expect(201);
+      milestoneId = response.body.id;
+      await api().post("/api/milestones").set(owner).send({ baby_id: babyId, title: "No date" }).expect(400);
+    });
+
+    it("lists, updates and deletes it", async () => {
+      const list = await api().get("/api/milestones").set(owner).expect(200);
+      assert.deepEqual(list.body.data.map((milestone) => milestone.title), ["First smile"]);
+      const updated = await api().patch(`/api/milestones/${milestoneId}`).set(owner).send({ description: "At bath time" }).expect(200);
+      assert.equal(updated.body.milestone.description, "At bath time");
+      await api().patch(`/api/milestones/${milestoneId}`).set(owner).send({ milestone_date: "April" }).expect(400);
+    });
+
+    it("keeps other users out", async () => {
+      await api().post("/api/milestones").set(stranger).send({ baby_id: babyId, title: "Not yours", milestone_date: "2025-04-10" }).expect(404);
+      const list = await api().get("/api/milestones").set(stranger).expect(200);
+      assert.deepEqual(list.body, { data: [], next_cursor: null });
+      await api().get(`/api/milestones/${milestoneId}`).set(stranger).expect(404);
+      await api().patch(`/api/milestones/${milestoneId}`).set(stranger).send({ title: "Hijacked" }).expect(404);
+      await api().delete(`/api/milestones/${milestoneId}`).set(stranger).expect(404);
+    });
+  });
+
+  describe("calendar feed", () => {
+    it("serves schedules, milestones and birthdays behind a replaceable token", async () => {
+      const schedule = await api()
+        .post("/api/schedules")
+        .set(owner)
+        .send({ baby_id: babyId, type: "Bath", scheduled_time: "2025-05-01T18:00:00Z", recurrence: "FREQ=WEEKLY" })
+        .expect(201);
+      await api().post(`/api/schedules/${schedule.body.id}/exceptions`).set(owner).send({ occurrence_time: "2025-05-08T18:00:00Z" }).expect(200);
+      await api().post(`/api/schedules/${schedule.body.id}/exceptions`).set(owner).send({ occurrence_time: "2025-05-09T18:00:00Z" }).expect(400);
+
+      const first = await api().post("/api/calendar/token").set(owner).expect(201);
+      const second = await api().post("/api/calendar/token").set(owner).expect(201);
+      await api().get(new URL(first.body.url).pathname).expect(404);
+      const feed = await api().get(new URL(second.body.url).pathname).expect(200);
+      assert.match(feed.text, /SUMMARY:Amara Grace: Bath/);
+      assert.match(feed.text, /EXDATE:20250508T180000Z/);
+      assert.match(feed.text, /SUMMARY:Amara Grace: First smile/);
+      assert.match(feed.text, /SUMMARY:Amara Grace's birthday/);
+    });
+  });
+
+  describe("sharing", () => {
+    it("invites a caregiver who accepts with the emailed token", async () => {
+      const invited = await api().post(`/api/babies/${babyId}/invitations`).set(owner).send({ email: "stranger@example.com", role: "caregiver" }).expect(201);
+      const pending = await api().get("/api/invitations").set(stranger).expect(200);
+      assert.deepEqual(pending.body.map((invitation) => invitation.invited_by), ["Owner"]);
+
+      const token = new URL(invited.body.accept_url).searchParams.get("token");
+      await api().post("/api/invitations/accept").set(stranger).send({ token }).expect(200);
+      await api().post("/api/invitations/accept").set(stranger).send({ token }).expect(404);
+      const members = await api().get(`/api/babies/${babyId}/members`).set(owner).expect(200);
+      assert.deepEqual(members.body.members.map((member) => `${member.name} ${member.role}`), ["Owner owner", "Stranger caregiver"]);
+      await api().post(`/api/babies/${babyId}/invitations`).set(owner).send({ email: "stranger@example.com", role: "co_parent" }).expect(400);
+    });
+
+    it("lets the owner change roles and members leave", async () => {
+      const strangerId = (await api().get("/api/user").set(stranger).expect(200)).body.id;
+      await api().patch(`/api/babies/${babyId}`).set(stranger).send({ name: "Renamed" }).expect(403);
+      await api().patch(`/api/babies/${babyId}/members/${strangerId}`).set(owner).send({ role: "co_parent" }).expect(200);
+      await api().patch(`/api/babies/${babyId}`).set(stranger).send({ name: "Amara Grace" }).expect(200);
+      await api().delete(`/api/babies/${babyId}/members/${strangerId}`).set(stranger).expect(200);
+      await api().get(`/api/babies/${babyId}`).set(stranger).expect(404);
+    });
+  });
+
+  describe("deleting a baby", () => {
+    it("hides its schedules and milestones too", async () => {
+      await api().delete(`/api/babies/${babyId}`).set(owner).expect(200);
+      assert.deepEqual((await api().get("/api/schedules").set(owner).expect(200)).body.data, []);
+      assert.deepEqual((await api().get("/api/milestones").set(owner).expect(200)).body.data, []);
+      await api().post(`/api/babies/${babyId}/restore`).set(owner).expect(200);
+      assert.equal((await api().get("/api/milestones").set(owner).expect(200)).body.data.length, 1);
+    });
+  });
+});
@@ -0,0 +1,67 @@
+const { describe, it, before } = require("node:test");
+const assert = require("node:assert/strict");
+
+// Birthdays go out at a local hour; pin the zone so the expected instants hold
+process.env.TZ = "UTC";
+
+const { api, repositories, mailer, sentMail, createVerifiedUser, bearer } = require("./helpers");
+const { reminderConfig, runReminders } = require("../utils/reminderScheduler");
+
+const subjectsTo = async (email) => (await sentMail()).filter((sent) => sent.to === email).map((sent) => sent.subject);
+
+describe("reminders", () => {
+  let parent;
+  let babyId;
+
+  before(async () => {
+    parent = bearer((await createVerifiedUser({ email: "reminders@example.com" })).token);
+    babyId = (await api().post("/api/babies").set(parent).send({ name: "Bisi", birth_date: "2025-01-01", gender: "female" }).expect(201)).body.id;
+  });
+
+  it("email birthdays and schedules once their send time comes", async () => {
+    const reminder = await api().post("/api/birthday-reminder").set(parent).send({ baby_id: babyId, reminder_date: "2030-06-10", lead_days: 7 }).expect(201);
+    await api().post("/api/schedules").set(parent).send({ baby_id: babyId, type: "Doctor Visit", scheduled_time: "2030-06-03T10:00:00Z" }).expect(201);
+
+    const config = reminderConfig();
+    await runReminders({ repositories, mailer }, config, new Date("2030-06-03T09:00:30Z"));
+    await runReminders({ repositories, mailer }, config, new Date("2030-06-03T09:00:40Z"));
+    assert.deepEqual((await subjectsTo("reminders@example.com")).slice(-2).sort(), [
+      "Bisi's birthday is coming up!",
+      "Reminder: Doctor Visit for Bisi in 1 hour",
+    ]);
+
+    const jobs = await api().get("/api/reminders").set(parent).expect(200);
+    assert.deepEqual(jobs.body.map((job) => [job.source_type, job.status]).sort(), [["birthday", "sent"], ["schedule", "sent"]]);
+    const birthdays = await api().get(`/api/birthday-reminder?baby_id=${babyId}`).set(parent).expect(200);
+    assert.deepEqual(birthdays.body.map((row) => [row.id, row.baby_name, row.deliveries.length]), [[reminder.body.id, "Bisi", 1]]);
+  });
+
+  it("skip cancelled reminders", async () => {
+    const reminder = await api().post("/api/birthday-reminder").set(parent).send({ baby_id: babyId, reminder_date: "2030-07-10", lead_days: 1 }).expect(201);
+    await runReminders({ repositories, mailer }, reminderConfig(), new Date("2030-07-08T09:00:00Z"));
+    await api().post(`/api/birthday-reminder/${reminder.body.id}/cancel`).set(parent).expect(200);
+    await api().post(`/api/birthday-reminder/${reminder.body.id}/cancel`).set(parent).expect(404);
+
+    const before = (await subjectsTo("reminders@example.com")).length;
+    await runReminders({ repositories, mailer }, reminderConfig(), new Date("2030-07-09T09:00:10Z"));
+    assert.equal((await subjectsTo("reminders@example.com")).length, before);
+    const [cancelled] = (await api().get(`/api/birthday-reminder?baby_id=${babyId}`).set(parent).expect(200)).body;
+    assert.deepEqual([cancelled.status, cancelled.deliveries.map((job) => job.status)], ["cancelled", ["cancelled"]]);
+  });
+
+  it("send the devotional once a day at the user's local time", async () => {
+    const account = await createVerifiedUser({ email: "reminders-editor@example.com" });
+    repositories.store.find("users", (user) => user.id === account.user.id).role = "admin";
+    const admin = bearer(account.token);
+    const { id } = (await api().post("/api/scriptures").set(admin).send({ verse: "Be still, and know that I am God.", reference: "Psalm 46:10" }).expect(201)).body;
+    await api().post(`/api/scriptures/${id}/submit`).set(admin).expect(200);
+    await api().post(`/api/scriptures/${id}/approve`).set(admin).expect(200);
+    await api().patch("/api/devotional").set(parent).send({ enabled: true, timezone: "Africa/Lagos", send_time: "06:30" }).expect(200);
+
+    // 06:30 in Lagos is 05:30 UTC
+    await runReminders({ repositories, mailer }, reminderConfig(), new Date("2030-08-01T05:30:05Z"));
+    await runReminders({ repositories, mailer }, reminderConfig(), new Date("2030-08-01T05:30:15Z"));
+    const subjects = await subjectsTo("reminders@example.com");
+    assert.deepEqual(subjects.filter((subject) => subject.startsWith("Your verse")), ["Your verse for today: Psalms 46:10"]);
+  });
+});
@@ -0,0 +1,90 @@
+const { describe, it, before } = require("node:test");
+const assert = require("node:assert/strict");
+const { api, createVerifiedUser, bearer } = require("./helpers");
+const { checkValue, field } = require("../utils/validation");
+
+describe("schemas", () => {
+  it("accepts numbers and booleans sent as strings", () => {
+    assert.deepEqual(checkValue(field.id, "12", "id", "params"), []);
+    assert.deepEqual(checkValue(field.boolean(), "true", "enabled", "query"), []);
+    assert.equal(checkValue(field.id, "0", "id", "params")[0].code, "too_small");
+    assert.equal(checkValue(field.number(), "12abc", "amount", "body")[0].code, "invalid_type");
+  });
+
+  it("rejects impossible dates", () => {
+    assert.deepEqual(checkValue(field.date, "2024-02-29", "on", "body"), []);
+    assert.equal(checkValue(field.date, "2025-02-30", "on", "body")[0].code, "invalid_format");
+    assert.equal(checkValue(field.date, "2025-13-01", "on", "body")[0].code, "invalid_format");
+  });
+
+  it("runs checks only on otherwise valid values", () => {
+    const even = field.integer({ check: (value) => Number(value) % 2 === 0 || "must be even" });
+    assert.equal(checkValue(even, "3", "count", "query")[0].message, "count must be even");
+    assert.equal(checkValue(even, "x", "count", "query")[0].code, "invalid_type");
+  });
+});
+
+describe("error responses", () => {
+  let parent;
+
+  before(async () => {
+    parent = bearer((await createVerifiedUser({ email: "errors@example.com" })).token);
+  });
+
+  it("list every field problem with a request id", async () => {
+    const response = await api().post("/api/expenses").set(parent).send({ category: "Clothing", amount: "abc" }).expect(400);
+    assert.equal(response.body.code, "validation_failed");
+    assert.match(response.body.message, /^Missing required fields: .*expense_date/);
+    assert.ok(response.body.errors.some((error) => error.field === "amount" && error.in === "body" && error.code === "invalid_type"));
+    assert.equal(response.body.request_id, response.headers["x-request-id"]);
+  });
+
+  it("echo the caller's request id", async () => {
+    const response = await api().get("/api/no-such-route").set("X-Request-Id", "trace-42").expect(404);
+    assert.equal(response.headers["x-request-id"], "trace-42");
+    assert.deepEqual(response.body, { message: "Endpoint not found", code: "not_found", request_id: "trace-42" });
+  });
+
+  it("reject out-of-range dates as invalid input", async () => {
+    const baby = await api().post("/api/babies").set(parent).send({ name: "Ada", birth_date: "2025-13-01", gender: "female" }).expect(400);
+    assert.ok(baby.body.errors.some((error) => error.field === "birth_date" && error.code === "invalid_format"));
+    await api().get("/api/expenses?from=2025-13-45").set(parent).expect(400);
+  });
+
+  it("reject malformed JSON", async () => {
+    const response = await api().post("/api/babies").set(parent).set("Content-Type", "application/json").send("{\"name\":").expect(400);
+    assert.equal(response.body.code, "invalid_json");
+  });
+
+  it("reject unknown schedule types", async () => {
+    const response = await api()
+      .post("/api/schedules")
+      .set(parent)
+      .send({ type: "juggling", scheduled_time: "2030-01-01T09:00:00Z" })
+      .expect(400);
+    assert.ok(response.body.errors.some((error) => error.field === "type"));
+  });
+
+  // The tests run on the memory store, so the MySQL pool has nothing to talk to
+  it("do not leak server errors", async (t) => {
+    const response = await api().get("/api/test-db");
+    if (response.status === 200) return t.skip("a MySQL server is listening");
+    assert.equal(response.status, 500);
+    assert.deepEqual(Object.keys(response.body).sort(), ["code", "message", "request_id"]);
+    assert.equal(response.body.message, "Failed to connect to database");
+    assert.equal(response.body.code, "internal_error");
+  });
+});
+
+describe("API docs", () => {
+  it("describe the validated routes", async () => {
+    const response = await api().get("/api/docs").expect(200);
+    assert.equal(response.body.openapi, "3.0.3");
+    const expense = response.body.paths["/api/expenses"].post;
+    assert.deepEqual(expense.requestBody.content["application/json"].schema.required.sort(), ["amount", "category", "expense_date"]);
+    assert.deepEqual(expense.security, [{ bearerAuth: [] }]);
+    const baby = response.body.paths["/api/babies/{id}"].get;
+    assert.equal(baby.parameters.find((parameter) => parameter.name === "id").schema.type, "integer");
+    assert.ok(baby.responses["404"]);
+  });
+});
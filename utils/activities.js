@@ -0,0 +1,202 @@
+// What actually happened: feeds, sleeps and diaper changes. Feeds and sleeps
+// can run as timers (ended_at is null until they are stopped); instant entries
+// such as diaper changes or a bottle logged after the fact have
+// ended_at = started_at.
+
+const ACTIVITY_KINDS = ["feed", "sleep", "diaper"];
+const TIMED_KINDS = ["feed", "sleep"];
+const FEED_TYPES = ["breast", "bottle", "solids"];
+const BREAST_SIDES = ["left", "right", "both"];
+const DIAPER_TYPES = ["wet", "dirty", "mixed"];
+
+const MAX_BOTTLE_ML = 500;
+// Longest a single feed or sleep can plausibly run; longer usually means a
+// timer that was never stopped
+const MAX_DURATION_HOURS = 16;
+
+const isDateTime = (value) => typeof value === "string" && !Number.isNaN(new Date(value).getTime());
+
+// Validates the kind-specific details. With partial, missing required fields
+// are allowed (updates). Returns { fields } or { error }
+const validateActivityDetails = (kind, body, { partial = false } = {}) => {
+  const { feed_type, breast_side, amount_ml, food, diaper, notes } = body;
+  const fields = {};
+  if (kind === "feed") {
+    if (feed_type !== undefined || !partial) {
+      if (!FEED_TYPES.includes(feed_type)) return { error: `Invalid input: feed_type must be one of ${FEED_TYPES.join(", ")}` };
+      fields.feed_type = feed_type;
+    }
+    if (breast_side !== undefined && breast_side !== null) {
+      if (!BREAST_SIDES.includes(breast_side)) return { error: `Invalid input: breast_side must be one of ${BREAST_SIDES.join(", ")}` };
+      fields.breast_side = breast_side;
+    }
+    if (amount_ml !== undefined && amount_ml !== null) {
+      if (!Number.isInteger(amount_ml) || amount_ml < 0 || amount_ml > MAX_BOTTLE_ML) {
+        return { error: `Invalid input: amount_ml must be a whole number from 0 to ${MAX_BOTTLE_ML}` };
+      }
+      fields.amount_ml = amount_ml;
+    }
+    if (food !== undefined && food !== null) {
+      if (typeof food !== "string" || food.length > 255) return { error: "Invalid input: food must be text of at most 255 characters" };
+      fields.food = food;
+    }
+  } else if (kind === "diaper") {
+    if (diaper !== undefined || !partial) {
+      if (!DIAPER_TYPES.includes(diaper)) return { error: `Invalid input: diaper must be one of ${DIAPER_TYPES.join(", ")}` };
+      fields.diaper = diaper;
+    }
+  }
+  if (notes !== undefined) {
+    if (notes !== null && (typeof notes !== "string" || notes.length > 1000)) {
+      return { error: "Invalid input: notes must be text of at most 1000 characters" };
+    }
+    fields.notes = notes || null;
+  }
+  return { fields };
+};
+
+// Checks a start/end pair; end may be null for a running timer
+const validateTimes = (startedAt, endedAt, now = new Date()) => {
+  if (startedAt > now) return "Invalid input: started_at cannot be in the future";
+  if (endedAt === null) return null;
+  if (endedAt > now) return "Invalid input: ended_at cannot be in the future";
+  if (endedAt < startedAt) return "Invalid input: ended_at must not be before started_at";
+  if (endedAt - startedAt > MAX_DURATION_HOURS * 3600000) {
+    return `Invalid input: an activity cannot run for more than ${MAX_DURATION_HOURS} hours`;
+  }
+  return null;
+};
+
+const minutesBetween = (from, to) => Math.round((to - from) / 60000);
+
+// Totals for one day, [from, to). Sleep is counted for the part inside the
+// day so a night's sleep is split across two days; the longest stretch is the
+// full length of the longest sleep that started that day. Running timers count
+// up to now
+const summarizeDay = (activities, from, to, now = new Date()) => {
+  const start = (activity) => new Date(activity.started_at).getTime();
+  const end = (activity) => (activity.ended_at ? new Date(activity.ended_at).getTime() : now.getTime());
+  const startsInDay = (activity) => start(activity) >= from.getTime() && start(activity) < to.getTime();
+
+  const sleeps = activities.filter((activity) => activity.kind === "sleep");
+  let sleepMinutes = 0;
+  for (const sleep of sleeps) {
+    const overlap = Math.min(end(sleep), to.getTime()) - Math.max(start(sleep), from.getTime());
+    if (overlap > 0) sleepMinutes += overlap / 60000;
+  }
+  const longest = sleeps.filter(startsInDay).reduce((max, sleep) => Math.max(max, end(sleep) - start(sleep)), 0);
+
+  const allFeeds = activities.filter((activity) => activity.kind === "feed").sort((a, b) => start(a) - start(b));
+  const feeds = allFeeds.filter(startsInDay);
+  // Gaps between feed starts, including the one running into the day
+  let longestGap = 0;
+  for (let i = 1; i < allFeeds.length; i++) {
+    if (startsInDay(allFeeds[i])) longestGap = Math.max(longestGap, start(allFeeds[i]) - start(allFeeds[i - 1]));
+  }
+
+  const diapers = activities.filter((activity) => activity.kind === "diaper" && startsInDay(activity));
+
+  return {
+    sleep: {
+      total_minutes: Math.round(sleepMinutes),
+      longest_stretch_minutes: Math.round(longest / 60000),
+      count: sleeps.filter(startsInDay).length,
+    },
+    feeds: {
+      count: feeds.length,
+      breast: feeds.filter((feed) => feed.feed_type === "breast").length,
+      breast_minutes: feeds
+        .filter((feed) => feed.feed_type === "breast")
+        .reduce((total, feed) => total + minutesBetween(start(feed), end(feed)), 0),
+      bottle: feeds.filter((feed) => feed.feed_type === "bottle").length,
+      bottle_ml: feeds.reduce((total, feed) => total + (feed.feed_type === "bottle" ? Number(feed.amount_ml) || 0 : 0), 0),
+      solids: feeds.filter((feed) => feed.feed_type === "solids").length,
+      longest_gap_minutes: longestGap ? Math.round(longestGap / 60000) : null,
+    },
+    diapers: {
+      count: diapers.length,
+      wet: diapers.filter((diaper) => diaper.diaper !== "dirty").length,
+      dirty: diapers.filter((diaper) => diaper.diaper !== "wet").length,
+    },
+  };
+};
+
+// Patterns worth a call to the midwife or doctor. Each rule only looks at days
+// where that kind of activity was logged at all, so a day nobody tracked does
+// not raise alarms. ageDays is the baby's age on the day
+const ALERT_RULES = [
+  {
+    code: "few_wet_diapers",
+    applies: (ageDays, summary) => ageDays >= 1 && ageDays <= 42 && summary.diapers.count > 0,
+    // In the first days a newborn wets about one diaper per day of life
+    check: (summary, ageDays) => {
+      const expected = Math.min(Math.max(ageDays, 1), 6);
+      return summary.diapers.wet < expected
+        ? `Only ${summary.diapers.wet} wet diaper${summary.diapers.wet === 1 ? "" : "s"}; at ${ageDays} days old expect at least ${expected}. Check feeding and signs of dehydration.`
+        : null;
+    },
+  },
+  {
+    code: "no_dirty_diaper",
+    applies: (ageDays, summary) => ageDays >= 4 && ageDays <= 28 && summary.diapers.count > 0,
+    check: (summary) => (summary.diapers.dirty === 0 ? "No dirty diapers all day; newborns usually have at least one." : null),
+  },
+  {
+    code: "few_feeds",
+    applies: (ageDays, summary) => ageDays <= 28 && summary.feeds.count > 0,
+    check: (summary) =>
+      summary.feeds.count < 8 ? `Only ${summary.feeds.count} feeds; newborns usually feed 8-12 times a day.` : null,
+  },
+  {
+    code: "long_feed_gap",
+    applies: (ageDays, summary) => ageDays <= 28 && summary.feeds.longest_gap_minutes !== null,
+    check: (summary) =>
+      summary.feeds.longest_gap_minutes > 240
+        ? `${Math.floor(summary.feeds.longest_gap_minutes / 60)}h ${summary.feeds.longest_gap_minutes % 60}m between feeds; newborns should not go more than 4 hours without a feed.`
+        : null,
+  },
+];
+
+const activityAlerts = (summary, ageDays) =>
+  ALERT_RULES.filter((rule) => rule.applies(ageDays, summary))
+    .map((rule) => ({ code: rule.code, message: rule.check(summary, ageDays) }))
+    .filter((alert) => alert.message);
+
+// Sums daily summaries into a weekly one with per-day averages
+const summarizeWeek = (days) => {
+  const total = (pick) => days.reduce((sum, day) => sum + pick(day.summary), 0);
+  const average = (pick) => (days.length ? Math.round((total(pick) / days.length) * 10) / 10 : 0);
+  return {
+    sleep: {
+      total_minutes: total((s) => s.sleep.total_minutes),
+      average_minutes_per_day: average((s) => s.sleep.total_minutes),
+      longest_stretch_minutes: Math.max(0, ...days.map((day) => day.summary.sleep.longest_stretch_minutes)),
+    },
+    feeds: {
+      count: total((s) => s.feeds.count),
+      average_per_day: average((s) => s.feeds.count),
+      bottle_ml: total((s) => s.feeds.bottle_ml),
+      breast_minutes: total((s) => s.feeds.breast_minutes),
+    },
+    diapers: {
+      count: total((s) => s.diapers.count),
+      wet: total((s) => s.diapers.wet),
+      dirty: total((s) => s.diapers.dirty),
+      average_per_day: average((s) => s.diapers.count),
+    },
+  };
+};
+
+module.exports = {
+  ACTIVITY_KINDS,
+  TIMED_KINDS,
+  FEED_TYPES,
+  BREAST_SIDES,
+  DIAPER_TYPES,
+  isDateTime,
+  validateActivityDetails,
+  validateTimes,
+  summarizeDay,
+  activityAlerts,
+  summarizeWeek,
+};
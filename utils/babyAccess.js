@@ -0,0 +1,50 @@
+// Who can do what with a shared baby profile. Every baby has exactly one
+// owner; co-parents can edit everything except sharing and deleting the
+// profile; caregivers can see and log schedules, activities and milestones only.
+
+const ROLES = ["owner", "co_parent", "caregiver"];
+
+// Roles an owner can hand out through an invitation
+const INVITABLE_ROLES = ["co_parent", "caregiver"];
+
+const PERMISSIONS = {
+  "baby:read": ["owner", "co_parent", "caregiver"],
+  "baby:edit": ["owner", "co_parent"],
+  "baby:delete": ["owner"],
+  "members:manage": ["owner"],
+  "schedules:read": ["owner", "co_parent", "caregiver"],
+  "schedules:log": ["owner", "co_parent", "caregiver"],
+  "schedules:edit": ["owner", "co_parent"],
+  "activities:read": ["owner", "co_parent", "caregiver"],
+  "activities:log": ["owner", "co_parent", "caregiver"],
+  "activities:edit": ["owner", "co_parent"],
+  "milestones:read": ["owner", "co_parent", "caregiver"],
+  "milestones:log": ["owner", "co_parent", "caregiver"],
+  "milestones:edit": ["owner", "co_parent"],
+  "expenses:read": ["owner", "co_parent"],
+  "expenses:write": ["owner", "co_parent"],
+  "health:read": ["owner", "co_parent"],
+  "health:write": ["owner", "co_parent"],
+};
+
+const can = (role, permission) => {
+  if (!PERMISSIONS[permission]) throw new Error(`Unknown permission: ${permission}`);
+  return PERMISSIONS[permission].includes(role);
+};
+
+// SQL list of the roles holding a permission, e.g. "'owner', 'co_parent'".
+// Only ever built from the constants above, never from input
+const rolesSql = (permission) => PERMISSIONS[permission].map((role) => `'${role}'`).join(", ");
+
+// Subquery of baby ids the user (one ? placeholder) holds `permission` on
+const memberBabiesSql = (permission) =>
+  `SELECT m.baby_id FROM baby_members m JOIN babies mb ON mb.id = m.baby_id WHERE m.user_id = ? AND mb.deleted_at IS NULL AND m.role IN (${rolesSql(permission)})`;
+
+module.exports = {
+  ROLES,
+  INVITABLE_ROLES,
+  PERMISSIONS,
+  can,
+  rolesSql,
+  memberBabiesSql,
+};
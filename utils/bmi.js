@@ -0,0 +1,91 @@
+const KG_PER_LB = 0.45359237;
+const CM_PER_IN = 2.54;
+
+const UNIT_SYSTEMS = ["metric", "imperial"];
+
+// Institute of Medicine (2009) gestational weight gain guidelines, kg.
+// Weekly rates apply to the second and third trimesters
+const IOM_GUIDELINES = {
+  underweight: { bmi: "< 18.5", total: { min: 12.5, max: 18 }, weekly: { min: 0.44, max: 0.58 } },
+  normal: { bmi: "18.5 - 24.9", total: { min: 11.5, max: 16 }, weekly: { min: 0.35, max: 0.5 } },
+  overweight: { bmi: "25.0 - 29.9", total: { min: 7, max: 11.5 }, weekly: { min: 0.23, max: 0.33 } },
+  obese: { bmi: ">= 30.0", total: { min: 5, max: 9 }, weekly: { min: 0.17, max: 0.27 } },
+};
+
+// Total first-trimester gain the IOM assumes for every category, kg
+const FIRST_TRIMESTER_GAIN = { min: 0.5, max: 2 };
+const FIRST_TRIMESTER_WEEKS = 13;
+
+const round = (value, digits) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+const toMetric = (weight, height, units) =>
+  units === "imperial" ? { weightKg: weight * KG_PER_LB, heightCm: height * CM_PER_IN } : { weightKg: weight, heightCm: height };
+
+const weightIn = (kg, units, digits = 1) => (kg === null ? null : round(units === "imperial" ? kg / KG_PER_LB : kg, digits));
+
+const heightIn = (cm, units) => (cm === null ? null : round(units === "imperial" ? cm / CM_PER_IN : cm, 1));
+
+const computeBmi = (weightKg, heightCm) => round(weightKg / (heightCm / 100) ** 2, 1);
+
+const bmiCategory = (bmi) => {
+  if (bmi < 18.5) return "underweight";
+  if (bmi < 25) return "normal";
+  if (bmi < 30) return "overweight";
+  return "obese";
+};
+
+// Cumulative gain the guideline expects by a given gestational week, kg
+const expectedGainRange = (category, week) => {
+  const { weekly } = IOM_GUIDELINES[category];
+  if (week <= FIRST_TRIMESTER_WEEKS) {
+    const fraction = week / FIRST_TRIMESTER_WEEKS;
+    return { min: round(FIRST_TRIMESTER_GAIN.min * fraction, 1), max: round(FIRST_TRIMESTER_GAIN.max * fraction, 1) };
+  }
+  const weeks = week - FIRST_TRIMESTER_WEEKS;
+  return {
+    min: round(FIRST_TRIMESTER_GAIN.min + weeks * weekly.min, 1),
+    max: round(FIRST_TRIMESTER_GAIN.max + weeks * weekly.max, 1),
+  };
+};
+
+const gainStatus = (gain, range) => {
+  if (gain < range.min) return "below";
+  if (gain > range.max) return "above";
+  return "within";
+};
+
+// Evaluates one weigh-in against the pre-pregnancy baseline. Returns null when
+// there is no baseline or no gestational week to compare against
+const assessGain = (preWeightKg, preBmi, weightKg, week) => {
+  if (preWeightKg === null || preBmi === null || week === null) return null;
+  const category = bmiCategory(preBmi);
+  const gain = round(weightKg - preWeightKg, 1);
+  const range = expectedGainRange(category, week);
+  return { category, gain_kg: gain, expected_gain_kg: range, status: gainStatus(gain, range) };
+};
+
+// Guideline summary for a pre-pregnancy BMI, expressed in the requested units
+const recommendationFor = (preBmi, units) => {
+  const category = bmiCategory(preBmi);
+  const { bmi, total, weekly } = IOM_GUIDELINES[category];
+  return {
+    category,
+    bmi_range: bmi,
+    total_gain: { min: weightIn(total.min, units), max: weightIn(total.max, units) },
+    weekly_gain_2nd_3rd_trimester: { min: weightIn(weekly.min, units, 2), max: weightIn(weekly.max, units, 2) },
+    first_trimester_gain: { min: weightIn(FIRST_TRIMESTER_GAIN.min, units), max: weightIn(FIRST_TRIMESTER_GAIN.max, units) },
+  };
+};
+
+module.exports = {
+  UNIT_SYSTEMS,
+  IOM_GUIDELINES,
+  toMetric,
+  weightIn,
+  heightIn,
+  computeBmi,
+  bmiCategory,
+  expectedGainRange,
+  assessGain,
+  recommendationFor,
+};
@@ -0,0 +1,47 @@
+// Publishing workflow for content every user sees (daily reads and the like).
+// Editors write drafts and submit them for review; admins approve, reject
+// (back to draft with a note) or unpublish.
+//
+//   draft --submit--> in_review --approve--> published
+//     ^                   |                      |
+//     +------reject-------+                      |
+//     +-----------------unpublish----------------+
+
+const USER_ROLES = ["user", "editor", "admin"];
+
+const CONTENT_STATUSES = ["draft", "in_review", "published"];
+
+const TRANSITIONS = {
+  submit: { from: ["draft"], to: "in_review", roles: ["editor", "admin"], done: "submitted for review" },
+  approve: { from: ["in_review"], to: "published", roles: ["admin"], done: "published" },
+  reject: { from: ["in_review"], to: "draft", roles: ["admin"], requiresNote: true, done: "returned to draft" },
+  unpublish: { from: ["published"], to: "draft", roles: ["admin"], done: "unpublished" },
+};
+
+// Only drafts can be edited, so what was reviewed is what gets published
+const isEditable = (status) => status === "draft";
+
+// Checks an action against the item's status and the actor's role.
+// Returns { to, done } or { status, error } with an HTTP status for the caller
+const planTransition = (action, currentStatus, role, note) => {
+  const transition = Object.hasOwn(TRANSITIONS, action) ? TRANSITIONS[action] : null;
+  if (!transition) return { status: 404, error: `Unknown action: ${action}` };
+  if (!transition.roles.includes(role)) {
+    return { status: 403, error: `Only ${transition.roles.join(" or ")} users can ${action} content` };
+  }
+  if (!transition.from.includes(currentStatus)) {
+    return { status: 409, error: `Cannot ${action} content that is ${currentStatus.replace("_", " ")}` };
+  }
+  if (transition.requiresNote && (typeof note !== "string" || !note.trim())) {
+    return { status: 400, error: `Missing required fields: note (explain why when you ${action})` };
+  }
+  return { to: transition.to, done: transition.done };
+};
+
+module.exports = {
+  USER_ROLES,
+  CONTENT_STATUSES,
+  TRANSITIONS,
+  isEditable,
+  planTransition,
+};
@@ -0,0 +1,107 @@
+const { ageInDays } = require("./growth");
+const { gestationalAge } = require("./pregnancy");
+
+// Articles are tagged with topics and, optionally, the stages they apply to:
+// a range of pregnancy weeks and/or a range of baby ages in days. Untagged
+// articles are general reading for everyone.
+
+const TOPIC_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const MAX_TOPICS = 10;
+const MAX_PREGNANCY_WEEK = 42;
+const MAX_BABY_AGE_DAYS = 1826; // five years
+
+// Lower-cases and de-duplicates topic slugs; returns { topics } or { error }
+const normalizeTopics = (input) => {
+  if (!Array.isArray(input)) return { error: "Invalid input: topics must be an array of strings" };
+  const topics = [...new Set(input.map((topic) => String(topic).trim().toLowerCase().replace(/\s+/g, "-")))];
+  if (topics.length > MAX_TOPICS) return { error: `Invalid input: at most ${MAX_TOPICS} topics` };
+  const bad = topics.filter((topic) => topic.length > 50 || !TOPIC_PATTERN.test(topic));
+  if (bad.length) return { error: `Invalid input: topics must be short slugs like "sleep" or "breast-feeding" (got ${bad.join(", ")})` };
+  return { topics };
+};
+
+// Validates one of the stage ranges; both ends optional but from <= to
+const validateRange = (body, fromKey, toKey, max) => {
+  const fields = {};
+  for (const key of [fromKey, toKey]) {
+    if (body[key] === undefined) continue;
+    if (body[key] !== null && (!Number.isInteger(body[key]) || body[key] < 0 || body[key] > max)) {
+      return { error: `Invalid input: ${key} must be a whole number from 0 to ${max}` };
+    }
+    fields[key] = body[key];
+  }
+  const from = fields[fromKey] ?? null;
+  const to = fields[toKey] ?? null;
+  if (from !== null && to !== null && from > to) return { error: `Invalid input: ${fromKey} must not be after ${toKey}` };
+  return { fields };
+};
+
+const validateStages = (body) => {
+  const pregnancy = validateRange(body, "pregnancy_week_from", "pregnancy_week_to", MAX_PREGNANCY_WEEK);
+  if (pregnancy.error) return pregnancy;
+  const baby = validateRange(body, "baby_age_from_days", "baby_age_to_days", MAX_BABY_AGE_DAYS);
+  if (baby.error) return baby;
+  return { fields: { ...pregnancy.fields, ...baby.fields } };
+};
+
+// Completed weeks of pregnancy on a date, or null when the due date is too far
+// off or long past
+const pregnancyWeek = (dueDate, today) => {
+  const age = gestationalAge(dueDate, today);
+  return age && age.weeks <= MAX_PREGNANCY_WEEK ? age.weeks : null;
+};
+
+// Stages the user is in today: their active pregnancy and each baby's age
+const currentStages = ({ dueDate, babies }, today) => {
+  const stages = [];
+  if (dueDate) {
+    const week = pregnancyWeek(dueDate, today);
+    if (week !== null) stages.push({ type: "pregnancy", week });
+  }
+  for (const baby of babies) {
+    const days = ageInDays(baby.birth_date, today);
+    if (days >= 0 && days <= MAX_BABY_AGE_DAYS) stages.push({ type: "baby", baby_id: baby.id, name: baby.name, age_days: days });
+  }
+  return stages;
+};
+
+const inRange = (value, from, to) => (from === null || value >= from) && (to === null || value <= to);
+
+const hasPregnancyRange = (read) => read.pregnancy_week_from !== null || read.pregnancy_week_to !== null;
+const hasBabyRange = (read) => read.baby_age_from_days !== null || read.baby_age_to_days !== null;
+
+// The user's stages a read applies to
+const matchingStages = (read, stages) =>
+  stages.filter((stage) =>
+    stage.type === "pregnancy"
+      ? hasPregnancyRange(read) && inRange(stage.week, read.pregnancy_week_from, read.pregnancy_week_to)
+      : hasBabyRange(read) && inRange(stage.age_days, read.baby_age_from_days, read.baby_age_to_days)
+  );
+
+// SQL condition (with params) for reads that apply to any of the stages
+const stageCondition = (stages, alias = "d") => {
+  const clauses = [];
+  const params = [];
+  for (const stage of stages) {
+    const [from, to, value] =
+      stage.type === "pregnancy"
+        ? ["pregnancy_week_from", "pregnancy_week_to", stage.week]
+        : ["baby_age_from_days", "baby_age_to_days", stage.age_days];
+    clauses.push(
+      `((${alias}.${from} IS NOT NULL OR ${alias}.${to} IS NOT NULL) AND (${alias}.${from} IS NULL OR ${alias}.${from} <= ?) AND (${alias}.${to} IS NULL OR ${alias}.${to} >= ?))`
+    );
+    params.push(value, value);
+  }
+  return { sql: clauses.length ? `(${clauses.join(" OR ")})` : "FALSE", params };
+};
+
+module.exports = {
+  MAX_PREGNANCY_WEEK,
+  MAX_BABY_AGE_DAYS,
+  normalizeTopics,
+  validateStages,
+  pregnancyWeek,
+  currentStages,
+  matchingStages,
+  stageCondition,
+};
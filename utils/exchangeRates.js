@@ -0,0 +1,111 @@
+const { SUPPORTED_CURRENCIES, parseRate, invertRate, multiplyRates, convertMinor } = require("./money");
+
+// Rates are quoted as "1 base_currency = rate quote_currency" on rate_date
+const CSV_COLUMNS = ["base_currency", "quote_currency", "rate", "rate_date"];
+
+// Cross rates go through this currency when no direct pair is stored
+const PIVOT_CURRENCY = "USD";
+
+const dateKey = (value) => {
+  if (typeof value === "string") return value.slice(0, 10);
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+};
+
+// Validates one uploaded rate; returns { rate } or { error }
+const validateRate = ({ base_currency, quote_currency, rate, rate_date }) => {
+  const base = String(base_currency || "").trim().toUpperCase();
+  const quote = String(quote_currency || "").trim().toUpperCase();
+  if (!SUPPORTED_CURRENCIES.includes(base) || !SUPPORTED_CURRENCIES.includes(quote)) {
+    return { error: `currencies must be one of ${SUPPORTED_CURRENCIES.join(", ")}` };
+  }
+  if (base === quote) return { error: "base_currency and quote_currency must differ" };
+  const scaled = rate === undefined || rate === null ? null : parseRate(rate);
+  if (scaled === null || scaled <= 0n) return { error: "rate must be a positive decimal with at most 10 decimal places" };
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(String(rate_date || ""))) return { error: "rate_date must be in YYYY-MM-DD format" };
+  return { rate: { base_currency: base, quote_currency: quote, rate: String(rate).trim(), rate_date } };
+};
+
+// Parses an uploaded CSV with a header row naming the CSV_COLUMNS in any order
+const parseRatesCsv = (text) => {
+  const lines = text.split(/\r?\n/).map((line) => line.trim()).filter(Boolean);
+  if (lines.length === 0) return { rates: [], errors: [{ line: 1, message: "File is empty" }] };
+
+  const header = lines[0].split(",").map((column) => column.trim().toLowerCase());
+  const missing = CSV_COLUMNS.filter((column) => !header.includes(column));
+  if (missing.length) {
+    return { rates: [], errors: [{ line: 1, message: `Missing columns: ${missing.join(", ")}` }] };
+  }
+
+  const rates = [];
+  const errors = [];
+  lines.slice(1).forEach((line, index) => {
+    const cells = line.split(",").map((cell) => cell.trim());
+    const row = Object.fromEntries(header.map((column, i) => [column, cells[i]]));
+    const { rate, error } = validateRate(row);
+    if (error) errors.push({ line: index + 2, message: error });
+    else rates.push(rate);
+  });
+  return { rates, errors };
+};
+
+// Builds a converter into `home` from stored rate rows. Each lookup uses the
+// latest rate on or before the expense date: direct pair, inverse pair, then
+// a cross rate through the pivot currency
+const createConverter = (rows, home) => {
+  const series = new Map();
+  for (const row of rows) {
+    const key = `${row.base_currency}:${row.quote_currency}`;
+    if (!series.has(key)) series.set(key, []);
+    series.get(key).push({ date: dateKey(row.rate_date), rate: parseRate(row.rate) });
+  }
+  for (const entries of series.values()) entries.sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+
+  const latestOnOrBefore = (key, date) => {
+    const entries = series.get(key);
+    if (!entries) return null;
+    let found = null;
+    for (const entry of entries) {
+      if (entry.date > date) break;
+      found = entry;
+    }
+    return found;
+  };
+
+  const pairRate = (from, to, date) => {
+    const direct = latestOnOrBefore(`${from}:${to}`, date);
+    if (direct) return direct;
+    const inverse = latestOnOrBefore(`${to}:${from}`, date);
+    return inverse ? { date: inverse.date, rate: invertRate(inverse.rate) } : null;
+  };
+
+  const rateFor = (currency, date) => {
+    const day = dateKey(date);
+    if (currency === home) return { date: day, rate: parseRate("1") };
+    const direct = pairRate(currency, home, day);
+    if (direct) return direct;
+    if (currency === PIVOT_CURRENCY || home === PIVOT_CURRENCY) return null;
+    const first = pairRate(currency, PIVOT_CURRENCY, day);
+    const second = pairRate(PIVOT_CURRENCY, home, day);
+    if (!first || !second) return null;
+    return { date: first.date < second.date ? first.date : second.date, rate: multiplyRates(first.rate, second.rate) };
+  };
+
+  return {
+    home,
+    // Returns { minor, rate, rate_date } in the home currency, or null when no rate is known
+    convert: (minor, currency, date) => {
+      const found = rateFor(currency, date);
+      if (!found) return null;
+      return { minor: convertMinor(minor, found.rate), rate: found.rate, rate_date: found.date };
+    },
+  };
+};
+
+module.exports = {
+  CSV_COLUMNS,
+  dateKey,
+  validateRate,
+  parseRatesCsv,
+  createConverter,
+};
@@ -0,0 +1,75 @@
+const { formatMinor, percentChange } = require("./money");
+
+// Percentages of a monthly budget at which an alert is recorded
+const BUDGET_THRESHOLDS = [80, 100];
+
+const monthKey = (value) => {
+  if (typeof value === "string") return value.slice(0, 7);
+  return `${value.getFullYear()}-${String(value.getMonth() + 1).padStart(2, "0")}`;
+};
+
+// First and last day of the calendar month containing `date` (YYYY-MM-DD strings)
+const monthBounds = (date) => {
+  const [year, month] = monthKey(date).split("-").map(Number);
+  const last = new Date(Date.UTC(year, month, 0)).getUTCDate();
+  const mm = String(month).padStart(2, "0");
+  return { start: `${year}-${mm}-01`, end: `${year}-${mm}-${String(last).padStart(2, "0")}` };
+};
+
+// Every YYYY-MM between two dates, inclusive
+const monthsBetween = (from, to) => {
+  const months = [];
+  let [year, month] = monthKey(from).split("-").map(Number);
+  const end = monthKey(to);
+  for (;;) {
+    const key = `${year}-${String(month).padStart(2, "0")}`;
+    if (key > end) break;
+    months.push(key);
+    month += 1;
+    if (month > 12) {
+      month = 1;
+      year += 1;
+    }
+  }
+  return months;
+};
+
+// Fills empty months with zero and adds the change from the previous month.
+// Totals are minor units (BigInt); the result carries decimal strings
+const monthOverMonth = (totalsByMonth, months) =>
+  months.map((month, index) => {
+    const total = totalsByMonth[month] || 0n;
+    if (index === 0) return { month, total: formatMinor(total), change: null, change_pct: null };
+    const previous = totalsByMonth[months[index - 1]] || 0n;
+    return {
+      month,
+      total: formatMinor(total),
+      change: formatMinor(total - previous),
+      change_pct: percentChange(total, previous),
+    };
+  });
+
+// Thresholds a category has reached this month, given what was spent and its limit (minor units)
+const reachedThresholds = (spent, limit) =>
+  BUDGET_THRESHOLDS.filter((threshold) => spent * 100n >= limit * BigInt(threshold));
+
+// Quotes fields for CSV and defuses values a spreadsheet would run as a formula
+const csvField = (value) => {
+  if (value === null || value === undefined) return "";
+  let text = value instanceof Date ? `${monthKey(value)}-${String(value.getDate()).padStart(2, "0")}` : String(value);
+  if (/^[=+\-@\t\r]/.test(text) && typeof value === "string") text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsv = (columns, rows) =>
+  [columns.join(","), ...rows.map((row) => columns.map((column) => csvField(row[column])).join(","))].join("\r\n") + "\r\n";
+
+module.exports = {
+  BUDGET_THRESHOLDS,
+  monthKey,
+  monthBounds,
+  monthsBetween,
+  monthOverMonth,
+  reachedThresholds,
+  toCsv,
+};
@@ -0,0 +1,170 @@
+const who = require("../data/who-growth-lms.json");
+
+const DAYS_PER_MONTH = 30.4375;
+
+// Percentile lines drawn on the WHO growth charts
+const MAJOR_PERCENTILES = [3, 15, 50, 85, 97];
+
+const INDICATORS = {
+  "weight-for-age": { table: who.weightForAge, restricted: true },
+  "length-for-age": { table: who.lengthForAge, restricted: false },
+  "weight-for-length": { table: who.weightForLength, restricted: true },
+};
+
+// Standard normal CDF (Abramowitz & Stegun 7.1.26)
+const normalCdf = (z) => {
+  const t = 1 / (1 + 0.3275911 * Math.abs(z) / Math.SQRT2);
+  const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  const erf = 1 - poly * Math.exp(-(z * z) / 2);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+};
+
+// Inverse normal CDF (Acklam's rational approximation)
+const normalQuantile = (p) => {
+  const a = [-39.69683028665376, 220.9460984245205, -275.9285104469687, 138.357751867269, -30.66479806614716, 2.506628277459239];
+  const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972, -13.28068155288572];
+  const c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+  const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416];
+  const low = 0.02425;
+  if (p < low) {
+    const q = Math.sqrt(-2 * Math.log(p));
+    return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) / ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  }
+  if (p > 1 - low) {
+    const q = Math.sqrt(-2 * Math.log(1 - p));
+    return -(((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) / ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  }
+  const q = p - 0.5;
+  const r = q * q;
+  return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q / (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+};
+
+// Linearly interpolates L, M and S between the two nearest table rows
+const lookupLms = (rows, x) => {
+  if (x < rows[0][0] || x > rows[rows.length - 1][0]) return null;
+  for (let i = 0; i < rows.length - 1; i++) {
+    const [x0, l0, m0, s0] = rows[i];
+    const [x1, l1, m1, s1] = rows[i + 1];
+    if (x >= x0 && x <= x1) {
+      const f = x1 === x0 ? 0 : (x - x0) / (x1 - x0);
+      return { L: l0 + f * (l1 - l0), M: m0 + f * (m1 - m0), S: s0 + f * (s1 - s0) };
+    }
+  }
+  const [, L, M, S] = rows[rows.length - 1];
+  return { L, M, S };
+};
+
+const valueAtZ = ({ L, M, S }, z) => (L === 0 ? M * Math.exp(S * z) : M * Math.pow(1 + L * S * z, 1 / L));
+
+// WHO recommends a restricted LMS for weight indicators beyond +/-3 SD,
+// where the skewness term would otherwise stretch the tails
+const zScore = (lms, value, restricted) => {
+  const { L, M, S } = lms;
+  let z = L === 0 ? Math.log(value / M) / S : (Math.pow(value / M, L) - 1) / (L * S);
+  if (restricted && z > 3) {
+    const sd3 = valueAtZ(lms, 3);
+    z = 3 + (value - sd3) / (sd3 - valueAtZ(lms, 2));
+  } else if (restricted && z < -3) {
+    const sd3 = valueAtZ(lms, -3);
+    z = -3 + (value - sd3) / (valueAtZ(lms, -2) - sd3);
+  }
+  return z;
+};
+
+const round = (value, digits) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+// Accepts "YYYY-MM-DD" strings or DATE values as returned by mysql2 (local midnight)
+const toUtcDay = (value) => {
+  if (typeof value === "string") {
+    const [year, month, day] = value.slice(0, 10).split("-").map(Number);
+    return Date.UTC(year, month - 1, day);
+  }
+  return Date.UTC(value.getFullYear(), value.getMonth(), value.getDate());
+};
+
+const ageInDays = (birthDate, onDate) => Math.round((toUtcDay(onDate) - toUtcDay(birthDate)) / 86400000);
+
+// Scores a single reading against one indicator; x is age in months or length in cm
+const scoreIndicator = (indicator, gender, x, value) => {
+  const { table, restricted } = INDICATORS[indicator];
+  const lms = lookupLms(table[gender], x);
+  if (!lms) return null;
+  const z = zScore(lms, value, restricted);
+  return { z_score: round(z, 2), percentile: round(normalCdf(z) * 100, 1) };
+};
+
+// Computes all three WHO indicators for a measurement (height in cm, weight in kg)
+const assessMeasurement = ({ birthDate, gender, measurementDate, height, weight }) => {
+  const sex = gender.toLowerCase();
+  const days = ageInDays(birthDate, measurementDate);
+  const months = days / DAYS_PER_MONTH;
+  return {
+    age_days: days,
+    age_months: round(months, 2),
+    weight_for_age: scoreIndicator("weight-for-age", sex, months, weight),
+    length_for_age: scoreIndicator("length-for-age", sex, months, height),
+    weight_for_length: scoreIndicator("weight-for-length", sex, height, weight),
+  };
+};
+
+// Number of major percentile lines lying strictly between two percentiles
+const linesBetween = (from, to) => {
+  const low = Math.min(from, to);
+  const high = Math.max(from, to);
+  return MAJOR_PERCENTILES.filter((line) => line > low && line < high).length;
+};
+
+// Flags readings that crossed two or more major percentile lines since the
+// previous reading or since the first reading in the series
+const percentileCrossings = (assessed) => {
+  const flags = [];
+  const indicators = ["weight_for_age", "length_for_age", "weight_for_length"];
+  for (const indicator of indicators) {
+    const scored = assessed.filter((m) => m[indicator]);
+    for (let i = 1; i < scored.length; i++) {
+      const current = scored[i][indicator].percentile;
+      const references = [{ against: "previous", m: scored[i - 1] }];
+      if (i > 1) references.push({ against: "first", m: scored[0] });
+      for (const { against, m } of references) {
+        const crossed = linesBetween(m[indicator].percentile, current);
+        if (crossed >= 2) {
+          flags.push({
+            indicator,
+            measurement_id: scored[i].id,
+            measurement_date: scored[i].measurement_date,
+            against,
+            from_percentile: m[indicator].percentile,
+            to_percentile: current,
+            lines_crossed: crossed,
+            direction: current < m[indicator].percentile ? "down" : "up",
+          });
+        }
+      }
+    }
+  }
+  return flags;
+};
+
+// Reference percentile curves for charting; age-based curves are sampled
+// monthly and weight-for-length every 5 cm
+const referenceCurves = (indicator, gender) => {
+  const { table } = INDICATORS[indicator];
+  const rows = table[gender.toLowerCase()];
+  return MAJOR_PERCENTILES.map((percentile) => {
+    const z = normalQuantile(percentile / 100);
+    return {
+      percentile,
+      points: rows.map(([x, L, M, S]) => ({ x, y: round(valueAtZ({ L, M, S }, z), 2) })),
+    };
+  });
+};
+
+module.exports = {
+  INDICATORS,
+  MAJOR_PERCENTILES,
+  assessMeasurement,
+  percentileCrossings,
+  referenceCurves,
+  ageInDays,
+  toUtcDay,
+};
@@ -0,0 +1,95 @@
+const crypto = require("crypto");
+
+// Error responses. Every 4xx/5xx body has the same envelope:
+//   { message, code, request_id, errors? }
+// message is for people, code is for programs (validation_failed, not_found,
+// ...) and errors lists field problems as [{ field, in, code, message }].
+// Server-side failures are logged with the request id; clients only ever see
+// the route's own message, never the underlying error.
+
+const STATUS_CODES = {
+  400: "bad_request",
+  401: "unauthorized",
+  403: "forbidden",
+  404: "not_found",
+  409: "conflict",
+  410: "gone",
+  413: "payload_too_large",
+  415: "unsupported_media_type",
+  429: "rate_limited",
+  500: "internal_error",
+  502: "bad_gateway",
+  503: "service_unavailable",
+};
+
+const errorCode = (status) => STATUS_CODES[status] || (status >= 500 ? "internal_error" : "bad_request");
+
+class HttpError extends Error {
+  constructor(status, message, { code, errors, cause } = {}) {
+    super(message, { cause });
+    this.status = status;
+    this.code = code || errorCode(status);
+    this.errors = errors;
+  }
+}
+
+// For catch blocks: the message is sent to the client, the cause is only logged
+const serverError = (message, cause) => new HttpError(500, message, { cause });
+
+// Uses the caller's X-Request-Id when it looks like one, so ids can be followed
+// across services; otherwise makes one up
+const requestId = (req, res, next) => {
+  const incoming = req.get("X-Request-Id");
+  req.id = incoming && /^[\w.:-]{1,64}$/.test(incoming) ? incoming : crypto.randomUUID();
+  res.set("X-Request-Id", req.id);
+  next();
+};
+
+// Adds code and request_id to error bodies that routes send themselves
+// (res.status(404).json({ message })), so they match the envelope
+const errorEnvelope = (req, res, next) => {
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (res.statusCode >= 400 && body !== null && typeof body === "object" && !Array.isArray(body)) {
+      return json({ ...body, code: body.code || errorCode(res.statusCode), request_id: req.id });
+    }
+    return json(body);
+  };
+  next();
+};
+
+// Body parser errors come with a status and are the client's fault
+const clientError = (error) => {
+  if (error.type === "entity.parse.failed") {
+    return new HttpError(400, "Invalid input: request body is not valid JSON", { code: "invalid_json" });
+  }
+  if (error.type === "entity.too.large") return new HttpError(413, "Request body is too large");
+  if (error.expose && error.status >= 400 && error.status < 500) return new HttpError(error.status, error.message);
+  return null;
+};
+
+// The last middleware: answers with the envelope and logs anything unexpected
+// Express spots error handlers by their four arguments, so next stays
+const errorHandler = (error, req, res, next) => {
+  const known = error instanceof HttpError ? error : clientError(error);
+  const failure = known || serverError("Something went wrong", error);
+  if (failure.status >= 500) {
+    console.error(`[${req.id}] ${req.method} ${req.originalUrl} failed:`, failure.cause || failure);
+  }
+  if (res.headersSent) return res.destroy();
+  res.status(failure.status).json({
+    message: failure.message,
+    code: failure.code,
+    ...(failure.errors && { errors: failure.errors }),
+  });
+};
+
+module.exports = {
+  STATUS_CODES,
+  errorCode,
+  HttpError,
+  serverError,
+  requestId,
+  errorEnvelope,
+  errorHandler,
+};
@@ -0,0 +1,68 @@
+// Minimal RFC 5545 writer for the calendar subscription feed
+
+const escapeText = (value) =>
+  String(value).replace(/\\/g, "\\\\").replace(/;/g, "\\;").replace(/,/g, "\\,").replace(/\r?\n/g, "\\n");
+
+// Lines longer than 75 octets are folded with CRLF + space
+const foldLine = (line) => {
+  const bytes = Buffer.from(line, "utf8");
+  if (bytes.length <= 75) return line;
+  const chunks = [];
+  let current = "";
+  for (const char of line) {
+    const limit = chunks.length === 0 ? 75 : 74;
+    if (Buffer.byteLength(current + char, "utf8") > limit) {
+      chunks.push(current);
+      current = "";
+    }
+    current += char;
+  }
+  chunks.push(current);
+  return chunks.join("\r\n ");
+};
+
+const formatDateTime = (date) => new Date(date).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+
+// DATE values from mysql2 arrive as local-midnight Date objects
+const formatDate = (value) => {
+  if (typeof value === "string") return value.slice(0, 10).replace(/-/g, "");
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${value.getFullYear()}${pad(value.getMonth() + 1)}${pad(value.getDate())}`;
+};
+
+const nextDay = (value) => {
+  const date = typeof value === "string" ? new Date(`${value.slice(0, 10)}T00:00:00`) : new Date(value);
+  date.setDate(date.getDate() + 1);
+  return formatDate(date);
+};
+
+// events: [{ uid, summary, description, start, end, allDay, rrule, exdates }]
+const buildCalendar = ({ name, events }) => {
+  const stamp = formatDateTime(new Date());
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//MamaCare//Baby Calendar//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeText(name)}`,
+  ];
+  for (const event of events) {
+    lines.push("BEGIN:VEVENT", `UID:${event.uid}`, `DTSTAMP:${stamp}`);
+    if (event.allDay) {
+      lines.push(`DTSTART;VALUE=DATE:${formatDate(event.start)}`, `DTEND;VALUE=DATE:${nextDay(event.start)}`);
+    } else {
+      lines.push(`DTSTART:${formatDateTime(event.start)}`);
+      if (event.end) lines.push(`DTEND:${formatDateTime(event.end)}`);
+    }
+    if (event.rrule) lines.push(`RRULE:${event.rrule}`);
+    for (const exdate of event.exdates || []) lines.push(`EXDATE:${formatDateTime(exdate)}`);
+    lines.push(`SUMMARY:${escapeText(event.summary)}`);
+    if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    lines.push("END:VEVENT");
+  }
+  lines.push("END:VCALENDAR");
+  return `${lines.map(foldLine).join("\r\n")}\r\n`;
+};
+
+module.exports = { buildCalendar };
@@ -0,0 +1,82 @@
+const data = require("../data/immunization-schedules.json");
+const { addDays } = require("./timeZones");
+const { ageInDays } = require("./growth");
+
+// Routine childhood immunization schedules (data/immunization-schedules.json).
+// A dose is "upcoming" before its due date, "due" for due_window_days after
+// it, then "overdue" until it is recorded as given ("completed").
+
+const SCHEDULE_IDS = Object.keys(data.schedules);
+const STATUSES = ["upcoming", "due", "overdue", "completed"];
+
+// Read lazily so values from .env are picked up after dotenv has run
+const defaultSchedule = () =>
+  SCHEDULE_IDS.includes(process.env.IMMUNIZATION_DEFAULT_SCHEDULE) ? process.env.IMMUNIZATION_DEFAULT_SCHEDULE : data.default;
+
+// "Pentavalent 2", "BCG", or the dose's own label
+const doseLabel = (schedule, dose) => {
+  if (dose.label) return dose.label;
+  return schedule.doses.filter((other) => other.vaccine === dose.vaccine).length > 1 ? `${dose.vaccine} ${dose.dose}` : dose.vaccine;
+};
+
+const findDose = (scheduleId, code) => {
+  const schedule = data.schedules[scheduleId];
+  const dose = schedule && schedule.doses.find((entry) => entry.code === code);
+  return dose ? { ...dose, label: doseLabel(schedule, dose) } : null;
+};
+
+// Due dates for every dose of a schedule. Each dose is due at its recommended
+// age but never sooner than min_interval_days after the previous dose of the
+// same vaccine, so a dose given late pushes the rest of its series back.
+// givenOn maps dose code -> YYYY-MM-DD
+const planImmunizations = (scheduleId, birthDate, givenOn = {}) => {
+  const schedule = data.schedules[scheduleId];
+  const previous = {};
+  return schedule.doses.map((dose) => {
+    let dueDate = addDays(birthDate, dose.age_days);
+    if (previous[dose.vaccine]) {
+      const earliest = addDays(previous[dose.vaccine], data.min_interval_days);
+      if (earliest > dueDate) dueDate = earliest;
+    }
+    previous[dose.vaccine] = givenOn[dose.code] || dueDate;
+    return { code: dose.code, label: doseLabel(schedule, dose), due_date: dueDate };
+  });
+};
+
+const doseStatus = (dueDate, givenOn, today) => {
+  if (givenOn) return "completed";
+  const daysPast = ageInDays(dueDate, today);
+  if (daysPast < 0) return "upcoming";
+  return daysPast <= data.due_window_days ? "due" : "overdue";
+};
+
+const summarize = (doses) => {
+  const counts = Object.fromEntries(STATUSES.map((status) => [status, 0]));
+  for (const dose of doses) counts[dose.status] += 1;
+  const next = doses.filter((dose) => dose.status !== "completed").sort((a, b) => (a.due_date < b.due_date ? -1 : 1))[0];
+  return { ...counts, total: doses.length, next_due: next ? { code: next.code, label: next.label, due_date: next.due_date } : null };
+};
+
+const listSchedules = () =>
+  SCHEDULE_IDS.map((id) => {
+    const { name, country, source, doses } = data.schedules[id];
+    return {
+      id,
+      name,
+      country,
+      source,
+      doses: doses.map((dose) => ({ ...dose, label: doseLabel(data.schedules[id], dose) })),
+    };
+  });
+
+module.exports = {
+  SCHEDULE_IDS,
+  STATUSES,
+  DISCLAIMER: data.disclaimer,
+  defaultSchedule,
+  findDose,
+  planImmunizations,
+  doseStatus,
+  summarize,
+  listSchedules,
+};
@@ -0,0 +1,210 @@
+// Bhutani hour-specific bilirubin nomogram (infants >= 35 weeks), mg/dL
+// Rows: [age in hours, 40th, 75th, 95th percentile]
+const BHUTANI_NOMOGRAM = [
+  [18, 3.5, 4.5, 6.0],
+  [24, 5.0, 6.2, 8.0],
+  [36, 6.7, 8.7, 11.0],
+  [48, 8.5, 10.8, 13.2],
+  [60, 9.6, 12.3, 15.0],
+  [72, 11.0, 13.5, 16.0],
+  [84, 11.8, 14.5, 16.7],
+  [96, 12.5, 15.2, 17.2],
+  [120, 13.2, 15.5, 17.5],
+  [168, 13.2, 15.5, 17.5],
+];
+
+// Kramer's cephalocaudal zones with their usual serum bilirubin range, mg/dL
+const KRAMER_ZONES = {
+  0: { area: "no visible yellowing", min: 0, max: 4 },
+  1: { area: "head and neck", min: 4, max: 8 },
+  2: { area: "upper trunk (above the navel)", min: 5, max: 12 },
+  3: { area: "lower trunk and thighs", min: 8, max: 16 },
+  4: { area: "arms and lower legs", min: 11, max: 18 },
+  5: { area: "palms and soles", min: 15, max: null },
+};
+
+const SYMPTOMS = [
+  "poor_feeding",
+  "lethargy",
+  "high_pitched_cry",
+  "arching",
+  "fever",
+  "pale_stool",
+  "dark_urine",
+];
+
+const URGENCY = {
+  seek_care_now: { level: "seek_care_now", label: "Seek care now", rank: 3 },
+  see_doctor_24h: { level: "see_doctor_24h", label: "See a doctor within 24 hours", rank: 2 },
+  monitor: { level: "monitor", label: "Monitor at home", rank: 1 },
+};
+
+const UMOL_PER_MG = 17.1;
+
+const toMgDl = (value, unit) => (unit === "umol/L" ? value / UMOL_PER_MG : value);
+
+const round = (value, digits) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+// Age in hours at the time of the check. Without a birth time we assume
+// midday, which keeps the error within +/-12 hours
+const ageInHours = (birthDate, birthTime, assessedAt) => {
+  const [hours, minutes] = birthTime ? birthTime.split(":").map(Number) : [12, 0];
+  const birth = typeof birthDate === "string"
+    ? new Date(`${birthDate.slice(0, 10)}T00:00:00`)
+    : new Date(birthDate.getFullYear(), birthDate.getMonth(), birthDate.getDate());
+  birth.setHours(hours, minutes, 0, 0);
+  return (assessedAt.getTime() - birth.getTime()) / 3600000;
+};
+
+const nomogramThresholds = (hours) => {
+  if (hours < BHUTANI_NOMOGRAM[0][0] || hours > BHUTANI_NOMOGRAM[BHUTANI_NOMOGRAM.length - 1][0]) return null;
+  for (let i = 0; i < BHUTANI_NOMOGRAM.length - 1; i++) {
+    const [h0, a0, b0, c0] = BHUTANI_NOMOGRAM[i];
+    const [h1, a1, b1, c1] = BHUTANI_NOMOGRAM[i + 1];
+    if (hours >= h0 && hours <= h1) {
+      const f = (hours - h0) / (h1 - h0);
+      return {
+        p40: round(a0 + f * (a1 - a0), 1),
+        p75: round(b0 + f * (b1 - b0), 1),
+        p95: round(c0 + f * (c1 - c0), 1),
+      };
+    }
+  }
+  return null;
+};
+
+// Places a bilirubin reading on the nomogram; null outside 18h-7 days
+const riskZone = (hours, bilirubin) => {
+  const thresholds = nomogramThresholds(hours);
+  if (!thresholds) return null;
+  let zone = "low";
+  if (bilirubin > thresholds.p95) zone = "high";
+  else if (bilirubin > thresholds.p75) zone = "high_intermediate";
+  else if (bilirubin > thresholds.p40) zone = "low_intermediate";
+  return { zone, thresholds };
+};
+
+// Rate of rise between two lab readings, mg/dL per hour
+const riseRate = (previous, current) => {
+  const hours = current.age_hours - previous.age_hours;
+  if (hours <= 0) return null;
+  return round((current.bilirubin_mg_dl - previous.bilirubin_mg_dl) / hours, 2);
+};
+
+// Triage a single check. previousReading is the last stored lab value, if any
+const assessJaundice = ({ ageHours, ageHoursEstimated, yellowingZone, symptoms, bilirubin, gestationalWeeks, previousReading }) => {
+  const reasons = [];
+  let urgency = URGENCY.monitor;
+  const escalate = (level, reason) => {
+    reasons.push({ urgency: level, reason });
+    if (URGENCY[level].rank > urgency.rank) urgency = URGENCY[level];
+  };
+
+  const jaundiced = yellowingZone > 0 || bilirubin !== null;
+
+  if (ageHours < 24 && yellowingZone > 0) {
+    escalate("seek_care_now", "Yellowing in the first 24 hours of life is never normal");
+  }
+  if (yellowingZone >= 5) {
+    escalate("seek_care_now", "Yellowing has reached the palms and soles (Kramer zone 5)");
+  } else if (yellowingZone >= 3) {
+    escalate("see_doctor_24h", `Yellowing has spread to the ${KRAMER_ZONES[yellowingZone].area} (Kramer zone ${yellowingZone})`);
+  }
+
+  if (symptoms.includes("lethargy")) escalate("seek_care_now", "Baby is unusually sleepy or hard to wake");
+  if (symptoms.includes("high_pitched_cry")) escalate("seek_care_now", "High-pitched crying can be a sign of bilirubin affecting the brain");
+  if (symptoms.includes("arching")) escalate("seek_care_now", "Arching of the neck or back can be a sign of bilirubin affecting the brain");
+  if (symptoms.includes("fever")) escalate("seek_care_now", "Fever in a newborn needs urgent assessment");
+  if (symptoms.includes("poor_feeding")) {
+    escalate(jaundiced ? "see_doctor_24h" : "monitor", "Poor feeding slows bilirubin clearance");
+  }
+  if (symptoms.includes("pale_stool")) escalate("see_doctor_24h", "Pale or chalky stools can point to a liver or bile duct problem");
+  if (symptoms.includes("dark_urine")) escalate("see_doctor_24h", "Dark yellow urine in a newborn can point to a liver problem");
+
+  if (jaundiced && ageHours > 14 * 24) {
+    escalate("see_doctor_24h", "Jaundice lasting beyond 14 days (prolonged jaundice) should be investigated");
+  }
+  if (jaundiced && gestationalWeeks && gestationalWeeks < 35) {
+    escalate("see_doctor_24h", "Babies born before 35 weeks need lower treatment thresholds than the nomogram covers");
+  }
+
+  let nomogram = null;
+  if (bilirubin !== null) {
+    nomogram = riskZone(ageHours, bilirubin);
+    if (!nomogram) {
+      escalate("see_doctor_24h", "Bilirubin reading is outside the age range covered by the nomogram; ask a doctor to interpret it");
+    } else if (nomogram.zone === "high") {
+      escalate("seek_care_now", `Bilirubin ${bilirubin} mg/dL is above the 95th percentile for ${Math.round(ageHours)} hours of age`);
+    } else if (nomogram.zone === "high_intermediate") {
+      escalate("see_doctor_24h", `Bilirubin ${bilirubin} mg/dL is between the 75th and 95th percentile for ${Math.round(ageHours)} hours of age`);
+    } else {
+      escalate("monitor", `Bilirubin ${bilirubin} mg/dL is in the ${nomogram.zone.replace("_", "-")} risk zone`);
+    }
+
+    if (previousReading) {
+      const rate = riseRate(previousReading, { age_hours: ageHours, bilirubin_mg_dl: bilirubin });
+      const limit = ageHours <= 24 ? 0.3 : 0.2;
+      if (rate !== null && rate >= limit) {
+        escalate("seek_care_now", `Bilirubin is rising by ${rate} mg/dL per hour, faster than the ${limit} mg/dL per hour expected`);
+      }
+    }
+  }
+
+  if (reasons.length === 0) {
+    reasons.push({ urgency: "monitor", reason: "No warning signs reported; keep checking skin colour in daylight and feeding 8-12 times a day" });
+  }
+  if (ageHoursEstimated) {
+    reasons.push({ urgency: "monitor", reason: "Birth time not provided; age in hours was estimated from birth date" });
+  }
+
+  return {
+    age_hours: round(ageHours, 1),
+    yellowing_zone: yellowingZone,
+    estimated_bilirubin_range: yellowingZone > 0 ? KRAMER_ZONES[yellowingZone] : null,
+    bilirubin_mg_dl: bilirubin,
+    risk_zone: nomogram ? nomogram.zone : null,
+    nomogram_thresholds: nomogram ? nomogram.thresholds : null,
+    urgency: urgency.level,
+    urgency_label: urgency.label,
+    reasons,
+  };
+};
+
+// Summarises stored checks (oldest first) for the history view
+const jaundiceTrend = (checks) => {
+  const readings = checks.filter((c) => c.bilirubin_mg_dl !== null);
+  const rates = [];
+  for (let i = 1; i < readings.length; i++) {
+    rates.push({
+      from_check_id: readings[i - 1].id,
+      to_check_id: readings[i].id,
+      mg_dl_per_hour: riseRate(readings[i - 1], readings[i]),
+    });
+  }
+
+  const zones = checks.map((c) => c.yellowing_zone);
+  let direction = "insufficient_data";
+  if (checks.length >= 2) {
+    const first = readings.length >= 2 ? readings[0].bilirubin_mg_dl : zones[0];
+    const last = readings.length >= 2 ? readings[readings.length - 1].bilirubin_mg_dl : zones[zones.length - 1];
+    direction = last > first ? "rising" : last < first ? "falling" : "stable";
+  }
+
+  return {
+    direction,
+    based_on: readings.length >= 2 ? "bilirubin" : "yellowing_zone",
+    latest_urgency: checks.length ? checks[checks.length - 1].urgency : null,
+    bilirubin_rates: rates,
+  };
+};
+
+module.exports = {
+  BHUTANI_NOMOGRAM,
+  KRAMER_ZONES,
+  SYMPTOMS,
+  toMgDl,
+  ageInHours,
+  riskZone,
+  assessJaundice,
+  jaundiceTrend,
+};
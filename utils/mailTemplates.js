@@ -0,0 +1,98 @@
+const catalogue = require("../data/email-templates.json");
+
+// Outgoing emails (data/email-templates.json). Each template has a subject and
+// a list of blocks ({ h2 }, { h3 }, { p }, { blockquote }, { ul: [...] }),
+// optionally guarded by "if"/"unless" on a data key. Inside a block, {key}
+// inserts a value, **text** is bold and [label]({url_key}) is a link.
+// Values are always HTML-escaped, so user input can go straight in.
+
+const DEFAULT_LOCALE = catalogue.default_locale;
+const LOCALES = Object.keys(catalogue.locales);
+
+const escapeHtml = (value) =>
+  String(value).replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+
+const INLINE = /\[([^\]]+)\]\(\{(\w+)\}\)|\*\*(.+?)\*\*|\{(\w+)\}/g;
+
+// Links only ever point at web pages or mail addresses
+const SAFE_URL = /^(https?:|mailto:)/i;
+
+const valueOf = (data, key, name) => {
+  if (data[key] === undefined || data[key] === null) {
+    throw new Error(`Email template ${name} needs a value for {${key}}`);
+  }
+  return String(data[key]);
+};
+
+const renderInline = (text, data, name, format) => {
+  const literal = (value) => (format === "html" ? escapeHtml(value) : value);
+  let output = "";
+  let last = 0;
+  for (const match of text.matchAll(INLINE)) {
+    const [whole, label, urlKey, bold, key] = match;
+    output += literal(text.slice(last, match.index));
+    last = match.index + whole.length;
+
+    if (label !== undefined) {
+      const url = valueOf(data, urlKey, name);
+      const inner = renderInline(label, data, name, format);
+      if (!SAFE_URL.test(url)) output += inner;
+      else if (format === "html") output += `<a href="${escapeHtml(url)}">${inner}</a>`;
+      else output += url.replace(/^mailto:/i, "") === inner ? inner : `${inner} (${url})`;
+    } else if (bold !== undefined) {
+      const inner = renderInline(bold, data, name, format);
+      output += format === "html" ? `<strong>${inner}</strong>` : inner;
+    } else {
+      const value = valueOf(data, key, name);
+      output += format === "html" ? escapeHtml(value).replace(/\r?\n/g, "<br>\n") : value;
+    }
+  }
+  return output + literal(text.slice(last));
+};
+
+const BLOCK_TYPES = ["h2", "h3", "p", "blockquote", "ul"];
+
+const renderBlock = (block, data, name, format) => {
+  const type = BLOCK_TYPES.find((candidate) => block[candidate] !== undefined);
+  if (!type) throw new Error(`Email template ${name} has a block without content`);
+  if (type === "ul") {
+    const items = block.ul.map((item) => renderInline(item, data, name, format));
+    return format === "html"
+      ? `<ul>\n${items.map((item) => `  <li>${item}</li>`).join("\n")}\n</ul>`
+      : items.map((item) => `- ${item}`).join("\n");
+  }
+  const content = renderInline(block[type], data, name, format);
+  if (format === "html") return `<${type}>${content}</${type}>`;
+  return type === "blockquote" ? content.replace(/^/gm, "> ") : content;
+};
+
+const shown = (block, data) =>
+  (block.if === undefined || Boolean(data[block.if])) && (block.unless === undefined || !data[block.unless]);
+
+// "pt-BR" falls back to "pt", then to the default locale
+const templateFor = (name, locale) => {
+  const candidates = locale ? [locale, String(locale).split("-")[0]] : [];
+  for (const candidate of [...candidates, DEFAULT_LOCALE]) {
+    const template = catalogue.locales[candidate] && catalogue.locales[candidate][name];
+    if (template) return template;
+  }
+  throw new Error(`Unknown email template: ${name}`);
+};
+
+// Returns { subject, html, text } for one template
+const renderEmail = (name, data = {}, locale = DEFAULT_LOCALE) => {
+  const template = templateFor(name, locale);
+  const blocks = template.body.filter((block) => shown(block, data));
+  return {
+    subject: renderInline(template.subject, data, name, "text").replace(/\s*[\r\n]+\s*/g, " "),
+    html: blocks.map((block) => renderBlock(block, data, name, "html")).join("\n"),
+    text: `${blocks.map((block) => renderBlock(block, data, name, "text")).join("\n\n")}\n`,
+  };
+};
+
+module.exports = {
+  DEFAULT_LOCALE,
+  LOCALES,
+  escapeHtml,
+  renderEmail,
+};
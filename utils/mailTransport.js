@@ -0,0 +1,111 @@
+const fs = require("fs/promises");
+const os = require("os");
+const path = require("path");
+const crypto = require("crypto");
+const nodemailer = require("nodemailer");
+
+// Where outgoing mail goes. Every transport has nodemailer's
+// sendMail(message) -> Promise<{ messageId, response }>.
+// MAIL_TRANSPORT=smtp      SMTP_HOST/SMTP_PORT/SMTP_USER/SMTP_PASS, or Gmail as
+//                          EMAIL_USER/EMAIL_PASS when SMTP_HOST is unset
+// MAIL_TRANSPORT=file      one JSON file per message in MAIL_OUTBOX_DIR
+// MAIL_TRANSPORT=console   prints each message to the log
+// MAIL_TRANSPORT=memory    keeps messages in transport.sent, for tests
+// Production defaults to smtp and everything else to console, so local
+// development needs no mail credentials.
+
+const MAIL_TRANSPORTS = ["smtp", "file", "console", "memory"];
+
+// Read lazily so values from .env are picked up after dotenv has run
+const mailConfig = () => {
+  const sender = process.env.SMTP_USER || process.env.EMAIL_USER || "no-reply@mamacare.local";
+  const from = process.env.MAIL_FROM || `"MamaCare" <${sender}>`;
+  return {
+    transport: process.env.MAIL_TRANSPORT || (process.env.NODE_ENV === "production" ? "smtp" : "console"),
+    from,
+    // Contact form messages are delivered here
+    contactAddress: process.env.CONTACT_EMAIL || process.env.EMAIL_USER || sender,
+    // Outside the checkout by default, so written mail never ends up in git
+    outboxDir: path.resolve(process.env.MAIL_OUTBOX_DIR || path.join(os.tmpdir(), "mamacare-mail-outbox")),
+  };
+};
+
+const createSmtpTransport = () => {
+  const debug = process.env.SMTP_DEBUG === "true";
+  if (process.env.SMTP_HOST) {
+    const port = parseInt(process.env.SMTP_PORT || "587", 10);
+    return nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port,
+      secure: port === 465,
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+      debug,
+      logger: debug,
+    });
+  }
+  if (!process.env.EMAIL_USER || !process.env.EMAIL_PASS) {
+    throw new Error("MAIL_TRANSPORT=smtp needs SMTP_HOST, or EMAIL_USER and EMAIL_PASS for Gmail");
+  }
+  return nodemailer.createTransport({
+    service: "gmail",
+    auth: {
+      user: process.env.EMAIL_USER,
+      pass: process.env.EMAIL_PASS,
+    },
+    debug,
+    logger: debug,
+  });
+};
+
+// Writes <timestamp>-<id>.json files that can be opened in an editor or
+// picked up by another tool
+const createFileTransport = (dir = mailConfig().outboxDir) => ({
+  dir,
+  sendMail: async (message) => {
+    await fs.mkdir(dir, { recursive: true });
+    const messageId = `<${crypto.randomUUID()}@file.mamacare>`;
+    const file = path.join(dir, `${Date.now()}-${messageId.slice(1, 9)}.json`);
+    await fs.writeFile(file, JSON.stringify({ messageId, date: new Date().toISOString(), ...message }, null, 2));
+    return { messageId, response: `250 Message written to ${file}` };
+  },
+});
+
+const createConsoleTransport = (log = console.log) => ({
+  sendMail: async (message) => {
+    const messageId = `<${crypto.randomUUID()}@console.mamacare>`;
+    const headers = [`From: ${message.from}`, `To: ${message.to}`];
+    if (message.replyTo) headers.push(`Reply-To: ${message.replyTo}`);
+    headers.push(`Subject: ${message.subject}`);
+    log(`--- Email ${messageId} ---\n${headers.join("\n")}\n\n${message.text || message.html}--- End of email ---`);
+    return { messageId, response: "250 Message printed to the console" };
+  },
+});
+
+const createMemoryTransport = () => {
+  const sent = [];
+  return {
+    sent,
+    sendMail: async (message) => {
+      sent.push({ ...message });
+      return { messageId: `<${sent.length}@memory.mamacare>`, response: "250 Message kept in memory" };
+    },
+  };
+};
+
+const createMailTransport = (name = mailConfig().transport) => {
+  if (name === "smtp") return createSmtpTransport();
+  if (name === "file") return createFileTransport();
+  if (name === "console") return createConsoleTransport();
+  if (name === "memory") return createMemoryTransport();
+  throw new Error(`Unknown MAIL_TRANSPORT: ${name} (use ${MAIL_TRANSPORTS.join(", ")})`);
+};
+
+module.exports = {
+  MAIL_TRANSPORTS,
+  mailConfig,
+  createSmtpTransport,
+  createFileTransport,
+  createConsoleTransport,
+  createMemoryTransport,
+  createMailTransport,
+};
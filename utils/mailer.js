@@ -0,0 +1,104 @@
+const { renderEmail } = require("./mailTemplates");
+
+// Outgoing email. send() renders a template (utils/mailTemplates.js), stores
+// the message in the queue (models/mailQueue.js) and returns straight away;
+// delivery happens in the background through the mail transport
+// (utils/mailTransport.js). A failed send is retried with exponential backoff
+// (30s, 1m, 2m, ... capped at an hour) and after MAIL_MAX_ATTEMPTS it becomes
+// a dead letter that admins can list and retry.
+
+// Read lazily so values from .env are picked up after dotenv has run
+const mailQueueConfig = () => ({
+  pollSeconds: parseInt(process.env.MAIL_QUEUE_POLL_SECONDS || "15", 10),
+  maxAttempts: parseInt(process.env.MAIL_MAX_ATTEMPTS || "6", 10),
+  retryBaseSeconds: parseInt(process.env.MAIL_RETRY_BASE_SECONDS || "30", 10),
+  retryMaxSeconds: parseInt(process.env.MAIL_RETRY_MAX_SECONDS || "3600", 10),
+  batchSize: 20,
+});
+
+// Delay before the next try once `attempts` tries have failed
+const retryDelaySeconds = (attempts, config) =>
+  Math.min(config.retryMaxSeconds, config.retryBaseSeconds * 2 ** Math.max(attempts - 1, 0));
+
+// queue is the mailQueue repository; from is the sender address
+const createMailer = ({ queue, transport, from, config = mailQueueConfig() }) => {
+  const deliver = async (message) => {
+    try {
+      await transport.sendMail({
+        from,
+        to: message.to_address,
+        replyTo: message.reply_to || undefined,
+        subject: message.subject,
+        html: message.html,
+        text: message.text,
+      });
+      await queue.markSent(message.id);
+    } catch (error) {
+      if (message.attempts >= config.maxAttempts) {
+        await queue.markDead(message.id, error.message);
+        console.error(`Email ${message.id} (${message.template}) gave up after ${message.attempts} attempts:`, error.message);
+      } else {
+        const retryAt = new Date(Date.now() + retryDelaySeconds(message.attempts, config) * 1000);
+        await queue.retryAt(message.id, error.message, retryAt);
+        console.error(`Email ${message.id} (${message.template}) delivery failed, retrying at ${retryAt.toISOString()}:`, error.message);
+      }
+    }
+  };
+
+  // One pass at a time. A flush requested during a pass runs another pass
+  // once it finishes, so messages queued meanwhile are not left waiting
+  let running = null;
+  let again = false;
+  const flush = () => {
+    if (running) {
+      again = true;
+      return running;
+    }
+    running = (async () => {
+      try {
+        do {
+          again = false;
+          let batch;
+          do {
+            batch = await queue.claimDue(config.batchSize);
+            for (const message of batch) await deliver(message);
+          } while (batch.length === config.batchSize);
+        } while (again);
+      } finally {
+        running = null;
+      }
+    })();
+    return running;
+  };
+
+  const flushInBackground = () =>
+    flush().catch((error) => console.error("Mail queue error:", error.message));
+
+  // Queues one email and starts delivering it; resolves to the queue id.
+  // { to, template, data, locale, replyTo }
+  const send = async ({ to, template, data, locale, replyTo }) => {
+    const { subject, html, text } = renderEmail(template, data, locale);
+    const id = await queue.enqueue({ template, to, replyTo, subject, html, text });
+    flushInBackground();
+    return id;
+  };
+
+  // Polls for retries that have come due; returns a function that stops it
+  const start = async () => {
+    const interrupted = await queue.recoverInterrupted();
+    if (interrupted > 0) console.error(`Mail queue: ${interrupted} interrupted email(s) moved to dead letters`);
+    const timer = setInterval(flushInBackground, config.pollSeconds * 1000);
+    timer.unref();
+    flushInBackground();
+    console.log(`Mail queue started (every ${config.pollSeconds}s)`);
+    return () => clearInterval(timer);
+  };
+
+  return { transport, send, flush, start };
+};
+
+module.exports = {
+  mailQueueConfig,
+  retryDelaySeconds,
+  createMailer,
+};
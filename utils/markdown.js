@@ -0,0 +1,30 @@
+// Daily read content is stored as markdown and rendered with micromark, which
+// escapes raw HTML in the source and drops links with unsafe protocols
+// (javascript:, data: and so on) unless told otherwise, so its output is safe
+// to hand to the frontend as HTML.
+
+// micromark is ESM-only, so it is imported on first use
+let micromarkModule = null;
+
+const renderMarkdown = async (markdown) => {
+  micromarkModule = micromarkModule || import("micromark");
+  const { micromark } = await micromarkModule;
+  return micromark(markdown || "");
+};
+
+// Plain-text preview for list views
+const excerpt = (markdown, length = 200) => {
+  const text = String(markdown || "")
+    .replace(/```[\s\S]*?```/g, " ")
+    .replace(/!\[[^\]]*\]\([^)]*\)/g, " ")
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, "$1")
+    .replace(/[#>*_`~|-]+/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+  return text.length > length ? `${text.slice(0, length).replace(/\s+\S*$/, "")}…` : text;
+};
+
+module.exports = {
+  renderMarkdown,
+  excerpt,
+};
@@ -0,0 +1,95 @@
+const crypto = require("crypto");
+
+// Milestone photos and short videos. The type is taken from the file's first
+// bytes, never from the name or the Content-Type the client sent, so only
+// formats on this list can be stored (no SVG or HTML that a browser would run).
+
+const MEDIA_KINDS = ["image", "video"];
+
+const ascii = (buffer, offset, length) => buffer.subarray(offset, offset + length).toString("latin1");
+
+// ISO base media files (MP4, MOV, HEIC) start with a box of type "ftyp" whose
+// major brand says what they are
+const FTYP_BRANDS = {
+  heic: "image/heic",
+  heix: "image/heic",
+  mif1: "image/heif",
+  msf1: "image/heif",
+  isom: "video/mp4",
+  iso2: "video/mp4",
+  mp41: "video/mp4",
+  mp42: "video/mp4",
+  avc1: "video/mp4",
+  "M4V ": "video/mp4",
+  "qt  ": "video/quicktime",
+};
+
+const TYPES = {
+  "image/jpeg": { kind: "image", ext: "jpg" },
+  "image/png": { kind: "image", ext: "png" },
+  "image/gif": { kind: "image", ext: "gif" },
+  "image/webp": { kind: "image", ext: "webp" },
+  "image/heic": { kind: "image", ext: "heic" },
+  "image/heif": { kind: "image", ext: "heif" },
+  "video/mp4": { kind: "video", ext: "mp4" },
+  "video/quicktime": { kind: "video", ext: "mov" },
+  "video/webm": { kind: "video", ext: "webm" },
+};
+
+// Returns { mime_type, kind, ext } or null for anything not allowed
+const sniffMediaType = (buffer) => {
+  if (!buffer || buffer.length < 12) return null;
+  let mime = null;
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) mime = "image/jpeg";
+  else if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) mime = "image/png";
+  else if (["GIF87a", "GIF89a"].includes(ascii(buffer, 0, 6))) mime = "image/gif";
+  else if (ascii(buffer, 0, 4) === "RIFF" && ascii(buffer, 8, 4) === "WEBP") mime = "image/webp";
+  else if (ascii(buffer, 4, 4) === "ftyp") mime = FTYP_BRANDS[ascii(buffer, 8, 4)] || null;
+  else if (buffer.subarray(0, 4).equals(Buffer.from([0x1a, 0x45, 0xdf, 0xa3]))) mime = "video/webm";
+  return mime ? { mime_type: mime, ...TYPES[mime] } : null;
+};
+
+// Read lazily so values from .env are picked up after dotenv has run
+const mediaConfig = () => {
+  const megabytes = (value, fallback) => {
+    const parsed = Number(value);
+    return Math.round((parsed > 0 ? parsed : fallback) * 1024 * 1024);
+  };
+  return {
+    maxBytes: {
+      image: megabytes(process.env.MEDIA_MAX_IMAGE_MB, 10),
+      video: megabytes(process.env.MEDIA_MAX_VIDEO_MB, 50),
+    },
+    perMilestone: parseInt(process.env.MEDIA_MAX_PER_MILESTONE || "10", 10),
+    urlTtlSeconds: parseInt(process.env.MEDIA_URL_TTL_MINUTES || "60", 10) * 60,
+  };
+};
+
+// Download links for media served by the API itself. The signature covers
+// the media id and expiry, so a link cannot be reused for another file or
+// extended
+const urlSecret = () => process.env.MEDIA_URL_SECRET || process.env.JWT_SECRET;
+
+const mediaSignature = (mediaId, expires) =>
+  crypto.createHmac("sha256", urlSecret()).update(`milestone-media:${mediaId}:${expires}`).digest("base64url");
+
+const signMediaPath = (mediaId, seconds, now = new Date()) => {
+  const expires = Math.floor(now.getTime() / 1000) + seconds;
+  return `/api/media/${mediaId}?expires=${expires}&signature=${mediaSignature(mediaId, expires)}`;
+};
+
+const verifyMediaSignature = (mediaId, expires, signature, now = new Date()) => {
+  if (!/^\d+$/.test(String(expires)) || typeof signature !== "string") return false;
+  if (Number(expires) < now.getTime() / 1000) return false;
+  const expected = Buffer.from(mediaSignature(mediaId, expires));
+  const given = Buffer.from(signature);
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+};
+
+module.exports = {
+  MEDIA_KINDS,
+  sniffMediaType,
+  mediaConfig,
+  signMediaPath,
+  verifyMediaSignature,
+};
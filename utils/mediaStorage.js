@@ -0,0 +1,160 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { Readable } = require("stream");
+
+// Where uploaded media lives. Every adapter has the same shape:
+//   put(key, buffer, contentType)  stores an object
+//   get(key)                       -> { stream, size } or null if missing
+//   remove(key)                    deletes it; missing objects are not an error
+//   signedUrl(key, seconds)        -> a URL clients can fetch directly, or null
+//                                     when downloads must go through the API
+// MEDIA_STORAGE=local (default) keeps files under MEDIA_DIR (uploads/);
+// MEDIA_STORAGE=s3 talks to any S3-compatible service (AWS, MinIO, R2) with
+// path-style URLs.
+
+const createLocalStorage = ({ root }) => {
+  const resolve = (key) => {
+    const file = path.resolve(root, key);
+    if (!file.startsWith(root + path.sep)) throw new Error(`Invalid storage key: ${key}`);
+    return file;
+  };
+
+  return {
+    put: async (key, buffer) => {
+      const file = resolve(key);
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.writeFile(file, buffer, { flag: "wx" });
+    },
+    get: async (key) => {
+      const file = resolve(key);
+      try {
+        const { size } = await fs.promises.stat(file);
+        return { stream: fs.createReadStream(file), size };
+      } catch (error) {
+        if (error.code === "ENOENT") return null;
+        throw error;
+      }
+    },
+    remove: async (key) => {
+      await fs.promises.rm(resolve(key), { force: true });
+    },
+    signedUrl: () => null,
+  };
+};
+
+const sha256 = (value) => crypto.createHash("sha256").update(value).digest("hex");
+const hmac = (key, value) => crypto.createHmac("sha256", key).update(value).digest();
+
+// RFC 3986 encoding as SigV4 expects; "/" is kept in object keys
+const encode = (value, keepSlash = false) =>
+  encodeURIComponent(value)
+    .replace(/[!'()*]/g, (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`)
+    .replace(keepSlash ? /%2F/g : /$^/, "/");
+
+// AWS Signature Version 4, which every S3-compatible service accepts
+const createS3Storage = ({ endpoint, bucket, region, accessKeyId, secretAccessKey }) => {
+  const base = new URL(endpoint);
+  const objectPath = (key) => `${base.pathname.replace(/\/$/, "")}/${encode(bucket)}/${encode(key, true)}`;
+
+  // Signs a request for `key`; amzDate is YYYYMMDDTHHMMSSZ and every header
+  // passed in (plus host) is signed
+  const sign = (method, key, { amzDate, query = {}, headers = {}, payloadHash }) => {
+    const scope = `${amzDate.slice(0, 8)}/${region}/s3/aws4_request`;
+    const allHeaders = { ...headers, host: base.host };
+    const headerNames = Object.keys(allHeaders).sort();
+    const canonicalQuery = Object.keys(query)
+      .sort()
+      .map((name) => `${encode(name)}=${encode(query[name])}`)
+      .join("&");
+    const canonicalRequest = [
+      method,
+      objectPath(key),
+      canonicalQuery,
+      headerNames.map((name) => `${name}:${String(allHeaders[name]).trim()}\n`).join(""),
+      headerNames.join(";"),
+      payloadHash,
+    ].join("\n");
+    const stringToSign = ["AWS4-HMAC-SHA256", amzDate, scope, sha256(canonicalRequest)].join("\n");
+    const signingKey = [amzDate.slice(0, 8), region, "s3", "aws4_request"].reduce((key, part) => hmac(key, part), `AWS4${secretAccessKey}`);
+    return {
+      url: `${base.origin}${objectPath(key)}${canonicalQuery ? `?${canonicalQuery}` : ""}`,
+      credential: `${accessKeyId}/${scope}`,
+      signedHeaders: headerNames.join(";"),
+      signature: hmac(signingKey, stringToSign).toString("hex"),
+    };
+  };
+
+  const request = (method, key, { body, contentType } = {}) => {
+    const payloadHash = sha256(body || "");
+    const headers = { "x-amz-content-sha256": payloadHash, "x-amz-date": amzDateOf(new Date()) };
+    if (contentType) headers["content-type"] = contentType;
+    const { url, credential, signedHeaders, signature } = sign(method, key, { amzDate: headers["x-amz-date"], headers, payloadHash });
+    const authorization = `AWS4-HMAC-SHA256 Credential=${credential}, SignedHeaders=${signedHeaders}, Signature=${signature}`;
+    return fetch(url, { method, body, headers: { ...headers, authorization } });
+  };
+
+  const fail = async (action, key, response) => {
+    const text = await response.text().catch(() => "");
+    throw new Error(`S3 ${action} ${key} failed with ${response.status}${text ? `: ${text.slice(0, 200)}` : ""}`);
+  };
+
+  return {
+    put: async (key, buffer, contentType) => {
+      const response = await request("PUT", key, { body: buffer, contentType });
+      if (!response.ok) await fail("put", key, response);
+    },
+    get: async (key) => {
+      const response = await request("GET", key);
+      if (response.status === 404) return null;
+      if (!response.ok) await fail("get", key, response);
+      return { stream: Readable.fromWeb(response.body), size: Number(response.headers.get("content-length")) || null };
+    },
+    remove: async (key) => {
+      const response = await request("DELETE", key);
+      if (!response.ok && response.status !== 404) await fail("delete", key, response);
+    },
+    // Presigned GET; the signature goes last and is not itself signed
+    signedUrl: (key, seconds) => {
+      const amzDate = amzDateOf(new Date());
+      const query = {
+        "X-Amz-Algorithm": "AWS4-HMAC-SHA256",
+        "X-Amz-Credential": `${accessKeyId}/${amzDate.slice(0, 8)}/${region}/s3/aws4_request`,
+        "X-Amz-Date": amzDate,
+        "X-Amz-Expires": String(seconds),
+        "X-Amz-SignedHeaders": "host",
+      };
+      const { url, signature } = sign("GET", key, { amzDate, query, payloadHash: "UNSIGNED-PAYLOAD" });
+      return `${url}&X-Amz-Signature=${signature}`;
+    },
+  };
+};
+
+const amzDateOf = (date) => date.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+
+// Read lazily so values from .env are picked up after dotenv has run
+const createMediaStorage = () => {
+  const driver = process.env.MEDIA_STORAGE || "local";
+  if (driver === "local") {
+    return createLocalStorage({ root: path.resolve(__dirname, "..", process.env.MEDIA_DIR || "uploads") });
+  }
+  if (driver === "s3") {
+    const config = {
+      endpoint: process.env.S3_ENDPOINT || `https://s3.${process.env.S3_REGION || "us-east-1"}.amazonaws.com`,
+      bucket: process.env.S3_BUCKET,
+      region: process.env.S3_REGION || "us-east-1",
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+    };
+    const missing = ["bucket", "accessKeyId", "secretAccessKey"].filter((name) => !config[name]);
+    if (missing.length) throw new Error("MEDIA_STORAGE=s3 needs S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY");
+    return createS3Storage(config);
+  }
+  throw new Error(`Unknown MEDIA_STORAGE: ${driver} (use local or s3)`);
+};
+
+module.exports = {
+  createLocalStorage,
+  createS3Storage,
+  createMediaStorage,
+};
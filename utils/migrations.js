@@ -0,0 +1,111 @@
+const fs = require("fs");
+const path = require("path");
+
+// Versioned schema migrations. Each file in migrations/ is named
+// NNN_description.js and exports async up(db) and down(db). Applied versions
+// are recorded in schema_migrations together with the batch they ran in, so a
+// rollback undoes the last `npm run migrate` as a unit.
+//
+// MySQL commits DDL as it goes, so a migration that fails halfway is not
+// rolled back; fix it and run it again, or repair the schema by hand.
+
+const MIGRATIONS_DIR = path.resolve(__dirname, "..", "migrations");
+const FILE_PATTERN = /^(\d{3,})_[a-z0-9_]+\.js$/;
+const LOCK_NAME = "mamacare_schema_migrations";
+const LOCK_TIMEOUT_SECONDS = 10;
+
+const loadMigrations = (dir = MIGRATIONS_DIR) => {
+  const files = fs.readdirSync(dir).filter((file) => FILE_PATTERN.test(file)).sort();
+  const numbers = new Set();
+  return files.map((file) => {
+    const number = FILE_PATTERN.exec(file)[1];
+    if (numbers.has(number)) throw new Error(`Two migrations are numbered ${number}`);
+    numbers.add(number);
+    const migration = require(path.join(dir, file));
+    if (typeof migration.up !== "function" || typeof migration.down !== "function") {
+      throw new Error(`${file} must export up(db) and down(db)`);
+    }
+    return { version: file.replace(/\.js$/, ""), up: migration.up, down: migration.down };
+  });
+};
+
+const ensureMigrationsTable = (db) =>
+  db.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version VARCHAR(255) NOT NULL PRIMARY KEY,
+      batch INT NOT NULL,
+      applied_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+
+const appliedMigrations = async (db) => {
+  const [rows] = await db.query("SELECT version, batch, applied_at FROM schema_migrations ORDER BY version");
+  return rows;
+};
+
+// Holds a named lock for the duration of fn so two deploys cannot migrate at
+// once. db must be a single connection: the lock belongs to the session
+const withMigrationLock = async (db, fn) => {
+  const [[{ locked }]] = await db.query("SELECT GET_LOCK(?, ?) AS locked", [LOCK_NAME, LOCK_TIMEOUT_SECONDS]);
+  if (locked !== 1) throw new Error("Another migration run is in progress");
+  try {
+    await ensureMigrationsTable(db);
+    return await fn();
+  } finally {
+    await db.query("SELECT RELEASE_LOCK(?)", [LOCK_NAME]);
+  }
+};
+
+// Applies every pending migration in order as one batch. Returns the versions run
+const migrate = (db, migrations, { log = () => {} } = {}) =>
+  withMigrationLock(db, async () => {
+    const applied = await appliedMigrations(db);
+    const done = new Set(applied.map((row) => row.version));
+    const pending = migrations.filter((migration) => !done.has(migration.version));
+    const batch = Math.max(0, ...applied.map((row) => row.batch)) + 1;
+    for (const migration of pending) {
+      log(`Migrating ${migration.version}`);
+      await migration.up(db);
+      await db.query("INSERT INTO schema_migrations (version, batch) VALUES (?, ?)", [migration.version, batch]);
+    }
+    return pending.map((migration) => migration.version);
+  });
+
+// Undoes the last batch, or the last `steps` migrations when given, newest
+// first. Returns the versions rolled back
+const rollback = (db, migrations, { steps, log = () => {} } = {}) =>
+  withMigrationLock(db, async () => {
+    const applied = (await appliedMigrations(db)).reverse();
+    if (applied.length === 0) return [];
+    const lastBatch = applied[0].batch;
+    const targets = steps ? applied.slice(0, steps) : applied.filter((row) => row.batch === lastBatch);
+    const byVersion = new Map(migrations.map((migration) => [migration.version, migration]));
+    const missing = targets.find((row) => !byVersion.has(row.version));
+    if (missing) throw new Error(`Cannot roll back ${missing.version}: its file is missing from migrations/`);
+    for (const row of targets) {
+      log(`Rolling back ${row.version}`);
+      await byVersion.get(row.version).down(db);
+      await db.query("DELETE FROM schema_migrations WHERE version = ?", [row.version]);
+    }
+    return targets.map((row) => row.version);
+  });
+
+// Every known migration with its batch and applied_at, or pending
+const migrationStatus = async (db, migrations) => {
+  await ensureMigrationsTable(db);
+  const applied = new Map((await appliedMigrations(db)).map((row) => [row.version, row]));
+  const known = new Set(migrations.map((migration) => migration.version));
+  return [
+    ...migrations.map((migration) => ({ version: migration.version, ...(applied.get(migration.version) || { batch: null, applied_at: null }) })),
+    // Applied on this database but no longer in the repo
+    ...[...applied.values()].filter((row) => !known.has(row.version)).map((row) => ({ ...row, missing: true })),
+  ];
+};
+
+module.exports = {
+  MIGRATIONS_DIR,
+  loadMigrations,
+  migrate,
+  rollback,
+  migrationStatus,
+};
@@ -0,0 +1,80 @@
+// Decimal-safe money arithmetic. Amounts are held as BigInt counts of minor
+// units (kobo, pence, cents) and exchange rates as BigInt scaled by 10^10, so
+// nothing passes through a binary float between the database and the response.
+
+const MINOR_DIGITS = 2;
+const RATE_DIGITS = 10;
+const RATE_SCALE = 10n ** BigInt(RATE_DIGITS);
+
+const SUPPORTED_CURRENCIES = ["NGN", "GBP", "USD", "EUR", "CAD", "GHS", "KES", "ZAR", "AED", "AUD"];
+
+const DECIMAL_PATTERN = /^(-)?(\d+)(?:\.(\d+))?$/;
+
+// Parses a decimal string (or a JSON number, via its shortest string form)
+// into a scaled BigInt. Returns null if it has more fractional digits than allowed
+const parseScaled = (value, digits) => {
+  const text = typeof value === "number" ? String(value) : String(value).trim();
+  if (/e/i.test(text)) return null;
+  const match = DECIMAL_PATTERN.exec(text);
+  if (!match) return null;
+  const [, sign, whole, fraction = ""] = match;
+  if (fraction.length > digits) return null;
+  const scaled = BigInt(whole + fraction.padEnd(digits, "0"));
+  return sign ? -scaled : scaled;
+};
+
+const toMinor = (value) => parseScaled(value, MINOR_DIGITS);
+
+const parseRate = (value) => parseScaled(value, RATE_DIGITS);
+
+const formatScaled = (scaled, digits) => {
+  const negative = scaled < 0n;
+  const text = (negative ? -scaled : scaled).toString().padStart(digits + 1, "0");
+  const whole = text.slice(0, text.length - digits);
+  const fraction = text.slice(text.length - digits);
+  return `${negative ? "-" : ""}${whole}${digits ? `.${fraction}` : ""}`;
+};
+
+const formatMinor = (minor) => (minor === null ? null : formatScaled(minor, MINOR_DIGITS));
+
+const formatRate = (rate) => formatScaled(rate, RATE_DIGITS).replace(/\.?0+$/, "");
+
+// Integer division rounding half away from zero
+const divideRounded = (numerator, denominator) => {
+  const negative = (numerator < 0n) !== (denominator < 0n);
+  const n = numerator < 0n ? -numerator : numerator;
+  const d = denominator < 0n ? -denominator : denominator;
+  const quotient = (n * 2n + d) / (d * 2n);
+  return negative ? -quotient : quotient;
+};
+
+// minor units × rate
+const convertMinor = (minor, rate) => divideRounded(minor * rate, RATE_SCALE);
+
+// 1 / rate, kept at rate precision
+const invertRate = (rate) => divideRounded(RATE_SCALE * RATE_SCALE, rate);
+
+// rate(a→b) × rate(b→c)
+const multiplyRates = (first, second) => divideRounded(first * second, RATE_SCALE);
+
+const sumMinor = (values) => values.reduce((sum, value) => sum + value, 0n);
+
+// part as a percentage of whole, to 2 decimal places, as a plain number for display
+const percentOf = (part, whole) => (whole === 0n ? null : Number(divideRounded(part * 10000n, whole)) / 100);
+
+// Percentage change between two minor-unit amounts
+const percentChange = (current, previous) => percentOf(current - previous, previous);
+
+module.exports = {
+  SUPPORTED_CURRENCIES,
+  toMinor,
+  parseRate,
+  formatMinor,
+  formatRate,
+  convertMinor,
+  invertRate,
+  multiplyRates,
+  sumMinor,
+  percentOf,
+  percentChange,
+};
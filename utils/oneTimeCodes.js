@@ -0,0 +1,79 @@
+const crypto = require("crypto");
+const bcrypt = require("bcryptjs");
+
+// One-time codes for email verification and password reset. Codes are 6 digits,
+// stored as bcrypt hashes, expire after a few minutes and are consumed on first
+// successful use. Each code allows a handful of guesses; failures across all of
+// a user's recent codes for the same purpose lock that purpose for a while, so
+// requesting fresh codes does not reset the guess budget.
+
+const PURPOSES = ["verify_email", "reset_password"];
+
+// Read lazily so values from .env are picked up after dotenv has run
+const codeConfig = () => ({
+  ttlMinutes: parseInt(process.env.OTC_TTL_MINUTES || "15", 10),
+  maxAttempts: parseInt(process.env.OTC_MAX_ATTEMPTS || "5", 10),
+  lockoutFailures: parseInt(process.env.OTC_LOCKOUT_FAILURES || "10", 10),
+  lockoutMinutes: parseInt(process.env.OTC_LOCKOUT_MINUTES || "30", 10),
+  resendCooldownSeconds: parseInt(process.env.OTC_RESEND_COOLDOWN_SECONDS || "60", 10),
+});
+
+const generateCode = () => crypto.randomInt(100000, 1000000).toString();
+
+// `codes` below is the one-time code repository (models/oneTimeCodes.js)
+const isLockedOut = async (codes, userId, purpose) => {
+  const { lockoutFailures, lockoutMinutes } = codeConfig();
+  return (await codes.countFailures(userId, purpose, lockoutMinutes)) >= lockoutFailures;
+};
+
+// True if a code for this purpose was sent within the resend cooldown
+const recentlyIssued = (codes, userId, purpose) => codes.issuedWithin(userId, purpose, codeConfig().resendCooldownSeconds);
+
+// Replaces any outstanding code for the purpose and returns the new plain code
+const issueCode = async (codes, userId, purpose) => {
+  if (!PURPOSES.includes(purpose)) throw new Error(`Unknown one-time code purpose: ${purpose}`);
+  const { ttlMinutes } = codeConfig();
+  const code = generateCode();
+  await codes.expireOutstanding(userId, purpose);
+  await codes.create({ userId, purpose, codeHash: await bcrypt.hash(code, 10), minutes: ttlMinutes });
+  return { code, ttlMinutes };
+};
+
+// Checks a submitted code and consumes it on success. Returns { ok: true } or
+// { ok: false, reason } where reason is "locked", "expired" or "invalid"
+const consumeCode = async (codes, userId, purpose, submitted) => {
+  if (await isLockedOut(codes, userId, purpose)) return { ok: false, reason: "locked" };
+
+  const { maxAttempts } = codeConfig();
+  const stored = await codes.findLatestActive(userId, purpose);
+  if (!stored || stored.attempts >= maxAttempts) return { ok: false, reason: "expired" };
+
+  if (!(await bcrypt.compare(String(submitted), stored.code_hash))) {
+    await codes.recordFailure(stored.id);
+    const remaining = maxAttempts - stored.attempts - 1;
+    if (await isLockedOut(codes, userId, purpose)) return { ok: false, reason: "locked" };
+    return remaining > 0 ? { ok: false, reason: "invalid", attemptsRemaining: remaining } : { ok: false, reason: "expired" };
+  }
+
+  return (await codes.consume(stored.id)) ? { ok: true } : { ok: false, reason: "expired" };
+};
+
+// HTTP status and message for a failed consumeCode result
+const codeFailure = ({ reason, attemptsRemaining }) => {
+  if (reason === "locked") {
+    return { status: 429, message: `Too many incorrect codes. Try again in ${codeConfig().lockoutMinutes} minutes.` };
+  }
+  if (reason === "invalid") {
+    return { status: 400, message: `Invalid code. ${attemptsRemaining} attempt${attemptsRemaining === 1 ? "" : "s"} remaining.` };
+  }
+  return { status: 400, message: "This code has expired or is no longer valid. Please request a new one." };
+};
+
+module.exports = {
+  PURPOSES,
+  codeConfig,
+  recentlyIssued,
+  issueCode,
+  consumeCode,
+  codeFailure,
+};
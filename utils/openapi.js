@@ -0,0 +1,130 @@
+// OpenAPI 3 document built from the routes registered on the app. Each route's
+// validate(schema) middleware (utils/validation.js) supplies its summary,
+// parameters and body; authentication and roles are read off the middleware
+// chain, so the document cannot drift from what the server enforces.
+
+const ERROR_SCHEMA = {
+  type: "object",
+  required: ["message", "code", "request_id"],
+  properties: {
+    message: { type: "string", description: "Human-readable summary" },
+    code: { type: "string", description: "Machine-readable code, e.g. validation_failed, not_found, internal_error" },
+    request_id: { type: "string", description: "Also sent as the X-Request-Id header; quote it when reporting a problem" },
+    errors: {
+      type: "array",
+      description: "Field problems, for validation_failed",
+      items: {
+        type: "object",
+        required: ["field", "in", "code", "message"],
+        properties: {
+          field: { type: "string" },
+          in: { type: "string", enum: ["params", "query", "body"] },
+          code: {
+            type: "string",
+            enum: ["required", "invalid_type", "invalid_format", "invalid_value", "too_short", "too_long", "too_small", "too_large", "unknown_field"],
+          },
+          message: { type: "string" },
+        },
+      },
+    },
+  },
+};
+
+const errorResponse = (description) => ({
+  description,
+  content: { "application/json": { schema: { $ref: "#/components/schemas/Error" } } },
+});
+
+// Drops what only the validator understands (check functions)
+const toOpenApiSchema = (schema) => {
+  if (Array.isArray(schema)) return schema.map(toOpenApiSchema);
+  if (schema === null || typeof schema !== "object") return schema;
+  return Object.fromEntries(
+    Object.entries(schema)
+      .filter(([, value]) => typeof value !== "function")
+      .map(([key, value]) => [key, toOpenApiSchema(value)])
+  );
+};
+
+const parameters = (location, schema) =>
+  Object.entries((schema && schema.properties) || {}).map(([name, property]) => ({
+    name,
+    in: location,
+    required: location === "path" || (schema.required || []).includes(name),
+    ...(property.description && { description: property.description }),
+    schema: toOpenApiSchema(property),
+  }));
+
+// /api/babies/:id -> /api/babies/{id}
+const openApiPath = (path) => path.replace(/:(\w+)/g, "{$1}");
+
+// /api/admin/users -> admin, /api/daily_reads/today -> daily_reads
+const tagFor = (path) => path.split("/")[2] || "general";
+
+const operationFor = (method, path, handlers, authenticate) => {
+  const schema = handlers.map((handler) => handler.schema).find(Boolean) || {};
+  const roles = handlers.map((handler) => handler.roles).find(Boolean);
+  const authenticated = handlers.includes(authenticate);
+  const pathNames = [...path.matchAll(/:(\w+)/g)].map((match) => match[1]);
+  const documented = parameters("path", schema.params);
+  const undocumented = pathNames
+    .filter((name) => !documented.some((parameter) => parameter.name === name))
+    .map((name) => ({ name, in: "path", required: true, schema: { type: "string" } }));
+
+  const description = [schema.description, roles && `Requires the ${roles.join(" or ")} role.`].filter(Boolean).join("\n\n");
+  const responses = { "2XX": { description: "Success" } };
+  if (schema.params || schema.query || schema.body || schema.multipart) responses["400"] = errorResponse("Invalid input");
+  if (authenticated) responses["401"] = errorResponse("Missing, expired or signed-out access token");
+  if (authenticated || roles) responses["403"] = errorResponse("Not allowed");
+  if (pathNames.length > 0) responses["404"] = errorResponse("Not found");
+  responses["500"] = errorResponse("Server error; details are logged under the request id");
+
+  let requestBody;
+  if (schema.body) {
+    requestBody = {
+      required: Boolean(schema.body.required),
+      content: { "application/json": { schema: toOpenApiSchema(schema.body) } },
+    };
+  } else if (schema.multipart) {
+    requestBody = { required: true, content: { "multipart/form-data": { schema: toOpenApiSchema(schema.multipart) } } };
+  }
+
+  return {
+    tags: [tagFor(path)],
+    ...(schema.summary && { summary: schema.summary }),
+    ...(description && { description }),
+    operationId: `${method}${path.replace(/[^a-zA-Z0-9]+(\w)?/g, (_, next) => (next ? next.toUpperCase() : ""))}`,
+    parameters: [...documented, ...undocumented, ...parameters("query", schema.query)],
+    ...(requestBody && { requestBody }),
+    ...(authenticated && { security: [{ bearerAuth: [] }] }),
+    responses,
+  };
+};
+
+// authenticate is the middleware that checks access tokens
+const buildOpenApiDocument = (app, { title, version, description, authenticate }) => {
+  const paths = {};
+  for (const layer of app.router.stack) {
+    if (!layer.route || typeof layer.route.path !== "string") continue;
+    const handlers = layer.route.stack.map((entry) => entry.handle);
+    const path = openApiPath(layer.route.path);
+    for (const method of Object.keys(layer.route.methods).filter((name) => name !== "_all")) {
+      paths[path] = { ...paths[path], [method]: operationFor(method, layer.route.path, handlers, authenticate) };
+    }
+  }
+  return {
+    openapi: "3.0.3",
+    info: { title, version, ...(description && { description }) },
+    paths,
+    components: {
+      schemas: { Error: ERROR_SCHEMA },
+      securitySchemes: { bearerAuth: { type: "http", scheme: "bearer", bearerFormat: "JWT" } },
+    },
+  };
+};
+
+module.exports = {
+  toOpenApiSchema,
+  openApiPath,
+  buildOpenApiDocument,
+};
@@ -0,0 +1,130 @@
+const { field } = require("./validation");
+
+// Cursor pagination for list endpoints. A list is ordered by one whitelisted
+// field with the id as a tie-break, so every row has a fixed place. The cursor
+// carries the sort and the last row's values; the next page starts right after
+// that row, so rows added or deleted in between never shift or repeat a page.
+// Lists respond with { data, next_cursor }, next_cursor being null on the last page.
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// "expense_date" sorts ascending, "-expense_date" descending
+const sortOptions = (fields) => fields.flatMap((name) => [name, `-${name}`]);
+
+const parseSort = (sort) => (sort.startsWith("-") ? { field: sort.slice(1), descending: true } : { field: sort, descending: false });
+
+// Query properties every paged list takes, for validate()
+const pageQuery = (fields, defaultSort) => ({
+  sort: field.oneOf(sortOptions(fields), { description: `Prefix with - for descending order; defaults to ${defaultSort}` }),
+  limit: field.integer({ minimum: 1, maximum: MAX_LIMIT, description: `Defaults to ${DEFAULT_LIMIT}` }),
+  cursor: field.text(1000, { description: "next_cursor from the previous page; send the same filters and sort with it" }),
+});
+
+// Dates keep their type through JSON so they compare as dates again
+const toCursorValue = (value) => (value instanceof Date ? { date: value.toISOString() } : value);
+const fromCursorValue = (value) => (value !== null && typeof value === "object" && value.date ? new Date(value.date) : value);
+
+const encodeCursor = (sort, values) => Buffer.from(JSON.stringify([sort, ...values.map(toCursorValue)])).toString("base64url");
+
+// Cursors come from clients, so each value must be one a sort key can hold
+const isKeyValue = (value) =>
+  typeof value === "string" || Number.isFinite(value) || (value instanceof Date && !Number.isNaN(value.getTime()));
+
+// The `length` values to start after, or null when the cursor is damaged,
+// forged or belongs to another sort
+const decodeCursor = (cursor, sort, length) => {
+  try {
+    const [cursorSort, ...encoded] = JSON.parse(Buffer.from(cursor, "base64url").toString());
+    const values = encoded.map(fromCursorValue);
+    return cursorSort === sort && values.length === length && values.every(isKeyValue) ? values : null;
+  } catch {
+    return null;
+  }
+};
+
+// { sort, field, descending, limit, after } for a query checked with pageQuery,
+// or { error }. keyLength is how many values a row's key has, id included: a
+// number, or a function of the sort when that changes it
+const readPaging = (query, defaultSort, keyLength = 2) => {
+  const sort = query.sort || defaultSort;
+  const length = typeof keyLength === "function" ? keyLength(sort) : keyLength;
+  const after = query.cursor ? decodeCursor(query.cursor, sort, length) : null;
+  if (query.cursor && !after) {
+    return { error: "Invalid input: cursor does not belong to this list; send the same sort, or start again without a cursor" };
+  }
+  return { sort, ...parseSort(sort), limit: query.limit === undefined ? DEFAULT_LIMIT : Number(query.limit), after };
+};
+
+// Lists fetch limit + 1 rows; the extra row only shows there is another page.
+// keyOf gives a row's sort values, id last
+const toPage = (rows, { sort, limit }, keyOf) => {
+  const data = rows.slice(0, limit);
+  return { data, next_cursor: rows.length > limit ? encodeCursor(sort, keyOf(data[data.length - 1])) : null };
+};
+
+// Columns are SQL strings or { sql, params } for expressions with placeholders
+const columnSql = (column) => (typeof column === "string" ? { sql: column, params: [] } : column);
+
+// Rows after `values` in ORDER BY order. For (a, id) ascending:
+// ((a > ?) OR (a = ? AND id > ?))
+const keysetCondition = (columns, values, descending) => {
+  const operator = descending ? "<" : ">";
+  const parts = columns.map(columnSql).map((column, index, all) => {
+    const earlier = all.slice(0, index);
+    return {
+      sql: `(${[...earlier.map((previous) => `${previous.sql} = ?`), `${column.sql} ${operator} ?`].join(" AND ")})`,
+      params: [...earlier.flatMap((previous, position) => [...previous.params, values[position]]), ...column.params, values[index]],
+    };
+  });
+  return { sql: `(${parts.map((part) => part.sql).join(" OR ")})`, params: parts.flatMap((part) => part.params) };
+};
+
+// ORDER BY for the same columns
+const orderBySql = (columns, descending) => {
+  const parts = columns.map(columnSql);
+  return { sql: parts.map((part) => `${part.sql} ${descending ? "DESC" : "ASC"}`).join(", "), params: parts.flatMap((part) => part.params) };
+};
+
+const compareValues = (a, b) => {
+  const left = a instanceof Date ? a.getTime() : a;
+  const right = b instanceof Date ? b.getTime() : b;
+  if (left === right) return 0;
+  if (left === null || left === undefined) return -1;
+  if (right === null || right === undefined) return 1;
+  return left < right ? -1 : 1;
+};
+
+const compareKeys = (a, b) => {
+  for (let index = 0; index < a.length; index += 1) {
+    const difference = compareValues(a[index], b[index]);
+    if (difference !== 0) return difference;
+  }
+  return 0;
+};
+
+// The in-memory version of ORDER BY + keysetCondition + LIMIT: one page (plus
+// the extra row) of rows already filtered
+const pageRows = (rows, { descending, after, limit }, keyOf) => {
+  const direction = descending ? -1 : 1;
+  return rows
+    .map((row) => ({ row, key: keyOf(row) }))
+    .sort((a, b) => direction * compareKeys(a.key, b.key))
+    .filter(({ key }) => !after || direction * compareKeys(key, after) > 0)
+    .slice(0, limit + 1)
+    .map(({ row }) => row);
+};
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  sortOptions,
+  pageQuery,
+  encodeCursor,
+  decodeCursor,
+  readPaging,
+  toPage,
+  keysetCondition,
+  orderBySql,
+  pageRows,
+};
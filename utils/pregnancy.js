@@ -0,0 +1,118 @@
+const weekInfo = require("../data/pregnancy-weeks.json");
+const { addDays } = require("./timeZones");
+const { ageInDays } = require("./growth");
+
+// Pregnancy dating. Gestational age counts from the first day of the last
+// menstrual period (LMP), so a full-term pregnancy is 280 days (40 weeks).
+
+const DATING_METHODS = ["lmp", "ultrasound", "due_date"];
+const TERM_DAYS = 280;
+const MAX_GESTATION_DAYS = 44 * 7;
+
+// Naegele's rule: LMP + 280 days, moved by how far the cycle is from 28 days
+const naegeleDueDate = (lmpDate, cycleLength = 28) => addDays(lmpDate, TERM_DAYS + (cycleLength - 28));
+
+// A scan measures gestational age on the day it is done
+const ultrasoundDueDate = (scanDate, weeks, days = 0) => addDays(scanDate, TERM_DAYS - (weeks * 7 + days));
+
+const trimesterOf = (weeks) => (weeks < 14 ? 1 : weeks < 28 ? 2 : 3);
+
+// Completed weeks and days on a date, or null before conception is possible
+const gestationalAge = (dueDate, onDate) => {
+  const totalDays = TERM_DAYS - ageInDays(onDate, dueDate);
+  if (totalDays < 0) return null;
+  return { weeks: Math.floor(totalDays / 7), days: totalDays % 7, total_days: totalDays };
+};
+
+const progressOf = (dueDate, today) => {
+  const age = gestationalAge(dueDate, today);
+  if (!age) return null;
+  return {
+    ...age,
+    trimester: trimesterOf(age.weeks),
+    days_until_due: TERM_DAYS - age.total_days,
+    percent: Math.min(100, Math.round((age.total_days / TERM_DAYS) * 100)),
+  };
+};
+
+// Validates how the due date was worked out; returns { fields } ready to
+// store, due_date included, or { error }
+const datePregnancy = (body, today) => {
+  const { dating_method, lmp_date, cycle_length, ultrasound_date, gestational_weeks, gestational_days, due_date } = body;
+  if (!DATING_METHODS.includes(dating_method)) {
+    return { error: `Invalid input: dating_method must be one of ${DATING_METHODS.join(", ")}` };
+  }
+  const isDate = (value) => typeof value === "string" && /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value));
+  const fields = { dating_method, lmp_date: null, cycle_length: null, ultrasound_date: null, ultrasound_gestation_days: null };
+
+  if (dating_method === "lmp") {
+    if (!isDate(lmp_date)) return { error: "Missing required fields: lmp_date (YYYY-MM-DD)" };
+    const cycle = cycle_length ?? 28;
+    if (!Number.isInteger(cycle) || cycle < 21 || cycle > 45) return { error: "Invalid input: cycle_length must be a whole number of days from 21 to 45" };
+    Object.assign(fields, { lmp_date, cycle_length: cycle, due_date: naegeleDueDate(lmp_date, cycle) });
+  } else if (dating_method === "ultrasound") {
+    if (!isDate(ultrasound_date)) return { error: "Missing required fields: ultrasound_date (YYYY-MM-DD)" };
+    const days = gestational_days ?? 0;
+    if (!Number.isInteger(gestational_weeks) || gestational_weeks < 5 || gestational_weeks > 24 || !Number.isInteger(days) || days < 0 || days > 6) {
+      return { error: "Invalid input: gestational_weeks must be 5-24 and gestational_days 0-6 (the age measured at the scan)" };
+    }
+    if (ageInDays(ultrasound_date, today) < 0) return { error: "Invalid input: ultrasound_date cannot be in the future" };
+    Object.assign(fields, {
+      ultrasound_date,
+      ultrasound_gestation_days: gestational_weeks * 7 + days,
+      due_date: ultrasoundDueDate(ultrasound_date, gestational_weeks, days),
+    });
+  } else {
+    if (!isDate(due_date)) return { error: "Missing required fields: due_date (YYYY-MM-DD)" };
+    fields.due_date = due_date;
+  }
+
+  const age = TERM_DAYS - ageInDays(today, fields.due_date);
+  if (age < 0 || age > MAX_GESTATION_DAYS) {
+    return { error: "Invalid input: that puts the pregnancy outside 0-44 weeks today; check the dates" };
+  }
+  return { fields };
+};
+
+const infoForWeek = (week) => weekInfo.weeks.find((entry) => entry.week === week) || null;
+
+// Routine antenatal care: every 4 weeks to 28, every 2 to 36, then weekly
+const PRENATAL_VISITS = [
+  [8, "Booking visit", "Medical history, blood tests, blood pressure and confirming the due date."],
+  [12, "Dating scan", "Ultrasound to check the due date; screening tests may be offered."],
+  [16, "Check-up", "Blood pressure, urine test and going through your blood results."],
+  [20, "Anatomy scan", "Detailed ultrasound of the baby's growth and organs."],
+  [24, "Check-up", "Blood pressure, urine test and measuring your bump."],
+  [28, "Check-up and glucose test", "Screening for gestational diabetes, a blood count and anti-D if you are rhesus negative."],
+  [30, "Check-up", "Blood pressure, urine test and the baby's growth."],
+  [32, "Check-up", "Blood pressure, urine test and the baby's position."],
+  [34, "Check-up", "Blood pressure, urine test and talking through your birth plan."],
+  [36, "Check-up and GBS swab", "The baby's position and a group B strep swab."],
+  [37, "Check-up", "Blood pressure, urine test and signs of labour."],
+  [38, "Check-up", "Blood pressure, urine test and the baby's movements."],
+  [39, "Check-up", "Blood pressure, urine test and the baby's position."],
+  [40, "Due date check-up", "Checking on you and the baby and planning next steps."],
+  [41, "Post-dates check-up", "Discussing a membrane sweep or induction."],
+];
+
+// Visits still ahead of `today`, each on the first day of its week
+const prenatalPlan = (dueDate, today) => {
+  const lmp = addDays(dueDate, -TERM_DAYS);
+  return PRENATAL_VISITS.map(([week, title, notes]) => ({ week, title, notes, date: addDays(lmp, week * 7) })).filter(
+    (visit) => ageInDays(today, visit.date) >= 0
+  );
+};
+
+module.exports = {
+  DATING_METHODS,
+  TERM_DAYS,
+  WEEK_INFO: weekInfo,
+  naegeleDueDate,
+  ultrasoundDueDate,
+  trimesterOf,
+  gestationalAge,
+  progressOf,
+  datePregnancy,
+  infoForWeek,
+  prenatalPlan,
+};
@@ -0,0 +1,165 @@
+// RFC 5545 RRULE subset: FREQ (HOURLY, DAILY, WEEKLY, MONTHLY), INTERVAL,
+// BYDAY (plain weekdays, no ordinals), UNTIL and COUNT. Exceptions are kept
+// alongside the rule as a list of excluded occurrence times (EXDATE).
+
+const FREQUENCIES = ["HOURLY", "DAILY", "WEEKLY", "MONTHLY"];
+const WEEKDAYS = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+
+// Guards against runaway expansion of tight rules over wide windows
+const MAX_ITERATIONS = 100000;
+
+class RecurrenceError extends Error {}
+
+const parseUntil = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(value);
+  if (match) {
+    const [, y, mo, d, h = "23", mi = "59", s = "59", utc] = match;
+    return utc
+      ? new Date(Date.UTC(+y, +mo - 1, +d, +h, +mi, +s))
+      : new Date(+y, +mo - 1, +d, +h, +mi, +s);
+  }
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) throw new RecurrenceError(`Invalid UNTIL value: ${value}`);
+  return date;
+};
+
+const formatUntil = (date) => date.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+
+// Accepts either an RRULE string ("FREQ=WEEKLY;BYDAY=MO,TH") or an object
+// ({ frequency, interval, by_day, until, count }) and returns a normalised rule
+const parseRule = (input) => {
+  let parts;
+  if (typeof input === "string") {
+    parts = {};
+    for (const pair of input.replace(/^RRULE:/i, "").split(";").filter(Boolean)) {
+      const [key, value] = pair.split("=");
+      if (!value) throw new RecurrenceError(`Invalid recurrence part: ${pair}`);
+      parts[key.toUpperCase()] = value;
+    }
+  } else if (input && typeof input === "object") {
+    parts = {
+      FREQ: input.frequency,
+      INTERVAL: input.interval,
+      BYDAY: Array.isArray(input.by_day) ? input.by_day.join(",") : input.by_day,
+      UNTIL: input.until,
+      COUNT: input.count,
+    };
+  } else {
+    throw new RecurrenceError("Recurrence must be an RRULE string or an object");
+  }
+
+  const unsupported = Object.keys(parts).filter(
+    (key) => parts[key] !== undefined && !["FREQ", "INTERVAL", "BYDAY", "UNTIL", "COUNT"].includes(key)
+  );
+  if (unsupported.length) throw new RecurrenceError(`Unsupported recurrence parts: ${unsupported.join(", ")}`);
+
+  const freq = String(parts.FREQ || "").toUpperCase();
+  if (!FREQUENCIES.includes(freq)) {
+    throw new RecurrenceError(`Recurrence frequency must be one of ${FREQUENCIES.join(", ")}`);
+  }
+
+  const interval = parts.INTERVAL === undefined ? 1 : Number(parts.INTERVAL);
+  if (!Number.isInteger(interval) || interval < 1 || interval > 1000) {
+    throw new RecurrenceError("Recurrence interval must be a positive integer");
+  }
+
+  const byDay = parts.BYDAY ? String(parts.BYDAY).toUpperCase().split(",") : [];
+  const badDays = byDay.filter((day) => !WEEKDAYS.includes(day));
+  if (badDays.length) throw new RecurrenceError(`Invalid weekdays: ${badDays.join(", ")}`);
+
+  const count = parts.COUNT === undefined ? null : Number(parts.COUNT);
+  if (count !== null && (!Number.isInteger(count) || count < 1)) {
+    throw new RecurrenceError("Recurrence count must be a positive integer");
+  }
+
+  const until = parts.UNTIL === undefined ? null : parseUntil(String(parts.UNTIL));
+  if (count !== null && until) throw new RecurrenceError("Recurrence cannot have both until and count");
+
+  return { freq, interval, byDay, until, count };
+};
+
+const serializeRule = ({ freq, interval, byDay, until, count }) =>
+  [
+    `FREQ=${freq}`,
+    interval !== 1 ? `INTERVAL=${interval}` : null,
+    byDay.length ? `BYDAY=${byDay.join(",")}` : null,
+    until ? `UNTIL=${formatUntil(until)}` : null,
+    count ? `COUNT=${count}` : null,
+  ]
+    .filter(Boolean)
+    .join(";");
+
+const addDays = (date, days) => {
+  const next = new Date(date);
+  next.setDate(next.getDate() + days);
+  return next;
+};
+
+// Yields candidate occurrences in order, before COUNT/UNTIL are applied
+function* candidates(rule, start) {
+  const { freq, interval, byDay } = rule;
+  if (freq === "WEEKLY" && byDay.length) {
+    // Walk week by week from the Monday of the start week, per RFC 5545 WKST=MO
+    const weekStart = addDays(start, -((start.getDay() + 6) % 7));
+    const offsets = byDay.map((day) => (WEEKDAYS.indexOf(day) + 6) % 7).sort((a, b) => a - b);
+    for (let week = 0; ; week += interval) {
+      for (const offset of offsets) {
+        const occurrence = addDays(weekStart, week * 7 + offset);
+        if (occurrence >= start) yield occurrence;
+      }
+    }
+  }
+  for (let step = 0; ; step++) {
+    let occurrence;
+    if (freq === "HOURLY") occurrence = new Date(start.getTime() + step * interval * 3600000);
+    else if (freq === "DAILY") occurrence = addDays(start, step * interval);
+    else if (freq === "WEEKLY") occurrence = addDays(start, step * interval * 7);
+    else {
+      occurrence = new Date(start);
+      occurrence.setDate(1);
+      occurrence.setMonth(start.getMonth() + step * interval);
+      // Months without the start day (e.g. the 31st) are skipped, as in RFC 5545
+      if (new Date(occurrence.getFullYear(), occurrence.getMonth() + 1, 0).getDate() < start.getDate()) continue;
+      occurrence.setDate(start.getDate());
+    }
+    // BYDAY on non-weekly rules filters occurrences down to those weekdays
+    if (byDay.length && !byDay.includes(WEEKDAYS[occurrence.getDay()])) continue;
+    yield occurrence;
+  }
+}
+
+// Expands a rule starting at `start` into the occurrences within [from, to],
+// skipping any that appear in `exceptions`
+const expand = (rule, start, { from, to, exceptions = [] }) => {
+  const excluded = new Set(exceptions.map((value) => new Date(value).getTime()));
+  const occurrences = [];
+  let produced = 0;
+  let iterations = 0;
+  for (const occurrence of candidates(rule, start)) {
+    if (++iterations > MAX_ITERATIONS) break;
+    if (rule.until && occurrence > rule.until) break;
+    if (occurrence > to) break;
+    produced++;
+    if (rule.count !== null && produced > rule.count) break;
+    if (occurrence >= from && !excluded.has(occurrence.getTime())) occurrences.push(occurrence);
+  }
+  return occurrences;
+};
+
+// Occurrences of a schedule row between two instants; one-off schedules have a single occurrence
+const scheduleOccurrences = (schedule, from, to) => {
+  const start = new Date(schedule.scheduled_time);
+  if (!schedule.recurrence_rule) return start >= from && start <= to ? [start] : [];
+  const exceptions = typeof schedule.recurrence_exceptions === "string"
+    ? JSON.parse(schedule.recurrence_exceptions)
+    : schedule.recurrence_exceptions || [];
+  return expand(parseRule(schedule.recurrence_rule), start, { from, to, exceptions });
+};
+
+module.exports = {
+  RecurrenceError,
+  parseRule,
+  serializeRule,
+  expand,
+  scheduleOccurrences,
+};
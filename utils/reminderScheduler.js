@@ -0,0 +1,253 @@
+const { scheduleOccurrences } = require("./recurrence");
+const { localDateKey, zonedTime, addDays } = require("./timeZones");
+
+// Lead times are configured per schedule type in minutes, e.g.
+// REMINDER_LEADS_DOCTOR_VISIT="1440,60". Birthday leads are in days.
+const parseLeads = (value, fallback) =>
+  (value ?? fallback)
+    .split(",")
+    .map((lead) => parseInt(lead.trim(), 10))
+    .filter((lead) => Number.isInteger(lead) && lead > 0);
+
+const reminderConfig = () => ({
+  pollSeconds: parseInt(process.env.REMINDER_POLL_SECONDS || "60", 10),
+  scheduleLeads: {
+    doctor_visit: parseLeads(process.env.REMINDER_LEADS_DOCTOR_VISIT, "1440,60"),
+    prenatal_visit: parseLeads(process.env.REMINDER_LEADS_PRENATAL_VISIT, "1440,60"),
+    feeding: parseLeads(process.env.REMINDER_LEADS_FEEDING, ""),
+    sleep: parseLeads(process.env.REMINDER_LEADS_SLEEP, ""),
+  },
+  birthdayLeadDays: parseLeads(process.env.REMINDER_BIRTHDAY_LEAD_DAYS, "7"),
+  birthdayHour: parseInt(process.env.REMINDER_BIRTHDAY_HOUR || "9", 10),
+  maxAttempts: 3,
+});
+
+// The schedule types the app offers. They are stored as typed, so "Doctor
+// Visit", "doctor-visit" and "doctor" all map onto doctor_visit
+const SCHEDULE_TYPES = ["feeding", "sleep", "doctor_visit", "prenatal_visit", "bath", "medication", "vaccination", "playtime", "other"];
+
+const scheduleKind = (type) => {
+  const kind = String(type).toLowerCase().trim().replace(/[\s-]+/g, "_");
+  return kind === "doctor" ? "doctor_visit" : kind;
+};
+
+const toDateOnly = (value) =>
+  typeof value === "string"
+    ? new Date(`${value.slice(0, 10)}T00:00:00`)
+    : new Date(value.getFullYear(), value.getMonth(), value.getDate());
+
+// Next occurrence of a birthday (or a fixed celebration date) at the configured hour
+const nextBirthday = (birthDate, celebrationDate, hour, now) => {
+  if (celebrationDate) {
+    const fixed = toDateOnly(celebrationDate);
+    fixed.setHours(hour, 0, 0, 0);
+    return fixed;
+  }
+  const birth = toDateOnly(birthDate);
+  const occurrence = new Date(now.getFullYear(), birth.getMonth(), birth.getDate(), hour);
+  if (occurrence <= now) occurrence.setFullYear(occurrence.getFullYear() + 1);
+  return occurrence;
+};
+
+const formatLead = (minutes) => {
+  if (minutes % 1440 === 0) return `${minutes / 1440} day${minutes === 1440 ? "" : "s"}`;
+  if (minutes % 60 === 0) return `${minutes / 60} hour${minutes === 60 ? "" : "s"}`;
+  return `${minutes} minutes`;
+};
+
+const frontendUrl = (route) =>
+  `${process.env.NODE_ENV === "production" ? "https://mamacare.vercel.app" : "http://localhost:5174"}${route}`;
+
+// The template (data/email-templates.json) and its data for a job
+const composeEmail = (job, context) => {
+  const eventAt = new Date(job.event_at);
+  if (job.source_type === "devotional") {
+    return {
+      template: "devotional_reminder",
+      data: {
+        name: context.user_name,
+        verse: context.scripture.verse,
+        reference: context.scripture.reference,
+        scriptures_url: frontendUrl("/scriptures"),
+      },
+    };
+  }
+  if (job.source_type === "birthday") {
+    return {
+      template: "birthday_reminder",
+      data: {
+        name: context.user_name,
+        baby_name: context.baby_name,
+        age: Math.max(eventAt.getFullYear() - toDateOnly(context.birth_date).getFullYear(), 0),
+        day: eventAt.toLocaleDateString("en-GB", { dateStyle: "full" }),
+        milestones_url: frontendUrl("/milestones"),
+      },
+    };
+  }
+  // Pregnancy schedules (prenatal visits) have no baby yet
+  return {
+    template: context.baby_name ? "schedule_reminder" : "pregnancy_reminder",
+    data: {
+      name: context.user_name,
+      baby_name: context.baby_name,
+      type: context.type,
+      notes: context.notes,
+      lead: formatLead(job.lead_minutes),
+      when: eventAt.toLocaleString("en-GB", { dateStyle: "full", timeStyle: "short" }),
+      dashboard_url: frontendUrl("/dashboard"),
+    },
+  };
+};
+
+// Enqueueing is idempotent (see models/reminderJobs.js), so every tick can
+// enqueue everything coming up
+const enqueueScheduleReminders = async (repositories, config, now) => {
+  const allLeads = Object.values(config.scheduleLeads).flat();
+  if (allLeads.length === 0) return;
+  const horizon = new Date(now.getTime() + Math.max(...allLeads) * 60000);
+  const schedules = await repositories.schedules.listForReminders(now, horizon);
+  // Leads whose send time passed more than one poll ago are skipped rather than sent late
+  const grace = config.pollSeconds * 1000;
+  for (const schedule of schedules) {
+    const leads = config.scheduleLeads[scheduleKind(schedule.type)] || [];
+    if (leads.length === 0) continue;
+    for (const eventAt of scheduleOccurrences(schedule, new Date(now.getTime() + 1), horizon)) {
+      for (const lead of leads) {
+        if (eventAt.getTime() - lead * 60000 < now.getTime() - grace) continue;
+        await repositories.reminderJobs.enqueue({ userId: schedule.user_id, sourceType: "schedule", sourceId: schedule.id, eventAt, leadMinutes: lead });
+      }
+    }
+  }
+};
+
+const enqueueBirthdayReminders = async (repositories, config, now) => {
+  const reminders = await repositories.birthdayReminders.listActive();
+  const grace = config.pollSeconds * 1000;
+  for (const reminder of reminders) {
+    const eventAt = nextBirthday(reminder.birth_date, reminder.celebration_date, config.birthdayHour, now);
+    if (eventAt <= now) continue;
+    const leadMinutes = reminder.lead_days * 1440;
+    if (eventAt.getTime() - leadMinutes * 60000 < now.getTime() - grace) continue;
+    await repositories.reminderJobs.enqueue({ userId: reminder.user_id, sourceType: "birthday", sourceId: reminder.id, eventAt, leadMinutes });
+  }
+};
+
+// Devotionals go out once a day at the user's chosen local time. The job's
+// event_at is that instant, so each day gets its own job
+const nextDevotional = (preference, now, grace) => {
+  const time = String(preference.send_time).slice(0, 5);
+  const today = localDateKey(now, preference.timezone);
+  const sendAt = zonedTime(today, time, preference.timezone);
+  return sendAt.getTime() < now.getTime() - grace ? zonedTime(addDays(today, 1), time, preference.timezone) : sendAt;
+};
+
+const enqueueDevotionals = async (repositories, config, now) => {
+  const preferences = await repositories.devotionalPreferences.listEnabled();
+  const grace = config.pollSeconds * 1000;
+  for (const preference of preferences) {
+    await repositories.reminderJobs.enqueue({
+      userId: preference.user_id,
+      sourceType: "devotional",
+      sourceId: preference.user_id,
+      eventAt: nextDevotional(preference, now, grace),
+      leadMinutes: 0,
+    });
+  }
+};
+
+// Loads what the email needs and confirms the job still matches its source,
+// returning null when the schedule moved, the reminder was cancelled or the
+// user no longer has access to the baby
+const loadContext = async (repositories, job) => {
+  if (job.source_type === "devotional") {
+    const preference = await repositories.devotionalPreferences.findForDelivery(job.source_id);
+    if (!preference || !preference.enabled || preference.disabled_at) return null;
+    // A changed send time or time zone gets a job of its own; one email a day at most
+    const eventAt = new Date(job.event_at);
+    const localDate = localDateKey(eventAt, preference.timezone);
+    if (zonedTime(localDate, String(preference.send_time).slice(0, 5), preference.timezone).getTime() !== eventAt.getTime()) return null;
+    if (preference.last_sent_on === localDate) return null;
+    const scripture = await repositories.scriptures.findVerseOfDay(job.source_id, localDate, preference.theme);
+    return scripture && { ...preference, local_date: localDate, scripture };
+  }
+  if (job.source_type === "birthday") {
+    const reminder = await repositories.birthdayReminders.findForDelivery(job.source_id);
+    return reminder && reminder.status === "active" && !reminder.deleted_at ? reminder : null;
+  }
+  const schedule = await repositories.schedules.findForDelivery(job.source_id);
+  const eventAt = new Date(job.event_at);
+  if (!schedule || scheduleOccurrences(schedule, eventAt, eventAt).length === 0) return null;
+  return schedule;
+};
+
+const dispatchDue = async (repositories, mailer, config, now) => {
+  const jobs = await repositories.reminderJobs.claimDue(now, 50);
+  for (const job of jobs) {
+    try {
+      const context = await loadContext(repositories, job);
+      if (!context) {
+        await repositories.reminderJobs.markCancelled(job.id, "Source changed or was cancelled");
+        continue;
+      }
+      // Once queued, delivery retries are the mail queue's job (utils/mailer.js)
+      const { template, data } = composeEmail(job, context);
+      await mailer.send({ to: context.email, template, data });
+      await repositories.reminderJobs.markSent(job.id);
+      if (job.source_type === "devotional") {
+        await repositories.devotionalPreferences.markSent(job.source_id, context.local_date);
+      }
+    } catch (error) {
+      const exhausted = job.attempts >= config.maxAttempts;
+      await repositories.reminderJobs.markAttemptFailed(job.id, error.message, exhausted ? null : new Date(Date.now() + 5 * 60000));
+      console.error(`Reminder ${job.id} delivery failed:`, error.message);
+    }
+  }
+};
+
+// One pass: queues what is coming up and sends what is due at `now`
+const runReminders = async ({ repositories, mailer }, config = reminderConfig(), now = new Date()) => {
+  await enqueueScheduleReminders(repositories, config, now);
+  await enqueueBirthdayReminders(repositories, config, now);
+  await enqueueDevotionals(repositories, config, now);
+  await dispatchDue(repositories, mailer, config, now);
+};
+
+// repositories come from models/index.js; mailer from utils/mailer.js
+const startReminderScheduler = ({ repositories, mailer }) => {
+  const config = reminderConfig();
+  let running = false;
+  let recovered = false;
+
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      if (!recovered) {
+        await repositories.reminderJobs.recoverInterrupted();
+        recovered = true;
+      }
+      await runReminders({ repositories, mailer }, config);
+    } catch (error) {
+      console.error("Reminder scheduler error:", error.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(tick, config.pollSeconds * 1000);
+  timer.unref();
+  tick();
+  console.log(`Reminder scheduler started (every ${config.pollSeconds}s)`);
+  return () => clearInterval(timer);
+};
+
+module.exports = {
+  reminderConfig,
+  SCHEDULE_TYPES,
+  scheduleKind,
+  frontendUrl,
+  nextBirthday,
+  nextDevotional,
+  runReminders,
+  startReminderScheduler,
+};
@@ -0,0 +1,161 @@
+// Bible references: "Ps 23:1", "1 cor 13:4-7", "Romans 8:28–9:2", "Psalm 23".
+// Books are matched by name, common abbreviation or an unambiguous prefix and
+// chapters are checked against the book; verse numbers are only range-checked.
+
+// [canonical name, chapters, abbreviations]
+const BOOKS = [
+  ["Genesis", 50, ["gen", "ge", "gn"]],
+  ["Exodus", 40, ["ex", "exod", "exo"]],
+  ["Leviticus", 27, ["lev", "le", "lv"]],
+  ["Numbers", 36, ["num", "nu", "nm", "nb"]],
+  ["Deuteronomy", 34, ["deut", "de", "dt"]],
+  ["Joshua", 24, ["josh", "jos", "jsh"]],
+  ["Judges", 21, ["judg", "jdg", "jg", "jdgs"]],
+  ["Ruth", 4, ["rth", "ru"]],
+  ["1 Samuel", 31, ["1sam", "1sa", "1sm"]],
+  ["2 Samuel", 24, ["2sam", "2sa", "2sm"]],
+  ["1 Kings", 22, ["1kgs", "1ki", "1kg"]],
+  ["2 Kings", 25, ["2kgs", "2ki", "2kg"]],
+  ["1 Chronicles", 29, ["1chr", "1ch", "1chron"]],
+  ["2 Chronicles", 36, ["2chr", "2ch", "2chron"]],
+  ["Ezra", 10, ["ezr"]],
+  ["Nehemiah", 13, ["neh", "ne"]],
+  ["Esther", 10, ["esth", "est", "es"]],
+  ["Job", 42, ["jb"]],
+  ["Psalms", 150, ["ps", "psa", "psalm", "pss", "psm"]],
+  ["Proverbs", 31, ["prov", "pr", "prv", "pro"]],
+  ["Ecclesiastes", 12, ["eccl", "ecc", "ec", "qoh"]],
+  ["Song of Songs", 8, ["song", "sos", "so", "songofsolomon", "canticles"]],
+  ["Isaiah", 66, ["isa", "is"]],
+  ["Jeremiah", 52, ["jer", "je", "jr"]],
+  ["Lamentations", 5, ["lam", "la"]],
+  ["Ezekiel", 48, ["ezek", "eze", "ezk"]],
+  ["Daniel", 12, ["dan", "da", "dn"]],
+  ["Hosea", 14, ["hos", "ho"]],
+  ["Joel", 3, ["jl"]],
+  ["Amos", 9, ["am"]],
+  ["Obadiah", 1, ["obad", "ob"]],
+  ["Jonah", 4, ["jnh", "jon"]],
+  ["Micah", 7, ["mic", "mc"]],
+  ["Nahum", 3, ["nah", "na"]],
+  ["Habakkuk", 3, ["hab", "hb"]],
+  ["Zephaniah", 3, ["zeph", "zep", "zp"]],
+  ["Haggai", 2, ["hag", "hg"]],
+  ["Zechariah", 14, ["zech", "zec", "zc"]],
+  ["Malachi", 4, ["mal", "ml"]],
+  ["Matthew", 28, ["matt", "mt"]],
+  ["Mark", 16, ["mrk", "mk", "mr"]],
+  ["Luke", 24, ["luk", "lk"]],
+  ["John", 21, ["jhn", "jn"]],
+  ["Acts", 28, ["act", "ac"]],
+  ["Romans", 16, ["rom", "ro", "rm"]],
+  ["1 Corinthians", 16, ["1cor", "1co"]],
+  ["2 Corinthians", 13, ["2cor", "2co"]],
+  ["Galatians", 6, ["gal", "ga"]],
+  ["Ephesians", 6, ["eph", "ephes"]],
+  ["Philippians", 4, ["phil", "php", "pp"]],
+  ["Colossians", 4, ["col", "co"]],
+  ["1 Thessalonians", 5, ["1thess", "1th", "1thes"]],
+  ["2 Thessalonians", 3, ["2thess", "2th", "2thes"]],
+  ["1 Timothy", 6, ["1tim", "1ti"]],
+  ["2 Timothy", 4, ["2tim", "2ti"]],
+  ["Titus", 3, ["tit", "ti"]],
+  ["Philemon", 1, ["philem", "phm", "phlm"]],
+  ["Hebrews", 13, ["heb"]],
+  ["James", 5, ["jas", "jm"]],
+  ["1 Peter", 5, ["1pet", "1pe", "1pt"]],
+  ["2 Peter", 3, ["2pet", "2pe", "2pt"]],
+  ["1 John", 5, ["1jn", "1jhn", "1jo"]],
+  ["2 John", 1, ["2jn", "2jhn", "2jo"]],
+  ["3 John", 1, ["3jn", "3jhn", "3jo"]],
+  ["Jude", 1, ["jud", "jd"]],
+  ["Revelation", 22, ["rev", "re", "rv", "revelations"]],
+];
+
+// Psalm 119, the longest chapter
+const MAX_VERSE = 176;
+
+// "1 Cor.", "I Corinthians" and "First Corinthians" all become "1corinthians"
+const bookKey = (name) =>
+  name
+    .toLowerCase()
+    .replace(/^(iii|ii|i|first|second|third|1st|2nd|3rd)\s+/, (prefix) =>
+      ({ i: "1", ii: "2", iii: "3", first: "1", second: "2", third: "3", "1st": "1", "2nd": "2", "3rd": "3" })[prefix.trim()]
+    )
+    .replace(/[\s.]/g, "");
+
+const ALIASES = new Map();
+for (const [name, chapters, abbreviations] of BOOKS) {
+  for (const alias of [bookKey(name), ...abbreviations]) ALIASES.set(alias, { name, chapters });
+}
+
+const findBook = (name) => {
+  const key = bookKey(name);
+  if (ALIASES.has(key)) return ALIASES.get(key);
+  const matches = BOOKS.filter(([book]) => bookKey(book).startsWith(key));
+  return key.length >= 2 && matches.length === 1 ? { name: matches[0][0], chapters: matches[0][1] } : null;
+};
+
+const REFERENCE_PATTERN = /^\s*((?:[1-3]|i{1,3}|first|second|third|1st|2nd|3rd)?\s*[a-z][a-z. ]*?)\.?\s*(\d+)(?:\s*:\s*(\d+)(?:\s*[-–—]\s*(?:(\d+)\s*:\s*)?(\d+))?)?\s*$/i;
+
+// Returns { reference, book, chapter, verse_start, end_chapter, verse_end } or
+// { error }. Verses are null for a whole chapter; end_chapter only differs from
+// chapter when a range runs into the next one
+const parseReference = (input) => {
+  if (typeof input !== "string" || !input.trim()) return { error: "Invalid input: reference must be a non-empty string" };
+  const match = REFERENCE_PATTERN.exec(input);
+  if (!match) return { error: `Invalid input: "${input}" is not a reference like "John 3:16" or "Ps 23:1-4"` };
+
+  const book = findBook(match[1]);
+  if (!book) return { error: `Invalid input: unknown book "${match[1].trim()}"` };
+
+  let chapter = Number(match[2]);
+  let verseStart = match[3] ? Number(match[3]) : null;
+  let verseEnd = match[5] ? Number(match[5]) : verseStart;
+  let endChapter = match[4] ? Number(match[4]) : chapter;
+  // Single-chapter books are usually cited by verse alone: "Jude 3"
+  if (book.chapters === 1 && verseStart === null && chapter > 1) {
+    verseStart = verseEnd = chapter;
+    chapter = endChapter = 1;
+  }
+
+  if (chapter < 1 || chapter > book.chapters || endChapter > book.chapters) {
+    return { error: `Invalid input: ${book.name} has ${book.chapters} chapter${book.chapters === 1 ? "" : "s"}` };
+  }
+  if (verseStart !== null && (verseStart < 1 || verseEnd > MAX_VERSE)) {
+    return { error: `Invalid input: verse numbers in "${input}" are out of range` };
+  }
+  if (endChapter < chapter || (endChapter === chapter && verseEnd < verseStart)) {
+    return { error: `Invalid input: "${input}" ends before it starts` };
+  }
+
+  let reference = `${book.name} ${chapter}`;
+  if (verseStart !== null) reference += `:${verseStart}`;
+  if (endChapter !== chapter) reference += `-${endChapter}:${verseEnd}`;
+  else if (verseEnd !== verseStart) reference += `-${verseEnd}`;
+
+  return {
+    reference,
+    book: book.name,
+    chapter,
+    verse_start: verseStart,
+    end_chapter: endChapter,
+    verse_end: verseEnd,
+  };
+};
+
+// Sort key for canonical order: books as they appear in the Bible, then
+// chapter and verse, a whole chapter before its verses
+const canonicalKey = (scripture) => [
+  BOOKS.findIndex(([name]) => name === scripture.book) + 1,
+  scripture.chapter,
+  scripture.verse_start ?? 0,
+  scripture.id,
+];
+
+module.exports = {
+  BOOKS,
+  findBook,
+  parseReference,
+  canonicalKey,
+};
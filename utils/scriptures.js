@@ -0,0 +1,39 @@
+const crypto = require("crypto");
+
+// Shared scripture library: curated verses tagged with themes, a verse of the
+// day per user and the optional morning devotional email.
+
+const SCRIPTURE_THEMES = ["comfort", "strength", "gratitude", "pregnancy", "peace", "hope", "joy", "family"];
+const MAX_THEMES = 5;
+
+// "HH:MM" on a 24-hour clock
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const DEFAULT_DEVOTIONAL_TIME = "07:00";
+
+// Lower-cases and de-duplicates themes; returns { themes } or { error }
+const normalizeThemes = (input) => {
+  if (!Array.isArray(input)) return { error: "Invalid input: themes must be an array of strings" };
+  const themes = [...new Set(input.map((theme) => String(theme).trim().toLowerCase()))];
+  const unknown = themes.filter((theme) => !SCRIPTURE_THEMES.includes(theme));
+  if (unknown.length) return { error: `Invalid input: unknown themes ${unknown.join(", ")} (use ${SCRIPTURE_THEMES.join(", ")})` };
+  if (themes.length > MAX_THEMES) return { error: `Invalid input: at most ${MAX_THEMES} themes` };
+  return { themes };
+};
+
+// Each user walks the library in id order from their own starting point, one
+// verse a day, so the pick is stable for the day and does not repeat until
+// every verse has come round
+const verseOfDayIndex = (userId, dateKey, count) => {
+  const start = crypto.createHash("sha256").update(String(userId)).digest().readUInt32BE(0);
+  const day = Date.parse(`${dateKey}T00:00:00Z`) / 86400000;
+  return (start + day) % count;
+};
+
+module.exports = {
+  SCRIPTURE_THEMES,
+  TIME_PATTERN,
+  DEFAULT_DEVOTIONAL_TIME,
+  normalizeThemes,
+  verseOfDayIndex,
+};
@@ -0,0 +1,39 @@
+// Read lazily so values from .env are picked up after dotenv has run
+const sessionConfig = () => ({
+  accessTokenTtl: process.env.ACCESS_TOKEN_TTL || "15m",
+  refreshTokenDays: parseInt(process.env.REFRESH_TOKEN_DAYS || "30", 10),
+  // last_seen_at is written at most this often per session
+  touchMinutes: parseInt(process.env.SESSION_TOUCH_MINUTES || "5", 10),
+});
+
+const BROWSERS = [
+  ["Edge", /Edg(?:e|A|iOS)?\/([\d.]+)/],
+  ["Opera", /OPR\/([\d.]+)/],
+  ["Samsung Internet", /SamsungBrowser\/([\d.]+)/],
+  ["Chrome", /(?:Chrome|CriOS)\/([\d.]+)/],
+  ["Firefox", /(?:Firefox|FxiOS)\/([\d.]+)/],
+  ["Safari", /Version\/([\d.]+).*Safari/],
+];
+
+const PLATFORMS = [
+  ["iOS", /iPhone|iPad|iPod/],
+  ["Android", /Android/],
+  ["Windows", /Windows/],
+  ["macOS", /Mac OS X|Macintosh/],
+  ["Linux", /Linux/],
+];
+
+// Short human label for a session list, e.g. "Chrome 126 on Android"
+const describeDevice = (userAgent) => {
+  if (!userAgent) return "Unknown device";
+  const browser = BROWSERS.find(([, pattern]) => pattern.test(userAgent));
+  const platform = PLATFORMS.find(([, pattern]) => pattern.test(userAgent));
+  if (!browser && !platform) return userAgent.slice(0, 100);
+  const browserLabel = browser ? `${browser[0]} ${browser[1].exec(userAgent)[1].split(".")[0]}` : "Unknown browser";
+  return platform ? `${browserLabel} on ${platform[0]}` : browserLabel;
+};
+
+module.exports = {
+  sessionConfig,
+  describeDevice,
+};
@@ -0,0 +1,85 @@
+const knowledge = require("../data/skin-conditions.json");
+
+const URGENCY = {
+  seek_care_now: { label: "Seek care now", rank: 3 },
+  see_doctor_24h: { label: "See a doctor within 24 hours", rank: 2 },
+  monitor: { label: "Monitor at home", rank: 1 },
+};
+
+const SYMPTOMS = Object.keys(knowledge.symptoms);
+
+const round = (value, digits) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+const confidenceFor = (score) => (score >= 0.6 ? "high" : score >= 0.35 ? "medium" : "low");
+
+// A red flag fires when all of its `all` symptoms (or any of its `any`
+// symptoms) are present and the baby is within its age limit, if it has one
+const matchRedFlags = (symptoms, ageDays) =>
+  knowledge.red_flags.filter((flag) => {
+    if (flag.max_age_days !== undefined && (ageDays === null || ageDays >= flag.max_age_days)) return false;
+    if (flag.all && !flag.all.every((s) => symptoms.includes(s))) return false;
+    if (flag.any && !flag.any.some((s) => symptoms.includes(s))) return false;
+    return true;
+  });
+
+// Each condition is a small decision node: it is only considered when one of
+// its `requires_any` symptoms is present, then scored by the weights of the
+// reported features against the best possible score
+const scoreCondition = (condition, symptoms) => {
+  if (!condition.requires_any.some((s) => symptoms.includes(s))) return null;
+
+  const features = Object.entries(condition.features);
+  const possible = features.reduce((sum, [, weight]) => sum + Math.max(weight, 0), 0);
+  const matched = features.filter(([symptom]) => symptoms.includes(symptom));
+  const raw = matched.reduce((sum, [, weight]) => sum + weight, 0);
+  const score = possible > 0 ? Math.max(raw, 0) / possible : 0;
+
+  return {
+    id: condition.id,
+    name: condition.name,
+    score: round(score, 2),
+    confidence: confidenceFor(score),
+    matched_symptoms: matched.filter(([, weight]) => weight > 0).map(([symptom]) => symptom),
+    contradicting_symptoms: matched.filter(([, weight]) => weight < 0).map(([symptom]) => symptom),
+    unmatched_symptoms: features
+      .filter(([symptom, weight]) => weight > 0 && !symptoms.includes(symptom))
+      .map(([symptom]) => symptom),
+    urgency: condition.urgency,
+    home_care: condition.home_care,
+    see_doctor_if: condition.see_doctor_if,
+  };
+};
+
+// Ranks candidate conditions and escalates on red flags. ageDays may be null
+// when the baby's birth date is unknown, in which case age-limited flags are skipped
+const assessSkin = (symptoms, ageDays) => {
+  const candidates = knowledge.conditions
+    .map((condition) => scoreCondition(condition, symptoms))
+    .filter((candidate) => candidate && candidate.score > 0)
+    .sort((a, b) => b.score - a.score);
+
+  const redFlags = matchRedFlags(symptoms, ageDays).map(({ id, urgency, message }) => ({ id, urgency, message }));
+
+  let urgency = "monitor";
+  const considered = [...redFlags, ...candidates.filter((c) => c.confidence !== "low")];
+  for (const item of considered) {
+    if (URGENCY[item.urgency].rank > URGENCY[urgency].rank) urgency = item.urgency;
+  }
+
+  return {
+    knowledge_version: knowledge.version,
+    candidates,
+    red_flags: redFlags,
+    urgency,
+    urgency_label: URGENCY[urgency].label,
+    unrecognised_pattern: candidates.length === 0,
+    disclaimer: knowledge.disclaimer,
+  };
+};
+
+module.exports = {
+  SYMPTOMS,
+  KNOWLEDGE_VERSION: knowledge.version,
+  symptomDescriptions: knowledge.symptoms,
+  assessSkin,
+};
@@ -0,0 +1,64 @@
+// Wall-clock times in IANA time zones ("Africa/Lagos", "Europe/London") using
+// the runtime's Intl data, so daylight saving changes are handled for us.
+
+const isTimeZone = (value) => {
+  if (typeof value !== "string" || !value) return false;
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: value });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+const zonedParts = (date, timeZone) =>
+  Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      second: "2-digit",
+    })
+      .formatToParts(date)
+      .map((part) => [part.type, part.value])
+  );
+
+// YYYY-MM-DD of an instant in the zone
+const localDateKey = (date, timeZone) => {
+  const parts = zonedParts(date, timeZone);
+  return `${parts.year}-${parts.month}-${parts.day}`;
+};
+
+// How far the zone is ahead of UTC at an instant, in ms
+const offsetAt = (instant, timeZone) => {
+  const parts = zonedParts(new Date(instant), timeZone);
+  const wall = Date.UTC(Number(parts.year), Number(parts.month) - 1, Number(parts.day), Number(parts.hour), Number(parts.minute), Number(parts.second));
+  return wall - Math.floor(instant / 1000) * 1000;
+};
+
+// The instant a date ("2025-03-30") and time ("07:30") happen in the zone.
+// A time skipped by a daylight saving change moves by the length of the gap
+const zonedTime = (dateKey, time, timeZone) => {
+  const [year, month, day] = dateKey.split("-").map(Number);
+  const [hour, minute] = time.split(":").map(Number);
+  const wall = Date.UTC(year, month - 1, day, hour, minute);
+  const guess = wall - offsetAt(wall, timeZone);
+  return new Date(wall - offsetAt(guess, timeZone));
+};
+
+const addDays = (dateKey, days) => {
+  const date = new Date(`${dateKey}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+};
+
+module.exports = {
+  isTimeZone,
+  localDateKey,
+  zonedTime,
+  addDays,
+};
@@ -0,0 +1,105 @@
+const crypto = require("crypto");
+
+// RFC 6238 time-based one-time passwords (HMAC-SHA1, 6 digits, 30 second steps),
+// as used by Google Authenticator, Authy, 1Password and friends.
+
+const DIGITS = 6;
+const STEP_SECONDS = 30;
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+const base32Encode = (buffer) => {
+  let bits = "";
+  for (const byte of buffer) bits += byte.toString(2).padStart(8, "0");
+  let output = "";
+  for (let i = 0; i < bits.length; i += 5) output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, "0"), 2)];
+  return output;
+};
+
+const base32Decode = (text) => {
+  let bits = "";
+  for (const char of text.replace(/[\s=-]/g, "").toUpperCase()) {
+    const value = BASE32_ALPHABET.indexOf(char);
+    if (value === -1) throw new Error("Invalid base32 character");
+    bits += value.toString(2).padStart(5, "0");
+  }
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  return Buffer.from(bytes);
+};
+
+// 160-bit secret, the size RFC 4226 recommends for SHA-1
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+// RFC 4226 HOTP value for one counter
+const hotp = (secret, counter) => {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+  const digest = crypto.createHmac("sha1", base32Decode(secret)).update(message).digest();
+  const offset = digest[digest.length - 1] & 0x0f;
+  const binary = digest.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, "0");
+};
+
+const currentStep = (now = Date.now()) => Math.floor(now / 1000 / STEP_SECONDS);
+
+// Returns the matching time step, allowing `window` steps of clock drift either
+// way, or null. Steps at or before `afterStep` are refused so a code that was
+// already accepted cannot be replayed.
+const verifyTotp = (secret, code, { window = 1, afterStep = null, now = Date.now() } = {}) => {
+  const submitted = String(code || "").replace(/\s/g, "");
+  if (!/^\d{6}$/.test(submitted)) return null;
+  const step = currentStep(now);
+  for (let candidate = step - window; candidate <= step + window; candidate++) {
+    if (afterStep !== null && candidate <= afterStep) continue;
+    const expected = hotp(secret, candidate);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(submitted))) return candidate;
+  }
+  return null;
+};
+
+const otpauthUri = ({ issuer, account, secret }) => {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  const params = new URLSearchParams({ secret, issuer, algorithm: "SHA1", digits: String(DIGITS), period: String(STEP_SECONDS) });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+// Recovery codes look like "k7rq-2mxf-9hza"; only their SHA-256 hashes are stored
+const generateRecoveryCodes = (count = 10) =>
+  Array.from({ length: count }, () =>
+    base32Encode(crypto.randomBytes(8)).slice(0, 12).toLowerCase().match(/.{4}/g).join("-")
+  );
+
+const normalizeRecoveryCode = (code) => String(code || "").replace(/[\s-]/g, "").toLowerCase();
+
+// Secrets have to be readable to check codes, so they are encrypted at rest
+// (AES-256-GCM) rather than hashed
+const encryptionKey = () =>
+  crypto.createHash("sha256").update(process.env.TOTP_ENCRYPTION_KEY || process.env.JWT_SECRET).digest();
+
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", encryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, "utf8"), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map((part) => part.toString("base64")).join(".");
+};
+
+const decryptSecret = (stored) => {
+  const [iv, tag, encrypted] = stored.split(".").map((part) => Buffer.from(part, "base64"));
+  const decipher = crypto.createDecipheriv("aes-256-gcm", encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString("utf8");
+};
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  hotp,
+  currentStep,
+  verifyTotp,
+  otpauthUri,
+  generateRecoveryCodes,
+  normalizeRecoveryCode,
+  encryptSecret,
+  decryptSecret,
+};
@@ -0,0 +1,196 @@
+const { HttpError } = require("./httpErrors");
+
+// Declarative request validation. Routes describe their params, query and body
+// with JSON Schema objects (the subset below), attached with validate(schema);
+// the same schemas generate the OpenAPI document (utils/openapi.js).
+//
+//   type        string, integer, number, boolean, array or object
+//   format      date (YYYY-MM-DD), date-time, time (HH:MM), email
+//   enum, minLength, maxLength, minimum, maximum, pattern, nullable,
+//   items, minItems, maxItems, properties, required, additionalProperties
+//   check       (value) => true or a message, for rules JSON Schema can't say
+//
+// Numbers and booleans may arrive as strings ("12", "true"): query and path
+// values always do, and some clients send form values as typed. Validation
+// never changes the request; handlers still parse what they read.
+
+const FORMATS = {
+  date: {
+    // Month 13 is an Invalid Date; February 30 rolls over into March
+    test: (value) => {
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+      const date = new Date(`${value}T00:00:00Z`);
+      return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(value);
+    },
+    message: "must be in YYYY-MM-DD format",
+  },
+  "date-time": {
+    test: (value) =>
+      /^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/i.test(value) && !Number.isNaN(new Date(value).getTime()),
+    message: "must be a valid date-time, e.g. 2025-04-01T09:00:00Z",
+  },
+  time: {
+    test: (value) => /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/.test(value),
+    message: "must be in HH:MM format",
+  },
+  email: {
+    test: (value) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+    message: "must be a valid email address",
+  },
+};
+
+const isPlainObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value);
+
+const TYPES = {
+  string: { test: (value) => typeof value === "string", message: "must be a string" },
+  integer: {
+    test: (value) => (typeof value === "number" && Number.isInteger(value)) || (typeof value === "string" && /^-?\d+$/.test(value)),
+    message: "must be a whole number",
+  },
+  number: {
+    test: (value) => (typeof value === "number" && Number.isFinite(value)) || (typeof value === "string" && /^-?\d+(\.\d+)?$/.test(value)),
+    message: "must be a number",
+  },
+  boolean: { test: (value) => typeof value === "boolean" || value === "true" || value === "false", message: "must be true or false" },
+  array: { test: Array.isArray, message: "must be an array" },
+  object: { test: isPlainObject, message: "must be an object" },
+};
+
+const issue = (field, location, code, message) => ({ field, in: location, code, message: `${field} ${message}` });
+
+// Errors for one value against its schema; `field` names it in messages
+const checkValue = (schema, value, field, location) => {
+  if (value === null) {
+    return schema.nullable ? [] : [issue(field, location, "invalid_type", "must not be null")];
+  }
+  const type = TYPES[schema.type];
+  if (type && !type.test(value)) return [issue(field, location, "invalid_type", type.message)];
+
+  const errors = [];
+  const add = (code, message) => errors.push(issue(field, location, code, message));
+
+  if (schema.type === "string") {
+    if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+      add("too_short", schema.minLength === 1 ? "must not be empty" : `must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      add("too_long", `must be at most ${schema.maxLength} characters`);
+    }
+    if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format].test(value)) {
+      add("invalid_format", FORMATS[schema.format].message);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) add("invalid_format", "is not in the expected format");
+  }
+  if (schema.type === "integer" || schema.type === "number") {
+    const number = Number(value);
+    if (schema.minimum !== undefined && number < schema.minimum) add("too_small", `must be at least ${schema.minimum}`);
+    if (schema.exclusiveMinimum !== undefined && number <= schema.exclusiveMinimum) {
+      add("too_small", `must be greater than ${schema.exclusiveMinimum}`);
+    }
+    if (schema.maximum !== undefined && number > schema.maximum) add("too_large", `must be at most ${schema.maximum}`);
+  }
+  if (schema.enum && !schema.enum.includes(value)) add("invalid_value", `must be one of ${schema.enum.join(", ")}`);
+  if (schema.type === "array") {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      add("too_short", `must have at least ${schema.minItems} item${schema.minItems === 1 ? "" : "s"}`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) add("too_long", `must have at most ${schema.maxItems} items`);
+    if (schema.items) value.forEach((item, index) => errors.push(...checkValue(schema.items, item, `${field}[${index}]`, location)));
+  }
+  if (schema.type === "object" && schema.properties) {
+    errors.push(...checkObject(schema, value, location, `${field}.`));
+  }
+  if (errors.length === 0 && schema.check) {
+    const result = schema.check(value);
+    if (result !== true) add("invalid_value", result);
+  }
+  return errors;
+};
+
+// Missing means absent, null or an empty string, as the handlers have always treated it
+const isMissing = (value) => value === undefined || value === null || value === "";
+
+const checkObject = (schema, object, location, prefix = "") => {
+  const errors = [];
+  for (const name of schema.required || []) {
+    if (isMissing(object[name])) errors.push({ field: `${prefix}${name}`, in: location, code: "required", message: `${prefix}${name} is required` });
+  }
+  for (const [name, property] of Object.entries(schema.properties || {})) {
+    if (object[name] === undefined || (isMissing(object[name]) && (schema.required || []).includes(name))) continue;
+    errors.push(...checkValue(property, object[name], `${prefix}${name}`, location));
+  }
+  if (schema.additionalProperties === false) {
+    for (const name of Object.keys(object)) {
+      if (!(name in (schema.properties || {}))) errors.push(issue(`${prefix}${name}`, location, "unknown_field", "is not allowed"));
+    }
+  }
+  return errors;
+};
+
+const LOCATIONS = ["params", "query", "body"];
+
+// All problems with a request, as [{ field, in, code, message }]
+const checkRequest = (schema, req) =>
+  LOCATIONS.flatMap((location) => {
+    if (!schema[location]) return [];
+    const value = req[location] === undefined ? {} : req[location];
+    if (!isPlainObject(value)) return [issue(location, location, "invalid_type", "must be a JSON object")];
+    return checkObject(schema[location], value, location);
+  });
+
+// One message for the whole response, in the wording routes already use
+const summarize = (errors) => {
+  const missing = errors.filter((error) => error.code === "required");
+  const invalid = errors.filter((error) => error.code !== "required");
+  const parts = [];
+  if (missing.length > 0) parts.push(`Missing required fields: ${missing.map((error) => error.field).join(", ")}`);
+  if (invalid.length > 0) parts.push(`Invalid input: ${invalid.map((error) => error.message).join("; ")}`);
+  return parts.join(". ");
+};
+
+// Route middleware. The schema is kept on the function for utils/openapi.js
+// { summary, description, params, query, body } with object schemas for the last three
+const validate = (schema) => {
+  const middleware = (req, res, next) => {
+    // Without a JSON content type Express leaves req.body undefined
+    if (schema.body && req.body === undefined) req.body = {};
+    const errors = checkRequest(schema, req);
+    if (errors.length > 0) return next(new HttpError(400, summarize(errors), { code: "validation_failed", errors }));
+    next();
+  };
+  middleware.schema = schema;
+  return middleware;
+};
+
+// Shorthands for the schemas routes use most, e.g.
+// field.object({ amount: field.number({ exclusiveMinimum: 0 }), notes: field.nullable(field.text(500)) }, ["amount"])
+const field = {
+  object: (properties, required = []) => ({ type: "object", properties, ...(required.length > 0 && { required }) }),
+  string: (options = {}) => ({ type: "string", ...options }),
+  text: (maxLength, options = {}) => ({ type: "string", maxLength, ...options }),
+  requiredText: (maxLength, options = {}) => ({ type: "string", minLength: 1, maxLength, ...options }),
+  integer: (options = {}) => ({ type: "integer", ...options }),
+  number: (options = {}) => ({ type: "number", ...options }),
+  boolean: (options = {}) => ({ type: "boolean", ...options }),
+  oneOf: (values, options = {}) => ({ type: "string", enum: values, ...options }),
+  arrayOf: (items, options = {}) => ({ type: "array", items, ...options }),
+  nullable: (schema) => ({ ...schema, nullable: true }),
+  id: { type: "integer", minimum: 1 },
+  date: { type: "string", format: "date" },
+  dateTime: { type: "string", format: "date-time" },
+  time: { type: "string", format: "time" },
+  email: { type: "string", format: "email", maxLength: 255 },
+};
+
+// Most per-record routes only take a numeric :id
+const idParams = field.object({ id: field.id });
+
+module.exports = {
+  FORMATS,
+  checkValue,
+  checkRequest,
+  summarize,
+  validate,
+  field,
+  idParams,
+};